@@ -226,8 +226,114 @@ const getItemInspectionHistory = async (req, res) => {
     }
 };
 
+/**
+ * 취소 결과 코드별 HTTP 상태
+ */
+const CANCEL_ERROR_STATUS = {
+    INSPECTION_NOT_FOUND: 404,
+    BATCH_NOT_FOUND: 404,
+    INSPECTION_NOT_CANCELLABLE: 409,
+    BATCH_NOT_CANCELLABLE: 409
+};
+
+/**
+ * 검사 취소
+ * POST /api/inspections/:id/cancel
+ * 
+ * 역할: 실행 중인 개별 검사 항목 취소
+ * - 검사 모듈은 다음 AWS API 호출 전에 취소 신호를 확인하고 중단
+ * - 취소 전까지 발견된 결과는 부분 결과(cancelled)로 저장
+ * - 최종 CANCELLED 상태는 WebSocket으로 전송
+ * 
+ * 사용처: 검사 진행 화면의 취소 버튼
+ */
+const cancelInspection = async (req, res) => {
+    try {
+        const customerId = req.user.userId;
+        const result = inspectionService.cancelInspection(customerId, req.params.id);
+
+        if (!result.success) {
+            return res.status(CANCEL_ERROR_STATUS[result.error.code] || 400).json(ApiResponse.error(result.error));
+        }
+
+        res.status(202).json(ApiResponse.success({
+            message: 'Inspection cancellation requested',
+            ...result.data
+        }));
+
+    } catch (error) {
+        console.error('Cancel inspection error:', error);
+        res.status(500).json(ApiResponse.error({
+            code: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            details: 'An unexpected error occurred while cancelling the inspection'
+        }));
+    }
+};
+
+/**
+ * 배치 검사 취소
+ * POST /api/inspections/batch/:batchId/cancel
+ * 
+ * 역할: 배치 내 아직 끝나지 않은 모든 검사 항목 취소
+ * - 이미 완료된 항목의 결과는 그대로 유지
+ * - 배치 종료 시 CANCELLED 상태로 완료 알림 전송
+ */
+const cancelBatchInspection = async (req, res) => {
+    try {
+        const customerId = req.user.userId;
+        const result = inspectionService.cancelBatch(customerId, req.params.batchId);
+
+        if (!result.success) {
+            return res.status(CANCEL_ERROR_STATUS[result.error.code] || 400).json(ApiResponse.error(result.error));
+        }
+
+        res.status(202).json(ApiResponse.success({
+            message: 'Batch cancellation requested',
+            ...result.data
+        }));
+
+    } catch (error) {
+        console.error('Cancel batch inspection error:', error);
+        res.status(500).json(ApiResponse.error({
+            code: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            details: 'An unexpected error occurred while cancelling the batch inspection'
+        }));
+    }
+};
+
+/**
+ * 배치 상태 조회
+ * GET /api/inspections/batch/:batchId
+ * 작업 저장소 기준으로 조회하므로 백엔드 재시작 후에도 배치 결과를 확인할 수 있음
+ */
+const getBatchStatus = async (req, res) => {
+    try {
+        const customerId = req.user.userId;
+        const result = await inspectionService.getBatchStatus(customerId, req.params.batchId);
+
+        if (!result.success) {
+            return res.status(404).json(ApiResponse.error(result.error));
+        }
+
+        res.json(ApiResponse.success(result.data));
+
+    } catch (error) {
+        console.error('Get batch status error:', error);
+        res.status(500).json(ApiResponse.error({
+            code: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            details: 'An unexpected error occurred while retrieving the batch status'
+        }));
+    }
+};
+
 module.exports = {
     startInspection,
     getAllItemStatus,
-    getItemInspectionHistory
+    getItemInspectionHistory,
+    cancelInspection,
+    cancelBatchInspection,
+    getBatchStatus
 };
\ No newline at end of file
@@ -3,6 +3,8 @@
  * Provides common validation functions for request data
  */
 
+const BaseInspector = require('../services/inspectors/baseInspector');
+
 const validateRegistration = (req, res, next) => {
   const { username, password, roleArn, companyName } = req.body;
   const errors = [];
@@ -113,6 +115,51 @@ const validateStatusUpdate = (req, res, next) => {
   next();
 };
 
+/**
+ * 보안그룹 위험 포트 설정 검증 (포트 번호 또는 { port, service } 배열)
+ */
+const validatePortList = (ports, fieldName, errors) => {
+  if (ports === undefined) return;
+
+  if (!Array.isArray(ports)) {
+    errors.push(`${fieldName} must be an array`);
+    return;
+  }
+
+  ports.forEach((entry, index) => {
+    const port = typeof entry === 'object' && entry !== null ? entry.port : entry;
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      errors.push(`${fieldName}[${index}] must be an integer port between 0 and 65535`);
+    }
+    if (typeof entry === 'object' && entry !== null && entry.service !== undefined &&
+      (typeof entry.service !== 'string' || !entry.service.trim() || entry.service.length > 50)) {
+      errors.push(`${fieldName}[${index}].service must be a non-empty string of up to 50 characters`);
+    }
+  });
+};
+
+/**
+ * 정수 범위 설정 검증 (CIDR 프리픽스 길이, 동시 실행 수 등)
+ */
+const validateIntegerRange = (value, fieldName, min, max, errors) => {
+  if (value === undefined) return;
+
+  if (!Number.isInteger(value) || value < min || value > max) {
+    errors.push(`${fieldName} must be an integer between ${min} and ${max}`);
+  }
+};
+
+/**
+ * 0 이상의 숫자 설정 검증 (금액, 기간 등)
+ */
+const validateNonNegativeNumber = (value, fieldName, errors) => {
+  if (value === undefined) return;
+
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    errors.push(`${fieldName} must be a number greater than or equal to 0`);
+  }
+};
+
 /**
  * 검사 시작 요청 검증
  * Requirements: 1.1 - 검사 요청 시 필수 파라미터 검증
@@ -125,7 +172,7 @@ const validateInspectionStart = (req, res, next) => {
   if (!serviceType || typeof serviceType !== 'string') {
     errors.push('Service type is required');
   } else {
-    const validServiceTypes = ['EC2', 'RDS', 'S3', 'IAM', 'VPC'];
+    const validServiceTypes = ['EC2', 'RDS', 'S3', 'IAM', 'VPC', 'CLOUDFRONT', 'LAMBDA', 'ELB', 'GOVERNANCE', 'KMS', 'CONTAINER', 'DATASTORE', 'APIGATEWAY'];
     if (!validServiceTypes.includes(serviceType.toUpperCase())) {
       errors.push(`Service type must be one of: ${validServiceTypes.join(', ')}`);
     }
@@ -144,6 +191,15 @@ const validateInspectionStart = (req, res, next) => {
   // Inspection config validation (optional)
   if (inspectionConfig && typeof inspectionConfig !== 'object') {
     errors.push('Inspection config must be an object');
+  } else if (inspectionConfig) {
+    validatePortList(inspectionConfig.dangerousPorts, 'dangerousPorts', errors);
+    validatePortList(inspectionConfig.additionalDangerousPorts, 'additionalDangerousPorts', errors);
+    validateIntegerRange(inspectionConfig.wideCidrPrefixLength, 'wideCidrPrefixLength', 1, 32, errors);
+    validateIntegerRange(inspectionConfig.wideIpv6CidrPrefixLength, 'wideIpv6CidrPrefixLength', 1, 128, errors);
+    validateNonNegativeNumber(inspectionConfig.minCommitmentMonthlyAmount, 'minCommitmentMonthlyAmount', errors);
+    validateNonNegativeNumber(inspectionConfig.steadyStateDays, 'steadyStateDays', errors);
+    validateIntegerRange(inspectionConfig.rightsizingLookbackDays, 'rightsizingLookbackDays', 1, 60, errors);
+    validateIntegerRange(inspectionConfig.checkConcurrency, 'checkConcurrency', 1, BaseInspector.getMaxCheckConcurrency(), errors);
   }
 
   if (errors.length > 0) {
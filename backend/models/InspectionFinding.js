@@ -4,16 +4,22 @@
  */
 
 class InspectionFinding {
+  /**
+   * @param {Object} params
+   * @param {Object} [params.group] - 결과를 상위 리소스 단위로 묶어 표시할 때 사용 ({ id, name })
+   */
   constructor({
     resourceId,
     resourceType,
     issue,
-    recommendation
+    recommendation,
+    group = null
   }) {
     this.resourceId = resourceId;
     this.resourceType = resourceType;
     this.issue = issue;
     this.recommendation = recommendation;
+    this.group = group;
   }
 
   /**
@@ -21,12 +27,20 @@ class InspectionFinding {
    * @returns {Object} API 응답 형식
    */
   toApiResponse() {
-    return {
+    const response = {
       resourceId: this.resourceId,
       resourceType: this.resourceType,
       issue: this.issue,
       recommendation: this.recommendation
     };
+
+    // 그룹 정보는 지정된 경우에만 포함 (기존 결과 형식 유지)
+    if (this.group?.id) {
+      response.groupId = this.group.id;
+      response.groupName = this.group.name || this.group.id;
+    }
+
+    return response;
   }
 
   /**
@@ -18,6 +18,10 @@ const InspectionItemResultSchema = {
   itemId: 'string', // dangerous-ports, bucket-encryption 등 - 프론트엔드에서 카테고리 매핑
   region: 'string', // AWS 리전 (us-east-1, ap-northeast-2 등)
   findings: 'list', // 발견된 문제 배열 - 핵심 데이터
+  partial: 'boolean', // 수집 한도 도달로 일부 리소스만 검사된 경우 true
+  partialCollections: 'list', // 한도에 도달한 API 호출 목록 [{ operation, limit }]
+  cancelled: 'boolean', // 검사 도중 취소되어 취소 전까지의 결과만 저장된 경우 true
+  inspectionStatus: 'string', // COMPLETED | CANCELLED - CANCELLED 결과는 HISTORY에만 저장 (LATEST 유지)
 
   // 메타데이터
   inspectionId: 'string', // 검사 ID (HISTORY 레코드만)
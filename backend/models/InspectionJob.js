@@ -0,0 +1,99 @@
+/**
+ * 검사 작업(배치 및 개별 검사) 영속 모델
+ * 백엔드 재시작 후에도 배치 상태를 조회하고 중단된 작업을 정리하기 위해 저장
+ * 배치 레코드와 검사 작업 레코드를 같은 파티션(batchId)에 저장하여 한 번의 조회로 배치 전체를 읽음
+ */
+
+const InspectionJobSchema = {
+  // Primary Key
+  batchId: 'string', // 배치 ID (HASH)
+  recordKey: 'string', // 레코드 식별키 (RANGE)
+
+  // recordKey 구조:
+  // 배치: "BATCH"
+  // 검사 작업: "JOB#{inspectionId}"
+
+  // 공통
+  status: 'string', // PENDING, QUEUED, IN_PROGRESS, COMPLETED, FAILED, CANCELLED
+  error: 'string', // 실패/취소 사유
+  createdAt: 'number',
+  updatedAt: 'number',
+  expiresAt: 'number', // DynamoDB TTL (epoch seconds)
+
+  // 배치 레코드
+  customerId: 'string', // 고객 ID (조회 권한 확인용)
+  serviceType: 'string',
+  region: 'string',
+  inspectionIds: 'list', // 배치에 포함된 검사 ID 목록
+  totalItems: 'number',
+  completedAt: 'number',
+  ownerInstanceId: 'string', // 배치를 실행하는 백엔드 인스턴스 ID
+  heartbeatAt: 'number', // 실행 인스턴스가 주기적으로 갱신 (중단 여부 판단용)
+
+  // 검사 작업 레코드
+  inspectionId: 'string',
+  itemId: 'string', // 검사 항목 ID (all 또는 개별 항목)
+  currentStep: 'string',
+  percentage: 'number',
+  startTime: 'number',
+  cancelledAt: 'number'
+};
+
+// 종료되지 않은 상태 (재시작 시 중단된 작업으로 간주)
+const ACTIVE_STATUSES = ['PENDING', 'QUEUED', 'IN_PROGRESS'];
+
+// 작업 레코드 보관 기간 (이후 TTL로 삭제)
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+module.exports = {
+  tableName: 'InspectionJobs',
+  schema: InspectionJobSchema,
+  ACTIVE_STATUSES,
+  RETENTION_MS,
+  ttlAttribute: 'expiresAt',
+
+  // DynamoDB 테이블 생성 스크립트
+  createTableParams: {
+    TableName: 'InspectionJobs',
+    KeySchema: [
+      { AttributeName: 'batchId', KeyType: 'HASH' },
+      { AttributeName: 'recordKey', KeyType: 'RANGE' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'batchId', AttributeType: 'S' },
+      { AttributeName: 'recordKey', AttributeType: 'S' }
+    ],
+    BillingMode: 'PAY_PER_REQUEST'
+  },
+
+  helpers: {
+    BATCH_RECORD_KEY: 'BATCH',
+
+    /**
+     * 검사 작업 레코드 키 생성
+     * @param {string} inspectionId - 검사 ID
+     * @returns {string}
+     */
+    createJobKey(inspectionId) {
+      return `JOB#${inspectionId}`;
+    },
+
+    /**
+     * 종료되지 않은 작업 여부
+     * @param {string} status - 작업 상태
+     * @returns {boolean}
+     */
+    isActiveStatus(status) {
+      return ACTIVE_STATUSES.includes(status);
+    },
+
+    /**
+     * TTL 만료 시각 계산
+     * @param {number} timestamp - 기준 시각 (ms)
+     * @returns {number} 만료 시각 (epoch seconds)
+     */
+    createExpiresAt(timestamp = Date.now()) {
+      return Math.floor((timestamp + RETENTION_MS) / 1000);
+    }
+  }
+};
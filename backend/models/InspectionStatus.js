@@ -27,6 +27,7 @@ class InspectionStatus {
     this.itemName = itemName;
     this.startTime = Date.now();
     this.lastUpdated = Date.now();
+    this.cancelledAt = null;
     
     // Enhanced progress tracking
     this.progressHistory = [];
@@ -89,6 +90,16 @@ class InspectionStatus {
     }
   }
 
+  /**
+   * 실행 대기열 등록 (동시 실행 한도 초과)
+   * @param {number} position - 대기 순서
+   */
+  queue(position) {
+    this.status = 'QUEUED';
+    this.currentStep = `Waiting in queue (position ${position})`;
+    this.lastUpdated = Date.now();
+  }
+
   /**
    * 검사 시작
    * @param {string} initialStep - 초기 단계 설명
@@ -142,6 +153,27 @@ class InspectionStatus {
     this.lastUpdated = Date.now();
   }
 
+  /**
+   * 검사 취소 (취소 전까지의 결과는 부분 결과로 유지)
+   * @param {string} reason - 취소 사유
+   */
+  cancel(reason = 'Cancelled by user') {
+    this.status = 'CANCELLED';
+    this.error = reason;
+    this.currentStep = 'Inspection cancelled';
+    this.estimatedTimeRemaining = 0;
+    this.cancelledAt = Date.now();
+    this.lastUpdated = Date.now();
+  }
+
+  /**
+   * 종료 상태(완료, 실패, 취소) 여부
+   * @returns {boolean}
+   */
+  isFinished() {
+    return ['COMPLETED', 'FAILED', 'CANCELLED'].includes(this.status);
+  }
+
   /**
    * API 응답용 객체 변환
    * @returns {Object} API 응답 형식
@@ -182,6 +214,10 @@ class InspectionStatus {
       response.error = this.error;
     }
 
+    if (this.cancelledAt) {
+      response.cancelledAt = this.cancelledAt;
+    }
+
     // Include progress statistics for debugging/monitoring
     if (process.env.NODE_ENV === 'development') {
       response.statistics = this.getProgressStatistics();
@@ -201,7 +237,7 @@ class InspectionStatus {
       errors.push('inspectionId is required');
     }
 
-    const validStatuses = ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'FAILED'];
+    const validStatuses = ['PENDING', 'QUEUED', 'IN_PROGRESS', 'COMPLETED', 'FAILED', 'CANCELLED'];
     if (!validStatuses.includes(this.status)) {
       errors.push(`status must be one of: ${validStatuses.join(', ')}`);
     }
@@ -0,0 +1,55 @@
+/**
+ * 지원 종료(EOL) 수명 주기 카탈로그 영속 모델
+ * 관리자가 업로드한 카탈로그를 저장하여 모든 백엔드 인스턴스가 같은 카탈로그를 사용
+ * 기본 카탈로그(config/lifecycleCatalog.json)보다 버전이 높은 경우에만 적용됨
+ */
+
+const LifecycleCatalogSchema = {
+  // Primary Key
+  catalogId: 'string', // 카탈로그 식별키 (HASH) - 현재 적용 카탈로그는 "CURRENT"
+
+  version: 'string', // 카탈로그 버전 (숫자.숫자... 형식, 예: 2026.10.0)
+  products: 'map', // { [productId]: { name, description?, versions: { [version]: { endDate } } } }
+  previousVersion: 'string', // 업로드 전에 적용되어 있던 버전
+  updatedAt: 'string', // 업로드 시각 (ISO 8601)
+  updatedBy: 'string' // 업로드한 관리자
+};
+
+module.exports = {
+  tableName: 'LifecycleCatalogs',
+  schema: LifecycleCatalogSchema,
+
+  // DynamoDB 테이블 생성 스크립트
+  createTableParams: {
+    TableName: 'LifecycleCatalogs',
+    KeySchema: [
+      { AttributeName: 'catalogId', KeyType: 'HASH' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'catalogId', AttributeType: 'S' }
+    ],
+    BillingMode: 'PAY_PER_REQUEST'
+  },
+
+  helpers: {
+    CURRENT_CATALOG_ID: 'CURRENT',
+
+    /**
+     * 카탈로그 버전 비교 (점으로 구분된 숫자 단위로 비교)
+     * @param {string} a - 버전
+     * @param {string} b - 버전
+     * @returns {number} a가 높으면 양수, 낮으면 음수, 같으면 0
+     */
+    compareVersions(a, b) {
+      const partsA = String(a).split('.').map(Number);
+      const partsB = String(b).split('.').map(Number);
+      const length = Math.max(partsA.length, partsB.length);
+
+      for (let i = 0; i < length; i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+      }
+      return 0;
+    }
+  }
+};
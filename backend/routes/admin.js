@@ -2,6 +2,7 @@ const express = require('express');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const dynamoService = require('../services/dynamoService');
 const stsService = require('../services/stsService');
+const lifecycleCatalogService = require('../services/lifecycleCatalogService');
 const { User } = require('../models');
 
 const router = express.Router();
@@ -287,4 +288,110 @@ router.post('/users/:userId/validate-arn', authenticateToken, requireAdmin, asyn
   }
 });
 
+/**
+ * GET /api/admin/lifecycle-catalog
+ * 지원 종료(EOL) 수명 주기 카탈로그 조회
+ * 
+ * Headers:
+ * - Authorization: Bearer <admin-token>
+ * 
+ * Query:
+ * - withinMonths: 지정 시 지원이 종료되었거나 해당 개월 수 이내 종료 예정인 버전 목록 포함
+ * - productId: withinMonths와 함께 사용 시 특정 제품만 조회
+ * 
+ * 관리자 권한 필요
+ */
+router.get('/lifecycle-catalog', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const catalog = await lifecycleCatalogService.getCatalog();
+    const data = { catalog };
+
+    if (req.query.withinMonths !== undefined) {
+      const withinMonths = parseInt(req.query.withinMonths, 10);
+
+      if (Number.isNaN(withinMonths) || withinMonths < 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid withinMonths value',
+            details: 'withinMonths must be a non-negative integer'
+          }
+        });
+      }
+
+      data.endingVersions = await lifecycleCatalogService.getEndingVersions(withinMonths, req.query.productId || null);
+    }
+
+    res.json({
+      success: true,
+      message: 'Lifecycle catalog retrieved successfully',
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to retrieve lifecycle catalog',
+        details: 'An error occurred while retrieving lifecycle catalog'
+      }
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/lifecycle-catalog
+ * 지원 종료(EOL) 수명 주기 카탈로그 교체 (재배포 없이 다음 검사부터 적용)
+ * 
+ * Headers:
+ * - Authorization: Bearer <admin-token>
+ * 
+ * Body: 카탈로그 JSON
+ * - version: 카탈로그 버전 (숫자.숫자... 형식, 현재 적용된 버전보다 높아야 함)
+ * - products: { [productId]: { name, description?, versions: { [version]: { endDate: 'YYYY-MM-DD' } } } }
+ * 
+ * 관리자 권한 필요
+ */
+router.put('/lifecycle-catalog', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await lifecycleCatalogService.updateCatalog(req.body, req.user.username);
+
+    if (!result.success) {
+      const isConflict = result.code === 'VERSION_CONFLICT';
+      return res.status(isConflict ? 409 : 400).json({
+        success: false,
+        error: {
+          code: result.code,
+          message: isConflict ? 'Catalog version already applied' : 'Lifecycle catalog validation failed',
+          details: result.errors
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Lifecycle catalog updated to version ${result.catalog.version}`,
+      data: {
+        version: result.catalog.version,
+        previousVersion: result.catalog.previousVersion,
+        updatedAt: result.catalog.updatedAt,
+        updatedBy: result.catalog.updatedBy,
+        productCount: Object.keys(result.catalog.products).length
+      }
+    });
+  } catch (error) {
+    console.error('Lifecycle catalog update error:', error);
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to update lifecycle catalog',
+        details: 'An error occurred while saving lifecycle catalog'
+      }
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
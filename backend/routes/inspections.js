@@ -23,6 +23,24 @@ router.use(requireApprovedUser);
  */
 router.post('/start', validateInspectionStart, inspectionController.startInspection);
 
+/**
+ * GET /api/inspections/batch/:batchId
+ * 배치 상태 조회 (작업 저장소 기준)
+ */
+router.get('/batch/:batchId', inspectionController.getBatchStatus);
+
+/**
+ * POST /api/inspections/batch/:batchId/cancel
+ * 배치 내 실행 중인 모든 검사 취소
+ */
+router.post('/batch/:batchId/cancel', inspectionController.cancelBatchInspection);
+
+/**
+ * POST /api/inspections/:id/cancel
+ * 개별 검사 취소
+ */
+router.post('/:id/cancel', inspectionController.cancelInspection);
+
 
 
 /**
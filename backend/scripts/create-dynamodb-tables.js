@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * DynamoDB 테이블 생성 스크립트
+ * 모델에 정의된 createTableParams로 테이블을 생성하고, TTL 속성이 있으면 TTL을 활성화
+ * 이미 존재하는 테이블은 건너뜀
+ *
+ * 사용법:
+ * node scripts/create-dynamodb-tables.js [모델 이름...]
+ *
+ * 예시:
+ * node scripts/create-dynamodb-tables.js
+ * node scripts/create-dynamodb-tables.js InspectionJob
+ */
+
+require('dotenv').config();
+const {
+  CreateTableCommand,
+  DescribeTableCommand,
+  UpdateTimeToLiveCommand,
+  waitUntilTableExists
+} = require('@aws-sdk/client-dynamodb');
+const { dynamoDBClient } = require('../config/aws');
+
+// 모델 이름 -> { model, 테이블 이름 환경 변수 }
+const TABLE_MODELS = {
+  InspectionItemResult: {
+    model: require('../models/InspectionItemResult'),
+    tableNameEnv: 'AWS_DYNAMODB_INSPECTION_ITEMS_TABLE'
+  },
+  InspectionJob: {
+    model: require('../models/InspectionJob'),
+    tableNameEnv: 'AWS_DYNAMODB_INSPECTION_JOBS_TABLE'
+  },
+  LifecycleCatalog: {
+    model: require('../models/LifecycleCatalog'),
+    tableNameEnv: 'AWS_DYNAMODB_LIFECYCLE_CATALOG_TABLE'
+  }
+};
+
+async function tableExists(tableName) {
+  try {
+    await dynamoDBClient.send(new DescribeTableCommand({ TableName: tableName }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ResourceNotFoundException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+async function createTable(modelName) {
+  const { model, tableNameEnv } = TABLE_MODELS[modelName];
+  const tableName = process.env[tableNameEnv] || model.createTableParams.TableName;
+
+  if (await tableExists(tableName)) {
+    console.log(`⏭️  ${tableName}: 이미 존재하는 테이블입니다.`);
+    return;
+  }
+
+  console.log(`🚀 ${tableName}: 테이블 생성 중...`);
+  await dynamoDBClient.send(new CreateTableCommand({ ...model.createTableParams, TableName: tableName }));
+  await waitUntilTableExists({ client: dynamoDBClient, maxWaitTime: 120 }, { TableName: tableName });
+
+  if (model.ttlAttribute) {
+    await dynamoDBClient.send(new UpdateTimeToLiveCommand({
+      TableName: tableName,
+      TimeToLiveSpecification: {
+        AttributeName: model.ttlAttribute,
+        Enabled: true
+      }
+    }));
+    console.log(`⏱️  ${tableName}: TTL 활성화 (${model.ttlAttribute})`);
+  }
+
+  console.log(`✅ ${tableName}: 테이블 생성 완료`);
+}
+
+async function createTables() {
+  const modelNames = process.argv.slice(2);
+  const targets = modelNames.length > 0 ? modelNames : Object.keys(TABLE_MODELS);
+
+  const unknown = targets.filter(name => !TABLE_MODELS[name]);
+  if (unknown.length > 0) {
+    console.error(`❌ 알 수 없는 모델: ${unknown.join(', ')}`);
+    console.error(`사용 가능한 모델: ${Object.keys(TABLE_MODELS).join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    for (const modelName of targets) {
+      await createTable(modelName);
+    }
+  } catch (error) {
+    console.error('❌ 테이블 생성 실패:', error.message);
+    process.exit(1);
+  }
+}
+
+createTables();
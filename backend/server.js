@@ -2,6 +2,7 @@ const http = require('http');
 const app = require('./app');
 const config = require('./config');
 const webSocketService = require('./services/websocketService');
+const inspectionService = require('./services/inspectionService');
 
 const PORT = config.port;
 
@@ -11,18 +12,36 @@ const server = http.createServer(app);
 // Initialize WebSocket service
 webSocketService.initialize(server);
 
-server.listen(PORT, () => {
-  console.log(`🚀 Server is running on port ${PORT}`);
-  console.log(`📊 Environment: ${config.nodeEnv}`);
-  console.log(`🌐 Frontend URL: ${config.frontendUrl}`);
-  console.log(`⚡ AWS Region: ${config.aws.region}`);
-  console.log(`🔌 WebSocket endpoint: ws://localhost:${PORT}/ws/inspections`);
-  
-  if (config.nodeEnv === 'development') {
-    console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-    console.log(`🔗 API base: http://localhost:${PORT}/api`);
+// 중단된 검사 작업(이 인스턴스의 이전 실행분 또는 heartbeat가 끊긴 배치) 정리 후 요청 수신 시작
+// (새로 시작된 배치가 중단된 작업으로 처리되지 않도록 listen 전에 실행)
+const startServer = async () => {
+  try {
+    const recoveredBatches = await inspectionService.recoverInterruptedJobs();
+    if (recoveredBatches > 0) {
+      console.log(`🧹 Marked ${recoveredBatches} interrupted inspection batch(es) as failed`);
+    }
+  } catch (error) {
+    console.error('Failed to recover interrupted inspection jobs:', error.message);
   }
-});
+
+  // 실행 중인 배치 heartbeat 전송 및 다른 인스턴스에서 중단된 배치 주기적 정리
+  inspectionService.startJobMaintenance();
+
+  server.listen(PORT, () => {
+    console.log(`🚀 Server is running on port ${PORT}`);
+    console.log(`📊 Environment: ${config.nodeEnv}`);
+    console.log(`🌐 Frontend URL: ${config.frontendUrl}`);
+    console.log(`⚡ AWS Region: ${config.aws.region}`);
+    console.log(`🔌 WebSocket endpoint: ws://localhost:${PORT}/ws/inspections`);
+  
+    if (config.nodeEnv === 'development') {
+      console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+      console.log(`🔗 API base: http://localhost:${PORT}/api`);
+    }
+  });
+};
+
+startServer();
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
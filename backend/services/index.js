@@ -2,6 +2,7 @@ const stsService = require('./stsService');
 const dynamoService = require('./dynamoService');
 const cognitoService = require('./cognitoService');
 const historyService = require('./historyService');
+const lifecycleCatalogService = require('./lifecycleCatalogService');
 const inspectors = require('./inspectors');
 
 module.exports = {
@@ -9,5 +10,6 @@ module.exports = {
   dynamoService,
   cognitoService,
   historyService,
+  lifecycleCatalogService,
   inspectors,
 };
\ No newline at end of file
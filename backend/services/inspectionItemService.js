@@ -29,7 +29,11 @@ class InspectionItemService {
         serviceType: itemResult.serviceType,
         itemId: itemResult.itemId,
         region: itemResult.region || 'us-east-1',
-        findings: itemResult.findings || []
+        findings: itemResult.findings || [],
+        partial: itemResult.partial === true,
+        partialCollections: itemResult.partialCollections || [],
+        cancelled: itemResult.cancelled === true,
+        inspectionStatus: itemResult.cancelled === true ? 'CANCELLED' : 'COMPLETED'
       };
 
       // 모델 헬퍼 함수 사용
@@ -49,6 +53,17 @@ class InspectionItemService {
         inspectionTime: now
       };
 
+      // 취소된 검사의 부분 결과는 히스토리에만 남기고 마지막 완료 결과(LATEST)는 유지
+      if (baseItem.cancelled) {
+        await this.dynamoService.saveInspectionItem(historyItem);
+
+        console.log(`✅ [InspectionItemService] Saved cancelled HISTORY record (LATEST kept):`, {
+          historyKey: historyItem.itemKey
+        });
+
+        return { success: true, data: { historyItem, latestItem: null } };
+      }
+
       // 2. 최신 상태용 레코드 저장/업데이트 (LATEST)
       const latestKey = InspectionItemResult.helpers.createLatestKey(
         itemResult.serviceType, 
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  BatchWriteCommand,
+  UpdateCommand,
+  QueryCommand,
+  ScanCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { dynamoDBDocClient } = require('../config/aws');
+const InspectionJob = require('../models/InspectionJob');
+
+const { BATCH_RECORD_KEY, createJobKey, createExpiresAt } = InspectionJob.helpers;
+
+// BatchWriteItem 한 번에 쓸 수 있는 최대 레코드 수
+const BATCH_WRITE_CHUNK_SIZE = 25;
+// 처리되지 않은 레코드(UnprocessedItems) 재시도 횟수와 기본 대기 시간
+const BATCH_WRITE_MAX_ATTEMPTS = 5;
+const BATCH_WRITE_RETRY_DELAY_MS = 100;
+
+/**
+ * Inspection Job Store
+ * 검사 배치와 개별 검사 작업 상태를 영속 저장하는 저장소
+ *
+ * - DynamoDB 저장소: 운영 환경 기본값 (InspectionJobs 테이블, expiresAt TTL로 보관 기간 후 삭제)
+ * - 파일 저장소: 로컬 개발 환경 기본값 (data/inspectionJobs.json)
+ * - INSPECTION_JOB_STORE=dynamodb|file 로 명시적으로 선택 가능
+ *
+ * 배치 조회 결과 형식: { batch, jobs } (jobs는 검사 작업 배열)
+ */
+
+/**
+ * DynamoDB 기반 저장소
+ */
+class DynamoInspectionJobStore {
+  constructor() {
+    this.client = dynamoDBDocClient;
+    this.tableName = process.env.AWS_DYNAMODB_INSPECTION_JOBS_TABLE || InspectionJob.tableName;
+  }
+
+  async saveBatch(batch, jobs) {
+    // 배치와 작업 레코드는 보관 기간 후 TTL로 함께 삭제
+    const expiresAt = createExpiresAt(batch.createdAt);
+    const records = [
+      { ...batch, recordKey: BATCH_RECORD_KEY, expiresAt },
+      ...jobs.map(job => ({ ...job, batchId: batch.batchId, recordKey: createJobKey(job.inspectionId), expiresAt }))
+    ];
+
+    for (let index = 0; index < records.length; index += BATCH_WRITE_CHUNK_SIZE) {
+      await this.writeChunk(records.slice(index, index + BATCH_WRITE_CHUNK_SIZE));
+    }
+  }
+
+  /**
+   * 레코드 묶음 쓰기 (처리되지 않은 레코드는 지수 백오프로 재시도)
+   */
+  async writeChunk(records) {
+    let requestItems = {
+      [this.tableName]: records.map(record => ({ PutRequest: { Item: record } }))
+    };
+
+    for (let attempt = 1; attempt <= BATCH_WRITE_MAX_ATTEMPTS; attempt++) {
+      const response = await this.client.send(new BatchWriteCommand({ RequestItems: requestItems }));
+      const unprocessed = response.UnprocessedItems?.[this.tableName] || [];
+      if (unprocessed.length === 0) return;
+
+      requestItems = { [this.tableName]: unprocessed };
+      if (attempt < BATCH_WRITE_MAX_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, BATCH_WRITE_RETRY_DELAY_MS * 2 ** (attempt - 1)));
+      }
+    }
+
+    throw new Error(`Failed to write ${requestItems[this.tableName].length} inspection job records after ${BATCH_WRITE_MAX_ATTEMPTS} attempts`);
+  }
+
+  async updateBatch(batchId, updates) {
+    await this.updateRecord(batchId, BATCH_RECORD_KEY, updates);
+  }
+
+  async updateJob(batchId, inspectionId, updates) {
+    await this.updateRecord(batchId, createJobKey(inspectionId), updates);
+  }
+
+  async updateRecord(batchId, recordKey, updates) {
+    const entries = Object.entries({ ...updates, updatedAt: Date.now() })
+      .filter(([, value]) => value !== undefined);
+
+    await this.client.send(new UpdateCommand({
+      TableName: this.tableName,
+      Key: { batchId, recordKey },
+      UpdateExpression: `SET ${entries.map((_, index) => `#f${index} = :v${index}`).join(', ')}`,
+      ExpressionAttributeNames: Object.fromEntries(entries.map(([key], index) => [`#f${index}`, key])),
+      ExpressionAttributeValues: Object.fromEntries(entries.map(([, value], index) => [`:v${index}`, value])),
+      // 저장되지 않은 배치에 부분 레코드가 생기지 않도록 기존 레코드만 갱신
+      ConditionExpression: 'attribute_exists(batchId)'
+    }));
+  }
+
+  async getBatch(batchId) {
+    const records = [];
+    let lastEvaluatedKey;
+
+    do {
+      const response = await this.client.send(new QueryCommand({
+        TableName: this.tableName,
+        KeyConditionExpression: 'batchId = :batchId',
+        ExpressionAttributeValues: { ':batchId': batchId },
+        ExclusiveStartKey: lastEvaluatedKey,
+        ConsistentRead: true
+      }));
+      records.push(...(response.Items || []));
+      lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    const batchRecord = records.find(record => record.recordKey === BATCH_RECORD_KEY);
+    if (!batchRecord) return null;
+
+    const stripKey = ({ recordKey, ...record }) => record;
+    return {
+      batch: stripKey(batchRecord),
+      jobs: records.filter(record => record !== batchRecord).map(stripKey)
+    };
+  }
+
+  async findActiveBatches() {
+    const batchIds = [];
+    let lastEvaluatedKey;
+
+    do {
+      const response = await this.client.send(new ScanCommand({
+        TableName: this.tableName,
+        FilterExpression: 'recordKey = :batchKey AND #status IN (:pending, :inProgress)',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':batchKey': BATCH_RECORD_KEY,
+          ':pending': 'PENDING',
+          ':inProgress': 'IN_PROGRESS'
+        },
+        ProjectionExpression: 'batchId',
+        ExclusiveStartKey: lastEvaluatedKey
+      }));
+      batchIds.push(...(response.Items || []).map(item => item.batchId));
+      lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    const batches = await Promise.all(batchIds.map(batchId => this.getBatch(batchId)));
+    return batches.filter(Boolean);
+  }
+}
+
+/**
+ * 파일 기반 저장소 (로컬 개발용)
+ */
+class FileInspectionJobStore {
+  constructor() {
+    this.filePath = process.env.INSPECTION_JOB_STORE_PATH ||
+      path.join(__dirname, '../data/inspectionJobs.json');
+    this.batches = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  load() {
+    if (this.batches) return this.batches;
+
+    this.batches = {};
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.batches = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).batches || {};
+      }
+    } catch (error) {
+      console.warn('[InspectionJobStore] Failed to load job store file, starting empty:', error.message);
+    }
+    return this.batches;
+  }
+
+  async saveBatch(batch, jobs) {
+    const batches = this.load();
+    batches[batch.batchId] = {
+      batch: { ...batch },
+      jobs: Object.fromEntries(jobs.map(job => [job.inspectionId, { ...job, batchId: batch.batchId }]))
+    };
+    await this.persist();
+  }
+
+  async updateBatch(batchId, updates) {
+    const entry = this.load()[batchId];
+    if (!entry) return;
+
+    Object.assign(entry.batch, updates, { updatedAt: Date.now() });
+    await this.persist();
+  }
+
+  async updateJob(batchId, inspectionId, updates) {
+    const job = this.load()[batchId]?.jobs[inspectionId];
+    if (!job) return;
+
+    Object.assign(job, updates, { updatedAt: Date.now() });
+    await this.persist();
+  }
+
+  async getBatch(batchId) {
+    const entry = this.load()[batchId];
+    if (!entry) return null;
+
+    return {
+      batch: { ...entry.batch },
+      jobs: Object.values(entry.jobs).map(job => ({ ...job }))
+    };
+  }
+
+  async findActiveBatches() {
+    const batchIds = Object.keys(this.load())
+      .filter(batchId => InspectionJob.helpers.isActiveStatus(this.batches[batchId].batch.status));
+    return Promise.all(batchIds.map(batchId => this.getBatch(batchId)));
+  }
+
+  /**
+   * 파일에 저장 (동시 쓰기 방지를 위해 순차 실행, 임시 파일 교체로 저장 도중 실패 시 기존 파일 유지)
+   */
+  persist() {
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        this.pruneFinishedBatches();
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify({ batches: this.batches }, null, 2), 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+      });
+    return this.writeQueue;
+  }
+
+  pruneFinishedBatches() {
+    // 종료된 배치는 보관 기간 후 삭제 (파일 크기 제한)
+    const cutoff = Date.now() - InspectionJob.RETENTION_MS;
+    for (const [batchId, entry] of Object.entries(this.batches)) {
+      const finished = !InspectionJob.helpers.isActiveStatus(entry.batch.status);
+      if (finished && (entry.batch.updatedAt || entry.batch.createdAt) < cutoff) {
+        delete this.batches[batchId];
+      }
+    }
+  }
+}
+
+/**
+ * 환경에 맞는 저장소 생성
+ */
+const createInspectionJobStore = () => {
+  const storeType = process.env.INSPECTION_JOB_STORE ||
+    (process.env.NODE_ENV === 'production' ? 'dynamodb' : 'file');
+
+  return storeType === 'dynamodb'
+    ? new DynamoInspectionJobStore()
+    : new FileInspectionJobStore();
+};
+
+module.exports = createInspectionJobStore();
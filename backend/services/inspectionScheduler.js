@@ -0,0 +1,136 @@
+/**
+ * Inspection Scheduler
+ * 검사 작업 동시 실행 수를 전체/고객별로 제한하는 스케줄러
+ *
+ * - 한도를 넘는 작업은 대기열에 넣고, 실행 중인 작업이 끝나면 순서대로 실행
+ * - 고객별 한도에 걸린 작업은 건너뛰고 다른 고객의 작업을 먼저 실행 (한 고객의 대량 배치가 전체를 막지 않도록)
+ * - INSPECTION_MAX_CONCURRENCY, INSPECTION_MAX_CONCURRENCY_PER_CUSTOMER 로 한도 설정
+ */
+class InspectionScheduler {
+  static DEFAULT_MAX_CONCURRENCY = 10;
+  static DEFAULT_MAX_CONCURRENCY_PER_CUSTOMER = 3;
+
+  constructor({
+    maxConcurrency = InspectionScheduler.parseLimit(process.env.INSPECTION_MAX_CONCURRENCY, InspectionScheduler.DEFAULT_MAX_CONCURRENCY),
+    maxConcurrencyPerCustomer = InspectionScheduler.parseLimit(process.env.INSPECTION_MAX_CONCURRENCY_PER_CUSTOMER, InspectionScheduler.DEFAULT_MAX_CONCURRENCY_PER_CUSTOMER)
+  } = {}) {
+    this.maxConcurrency = maxConcurrency;
+    this.maxConcurrencyPerCustomer = maxConcurrencyPerCustomer;
+    this.running = 0;
+    this.runningByCustomer = new Map();
+    this.queue = [];
+  }
+
+  static parseLimit(value, defaultValue) {
+    const limit = parseInt(value, 10);
+    return Number.isInteger(limit) && limit > 0 ? limit : defaultValue;
+  }
+
+  /**
+   * 작업 실행 예약
+   * @param {Object} options - { customerId, onQueued(position), onDequeued() }
+   * @param {Function} task - 실행할 비동기 작업
+   * @returns {Promise<*>} 작업 실행 결과
+   */
+  schedule({ customerId, onQueued = null, onDequeued = null }, task) {
+    return new Promise((resolve, reject) => {
+      const entry = { customerId, task, resolve, reject, onQueued, onDequeued, position: null };
+
+      if (this.canRun(customerId)) {
+        this.run(entry);
+        return;
+      }
+
+      this.queue.push(entry);
+      this.notifyQueuePositions();
+    });
+  }
+
+  canRun(customerId) {
+    return this.running < this.maxConcurrency &&
+      (this.runningByCustomer.get(customerId) || 0) < this.maxConcurrencyPerCustomer;
+  }
+
+  run(entry) {
+    this.running++;
+    this.runningByCustomer.set(entry.customerId, (this.runningByCustomer.get(entry.customerId) || 0) + 1);
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.running--;
+        const customerRunning = this.runningByCustomer.get(entry.customerId) - 1;
+        if (customerRunning > 0) {
+          this.runningByCustomer.set(entry.customerId, customerRunning);
+        } else {
+          this.runningByCustomer.delete(entry.customerId);
+        }
+        this.dispatch();
+      });
+  }
+
+  /**
+   * 대기열에서 실행 가능한 작업 실행
+   */
+  dispatch() {
+    let dispatched = false;
+
+    for (let index = 0; index < this.queue.length && this.running < this.maxConcurrency;) {
+      const entry = this.queue[index];
+      if (!this.canRun(entry.customerId)) {
+        index++;
+        continue;
+      }
+
+      this.queue.splice(index, 1);
+      dispatched = true;
+      this.safeCallback(entry.onDequeued);
+      this.run(entry);
+    }
+
+    if (dispatched) {
+      this.notifyQueuePositions();
+    }
+  }
+
+  /**
+   * 대기 순서가 바뀐 작업에 현재 순서 알림 (고객별 대기 순서)
+   */
+  notifyQueuePositions() {
+    const positionsByCustomer = new Map();
+
+    for (const entry of this.queue) {
+      const position = (positionsByCustomer.get(entry.customerId) || 0) + 1;
+      positionsByCustomer.set(entry.customerId, position);
+
+      if (entry.position !== position) {
+        entry.position = position;
+        this.safeCallback(entry.onQueued, position);
+      }
+    }
+  }
+
+  safeCallback(callback, ...args) {
+    if (!callback) return;
+
+    const logFailure = error => console.error('[InspectionScheduler] Queue callback failed:', error.message);
+
+    try {
+      Promise.resolve(callback(...args)).catch(logFailure);
+    } catch (error) {
+      logFailure(error);
+    }
+  }
+
+  getStats() {
+    return {
+      running: this.running,
+      queued: this.queue.length,
+      maxConcurrency: this.maxConcurrency,
+      maxConcurrencyPerCustomer: this.maxConcurrencyPerCustomer
+    };
+  }
+}
+
+module.exports = new InspectionScheduler();
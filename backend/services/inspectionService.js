@@ -9,17 +9,36 @@
  * - Assume Role 처리
  */
 
+const os = require('os');
 const stsService = require('./stsService');
 const { v4: uuidv4 } = require('uuid');
 // InspectionResult 제거 - InspectionItemResult만 사용
 const InspectionStatus = require('../models/InspectionStatus');
 const inspectorRegistry = require('./inspectors');
+const BaseInspector = require('./inspectors/baseInspector');
+const CollectionCache = require('./inspectors/collectionCache');
+const inspectionJobStore = require('./inspectionJobStore');
+const inspectionScheduler = require('./inspectionScheduler');
+const InspectionJob = require('../models/InspectionJob');
 const webSocketService = require('./websocketService');
 
 class InspectionService {
+  // 실행 중인 배치의 heartbeat 갱신 주기
+  static HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+  // heartbeat가 이 시간 이상 갱신되지 않은 배치는 실행 인스턴스가 종료된 것으로 간주
+  static STALE_HEARTBEAT_MS = 2 * 60 * 1000;
+
   constructor() {
     this.activeInspections = new Map();
     this.activeBatches = new Map();
+    // 실행 중인 검사별 취소 신호 (inspectionId -> AbortController)
+    this.cancellationControllers = new Map();
+    // 작업 저장소 레코드별 저장 대기열 (recordKey -> Promise)
+    this.persistQueues = new Map();
+    this.maintenanceTimers = null;
+    // 배치 소유 인스턴스 식별자 (고정 ID를 지정하면 재시작 직후 자신의 중단된 배치를 바로 정리)
+    this.instanceId = process.env.INSPECTION_INSTANCE_ID || `${os.hostname()}-${process.pid}`;
 
     // 검사 단계 정의
     this.inspectionSteps = {
@@ -46,6 +65,76 @@ class InspectionService {
         { name: 'Analyzing IAM policies', weight: 30 },
         { name: 'Finalizing inspection results', weight: 20 }
       ],
+      'RDS': [
+        { name: 'Initializing RDS inspection', weight: 5 },
+        { name: 'Assuming role in customer account', weight: 10 },
+        { name: 'Retrieving DB instances and snapshots', weight: 25 },
+        { name: 'Analyzing database configurations', weight: 45 },
+        { name: 'Finalizing inspection results', weight: 15 }
+      ],
+      'CLOUDFRONT': [
+        { name: 'Initializing CloudFront inspection', weight: 10 },
+        { name: 'Assuming role in customer account', weight: 15 },
+        { name: 'Retrieving CloudFront distributions', weight: 20 },
+        { name: 'Analyzing distribution configurations', weight: 35 },
+        { name: 'Finalizing inspection results', weight: 20 }
+      ],
+      'LAMBDA': [
+        { name: 'Initializing Lambda inspection', weight: 5 },
+        { name: 'Assuming role in customer account', weight: 10 },
+        { name: 'Retrieving Lambda functions', weight: 20 },
+        { name: 'Analyzing function configurations and policies', weight: 50 },
+        { name: 'Finalizing inspection results', weight: 15 }
+      ],
+      'VPC': [
+        { name: 'Initializing VPC inspection', weight: 5 },
+        { name: 'Assuming role in customer account', weight: 10 },
+        { name: 'Retrieving VPCs, subnets and network ACLs', weight: 25 },
+        { name: 'Analyzing network configurations and traffic', weight: 45 },
+        { name: 'Finalizing inspection results', weight: 15 }
+      ],
+      'ELB': [
+        { name: 'Initializing ELB inspection', weight: 5 },
+        { name: 'Assuming role in customer account', weight: 10 },
+        { name: 'Retrieving load balancers and listeners', weight: 25 },
+        { name: 'Analyzing listener, logging and target configurations', weight: 45 },
+        { name: 'Finalizing inspection results', weight: 15 }
+      ],
+      'GOVERNANCE': [
+        { name: 'Initializing account governance inspection', weight: 5 },
+        { name: 'Assuming role in customer account', weight: 10 },
+        { name: 'Retrieving trails and enabled regions', weight: 20 },
+        { name: 'Checking Config, GuardDuty and Security Hub in each region', weight: 50 },
+        { name: 'Finalizing inspection results', weight: 15 }
+      ],
+      'KMS': [
+        { name: 'Initializing KMS inspection', weight: 5 },
+        { name: 'Assuming role in customer account', weight: 10 },
+        { name: 'Retrieving KMS keys and secrets', weight: 25 },
+        { name: 'Analyzing key policies, rotation and secret usage', weight: 45 },
+        { name: 'Finalizing inspection results', weight: 15 }
+      ],
+      'CONTAINER': [
+        { name: 'Initializing container inspection', weight: 5 },
+        { name: 'Assuming role in customer account', weight: 10 },
+        { name: 'Retrieving ECR repositories, ECS task definitions and EKS clusters', weight: 30 },
+        { name: 'Analyzing image scanning, container privileges and cluster settings', weight: 40 },
+        { name: 'Finalizing inspection results', weight: 15 }
+      ],
+      'DATASTORE': [
+        { name: 'Initializing data store inspection', weight: 5 },
+        { name: 'Assuming role in customer account', weight: 10 },
+        { name: 'Retrieving DynamoDB tables, ElastiCache clusters and EFS file systems', weight: 30 },
+        { name: 'Analyzing backup, encryption and access settings', weight: 40 },
+        { name: 'Finalizing inspection results', weight: 15 }
+      ],
+      'APIGATEWAY': [
+        { name: 'Initializing API Gateway inspection', weight: 5 },
+        { name: 'Assuming role in customer account', weight: 10 },
+        { name: 'Retrieving APIs, stages and WAF web ACLs', weight: 30 },
+        { name: 'Analyzing logging, authorization, throttling and WAF rules', weight: 40 },
+        { name: 'Finalizing inspection results', weight: 15 }
+      ],
       'default': [
         { name: 'Initializing inspection', weight: 10 },
         { name: 'Assuming role in customer account', weight: 20 },
@@ -70,7 +159,7 @@ class InspectionService {
     const selectedItems = inspectionConfig.selectedItems || [];
     
     // 글로벌 서비스 정의
-    const globalServices = ['S3', 'IAM', 'CLOUDFRONT'];
+    const globalServices = ['S3', 'IAM', 'CLOUDFRONT', 'GOVERNANCE'];
     const isGlobalService = globalServices.includes(serviceType.toUpperCase());
     
     // 글로벌 서비스는 리전 정보 무시, 리전별 서비스만 리전 사용
@@ -106,11 +195,16 @@ class InspectionService {
         }
       }
 
+      // 배치 내 검사 항목이 공유하는 수집 데이터 캐시 (같은 API 중복 호출 방지)
+      const collectionCache = new CollectionCache();
+
       // 배치 정보 등록
       this.activeBatches.set(batchId, {
         inspectionIds: inspectionJobs.map(job => job.inspectionId),
         totalItems: inspectionJobs.length,
-        startTime: Date.now()
+        startTime: Date.now(),
+        customerId,
+        collectionCache
       });
 
       // 각 검사 작업의 상태 초기화
@@ -123,6 +217,7 @@ class InspectionService {
         });
 
         this.activeInspections.set(job.inspectionId, inspectionStatus);
+        this.cancellationControllers.set(job.inspectionId, new AbortController());
 
         // 검사 시작 로그
         this.logger.info('Inspection started', {
@@ -136,6 +231,17 @@ class InspectionService {
         });
       }
 
+      // 배치와 검사 작업을 저장소에 기록 (재시작 후 상태 조회 및 복구용)
+      await this.persistBatch({
+        batchId,
+        customerId,
+        serviceType,
+        region,
+        status: 'IN_PROGRESS',
+        inspectionIds: inspectionJobs.map(job => job.inspectionId),
+        totalItems: inspectionJobs.length
+      }, inspectionJobs);
+
       // 초기 배치 상태 전송 (한 번만)
       const regionDisplay = isGlobalService ? '글로벌 서비스' : region;
       webSocketService.broadcastProgressUpdate(batchId, {
@@ -156,10 +262,14 @@ class InspectionService {
         region: regionDisplay
       });
 
-      // 비동기로 각 검사 실행
+      // 비동기로 각 검사 실행 (동시 실행 한도를 넘는 검사는 대기열에서 순서대로 실행)
       const executionPromises = inspectionJobs.map(job => {
 
-        return this.executeItemInspectionAsync(
+        return inspectionScheduler.schedule({
+          customerId,
+          onQueued: position => this.markInspectionQueued(job.inspectionId, position),
+          onDequeued: () => this.markInspectionDequeued(job.inspectionId)
+        }, () => this.executeItemInspectionAsync(
           customerId,
           job.inspectionId,
           serviceType,
@@ -170,9 +280,11 @@ class InspectionService {
             batchId,
             isFirstInBatch: inspectionJobs.indexOf(job) === 0,
             firstInspectionId: inspectionJobs[0]?.inspectionId,
-            isGlobalService
+            isGlobalService,
+            collectionCache,
+            cancellationSignal: this.cancellationControllers.get(job.inspectionId).signal
           }
-        ).catch(error => {
+        )).catch(error => {
           this.logger.error('Async item inspection execution failed', {
             inspectionId: job.inspectionId,
             itemId: job.itemId,
@@ -182,6 +294,7 @@ class InspectionService {
           const status = this.activeInspections.get(job.inspectionId);
           if (status) {
             status.fail(error.message);
+            return this.persistJobStatus(status);
           }
         });
       });
@@ -197,6 +310,7 @@ class InspectionService {
       Promise.all(executionPromises).then(() => {
         console.log(`🎯 [InspectionService] Batch ${batchId} completed - all ${inspectionJobs.length} inspections finished`);
         this.broadcastBatchCompletion(batchId, inspectionJobs);
+        this.persistBatchCompletion(batchId, inspectionJobs);
 
         setTimeout(() => {
           console.log(`🧹 [InspectionService] Cleaning up batch ${batchId} subscribers`);
@@ -204,7 +318,14 @@ class InspectionService {
         }, 5000);
       }).catch(error => {
         this.broadcastBatchCompletion(batchId, inspectionJobs, error);
+        this.persistBatchCompletion(batchId, inspectionJobs, error);
       }).finally(() => {
+        this.logger.info('Collection cache stats', {
+          batchId,
+          ...collectionCache.getStats()
+        });
+        collectionCache.clear();
+
         setTimeout(() => {
           this.activeBatches.delete(batchId);
         }, 10000);
@@ -260,10 +381,17 @@ class InspectionService {
     let currentStepIndex = 0;
     let inspector = null;
 
+    // 시작 전에 취소된 검사
+    if (inspectionStatus.status === 'CANCELLED') {
+      this.cancellationControllers.delete(inspectionId);
+      return;
+    }
+
     try {
       // 검사 시작
       inspectionStatus.start(`Initializing ${inspectionConfig.targetItemId} inspection`);
       this.updateInspectionProgress(inspectionId, steps, currentStepIndex);
+      await this.persistJobStatus(inspectionStatus);
 
       // 1. Assume Role 수행
       currentStepIndex++;
@@ -302,6 +430,7 @@ class InspectionService {
       currentStepIndex = steps.length - 1;
       this.updateInspectionProgress(inspectionId, steps, currentStepIndex);
       inspectionStatus.complete();
+      await this.persistJobStatus(inspectionStatus);
 
       // 5. 결과 저장
       console.log(`💾 [InspectionService] Starting DB save for ${inspectionId}`);
@@ -359,6 +488,11 @@ class InspectionService {
       });
 
     } catch (error) {
+      if (BaseInspector.isCancellationError(error) || inspectionConfig.cancellationSignal?.aborted) {
+        await this.handleCancelledInspection(customerId, inspectionId, inspector, inspectionConfig);
+        return;
+      }
+
       this.logger.error('Item inspection execution failed', {
         inspectionId,
         customerId,
@@ -372,6 +506,7 @@ class InspectionService {
       await this.handlePartialInspectionFailure(inspectionId, inspector);
 
       inspectionStatus.fail(error.message);
+      await this.persistJobStatus(inspectionStatus);
 
       const batchId = inspectionConfig.batchId || inspectionId;
       const isBatchInspection = inspectionConfig.batchId && inspectionConfig.batchId !== inspectionId;
@@ -397,9 +532,179 @@ class InspectionService {
           partialResults: inspector?.getPartialResults?.() || null
         });
       }
+    } finally {
+      this.cancellationControllers.delete(inspectionId);
     }
   }
 
+  /**
+   * 검사 취소 요청
+   * @param {string} customerId - 고객 ID
+   * @param {string} inspectionId - 검사 ID
+   * @returns {Object} 취소 요청 결과
+   */
+  cancelInspection(customerId, inspectionId) {
+    const inspectionStatus = this.activeInspections.get(inspectionId);
+    const batchInfo = inspectionStatus && this.activeBatches.get(inspectionStatus.batchId);
+
+    if (!inspectionStatus || batchInfo?.customerId !== customerId) {
+      return {
+        success: false,
+        error: {
+          code: 'INSPECTION_NOT_FOUND',
+          message: 'Inspection not found or already cleaned up'
+        }
+      };
+    }
+
+    if (inspectionStatus.isFinished()) {
+      return {
+        success: false,
+        error: {
+          code: 'INSPECTION_NOT_CANCELLABLE',
+          message: `Inspection is already ${inspectionStatus.status}`
+        }
+      };
+    }
+
+    this.requestCancellation(inspectionId);
+
+    return {
+      success: true,
+      data: {
+        inspectionId,
+        batchId: inspectionStatus.batchId,
+        status: inspectionStatus.status === 'CANCELLED' ? 'CANCELLED' : 'CANCELLING'
+      }
+    };
+  }
+
+  /**
+   * 배치 전체 취소 요청 (아직 끝나지 않은 검사만 취소)
+   * @param {string} customerId - 고객 ID
+   * @param {string} batchId - 배치 ID
+   * @returns {Object} 취소 요청 결과
+   */
+  cancelBatch(customerId, batchId) {
+    const batchInfo = this.activeBatches.get(batchId);
+
+    if (!batchInfo || batchInfo.customerId !== customerId) {
+      return {
+        success: false,
+        error: {
+          code: 'BATCH_NOT_FOUND',
+          message: 'Batch not found or already cleaned up'
+        }
+      };
+    }
+
+    const cancellableIds = batchInfo.inspectionIds.filter(inspectionId =>
+      this.activeInspections.get(inspectionId)?.isFinished() === false
+    );
+
+    if (cancellableIds.length === 0) {
+      return {
+        success: false,
+        error: {
+          code: 'BATCH_NOT_CANCELLABLE',
+          message: 'All inspections in this batch have already finished'
+        }
+      };
+    }
+
+    cancellableIds.forEach(inspectionId => this.requestCancellation(inspectionId));
+
+    return {
+      success: true,
+      data: {
+        batchId,
+        cancelledInspections: cancellableIds,
+        status: 'CANCELLING'
+      }
+    };
+  }
+
+  /**
+   * 취소 신호 전송 (실행 전인 검사는 즉시 취소 처리)
+   * 실행 중인 검사는 다음 API 호출 전에 신호를 확인하고 중단됨
+   */
+  requestCancellation(inspectionId) {
+    const inspectionStatus = this.activeInspections.get(inspectionId);
+
+    this.cancellationControllers.get(inspectionId)?.abort();
+
+    if (['PENDING', 'QUEUED'].includes(inspectionStatus?.status)) {
+      inspectionStatus.cancel();
+      this.persistJobStatus(inspectionStatus);
+
+      // 실행 전에 취소된 검사는 handleCancelledInspection을 거치지 않으므로 여기서 취소 상태 전송
+      const batchId = inspectionStatus.batchId || inspectionId;
+      const isBatchInspection = inspectionStatus.batchId && inspectionStatus.batchId !== inspectionId;
+
+      webSocketService.broadcastStatusChange(isBatchInspection ? batchId : inspectionId, {
+        status: isBatchInspection ? 'ITEM_CANCELLED' : 'CANCELLED',
+        cancelledAt: inspectionStatus.cancelledAt,
+        cancelledItem: {
+          inspectionId,
+          itemId: inspectionStatus.itemId,
+          findingsCount: 0
+        },
+        partialResults: null
+      });
+    }
+
+    this.logger.info('Inspection cancellation requested', {
+      inspectionId,
+      batchId: inspectionStatus?.batchId
+    });
+  }
+
+  /**
+   * 취소된 검사 처리 - 취소 전까지의 결과를 부분 결과로 저장하고 취소 상태 전송
+   */
+  async handleCancelledInspection(customerId, inspectionId, inspector, inspectionConfig) {
+    const inspectionStatus = this.activeInspections.get(inspectionId);
+    // 취소 상태로 저장해 항목의 마지막 완료 결과(LATEST)를 덮어쓰지 않도록 함
+    const partialResults = (inspector?.getPartialResults?.() || []).map(result => ({
+      ...result,
+      itemId: inspectionConfig.targetItemId,
+      cancelled: true
+    }));
+
+    try {
+      await this.saveInspectionItemResults(partialResults, { customerId, inspectionId });
+    } catch (saveError) {
+      this.logger.error('Failed to save cancelled inspection results', {
+        inspectionId,
+        error: saveError.message
+      });
+    }
+
+    inspectionStatus.cancel();
+    await this.persistJobStatus(inspectionStatus);
+
+    this.logger.info('Inspection cancelled', {
+      inspectionId,
+      itemId: inspectionConfig.targetItemId,
+      savedFindings: partialResults[0]?.findings.length || 0
+    });
+
+    const batchId = inspectionConfig.batchId || inspectionId;
+    const isBatchInspection = inspectionConfig.batchId && inspectionConfig.batchId !== inspectionId;
+    const cancelledItem = {
+      inspectionId,
+      itemId: inspectionConfig.targetItemId,
+      findingsCount: partialResults[0]?.findings.length || 0
+    };
+
+    webSocketService.broadcastStatusChange(isBatchInspection ? batchId : inspectionId, {
+      status: isBatchInspection ? 'ITEM_CANCELLED' : 'CANCELLED',
+      cancelledAt: inspectionStatus.cancelledAt,
+      cancelledItem,
+      partialResults: partialResults.length > 0 ? partialResults : null
+    });
+  }
+
   /**
    * Assume Role 수행 (검사 전용)
    * @param {string} roleArn - 역할 ARN
@@ -446,7 +751,7 @@ class InspectionService {
 
     const completedItems = batchInfo.inspectionIds.filter(inspectionId => {
       const inspection = this.activeInspections.get(inspectionId);
-      return inspection && (inspection.status === 'COMPLETED' || inspection.status === 'FAILED');
+      return inspection && inspection.isFinished();
     }).length;
 
     const totalItems = batchInfo.totalItems;
@@ -468,19 +773,101 @@ class InspectionService {
     };
   }
 
+  /**
+   * 대기열에 들어간 검사 상태 전송 (대기 순서가 바뀔 때마다 호출됨)
+   * @param {string} inspectionId - 검사 ID
+   * @param {number} position - 고객별 대기 순서
+   */
+  async markInspectionQueued(inspectionId, position) {
+    const inspectionStatus = this.activeInspections.get(inspectionId);
+    if (!inspectionStatus || inspectionStatus.isFinished()) return;
+
+    const isQueuedTransition = inspectionStatus.status !== 'QUEUED';
+    inspectionStatus.queue(position);
+
+    // 배치 상태는 실행 중인 다른 항목 기준이므로 대기 순서는 항목 단위 필드로만 전송
+    const batchId = inspectionStatus.batchId || inspectionId;
+    const batchProgress = this.calculateBatchProgress(batchId);
+
+    webSocketService.broadcastProgressUpdate(batchId, {
+      progress: {
+        percentage: batchProgress.percentage,
+        completedItems: batchProgress.completedItems,
+        totalItems: batchProgress.totalItems,
+        estimatedTimeRemaining: batchProgress.estimatedTimeRemaining
+      },
+      queuedItem: {
+        inspectionId,
+        itemId: inspectionStatus.itemId,
+        status: 'QUEUED',
+        position
+      }
+    });
+
+    // 대기 순서 변경은 저장하지 않고 대기열 진입 시점만 저장
+    if (isQueuedTransition) {
+      await this.persistJobStatus(inspectionStatus);
+    }
+  }
+
+  /**
+   * 대기열에서 실행이 시작된 검사 상태 전송
+   * @param {string} inspectionId - 검사 ID
+   */
+  markInspectionDequeued(inspectionId) {
+    const inspectionStatus = this.activeInspections.get(inspectionId);
+    if (inspectionStatus?.status !== 'QUEUED') return;
+
+    const batchId = inspectionStatus.batchId || inspectionId;
+    const batchProgress = this.calculateBatchProgress(batchId);
+
+    webSocketService.broadcastProgressUpdate(batchId, {
+      status: 'IN_PROGRESS',
+      progress: {
+        percentage: batchProgress.percentage,
+        completedItems: batchProgress.completedItems,
+        totalItems: batchProgress.totalItems,
+        currentStep: `Starting ${inspectionStatus.itemId}`,
+        estimatedTimeRemaining: batchProgress.estimatedTimeRemaining
+      },
+      startedItem: {
+        inspectionId,
+        itemId: inspectionStatus.itemId
+      }
+    });
+  }
+
+  /**
+   * 배치 최종 상태 결정
+   * 하나라도 취소된 배치는 취소 상태로 종료 (취소 전 결과는 부분 결과로 저장됨)
+   */
+  resolveBatchStatus(inspectionJobs, error = null) {
+    if (error) return 'FAILED';
+
+    const cancelled = inspectionJobs.some(job =>
+      this.activeInspections.get(job.inspectionId)?.status === 'CANCELLED'
+    );
+    return cancelled ? 'CANCELLED' : 'COMPLETED';
+  }
+
   /**
    * 배치 완료 알림 전송
    */
   broadcastBatchCompletion(batchId, inspectionJobs, error = null) {
+    const isCancelledJob = job => this.activeInspections.get(job.inspectionId)?.status === 'CANCELLED';
+    const cancelledCount = inspectionJobs.filter(isCancelledJob).length;
+    const batchStatus = this.resolveBatchStatus(inspectionJobs, error);
+
     const completionData = {
-      status: error ? 'FAILED' : 'COMPLETED',
+      status: batchStatus,
       batchId,
       totalInspections: inspectionJobs.length,
-      completedInspections: error ? 0 : inspectionJobs.length,
+      completedInspections: error ? 0 : inspectionJobs.length - cancelledCount,
+      cancelledInspections: cancelledCount,
       inspectionJobs: inspectionJobs.map(job => ({
         inspectionId: job.inspectionId,
         itemId: job.itemId,
-        status: error ? 'FAILED' : 'COMPLETED'
+        status: error ? 'FAILED' : (isCancelledJob(job) ? 'CANCELLED' : 'COMPLETED')
       })),
       completedAt: Date.now(),
       duration: Date.now() - (this.activeInspections.get(inspectionJobs[0]?.inspectionId)?.startTime || Date.now()),
@@ -494,13 +881,19 @@ class InspectionService {
       completionData.error = error.message;
     }
 
+    const completionSteps = {
+      COMPLETED: 'All inspections completed',
+      FAILED: 'Batch failed',
+      CANCELLED: `Batch cancelled (${cancelledCount}/${inspectionJobs.length} inspections cancelled)`
+    };
+
     webSocketService.broadcastProgressUpdate(batchId, {
-      status: error ? 'FAILED' : 'COMPLETED',
+      status: batchStatus,
       progress: {
         percentage: 100,
         completedItems: inspectionJobs.length,
         totalItems: inspectionJobs.length,
-        currentStep: error ? 'Batch failed' : 'All inspections completed',
+        currentStep: completionSteps[batchStatus],
         estimatedTimeRemaining: 0
       },
       batchInfo: {
@@ -605,6 +998,255 @@ class InspectionService {
     }
   }
 
+  // ========== 작업 저장소 ==========
+
+  /**
+   * 레코드별 저장 순서 보장 (같은 레코드의 갱신이 호출 순서대로 반영되도록 직렬화)
+   * @param {string} recordKey - 직렬화 단위 키
+   * @param {Function} write - 저장 함수 (오류는 내부에서 처리)
+   */
+  enqueuePersist(recordKey, write) {
+    const previous = this.persistQueues.get(recordKey) || Promise.resolve();
+    const next = previous.then(write);
+
+    this.persistQueues.set(recordKey, next);
+    next.finally(() => {
+      if (this.persistQueues.get(recordKey) === next) {
+        this.persistQueues.delete(recordKey);
+      }
+    });
+
+    return next;
+  }
+
+  /**
+   * 배치와 검사 작업 저장 (저장 실패는 검사 실행에 영향을 주지 않음)
+   */
+  async persistBatch(batch, inspectionJobs) {
+    const now = Date.now();
+
+    return this.enqueuePersist(`batch:${batch.batchId}`, async () => {
+      try {
+        await inspectionJobStore.saveBatch(
+          {
+            ...batch,
+            ownerInstanceId: this.instanceId,
+            heartbeatAt: now,
+            createdAt: now,
+            updatedAt: now
+          },
+          inspectionJobs.map(job => ({
+            inspectionId: job.inspectionId,
+            itemId: job.itemId,
+            status: 'PENDING',
+            createdAt: now,
+            updatedAt: now
+          }))
+        );
+      } catch (error) {
+        this.logger.error('Failed to persist inspection batch', {
+          batchId: batch.batchId,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * 검사 작업 상태 저장 (호출 시점의 상태를 저장)
+   * @param {InspectionStatus} inspectionStatus - 검사 상태
+   */
+  async persistJobStatus(inspectionStatus) {
+    const { batchId, inspectionId } = inspectionStatus;
+    const updates = {
+      status: inspectionStatus.status,
+      error: inspectionStatus.error,
+      currentStep: inspectionStatus.currentStep,
+      percentage: inspectionStatus.progress?.percentage ?? 0,
+      startTime: inspectionStatus.startTime,
+      cancelledAt: inspectionStatus.cancelledAt
+    };
+
+    return this.enqueuePersist(`job:${inspectionId}`, async () => {
+      try {
+        await inspectionJobStore.updateJob(batchId, inspectionId, updates);
+      } catch (error) {
+        this.logger.error('Failed to persist inspection job status', {
+          inspectionId,
+          status: updates.status,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * 배치 최종 상태 저장
+   */
+  async persistBatchCompletion(batchId, inspectionJobs, error = null) {
+    const updates = {
+      status: this.resolveBatchStatus(inspectionJobs, error),
+      error: error?.message || null,
+      completedAt: Date.now()
+    };
+
+    return this.enqueuePersist(`batch:${batchId}`, async () => {
+      try {
+        await inspectionJobStore.updateBatch(batchId, updates);
+      } catch (persistError) {
+        this.logger.error('Failed to persist inspection batch completion', {
+          batchId,
+          error: persistError.message
+        });
+      }
+    });
+  }
+
+  /**
+   * 실행 중인 배치의 heartbeat 갱신 (다른 인스턴스가 중단된 작업으로 판단하지 않도록)
+   */
+  async sendHeartbeats() {
+    const heartbeatAt = Date.now();
+
+    await Promise.all([...this.activeBatches.keys()].map(batchId =>
+      this.enqueuePersist(`batch:${batchId}`, async () => {
+        try {
+          await inspectionJobStore.updateBatch(batchId, { heartbeatAt });
+        } catch (error) {
+          this.logger.error('Failed to send inspection batch heartbeat', {
+            batchId,
+            error: error.message
+          });
+        }
+      })
+    ));
+  }
+
+  /**
+   * heartbeat 전송과 중단된 작업 정리를 주기적으로 실행 (서버 시작 시 호출)
+   */
+  startJobMaintenance() {
+    if (this.maintenanceTimers) return;
+
+    const heartbeatTimer = setInterval(() => this.sendHeartbeats(), InspectionService.HEARTBEAT_INTERVAL_MS);
+    const recoveryTimer = setInterval(() => {
+      this.recoverInterruptedJobs().catch(error => {
+        this.logger.error('Failed to recover interrupted inspection jobs', { error: error.message });
+      });
+    }, InspectionService.STALE_HEARTBEAT_MS);
+
+    // 타이머 때문에 프로세스 종료가 지연되지 않도록 설정
+    heartbeatTimer.unref();
+    recoveryTimer.unref();
+    this.maintenanceTimers = [heartbeatTimer, recoveryTimer];
+  }
+
+  stopJobMaintenance() {
+    (this.maintenanceTimers || []).forEach(timer => clearInterval(timer));
+    this.maintenanceTimers = null;
+  }
+
+  /**
+   * 배치 상태 조회 (저장소 기준 - 백엔드 재시작 후에도 조회 가능)
+   * @param {string} customerId - 고객 ID
+   * @param {string} batchId - 배치 ID
+   * @returns {Promise<Object>} 배치 상태 조회 결과
+   */
+  async getBatchStatus(customerId, batchId) {
+    const stored = await inspectionJobStore.getBatch(batchId);
+
+    if (!stored || stored.batch.customerId !== customerId) {
+      return {
+        success: false,
+        error: {
+          code: 'BATCH_NOT_FOUND',
+          message: 'Batch not found'
+        }
+      };
+    }
+
+    const { batch, jobs } = stored;
+    const countByStatus = status => jobs.filter(job => job.status === status).length;
+
+    return {
+      success: true,
+      data: {
+        batchId: batch.batchId,
+        serviceType: batch.serviceType,
+        region: batch.region,
+        status: batch.status,
+        error: batch.error || null,
+        createdAt: batch.createdAt,
+        updatedAt: batch.updatedAt,
+        completedAt: batch.completedAt || null,
+        summary: {
+          totalItems: batch.totalItems,
+          completedItems: countByStatus('COMPLETED'),
+          failedItems: countByStatus('FAILED'),
+          cancelledItems: countByStatus('CANCELLED'),
+          queuedItems: countByStatus('QUEUED'),
+          runningItems: countByStatus('IN_PROGRESS') + countByStatus('PENDING')
+        },
+        inspectionJobs: jobs.map(job => ({
+          inspectionId: job.inspectionId,
+          itemId: job.itemId,
+          status: job.status,
+          currentStep: job.currentStep || null,
+          percentage: job.percentage ?? 0,
+          error: job.error || null,
+          updatedAt: job.updatedAt
+        }))
+      }
+    };
+  }
+
+  /**
+   * 중단된 작업 정리 (서버 시작 시 및 주기적으로 실행)
+   * 중단된 프로세스에서 실행 중이던 검사는 이어서 실행할 수 없으므로 실패로 기록
+   * @returns {Promise<number>} 정리된 배치 수
+   */
+  async recoverInterruptedJobs() {
+    const interruptedError = 'Inspection interrupted by server restart';
+    const now = Date.now();
+    const activeBatches = await inspectionJobStore.findActiveBatches();
+
+    // 이 인스턴스가 실행하던 배치 중 메모리에 없는 배치(재시작 전 실행분) 또는
+    // heartbeat가 끊긴 배치(다른 인스턴스가 종료됨)만 정리 - 다른 인스턴스가 실행 중인 배치는 유지
+    const batches = activeBatches.filter(({ batch }) => {
+      if (this.activeBatches.has(batch.batchId)) return false;
+
+      const isOrphaned = batch.ownerInstanceId === this.instanceId;
+      const lastHeartbeat = batch.heartbeatAt || batch.updatedAt || batch.createdAt || 0;
+      const isStale = now - lastHeartbeat > InspectionService.STALE_HEARTBEAT_MS;
+      return isOrphaned || isStale;
+    });
+
+    for (const { batch, jobs } of batches) {
+      const interruptedJobs = jobs.filter(job => InspectionJob.helpers.isActiveStatus(job.status));
+
+      for (const job of interruptedJobs) {
+        await inspectionJobStore.updateJob(batch.batchId, job.inspectionId, {
+          status: 'FAILED',
+          error: interruptedError
+        });
+      }
+
+      await inspectionJobStore.updateBatch(batch.batchId, {
+        status: 'FAILED',
+        error: interruptedError,
+        completedAt: Date.now()
+      });
+
+      this.logger.info('Marked interrupted inspection batch as failed', {
+        batchId: batch.batchId,
+        ownerInstanceId: batch.ownerInstanceId,
+        interruptedJobs: interruptedJobs.length
+      });
+    }
+
+    return batches.length;
+  }
+
   /**
    * 로거 생성
    */
@@ -0,0 +1,165 @@
+const BaseInspector = require('../../baseInspector');
+const { APIGatewayClient } = require('@aws-sdk/client-api-gateway');
+const { ApiGatewayV2Client } = require('@aws-sdk/client-apigatewayv2');
+const APIGatewayDataCollector = require('../collectors/apiGatewayDataCollector');
+
+class ApiAuthorizationInspector extends BaseInspector {
+  constructor() {
+    super('APIGATEWAY');
+
+    // 결과 메시지에 표시할 최대 메서드 수
+    this.maxListedOperations = 10;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const region = awsCredentials.region || 'us-east-1';
+      const clientConfig = {
+        region,
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new APIGatewayDataCollector({
+        apiGatewayClient: new APIGatewayClient(clientConfig),
+        apiGatewayV2Client: new ApiGatewayV2Client(clientConfig)
+      }, this, region);
+
+      const apis = await this.dataCollector.getApis();
+
+      if (!Array.isArray(apis)) {
+        this.addFinding('apis', 'APIGatewayAPI', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkApis(apis);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'api-authorization',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkApis(apis) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const api of apis) {
+      this.incrementResourceCount();
+
+      const validation = this.validateApiFormat(api);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkApi(api);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateApiFormat(api) {
+    if (!api || typeof api !== 'object') {
+      return { valid: false, error: 'API가 객체가 아님' };
+    }
+
+    if (!api.id) {
+      return { valid: false, error: 'API ID 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkApi(api) {
+    const operations = await this.dataCollector.getOperations(api);
+    if (!operations) return;
+
+    // CORS preflight(OPTIONS)는 인증 없이 호출되는 것이 정상
+    const openOperations = operations.filter(operation =>
+      operation.httpMethod !== 'OPTIONS' && operation.authorizationType === 'NONE'
+    );
+
+    const unauthenticated = openOperations.filter(operation => !operation.apiKeyRequired);
+    const apiKeyOnly = openOperations.filter(operation => operation.apiKeyRequired);
+    const group = this.dataCollector.getApiGroup(api);
+
+    if (unauthenticated.length > 0) {
+      this.addFinding(
+        this.dataCollector.getApiArn(api),
+        'APIGatewayAPI',
+        `${api.apiType} API '${api.name}'에 인증 없이 호출 가능한 메서드 ${unauthenticated.length}개: ${this.formatOperations(unauthenticated)}`,
+        'IAM, Cognito 사용자 풀, JWT 또는 Lambda 권한 부여자를 설정하세요. 의도적으로 공개한 API라면 WAF와 스로틀링으로 남용을 제한하세요',
+        group
+      );
+    }
+
+    if (apiKeyOnly.length > 0) {
+      this.addFinding(
+        this.dataCollector.getApiArn(api),
+        'APIGatewayAPI',
+        `REST API '${api.name}'에 API 키만으로 보호되는 메서드 ${apiKeyOnly.length}개: ${this.formatOperations(apiKeyOnly)}`,
+        'API 키는 사용량 계획 식별용이며 인증 수단이 아닙니다. 권한 부여자를 함께 설정하여 호출자를 인증하세요',
+        group
+      );
+    }
+  }
+
+  formatOperations(operations) {
+    const keys = operations.map(operation => operation.key);
+    if (keys.length <= this.maxListedOperations) {
+      return keys.join(', ');
+    }
+    return `${keys.slice(0, this.maxListedOperations).join(', ')} 외 ${keys.length - this.maxListedOperations}개`;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'API Gateway 권한 부족', 'IAM 정책에 apigateway:GET 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'API Gateway 인증 검사' });
+    }
+  }
+}
+
+module.exports = ApiAuthorizationInspector;
@@ -0,0 +1,141 @@
+const BaseInspector = require('../../baseInspector');
+const { APIGatewayClient } = require('@aws-sdk/client-api-gateway');
+const { ApiGatewayV2Client } = require('@aws-sdk/client-apigatewayv2');
+const APIGatewayDataCollector = require('../collectors/apiGatewayDataCollector');
+
+class ApiWafInspector extends BaseInspector {
+  constructor() {
+    super('APIGATEWAY');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const region = awsCredentials.region || 'us-east-1';
+      const clientConfig = {
+        region,
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new APIGatewayDataCollector({
+        apiGatewayClient: new APIGatewayClient(clientConfig),
+        apiGatewayV2Client: new ApiGatewayV2Client(clientConfig)
+      }, this, region);
+
+      const apis = await this.dataCollector.getApis();
+
+      if (!Array.isArray(apis)) {
+        this.addFinding('apis', 'APIGatewayAPI', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkApis(apis);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'api-waf',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkApis(apis) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const api of apis) {
+      this.incrementResourceCount();
+
+      const validation = this.validateApiFormat(api);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkApi(api);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateApiFormat(api) {
+    if (!api || typeof api !== 'object') {
+      return { valid: false, error: 'API가 객체가 아님' };
+    }
+
+    if (!api.id) {
+      return { valid: false, error: 'API ID 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkApi(api) {
+    // HTTP API는 WAF 직접 연결을 지원하지 않고, 프라이빗 API는 인터넷에 노출되지 않음
+    if (api.apiType !== 'REST') return;
+    if (api.endpointTypes.includes('PRIVATE')) return;
+
+    const stages = await this.dataCollector.getStages(api);
+    if (!stages) return;
+
+    for (const stage of stages) {
+      if (stage.webAclArn) continue;
+
+      this.addFinding(
+        stage.arn,
+        'APIGatewayStage',
+        `REST API '${api.name}'의 '${stage.stageName}' 스테이지에 WAF 웹 ACL이 연결되지 않음`,
+        'AWS 관리형 규칙 그룹(Core rule set, Known bad inputs 등)과 속도 기반 규칙을 포함한 리전 WAF 웹 ACL을 스테이지에 연결하세요',
+        this.dataCollector.getApiGroup(api)
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'API Gateway 권한 부족', 'IAM 정책에 apigateway:GET 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'API Gateway WAF 연결 검사' });
+    }
+  }
+}
+
+module.exports = ApiWafInspector;
@@ -0,0 +1,204 @@
+const BaseInspector = require('../../baseInspector');
+const { APIGatewayClient } = require('@aws-sdk/client-api-gateway');
+const { ApiGatewayV2Client } = require('@aws-sdk/client-apigatewayv2');
+const { WAFV2Client } = require('@aws-sdk/client-wafv2');
+const APIGatewayDataCollector = require('../collectors/apiGatewayDataCollector');
+
+class WafManagedRulesInspector extends BaseInspector {
+  constructor() {
+    super('APIGATEWAY');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const region = awsCredentials.region || 'us-east-1';
+      const clientConfig = {
+        region,
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new APIGatewayDataCollector({
+        apiGatewayClient: new APIGatewayClient(clientConfig),
+        apiGatewayV2Client: new ApiGatewayV2Client(clientConfig),
+        wafClient: new WAFV2Client(clientConfig)
+      }, this, region);
+
+      const webAcls = await this.dataCollector.getWebACLs();
+
+      if (!Array.isArray(webAcls)) {
+        this.addFinding('web-acls', 'WAFWebACL', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      this.associatedStages = await this.getAssociatedStages();
+
+      await this.checkWebAcls(webAcls);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'waf-managed-rules',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkWebAcls(webAcls) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const webAcl of webAcls) {
+      this.incrementResourceCount();
+
+      const validation = this.validateWebAclFormat(webAcl);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkWebAcl(webAcl);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateWebAclFormat(webAcl) {
+    if (!webAcl || typeof webAcl !== 'object') {
+      return { valid: false, error: '웹 ACL이 객체가 아님' };
+    }
+
+    if (!webAcl.ARN || !webAcl.Name) {
+      return { valid: false, error: 'ARN 또는 Name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * 웹 ACL ARN별로 연결된 REST API 스테이지 목록 생성 (결과를 API 단위로 묶기 위함)
+   * API 조회에 실패해도 웹 ACL 검사는 계속 진행
+   */
+  async getAssociatedStages() {
+    const associatedStages = new Map();
+
+    try {
+      const apis = await this.dataCollector.getApis();
+
+      for (const api of apis.filter(item => item.apiType === 'REST')) {
+        const stages = await this.dataCollector.getStages(api) || [];
+
+        for (const stage of stages.filter(item => item.webAclArn)) {
+          if (!associatedStages.has(stage.webAclArn)) {
+            associatedStages.set(stage.webAclArn, []);
+          }
+          associatedStages.get(stage.webAclArn).push({ api, stageName: stage.stageName });
+        }
+      }
+    } catch (error) {
+      this.recordError(error, { context: 'WAF 웹 ACL 연결 API 조회' });
+    }
+
+    return associatedStages;
+  }
+
+  async checkWebAcl(webAcl) {
+    if (this.hasManagedRuleGroup(webAcl)) return;
+
+    const recommendation = 'AWSManagedRulesCommonRuleSet, AWSManagedRulesKnownBadInputsRuleSet 등 AWS 관리형 규칙 그룹을 추가하여 일반적인 웹 공격(OWASP Top 10)을 차단하세요';
+    const stages = this.associatedStages.get(webAcl.ARN) || [];
+
+    if (stages.length === 0) {
+      this.addFinding(
+        webAcl.ARN,
+        'WAFWebACL',
+        `WAF 웹 ACL '${webAcl.Name}'에 관리형 규칙 그룹이 없음 (사용자 정의 규칙 ${(webAcl.Rules || []).length}개)`,
+        recommendation,
+        { id: webAcl.ARN, name: `WAF 웹 ACL ${webAcl.Name}` }
+      );
+      return;
+    }
+
+    // 연결된 API별로 결과를 기록하여 API 단위 보기에서 함께 표시
+    const stagesByApi = new Map();
+    for (const { api, stageName } of stages) {
+      if (!stagesByApi.has(api.id)) {
+        stagesByApi.set(api.id, { api, stageNames: [] });
+      }
+      stagesByApi.get(api.id).stageNames.push(stageName);
+    }
+
+    for (const { api, stageNames } of stagesByApi.values()) {
+      this.addFinding(
+        webAcl.ARN,
+        'WAFWebACL',
+        `REST API '${api.name}'의 스테이지(${stageNames.join(', ')})에 연결된 WAF 웹 ACL '${webAcl.Name}'에 관리형 규칙 그룹이 없음`,
+        recommendation,
+        this.dataCollector.getApiGroup(api)
+      );
+    }
+  }
+
+  /**
+   * 웹 ACL 규칙(Firewall Manager 규칙 그룹 포함)에 관리형 규칙 그룹이 있는지 확인
+   */
+  hasManagedRuleGroup(webAcl) {
+    const rules = [
+      ...(webAcl.PreProcessFirewallManagerRuleGroups || []),
+      ...(webAcl.Rules || []),
+      ...(webAcl.PostProcessFirewallManagerRuleGroups || [])
+    ];
+
+    return rules.some(rule =>
+      rule.Statement?.ManagedRuleGroupStatement ||
+      rule.FirewallManagerStatement?.ManagedRuleGroupStatement
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'WAF 권한 부족', 'IAM 정책에 wafv2:ListWebACLs, wafv2:GetWebACL, apigateway:GET 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'WAF 관리형 규칙 검사' });
+    }
+  }
+}
+
+module.exports = WafManagedRulesInspector;
@@ -0,0 +1,262 @@
+/**
+ * API Gateway Data Collector
+ * REST/HTTP API, 스테이지, 메서드(라우트) 및 WAF 웹 ACL 관련 데이터 수집을 담당하는 모듈
+ * REST API(v1)와 HTTP API(v2)의 응답을 동일한 형식으로 정규화하여 검사 로직에서 분기하지 않도록 함
+ */
+
+const {
+  GetRestApisCommand,
+  GetStagesCommand: GetRestStagesCommand,
+  GetResourcesCommand
+} = require('@aws-sdk/client-api-gateway');
+const {
+  GetApisCommand,
+  GetStagesCommand: GetHttpStagesCommand,
+  GetRoutesCommand
+} = require('@aws-sdk/client-apigatewayv2');
+const { ListWebACLsCommand, GetWebACLCommand } = require('@aws-sdk/client-wafv2');
+
+class APIGatewayDataCollector {
+  /**
+   * @param {Object} clients - { apiGatewayClient, apiGatewayV2Client, wafClient }
+   * @param {Object} inspector - 재시도/오류 기록을 담당하는 Inspector
+   * @param {string} region - ARN 생성에 사용할 리전
+   */
+  constructor(clients, inspector, region) {
+    this.apiGatewayClient = clients.apiGatewayClient;
+    this.apiGatewayV2Client = clients.apiGatewayV2Client;
+    this.wafClient = clients.wafClient;
+    this.inspector = inspector;
+    this.region = region;
+  }
+
+  /**
+   * REST API와 HTTP API 목록 조회 (WebSocket API 제외)
+   * API/스테이지 목록은 여러 검사 항목에서 사용하므로 배치 공유 캐시로 조회
+   */
+  async getApis() {
+    try {
+      const [restItems, httpItems] = await Promise.all([
+        this.inspector.withCollectionCache('GetRestApis', {}, () =>
+          this.inspector.collectAllPages(
+            'GetRestApis',
+            (position) => this.apiGatewayClient.send(new GetRestApisCommand({ limit: 500, position })),
+            (response) => response.items,
+            (response) => response.position
+          )
+        ),
+        this.inspector.withCollectionCache('GetApis', {}, () =>
+          this.inspector.collectAllPages(
+            'GetApis',
+            (nextToken) => this.apiGatewayV2Client.send(new GetApisCommand({ NextToken: nextToken })),
+            (response) => response.Items,
+            (response) => response.NextToken
+          )
+        )
+      ]);
+
+      const restApis = restItems.map(api => ({
+        id: api.id,
+        name: api.name,
+        apiType: 'REST',
+        endpointTypes: api.endpointConfiguration?.types || []
+      }));
+
+      const httpApis = httpItems
+        .filter(api => api.ProtocolType === 'HTTP')
+        .map(api => ({
+          id: api.ApiId,
+          name: api.Name,
+          apiType: 'HTTP',
+          endpointTypes: ['REGIONAL']
+        }));
+
+      return [...restApis, ...httpApis];
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getApis' });
+      throw error;
+    }
+  }
+
+  /**
+   * API 스테이지 목록 조회
+   * @returns {Promise<Array|null>} { stageName, arn, accessLogDestination, webAclArn, throttlingSettings }
+   */
+  async getStages(api) {
+    try {
+      return await this.inspector.withCollectionCache('GetStages', { apiType: api.apiType, apiId: api.id }, async () => {
+        if (api.apiType === 'REST') {
+          const response = await this.inspector.retryableApiCall(
+            () => this.apiGatewayClient.send(new GetRestStagesCommand({ restApiId: api.id })),
+            'GetStages'
+          );
+
+          return (response.item || []).map(stage => ({
+            stageName: stage.stageName,
+            arn: this.getStageArn(api, stage.stageName),
+            accessLogDestination: stage.accessLogSettings?.destinationArn || null,
+            webAclArn: stage.webAclArn || null,
+            throttlingSettings: Object.entries(stage.methodSettings || {}).map(([key, settings]) => ({
+              key,
+              rateLimit: settings.throttlingRateLimit,
+              burstLimit: settings.throttlingBurstLimit
+            }))
+          }));
+        }
+
+        const stages = await this.inspector.collectAllPages(
+          'GetStages',
+          (nextToken) => this.apiGatewayV2Client.send(new GetHttpStagesCommand({ ApiId: api.id, NextToken: nextToken })),
+          (response) => response.Items,
+          (response) => response.NextToken
+        );
+
+        return stages.map(stage => ({
+          stageName: stage.StageName,
+          arn: this.getStageArn(api, stage.StageName),
+          accessLogDestination: stage.AccessLogSettings?.DestinationArn || null,
+          webAclArn: null,
+          throttlingSettings: [
+            ['*', stage.DefaultRouteSettings],
+            ...Object.entries(stage.RouteSettings || {})
+          ]
+            .filter(([, settings]) => settings)
+            .map(([key, settings]) => ({
+              key,
+              rateLimit: settings.ThrottlingRateLimit,
+              burstLimit: settings.ThrottlingBurstLimit
+            }))
+        }));
+      });
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getStages',
+        apiId: api.id
+      });
+      return null;
+    }
+  }
+
+  /**
+   * API 메서드(REST) 또는 라우트(HTTP) 목록 조회
+   * @returns {Promise<Array|null>} { key, httpMethod, authorizationType, apiKeyRequired }
+   */
+  async getOperations(api) {
+    try {
+      if (api.apiType === 'REST') {
+        const resources = await this.inspector.collectAllPages(
+          'GetResources',
+          (position) => this.apiGatewayClient.send(new GetResourcesCommand({
+            restApiId: api.id,
+            embed: ['methods'],
+            limit: 500,
+            position
+          })),
+          (response) => response.items,
+          (response) => response.position
+        );
+
+        return resources.flatMap(resource =>
+          Object.entries(resource.resourceMethods || {}).map(([httpMethod, method]) => ({
+            key: `${httpMethod} ${resource.path}`,
+            httpMethod,
+            authorizationType: method.authorizationType || 'NONE',
+            apiKeyRequired: method.apiKeyRequired === true
+          }))
+        );
+      }
+
+      const routes = await this.inspector.collectAllPages(
+        'GetRoutes',
+        (nextToken) => this.apiGatewayV2Client.send(new GetRoutesCommand({ ApiId: api.id, NextToken: nextToken })),
+        (response) => response.Items,
+        (response) => response.NextToken
+      );
+
+      return routes.map(route => ({
+        key: route.RouteKey,
+        httpMethod: route.RouteKey === '$default' ? 'ANY' : route.RouteKey.split(' ')[0],
+        authorizationType: route.AuthorizationType || 'NONE',
+        apiKeyRequired: route.ApiKeyRequired === true
+      }));
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getOperations',
+        apiId: api.id
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 리전 WAF 웹 ACL 상세 목록 조회
+   */
+  async getWebACLs() {
+    try {
+      const summaries = await this.inspector.collectAllPages(
+        'ListWebACLs',
+        (nextMarker) => this.wafClient.send(new ListWebACLsCommand({ Scope: 'REGIONAL', NextMarker: nextMarker })),
+        (response) => response.WebACLs,
+        (response) => response.NextMarker
+      );
+
+      const webAcls = [];
+      for (const summary of summaries) {
+        const webAcl = await this.getWebACL(summary);
+        if (webAcl) {
+          webAcls.push(webAcl);
+        }
+      }
+      return webAcls;
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getWebACLs' });
+      throw error;
+    }
+  }
+
+  /**
+   * WAF 웹 ACL 상세 조회
+   */
+  async getWebACL(summary) {
+    try {
+      const command = new GetWebACLCommand({
+        Name: summary.Name,
+        Id: summary.Id,
+        Scope: 'REGIONAL'
+      });
+      const response = await this.inspector.retryableApiCall(
+        () => this.wafClient.send(command),
+        'GetWebACL'
+      );
+
+      return response.WebACL || null;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getWebACL',
+        webAclName: summary.Name
+      });
+      return null;
+    }
+  }
+
+  getApiArn(api) {
+    const path = api.apiType === 'REST' ? 'restapis' : 'apis';
+    return `arn:aws:apigateway:${this.region}::/${path}/${api.id}`;
+  }
+
+  getStageArn(api, stageName) {
+    return `${this.getApiArn(api)}/stages/${stageName}`;
+  }
+
+  /**
+   * 결과를 API 단위로 묶기 위한 그룹 정보
+   */
+  getApiGroup(api) {
+    return {
+      id: api.id,
+      name: `${api.name} (${api.apiType} API, ${api.id})`
+    };
+  }
+}
+
+module.exports = APIGatewayDataCollector;
@@ -0,0 +1,81 @@
+const BaseInspector = require('../baseInspector');
+const ApiAccessLoggingInspector = require('./checks/apiAccessLoggingInspector');
+const ApiWafInspector = require('./checks/apiWafInspector');
+const ApiAuthorizationInspector = require('./checks/apiAuthorizationInspector');
+const ApiThrottlingInspector = require('./checks/apiThrottlingInspector');
+const WafManagedRulesInspector = require('./checks/wafManagedRulesInspector');
+
+class APIGatewayInspector extends BaseInspector {
+  constructor() {
+    super('APIGATEWAY');
+  }
+
+  async preInspectionValidation(awsCredentials, inspectionConfig) {
+    const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+    this.region = region;
+    this.logger.info(`API Gateway inspection initialized for region: ${region}`);
+  }
+
+  async performItemInspection(awsCredentials, inspectionConfig) {
+    const targetItem = inspectionConfig.targetItem || inspectionConfig.targetItemId;
+
+    if (targetItem === 'all') {
+      return await this.performInspection(awsCredentials, inspectionConfig);
+    }
+
+    const inspectorMap = {
+      'api-access-logging': ApiAccessLoggingInspector,
+      'api-waf': ApiWafInspector,
+      'api-authorization': ApiAuthorizationInspector,
+      'api-throttling': ApiThrottlingInspector,
+      'waf-managed-rules': WafManagedRulesInspector
+    };
+
+    const InspectorClass = inspectorMap[targetItem];
+    if (InspectorClass) {
+      await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem);
+      return;
+    }
+
+    this.handleUnknownInspectionItem(targetItem);
+  }
+
+  async executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem) {
+    const inspector = new InspectorClass();
+    try {
+      await inspector.executeInspection(awsCredentials, inspectionConfig);
+      this.findings.push(...inspector.findings);
+      this.incrementResourceCount(inspector.resourcesScanned);
+      this.mergePartialCollections(inspector);
+    } catch (error) {
+      if (this.isCancelled()) {
+        // 취소된 경우 취소 전까지 발견된 결과는 유지
+        this.findings.push(...inspector.findings);
+        this.mergePartialCollections(inspector);
+      } else {
+        this.recordError(error, { targetItem });
+      }
+      throw error;
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    const inspectorClasses = [
+      ApiAccessLoggingInspector,
+      ApiWafInspector,
+      ApiAuthorizationInspector,
+      ApiThrottlingInspector,
+      WafManagedRulesInspector
+    ];
+
+    for (const InspectorClass of inspectorClasses) {
+      try {
+        await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig);
+      } catch (error) {
+        this.recordError(error, { context: `${InspectorClass.name} 실행` });
+      }
+    }
+  }
+}
+
+module.exports = APIGatewayInspector;
@@ -7,13 +7,37 @@
 const InspectionFinding = require('../../models/InspectionFinding');
 
 class BaseInspector {
+  // 수집기의 목록 조회 API별 기본 최대 수집 리소스 수
+  static DEFAULT_COLLECTION_LIMIT = 10000;
+
+  // 전체 검사에서 동시에 실행하는 하위 검사 모듈 기본 수
+  static DEFAULT_CHECK_CONCURRENCY = 4;
+
+  // 요청으로 지정할 수 있는 하위 검사 동시 실행 수 기본 상한
+  static DEFAULT_MAX_CHECK_CONCURRENCY = 8;
+
+  // 검사 취소 시 발생하는 오류 코드
+  static CANCELLED_ERROR_CODE = 'INSPECTION_CANCELLED';
+
   constructor(serviceType) {
     this.serviceType = serviceType;
     this.findings = [];
     this.startTime = null;
     this.resourcesScanned = 0;
+    this.collectionLimit = BaseInspector.DEFAULT_COLLECTION_LIMIT;
+    this.partialCollections = [];
+    this.collectionCache = null;
+    this.accountId = null;
+    this.cancellationSignal = null;
     this.region = 'us-east-1'; // 기본 리전
     this.logger = this.createLogger();
+
+    // 하위 클래스가 retryableApiCall을 재정의해도 모든 API 호출 전에 취소 여부를 확인
+    const retryableApiCall = this.retryableApiCall;
+    this.retryableApiCall = async (...args) => {
+      this.throwIfCancelled();
+      return retryableApiCall.apply(this, args);
+    };
   }
 
 
@@ -22,6 +46,11 @@ class BaseInspector {
     this.startTime = Date.now();
     this.findings = [];
     this.resourcesScanned = 0;
+    this.partialCollections = [];
+    this.collectionLimit = this.resolveCollectionLimit(inspectionConfig);
+    this.collectionCache = inspectionConfig.collectionCache || null;
+    this.accountId = awsCredentials.roleArn?.split(':')[4] || null;
+    this.cancellationSignal = inspectionConfig.cancellationSignal || null;
     
     // 글로벌 서비스 여부 확인
     const isGlobal = this.isGlobalService();
@@ -34,6 +63,7 @@ class BaseInspector {
     }
 
     try {
+      this.throwIfCancelled();
       await this.preInspectionValidation(awsCredentials, inspectionConfig);
       
       if (inspectionConfig.targetItem || inspectionConfig.targetItemId) {
@@ -41,6 +71,9 @@ class BaseInspector {
       } else {
         await this.performInspection(awsCredentials, inspectionConfig);
       }
+
+      // 수집 오류를 삼키는 검사도 취소 후에는 완료로 처리하지 않음
+      this.throwIfCancelled();
       
       return this.getResults();
     } catch (error) {
@@ -102,7 +135,9 @@ class BaseInspector {
       findings: findings,
       inspectionTime: Date.now(),
       resourcesScanned: this.resourcesScanned,
-      region: this.region
+      region: this.region,
+      partial: this.isPartialCollection(),
+      partialCollections: this.partialCollections
     }];
   }
 
@@ -112,12 +147,20 @@ class BaseInspector {
     return this.findings.map(f => f.toApiResponse());
   }
 
-  addFinding(resourceId, resourceType, issue, recommendation) {
+  /**
+   * 검사 결과 추가
+   * @param {Object} [group] - 상위 리소스 그룹 ({ id, name }), 예: API Gateway API
+   */
+  addFinding(resourceId, resourceType, issue, recommendation, group = null) {
+    // 취소 이후의 결과는 수집이 중단된 데이터에 기반하므로 기록하지 않음
+    if (this.isCancelled()) return;
+
     const finding = new InspectionFinding({
       resourceId,
       resourceType,
       issue,
-      recommendation
+      recommendation,
+      group
     });
     
     const validation = finding.validate();
@@ -196,6 +239,250 @@ class BaseInspector {
     }
   }
 
+  /**
+   * API 호출 재시도 (매 시도 전과 대기 중에 취소 여부 확인)
+   * @param {Function} apiCall - API 호출 함수
+   * @param {string} operationName - API 작업 이름
+   * @param {number} maxRetries - 최대 시도 횟수
+   */
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      this.throwIfCancelled();
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries || !this.isRetryableError(error)) throw error;
+        await this.waitForRetry(1000 * attempt);
+      }
+    }
+  }
+
+  /**
+   * 재시도 대상 오류 여부 (하위 클래스에서 오버라이드 가능)
+   */
+  isRetryableError(error) {
+    return !BaseInspector.isCancellationError(error);
+  }
+
+  /**
+   * 재시도 대기 (대기 중 검사가 취소되면 즉시 취소 오류로 종료)
+   */
+  waitForRetry(delayMs) {
+    return new Promise((resolve, reject) => {
+      const signal = this.cancellationSignal;
+      if (signal?.aborted) {
+        reject(this.createCancellationError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createCancellationError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, delayMs);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * 페이지네이션 API의 모든 페이지 수집 (수집 한도 도달 시 부분 수집으로 기록)
+   * @param {string} operationName - API 작업 이름
+   * @param {Function} fetchPage - 페이지 토큰을 받아 API 응답을 반환하는 함수 (첫 페이지는 undefined)
+   * @param {Function} getItems - 응답에서 리소스 배열 추출
+   * @param {Function} getNextToken - 응답에서 다음 페이지 토큰 추출 (마지막 페이지면 falsy)
+   * @returns {Promise<Array>} 수집된 리소스 목록
+   */
+  async collectAllPages(operationName, fetchPage, getItems, getNextToken) {
+    const items = [];
+    let nextToken;
+
+    do {
+      const response = await this.retryableApiCall(() => fetchPage(nextToken), operationName);
+      items.push(...(getItems(response) || []));
+      nextToken = getNextToken(response);
+
+      if (items.length >= this.collectionLimit) {
+        if (nextToken || items.length > this.collectionLimit) {
+          this.markPartialCollection(operationName);
+        }
+        return items.slice(0, this.collectionLimit);
+      }
+    } while (nextToken);
+
+    return items;
+  }
+
+  /**
+   * 배치 공유 캐시를 통한 데이터 수집 (캐시가 없으면 바로 수집)
+   * 캐시된 결과가 부분 수집이었다면 현재 검사에도 부분 수집으로 기록
+   * @param {string} operationName - API 작업 이름
+   * @param {Object} params - 결과를 구분하는 호출 파라미터
+   * @param {Function} load - 데이터 수집 함수
+   * @returns {Promise<*>} 수집 결과 (배열은 검사 간 간섭을 막기 위해 복사본 반환)
+   */
+  async withCollectionCache(operationName, params, load) {
+    if (!this.collectionCache) {
+      return await load();
+    }
+
+    const { value, hit } = await this.collectionCache.getOrLoad(
+      { accountId: this.accountId, region: this.region, operation: operationName, params },
+      async () => ({
+        data: await load(),
+        partialCollections: this.partialCollections.filter(entry => entry.operation === operationName)
+      })
+    );
+
+    const stats = this.collectionCache.getStats();
+    this.logger.debug(`Collection cache ${hit ? 'hit' : 'miss'} for ${operationName}`, {
+      hits: stats.hits,
+      misses: stats.misses
+    });
+
+    if (hit) {
+      this.mergePartialCollections(value);
+    }
+
+    return Array.isArray(value.data) ? [...value.data] : value.data;
+  }
+
+  /**
+   * 서버 수집 한도 상한 (INSPECTION_MAX_COLLECTION_LIMIT > 기본값)
+   * @returns {number}
+   */
+  static getMaxCollectionLimit() {
+    const limit = parseInt(process.env.INSPECTION_MAX_COLLECTION_LIMIT, 10);
+    return Number.isInteger(limit) && limit > 0 ? limit : BaseInspector.DEFAULT_COLLECTION_LIMIT;
+  }
+
+  /**
+   * 수집 한도 결정 (collectorLimits[서비스 타입] > maxResourcesPerCollector > 서버 상한)
+   * 요청으로 전달된 값은 서버 상한보다 낮추는 것만 허용
+   * @param {Object} inspectionConfig - 검사 설정
+   * @returns {number}
+   */
+  resolveCollectionLimit(inspectionConfig = {}) {
+    const maxLimit = BaseInspector.getMaxCollectionLimit();
+    const limit = inspectionConfig.collectorLimits?.[this.serviceType] ??
+      inspectionConfig.maxResourcesPerCollector;
+    return Number.isInteger(limit) && limit > 0 ? Math.min(limit, maxLimit) : maxLimit;
+  }
+
+  /**
+   * 수집 한도로 인해 일부 리소스만 수집된 API 기록
+   * @param {string} operationName - API 작업 이름
+   */
+  markPartialCollection(operationName) {
+    if (this.partialCollections.some(entry => entry.operation === operationName)) return;
+
+    this.partialCollections.push({ operation: operationName, limit: this.collectionLimit });
+    this.logger.info(`Collection limit reached for ${operationName}, results are partial`, {
+      limit: this.collectionLimit
+    });
+  }
+
+  /**
+   * 하위 검사 모듈의 부분 수집 기록 병합
+   * @param {BaseInspector} inspector - 실행이 끝난 하위 검사 모듈
+   */
+  mergePartialCollections(inspector) {
+    for (const entry of inspector.partialCollections || []) {
+      if (!this.partialCollections.some(existing => existing.operation === entry.operation)) {
+        this.partialCollections.push(entry);
+      }
+    }
+  }
+
+  /**
+   * 서버 하위 검사 동시 실행 수 상한 (INSPECTION_MAX_CHECK_CONCURRENCY > 기본값)
+   * @returns {number}
+   */
+  static getMaxCheckConcurrency() {
+    const limit = parseInt(process.env.INSPECTION_MAX_CHECK_CONCURRENCY, 10);
+    return Number.isInteger(limit) && limit > 0 ? limit : BaseInspector.DEFAULT_MAX_CHECK_CONCURRENCY;
+  }
+
+  /**
+   * 하위 검사 동시 실행 수 결정 (checkConcurrency > 기본값, 서버 상한 이하)
+   * @param {Object} inspectionConfig - 검사 설정
+   * @returns {number}
+   */
+  resolveCheckConcurrency(inspectionConfig = {}) {
+    const maxConcurrency = BaseInspector.getMaxCheckConcurrency();
+    const concurrency = inspectionConfig.checkConcurrency;
+    return Number.isInteger(concurrency) && concurrency > 0
+      ? Math.min(concurrency, maxConcurrency)
+      : Math.min(BaseInspector.DEFAULT_CHECK_CONCURRENCY, maxConcurrency);
+  }
+
+  /**
+   * 서로 독립적인 작업을 동시 실행 수 제한 내에서 병렬 실행
+   * 실패한 작업이 있으면 새 작업은 시작하지 않고, 실행 중인 작업이 끝난 뒤 첫 오류를 전달
+   * @param {Array<Function>} tasks - 비동기 작업 함수 목록
+   * @param {number} concurrency - 동시 실행 수
+   */
+  async runConcurrently(tasks, concurrency) {
+    let nextIndex = 0;
+    let firstError = null;
+
+    const worker = async () => {
+      while (!firstError && nextIndex < tasks.length) {
+        const task = tasks[nextIndex++];
+        try {
+          await task();
+        } catch (error) {
+          firstError = firstError || error;
+        }
+      }
+    };
+
+    const workerCount = Math.min(concurrency, tasks.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    if (firstError) {
+      throw firstError;
+    }
+  }
+
+  /**
+   * 부분 수집 여부 (API 작업 이름을 지정하면 해당 작업만 확인)
+   * @param {string} [operationName] - API 작업 이름
+   * @returns {boolean}
+   */
+  isPartialCollection(operationName) {
+    if (operationName) {
+      return this.partialCollections.some(entry => entry.operation === operationName);
+    }
+    return this.partialCollections.length > 0;
+  }
+
+  isCancelled() {
+    return this.cancellationSignal?.aborted === true;
+  }
+
+  /**
+   * 검사가 취소되었으면 취소 오류 발생 (API 호출 사이에서 확인)
+   */
+  throwIfCancelled() {
+    if (this.isCancelled()) {
+      throw this.createCancellationError();
+    }
+  }
+
+  createCancellationError() {
+    const error = new Error('Inspection cancelled');
+    error.code = BaseInspector.CANCELLED_ERROR_CODE;
+    return error;
+  }
+
+  static isCancellationError(error) {
+    return error?.code === BaseInspector.CANCELLED_ERROR_CODE;
+  }
+
   incrementResourceCount(count = 1) {
     this.resourcesScanned += count;
   }
@@ -231,6 +518,9 @@ class BaseInspector {
    * @param {Object} context - 에러 컨텍스트
    */
   recordError(error, context = {}) {
+    // 취소는 오류가 아니므로 기록하지 않음 (수집기 등에서 전달된 취소 오류)
+    if (BaseInspector.isCancellationError(error)) return;
+
     console.error(`[${this.serviceType}] Error:`, {
       message: error.message,
       context,
@@ -262,7 +552,10 @@ class BaseInspector {
       findings: this.findings.map(f => f.toApiResponse()),
       inspectionTime: Date.now(),
       resourcesScanned: this.resourcesScanned,
-      region: this.region
+      region: this.region,
+      partial: this.isPartialCollection() || this.isCancelled(),
+      partialCollections: this.partialCollections,
+      cancelled: this.isCancelled()
     }] : [];
   }
 
@@ -271,7 +564,7 @@ class BaseInspector {
    * @returns {boolean}
    */
   isGlobalService() {
-    const globalServices = ['S3', 'IAM', 'CLOUDFRONT'];
+    const globalServices = ['S3', 'IAM', 'CLOUDFRONT', 'GOVERNANCE'];
     return globalServices.includes(this.serviceType.toUpperCase());
   }
 
@@ -0,0 +1,154 @@
+const BaseInspector = require('../../baseInspector');
+const { CloudFrontClient } = require('@aws-sdk/client-cloudfront');
+const CloudFrontDataCollector = require('../collectors/cloudFrontDataCollector');
+
+class TlsPolicyInspector extends BaseInspector {
+  constructor() {
+    super('CLOUDFRONT');
+
+    // TLS 1.2 미만을 허용하는 뷰어 보안 정책
+    this.outdatedViewerPolicies = ['SSLv3', 'TLSv1', 'TLSv1_2016', 'TLSv1.1_2016'];
+    this.outdatedOriginProtocols = ['SSLv3', 'TLSv1', 'TLSv1.1'];
+    this.recommendedViewerPolicy = 'TLSv1.2_2021';
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      // CloudFront는 글로벌 서비스이므로 us-east-1로 클라이언트 생성
+      this.cloudFrontClient = new CloudFrontClient({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new CloudFrontDataCollector(this.cloudFrontClient, this);
+
+      const distributions = await this.dataCollector.getDistributions();
+
+      if (!Array.isArray(distributions)) {
+        this.addFinding('distributions', 'CloudFrontDistribution', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkDistributions(distributions);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'tls-policy',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkDistributions(distributions) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const distribution of distributions) {
+      this.incrementResourceCount();
+
+      const validation = this.validateDistributionFormat(distribution);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkDistribution(distribution);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateDistributionFormat(distribution) {
+    if (!distribution || typeof distribution !== 'object') {
+      return { valid: false, error: '배포가 객체가 아님' };
+    }
+
+    if (!distribution.Id) {
+      return { valid: false, error: 'Id 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkDistribution(distribution) {
+    const issues = [];
+    const certificate = distribution.ViewerCertificate || {};
+    const label = this.dataCollector.getDistributionLabel(distribution);
+
+    // 기본 인증서(*.cloudfront.net)는 TLSv1을 허용하므로 별칭이 있는 경우 사용자 인증서 권장
+    if (certificate.CloudFrontDefaultCertificate) {
+      if (distribution.Aliases?.Quantity > 0) {
+        issues.push('기본 CloudFront 인증서 사용 (TLSv1 허용)');
+      }
+    } else if (this.outdatedViewerPolicies.includes(certificate.MinimumProtocolVersion)) {
+      issues.push(`오래된 뷰어 보안 정책 (${certificate.MinimumProtocolVersion})`);
+    }
+
+    // 오리진 구간 TLS 프로토콜 검사
+    for (const origin of distribution.Origins?.Items || []) {
+      const protocols = origin.CustomOriginConfig?.OriginSslProtocols?.Items || [];
+      const weakProtocols = protocols.filter(protocol => this.outdatedOriginProtocols.includes(protocol));
+
+      if (weakProtocols.length > 0) {
+        issues.push(`오리진 ${origin.Id}에서 ${weakProtocols.join(', ')} 허용`);
+      }
+    }
+
+    if (issues.length > 0) {
+      this.addFinding(
+        distribution.Id,
+        'CloudFrontDistribution',
+        `${label}: TLS 보안 정책 미흡 - ${issues.join(', ')}`,
+        `ACM 인증서를 연결하고 뷰어 보안 정책을 ${this.recommendedViewerPolicy} 이상으로, 오리진 프로토콜은 TLSv1.2만 허용하도록 설정하세요`
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'CloudFront 권한 부족', 'IAM 정책에 cloudfront:ListDistributions, cloudfront:GetDistributionConfig 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'CloudFront TLS 정책 검사' });
+    }
+  }
+}
+
+module.exports = TlsPolicyInspector;
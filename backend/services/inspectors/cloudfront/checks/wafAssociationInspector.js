@@ -0,0 +1,128 @@
+const BaseInspector = require('../../baseInspector');
+const { CloudFrontClient } = require('@aws-sdk/client-cloudfront');
+const CloudFrontDataCollector = require('../collectors/cloudFrontDataCollector');
+
+class WafAssociationInspector extends BaseInspector {
+  constructor() {
+    super('CLOUDFRONT');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      // CloudFront는 글로벌 서비스이므로 us-east-1로 클라이언트 생성
+      this.cloudFrontClient = new CloudFrontClient({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new CloudFrontDataCollector(this.cloudFrontClient, this);
+
+      const distributions = await this.dataCollector.getDistributions();
+
+      if (!Array.isArray(distributions)) {
+        this.addFinding('distributions', 'CloudFrontDistribution', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkDistributions(distributions);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'waf-association',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkDistributions(distributions) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const distribution of distributions) {
+      this.incrementResourceCount();
+
+      const validation = this.validateDistributionFormat(distribution);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkDistribution(distribution);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateDistributionFormat(distribution) {
+    if (!distribution || typeof distribution !== 'object') {
+      return { valid: false, error: '배포가 객체가 아님' };
+    }
+
+    if (!distribution.Id) {
+      return { valid: false, error: 'Id 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkDistribution(distribution) {
+    if (!distribution.Enabled) return;
+
+    if (!distribution.WebACLId) {
+      this.addFinding(
+        distribution.Id,
+        'CloudFrontDistribution',
+        `${this.dataCollector.getDistributionLabel(distribution)}: AWS WAF 웹 ACL이 연결되지 않음`,
+        'CLOUDFRONT 범위의 WAF 웹 ACL을 연결하여 SQL 인젝션, XSS, 봇 트래픽 등을 엣지에서 차단하세요'
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'CloudFront 권한 부족', 'IAM 정책에 cloudfront:ListDistributions, cloudfront:GetDistributionConfig 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'CloudFront WAF 연결 검사' });
+    }
+  }
+}
+
+module.exports = WafAssociationInspector;
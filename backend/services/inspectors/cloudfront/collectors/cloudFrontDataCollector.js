@@ -0,0 +1,89 @@
+/**
+ * CloudFront Data Collector
+ * CloudFront 관련 데이터 수집을 담당하는 모듈
+ */
+
+const { ListDistributionsCommand, GetDistributionConfigCommand } = require('@aws-sdk/client-cloudfront');
+
+class CloudFrontDataCollector {
+  constructor(cloudFrontClient, inspector) {
+    this.cloudFrontClient = cloudFrontClient;
+    this.inspector = inspector;
+  }
+
+  /**
+   * 배포(Distribution) 목록 조회
+   */
+  async getDistributions() {
+    try {
+      return await this.inspector.withCollectionCache('ListDistributions', {}, () =>
+        this.inspector.collectAllPages(
+          'ListDistributions',
+          (marker) => this.cloudFrontClient.send(new ListDistributionsCommand({ Marker: marker })),
+          (response) => response.DistributionList?.Items,
+          (response) => response.DistributionList?.NextMarker
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getDistributions' });
+      throw error;
+    }
+  }
+
+  /**
+   * 배포 상세 설정 조회 (목록 API에 없는 로깅 설정 등 확인용)
+   */
+  async getDistributionConfig(distributionId) {
+    try {
+      const command = new GetDistributionConfigCommand({ Id: distributionId });
+      const response = await this.inspector.retryableApiCall(
+        () => this.cloudFrontClient.send(command),
+        'GetDistributionConfig'
+      );
+
+      return response.DistributionConfig || null;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getDistributionConfig',
+        distributionId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 배포의 모든 캐시 동작(기본 동작 포함) 반환
+   */
+  getCacheBehaviors(distribution) {
+    const behaviors = [];
+
+    if (distribution.DefaultCacheBehavior) {
+      behaviors.push({ pathPattern: 'Default (*)', ...distribution.DefaultCacheBehavior });
+    }
+
+    for (const behavior of distribution.CacheBehaviors?.Items || []) {
+      behaviors.push({ pathPattern: behavior.PathPattern, ...behavior });
+    }
+
+    return behaviors;
+  }
+
+  /**
+   * S3 버킷 오리진 여부 확인 (정적 웹사이트 엔드포인트는 커스텀 오리진으로 취급)
+   */
+  isS3Origin(origin) {
+    if (origin.S3OriginConfig) return true;
+    return /\.s3[.-]([a-z0-9-]+\.)?amazonaws\.com$/.test(origin.DomainName || '') &&
+      !/s3-website/.test(origin.DomainName || '');
+  }
+
+  /**
+   * 배포 표시용 이름 (별칭 우선)
+   */
+  getDistributionLabel(distribution) {
+    const alias = distribution.Aliases?.Items?.[0];
+    return alias ? `${alias} (${distribution.DomainName})` : distribution.DomainName || distribution.Id;
+  }
+}
+
+module.exports = CloudFrontDataCollector;
@@ -0,0 +1,79 @@
+const BaseInspector = require('../baseInspector');
+const ViewerProtocolInspector = require('./checks/viewerProtocolInspector');
+const TlsPolicyInspector = require('./checks/tlsPolicyInspector');
+const WafAssociationInspector = require('./checks/wafAssociationInspector');
+const OriginAccessControlInspector = require('./checks/originAccessControlInspector');
+const AccessLoggingInspector = require('./checks/accessLoggingInspector');
+
+class CloudFrontInspector extends BaseInspector {
+  constructor() {
+    super('CLOUDFRONT');
+  }
+
+  async preInspectionValidation(awsCredentials, inspectionConfig) {
+    this.logger.info('CloudFront inspection initialized (global service)');
+  }
+
+  async performItemInspection(awsCredentials, inspectionConfig) {
+    const targetItem = inspectionConfig.targetItem || inspectionConfig.targetItemId;
+
+    if (targetItem === 'all') {
+      return await this.performInspection(awsCredentials, inspectionConfig);
+    }
+
+    const inspectorMap = {
+      'viewer-protocol': ViewerProtocolInspector,
+      'tls-policy': TlsPolicyInspector,
+      'waf-association': WafAssociationInspector,
+      'origin-access-control': OriginAccessControlInspector,
+      'access-logging': AccessLoggingInspector
+    };
+
+    const InspectorClass = inspectorMap[targetItem];
+    if (InspectorClass) {
+      await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem);
+      return;
+    }
+
+    this.handleUnknownInspectionItem(targetItem);
+  }
+
+  async executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem) {
+    const inspector = new InspectorClass();
+    try {
+      await inspector.executeInspection(awsCredentials, inspectionConfig);
+      this.findings.push(...inspector.findings);
+      this.incrementResourceCount(inspector.resourcesScanned);
+      this.mergePartialCollections(inspector);
+    } catch (error) {
+      if (this.isCancelled()) {
+        // 취소된 경우 취소 전까지 발견된 결과는 유지
+        this.findings.push(...inspector.findings);
+        this.mergePartialCollections(inspector);
+      } else {
+        this.recordError(error, { targetItem });
+      }
+      throw error;
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    const inspectorClasses = [
+      ViewerProtocolInspector,
+      TlsPolicyInspector,
+      WafAssociationInspector,
+      OriginAccessControlInspector,
+      AccessLoggingInspector
+    ];
+
+    for (const InspectorClass of inspectorClasses) {
+      try {
+        await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig);
+      } catch (error) {
+        this.recordError(error, { context: `${InspectorClass.name} 실행` });
+      }
+    }
+  }
+}
+
+module.exports = CloudFrontInspector;
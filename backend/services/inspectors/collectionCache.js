@@ -0,0 +1,66 @@
+/**
+ * Collection Cache
+ * 한 검사 배치 안에서 검사 항목들이 같은 AWS 데이터를 반복 수집하지 않도록 공유하는 캐시
+ *
+ * - 키: 계정 ID + 리전 + API 호출 (+ 호출 파라미터)
+ * - 진행 중인 수집도 Promise로 공유하여 동시에 실행되는 검사 항목이 같은 API를 중복 호출하지 않음
+ * - 수집 실패 결과는 캐시하지 않음 (다음 호출에서 다시 수집)
+ */
+class CollectionCache {
+  constructor() {
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * 캐시 키 생성
+   * @param {Object} keyParts - { accountId, region, operation, params }
+   * @returns {string}
+   */
+  static createKey({ accountId, region, operation, params = {} }) {
+    return [accountId || 'unknown', region || 'global', operation, JSON.stringify(params)].join('|');
+  }
+
+  /**
+   * 캐시된 값 조회, 없으면 load 실행 결과를 저장 후 반환
+   * @param {Object} keyParts - { accountId, region, operation, params }
+   * @param {Function} load - 캐시 미스 시 데이터를 수집하는 함수
+   * @returns {Promise<{ value: *, hit: boolean }>}
+   */
+  async getOrLoad(keyParts, load) {
+    const key = CollectionCache.createKey(keyParts);
+
+    if (this.entries.has(key)) {
+      this.hits++;
+      return { value: await this.entries.get(key), hit: true };
+    }
+
+    this.misses++;
+    const pending = Promise.resolve().then(load);
+    this.entries.set(key, pending);
+
+    try {
+      return { value: await pending, hit: false };
+    } catch (error) {
+      this.entries.delete(key);
+      throw error;
+    }
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.size,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 100) : 0
+    };
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = CollectionCache;
@@ -0,0 +1,129 @@
+const BaseInspector = require('../../baseInspector');
+const { ECRClient } = require('@aws-sdk/client-ecr');
+const ContainerDataCollector = require('../collectors/containerDataCollector');
+
+class EcrLifecyclePolicyInspector extends BaseInspector {
+  constructor() {
+    super('CONTAINER');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ecrClient = new ECRClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new ContainerDataCollector({ ecrClient: this.ecrClient }, this);
+
+      const repositories = await this.dataCollector.getRepositories();
+
+      if (!Array.isArray(repositories)) {
+        this.addFinding('repositories', 'ECRRepository', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkRepositories(repositories);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'ecr-lifecycle-policy',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkRepositories(repositories) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const repository of repositories) {
+      this.incrementResourceCount();
+
+      const validation = this.validateRepositoryFormat(repository);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkRepository(repository);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateRepositoryFormat(repository) {
+    if (!repository || typeof repository !== 'object') {
+      return { valid: false, error: '리포지토리가 객체가 아님' };
+    }
+
+    if (!repository.repositoryName) {
+      return { valid: false, error: 'repositoryName 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkRepository(repository) {
+    const lifecyclePolicy = await this.dataCollector.getLifecyclePolicy(repository.repositoryName);
+
+    // 조회 실패(undefined) 시 판단 보류
+    if (lifecyclePolicy !== null) return;
+
+    this.addFinding(
+      repository.repositoryArn || repository.repositoryName,
+      'ECRRepository',
+      `ECR 리포지토리 '${repository.repositoryName}'에 수명 주기 정책이 없음`,
+      '태그 없는 이미지와 오래된 이미지를 자동으로 만료하는 수명 주기 정책을 설정하여 스토리지 비용과 취약한 구버전 이미지 누적을 줄이세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'ECR 권한 부족', 'IAM 정책에 ecr:DescribeRepositories, ecr:GetLifecyclePolicy 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'ECR 수명 주기 정책 검사' });
+    }
+  }
+}
+
+module.exports = EcrLifecyclePolicyInspector;
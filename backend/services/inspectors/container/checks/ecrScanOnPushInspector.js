@@ -0,0 +1,150 @@
+const BaseInspector = require('../../baseInspector');
+const { ECRClient } = require('@aws-sdk/client-ecr');
+const ContainerDataCollector = require('../collectors/containerDataCollector');
+
+class EcrScanOnPushInspector extends BaseInspector {
+  constructor() {
+    super('CONTAINER');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ecrClient = new ECRClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new ContainerDataCollector({ ecrClient: this.ecrClient }, this);
+
+      const [repositories, registryScanning] = await Promise.all([
+        this.dataCollector.getRepositories(),
+        this.dataCollector.getRegistryScanningConfiguration()
+      ]);
+
+      if (!Array.isArray(repositories)) {
+        this.addFinding('repositories', 'ECRRepository', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      this.registryScanning = registryScanning;
+
+      await this.checkRepositories(repositories);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'ecr-scan-on-push',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkRepositories(repositories) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const repository of repositories) {
+      this.incrementResourceCount();
+
+      const validation = this.validateRepositoryFormat(repository);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkRepository(repository);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateRepositoryFormat(repository) {
+    if (!repository || typeof repository !== 'object') {
+      return { valid: false, error: '리포지토리가 객체가 아님' };
+    }
+
+    if (!repository.repositoryName) {
+      return { valid: false, error: 'repositoryName 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkRepository(repository) {
+    if (repository.imageScanningConfiguration?.scanOnPush) return;
+    if (this.isCoveredByRegistryScanning(repository.repositoryName)) return;
+
+    this.addFinding(
+      repository.repositoryArn || repository.repositoryName,
+      'ECRRepository',
+      `ECR 리포지토리 '${repository.repositoryName}'에 푸시 시 이미지 스캔이 비활성화됨`,
+      '리포지토리의 푸시 시 스캔을 활성화하거나 레지스트리 수준에서 Amazon Inspector 고급 스캔 규칙을 설정하여 이미지 취약점을 배포 전에 확인하세요'
+    );
+  }
+
+  /**
+   * 레지스트리 스캔 규칙이 리포지토리를 포함하는지 확인 (고급 스캔은 리포지토리 설정보다 우선)
+   */
+  isCoveredByRegistryScanning(repositoryName) {
+    const rules = this.registryScanning?.rules || [];
+
+    return rules.some(rule =>
+      ['SCAN_ON_PUSH', 'CONTINUOUS_SCAN'].includes(rule.scanFrequency) &&
+      (rule.repositoryFilters || []).some(filter => this.matchesWildcard(repositoryName, filter.filter))
+    );
+  }
+
+  matchesWildcard(value, pattern) {
+    if (!pattern) return false;
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return regex.test(value);
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'ECR 권한 부족', 'IAM 정책에 ecr:DescribeRepositories, ecr:GetRegistryScanningConfiguration 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'ECR 이미지 스캔 검사' });
+    }
+  }
+}
+
+module.exports = EcrScanOnPushInspector;
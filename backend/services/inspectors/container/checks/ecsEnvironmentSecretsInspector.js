@@ -0,0 +1,174 @@
+const BaseInspector = require('../../baseInspector');
+const { ECSClient } = require('@aws-sdk/client-ecs');
+const ContainerDataCollector = require('../collectors/containerDataCollector');
+
+class EcsEnvironmentSecretsInspector extends BaseInspector {
+  constructor() {
+    super('CONTAINER');
+
+    // 자격 증명으로 의심되는 환경 변수 이름 패턴
+    this.secretKeyPatterns = [
+      /secret/i,
+      /passw(or)?d/i,
+      /(^|_)pwd($|_)/i,
+      /token/i,
+      /api[_-]?key/i,
+      /access[_-]?key/i,
+      /private[_-]?key/i,
+      /credential/i
+    ];
+
+    // 값 자체가 자격 증명 형식인 경우
+    this.secretValuePatterns = [
+      /^(AKIA|ASIA)[0-9A-Z]{16}$/,
+      /-----BEGIN [A-Z ]*PRIVATE KEY-----/,
+      /^(ghp|gho|github_pat)_[A-Za-z0-9_]{20,}$/,
+      /^xox[baprs]-[A-Za-z0-9-]{10,}$/
+    ];
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ecsClient = new ECSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new ContainerDataCollector({ ecsClient: this.ecsClient }, this);
+
+      const taskDefinitions = await this.dataCollector.getLatestTaskDefinitions();
+
+      if (!Array.isArray(taskDefinitions)) {
+        this.addFinding('task-definitions', 'ECSTaskDefinition', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkTaskDefinitions(taskDefinitions);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'ecs-env-secrets',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkTaskDefinitions(taskDefinitions) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const taskDefinition of taskDefinitions) {
+      this.incrementResourceCount();
+
+      const validation = this.validateTaskDefinitionFormat(taskDefinition);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkTaskDefinition(taskDefinition);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateTaskDefinitionFormat(taskDefinition) {
+    if (!taskDefinition || typeof taskDefinition !== 'object') {
+      return { valid: false, error: '작업 정의가 객체가 아님' };
+    }
+
+    if (!taskDefinition.taskDefinitionArn || !taskDefinition.family) {
+      return { valid: false, error: 'taskDefinitionArn 또는 family 누락' };
+    }
+
+    if (!Array.isArray(taskDefinition.containerDefinitions)) {
+      return { valid: false, error: 'containerDefinitions가 배열이 아님' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkTaskDefinition(taskDefinition) {
+    const suspiciousVariables = [];
+
+    for (const container of taskDefinition.containerDefinitions) {
+      for (const variable of container.environment || []) {
+        if (this.looksLikeCredential(variable.name, variable.value)) {
+          suspiciousVariables.push(`${container.name}/${variable.name}`);
+        }
+      }
+    }
+
+    if (suspiciousVariables.length === 0) return;
+
+    // 값은 노출하지 않고 컨테이너/변수 이름만 기록
+    this.addFinding(
+      taskDefinition.taskDefinitionArn,
+      'ECSTaskDefinition',
+      `작업 정의 '${this.dataCollector.getTaskDefinitionLabel(taskDefinition)}'의 환경 변수에 자격 증명으로 보이는 값 저장: ${suspiciousVariables.join(', ')}`,
+      'Secrets Manager 또는 SSM Parameter Store에 저장하고 컨테이너 정의의 secrets(valueFrom)로 주입하세요. environment 값은 작업 정의를 조회할 수 있는 누구에게나 평문으로 노출됩니다'
+    );
+  }
+
+  looksLikeCredential(key, value) {
+    if (typeof value !== 'string' || value.length === 0) return false;
+
+    // 다른 저장소를 참조하는 값(ARN, 파라미터 경로)은 제외
+    if (value.startsWith('arn:aws:') || value.startsWith('/') || value.startsWith('{{resolve:')) {
+      return false;
+    }
+
+    if (this.secretValuePatterns.some(pattern => pattern.test(value))) return true;
+
+    return this.secretKeyPatterns.some(pattern => pattern.test(key)) && value.length >= 8;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'ECS 권한 부족', 'IAM 정책에 ecs:ListTaskDefinitionFamilies, ecs:DescribeTaskDefinition 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'ECS 환경 변수 자격 증명 검사' });
+    }
+  }
+}
+
+module.exports = EcsEnvironmentSecretsInspector;
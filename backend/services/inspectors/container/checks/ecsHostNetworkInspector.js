@@ -0,0 +1,130 @@
+const BaseInspector = require('../../baseInspector');
+const { ECSClient } = require('@aws-sdk/client-ecs');
+const ContainerDataCollector = require('../collectors/containerDataCollector');
+
+class EcsHostNetworkInspector extends BaseInspector {
+  constructor() {
+    super('CONTAINER');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ecsClient = new ECSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new ContainerDataCollector({ ecsClient: this.ecsClient }, this);
+
+      const taskDefinitions = await this.dataCollector.getLatestTaskDefinitions();
+
+      if (!Array.isArray(taskDefinitions)) {
+        this.addFinding('task-definitions', 'ECSTaskDefinition', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkTaskDefinitions(taskDefinitions);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'ecs-host-network',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkTaskDefinitions(taskDefinitions) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const taskDefinition of taskDefinitions) {
+      this.incrementResourceCount();
+
+      const validation = this.validateTaskDefinitionFormat(taskDefinition);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkTaskDefinition(taskDefinition);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateTaskDefinitionFormat(taskDefinition) {
+    if (!taskDefinition || typeof taskDefinition !== 'object') {
+      return { valid: false, error: '작업 정의가 객체가 아님' };
+    }
+
+    if (!taskDefinition.taskDefinitionArn || !taskDefinition.family) {
+      return { valid: false, error: 'taskDefinitionArn 또는 family 누락' };
+    }
+
+    if (!Array.isArray(taskDefinition.containerDefinitions)) {
+      return { valid: false, error: 'containerDefinitions가 배열이 아님' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkTaskDefinition(taskDefinition) {
+    if (taskDefinition.networkMode !== 'host') return;
+
+    this.addFinding(
+      taskDefinition.taskDefinitionArn,
+      'ECSTaskDefinition',
+      `작업 정의 '${this.dataCollector.getTaskDefinitionLabel(taskDefinition)}'이 호스트 네트워크 모드(host) 사용`,
+      'awsvpc 네트워크 모드로 전환하여 작업별 ENI와 보안 그룹으로 격리하세요. 호스트 모드에서는 컨테이너가 호스트의 네트워크 스택과 포트를 그대로 공유합니다'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'ECS 권한 부족', 'IAM 정책에 ecs:ListTaskDefinitionFamilies, ecs:DescribeTaskDefinition 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'ECS 호스트 네트워크 모드 검사' });
+    }
+  }
+}
+
+module.exports = EcsHostNetworkInspector;
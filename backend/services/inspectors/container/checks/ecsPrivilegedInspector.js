@@ -0,0 +1,134 @@
+const BaseInspector = require('../../baseInspector');
+const { ECSClient } = require('@aws-sdk/client-ecs');
+const ContainerDataCollector = require('../collectors/containerDataCollector');
+
+class EcsPrivilegedInspector extends BaseInspector {
+  constructor() {
+    super('CONTAINER');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ecsClient = new ECSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new ContainerDataCollector({ ecsClient: this.ecsClient }, this);
+
+      const taskDefinitions = await this.dataCollector.getLatestTaskDefinitions();
+
+      if (!Array.isArray(taskDefinitions)) {
+        this.addFinding('task-definitions', 'ECSTaskDefinition', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkTaskDefinitions(taskDefinitions);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'ecs-privileged',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkTaskDefinitions(taskDefinitions) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const taskDefinition of taskDefinitions) {
+      this.incrementResourceCount();
+
+      const validation = this.validateTaskDefinitionFormat(taskDefinition);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkTaskDefinition(taskDefinition);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateTaskDefinitionFormat(taskDefinition) {
+    if (!taskDefinition || typeof taskDefinition !== 'object') {
+      return { valid: false, error: '작업 정의가 객체가 아님' };
+    }
+
+    if (!taskDefinition.taskDefinitionArn || !taskDefinition.family) {
+      return { valid: false, error: 'taskDefinitionArn 또는 family 누락' };
+    }
+
+    if (!Array.isArray(taskDefinition.containerDefinitions)) {
+      return { valid: false, error: 'containerDefinitions가 배열이 아님' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkTaskDefinition(taskDefinition) {
+    const privilegedContainers = taskDefinition.containerDefinitions
+      .filter(container => container.privileged === true)
+      .map(container => container.name);
+
+    if (privilegedContainers.length === 0) return;
+
+    this.addFinding(
+      taskDefinition.taskDefinitionArn,
+      'ECSTaskDefinition',
+      `작업 정의 '${this.dataCollector.getTaskDefinitionLabel(taskDefinition)}'에 권한 있는(privileged) 컨테이너 존재: ${privilegedContainers.join(', ')}`,
+      'privileged 설정을 제거하고 필요한 Linux 기능만 linuxParameters.capabilities로 추가하세요. 권한 있는 컨테이너는 호스트 전체에 접근할 수 있습니다'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'ECS 권한 부족', 'IAM 정책에 ecs:ListTaskDefinitionFamilies, ecs:DescribeTaskDefinition 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'ECS 권한 있는 컨테이너 검사' });
+    }
+  }
+}
+
+module.exports = EcsPrivilegedInspector;
@@ -0,0 +1,140 @@
+const BaseInspector = require('../../baseInspector');
+const { EKSClient } = require('@aws-sdk/client-eks');
+const ContainerDataCollector = require('../collectors/containerDataCollector');
+
+class EksControlPlaneLoggingInspector extends BaseInspector {
+  constructor() {
+    super('CONTAINER');
+
+    // 감사/문제 분석에 필요한 컨트롤 플레인 로그 유형
+    this.requiredLogTypes = ['api', 'audit', 'authenticator', 'controllerManager', 'scheduler'];
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.eksClient = new EKSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new ContainerDataCollector({ eksClient: this.eksClient }, this);
+
+      const clusters = await this.dataCollector.getClusters();
+
+      if (!Array.isArray(clusters)) {
+        this.addFinding('clusters', 'EKSCluster', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkClusters(clusters);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'eks-control-plane-logging',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkClusters(clusters) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const cluster of clusters) {
+      this.incrementResourceCount();
+
+      const validation = this.validateClusterFormat(cluster);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkCluster(cluster);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateClusterFormat(cluster) {
+    if (!cluster || typeof cluster !== 'object') {
+      return { valid: false, error: '클러스터가 객체가 아님' };
+    }
+
+    if (!cluster.name) {
+      return { valid: false, error: 'name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkCluster(cluster) {
+    const enabledLogTypes = new Set(
+      (cluster.logging?.clusterLogging || [])
+        .filter(setup => setup.enabled)
+        .flatMap(setup => setup.types || [])
+    );
+
+    const disabledLogTypes = this.requiredLogTypes.filter(type => !enabledLogTypes.has(type));
+    if (disabledLogTypes.length === 0) return;
+
+    const issue = enabledLogTypes.size === 0
+      ? `EKS 클러스터 '${cluster.name}'의 컨트롤 플레인 로깅이 모두 비활성화됨`
+      : `EKS 클러스터 '${cluster.name}'의 일부 컨트롤 플레인 로그가 비활성화됨: ${disabledLogTypes.join(', ')}`;
+
+    this.addFinding(
+      cluster.arn || cluster.name,
+      'EKSCluster',
+      issue,
+      '최소한 api, audit, authenticator 로그를 CloudWatch Logs로 전송하도록 활성화하여 클러스터 접근과 변경 이력을 추적하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'EKS 권한 부족', 'IAM 정책에 eks:ListClusters, eks:DescribeCluster 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EKS 컨트롤 플레인 로깅 검사' });
+    }
+  }
+}
+
+module.exports = EksControlPlaneLoggingInspector;
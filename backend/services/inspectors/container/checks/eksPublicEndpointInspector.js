@@ -0,0 +1,133 @@
+const BaseInspector = require('../../baseInspector');
+const { EKSClient } = require('@aws-sdk/client-eks');
+const ContainerDataCollector = require('../collectors/containerDataCollector');
+
+class EksPublicEndpointInspector extends BaseInspector {
+  constructor() {
+    super('CONTAINER');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.eksClient = new EKSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new ContainerDataCollector({ eksClient: this.eksClient }, this);
+
+      const clusters = await this.dataCollector.getClusters();
+
+      if (!Array.isArray(clusters)) {
+        this.addFinding('clusters', 'EKSCluster', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkClusters(clusters);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'eks-public-endpoint',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkClusters(clusters) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const cluster of clusters) {
+      this.incrementResourceCount();
+
+      const validation = this.validateClusterFormat(cluster);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkCluster(cluster);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateClusterFormat(cluster) {
+    if (!cluster || typeof cluster !== 'object') {
+      return { valid: false, error: '클러스터가 객체가 아님' };
+    }
+
+    if (!cluster.name) {
+      return { valid: false, error: 'name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkCluster(cluster) {
+    const vpcConfig = cluster.resourcesVpcConfig || {};
+    if (!vpcConfig.endpointPublicAccess) return;
+
+    // publicAccessCidrs 미지정 시 기본값은 0.0.0.0/0
+    const publicAccessCidrs = vpcConfig.publicAccessCidrs || ['0.0.0.0/0'];
+    if (!publicAccessCidrs.includes('0.0.0.0/0')) return;
+
+    const privateAccessText = vpcConfig.endpointPrivateAccess ? '' : ' (프라이빗 엔드포인트 비활성화)';
+
+    this.addFinding(
+      cluster.arn || cluster.name,
+      'EKSCluster',
+      `EKS 클러스터 '${cluster.name}'의 API 서버 엔드포인트가 인터넷 전체(0.0.0.0/0)에 공개됨${privateAccessText}`,
+      '프라이빗 엔드포인트 액세스를 활성화하고 퍼블릭 액세스를 비활성화하거나, 퍼블릭 액세스 CIDR을 관리용 IP 대역으로 제한하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'EKS 권한 부족', 'IAM 정책에 eks:ListClusters, eks:DescribeCluster 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EKS 퍼블릭 엔드포인트 검사' });
+    }
+  }
+}
+
+module.exports = EksPublicEndpointInspector;
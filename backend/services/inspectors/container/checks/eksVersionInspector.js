@@ -0,0 +1,156 @@
+const BaseInspector = require('../../baseInspector');
+const { EKSClient } = require('@aws-sdk/client-eks');
+const ContainerDataCollector = require('../collectors/containerDataCollector');
+const lifecycleCatalogService = require('../../../lifecycleCatalogService');
+
+class EksVersionInspector extends BaseInspector {
+  constructor() {
+    super('CONTAINER');
+
+    // 표준 지원 종료 날짜는 공통 수명 주기 카탈로그(eks)에서 조회 (이후 확장 지원 요금 부과)
+    this.lifecycleProductId = 'eks';
+
+    // 경고 임계값 (표준 지원 종료 6개월 전)
+    this.warningThresholdMonths = 6;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.eksClient = new EKSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new ContainerDataCollector({ eksClient: this.eksClient }, this);
+
+      const clusters = await this.dataCollector.getClusters();
+
+      if (!Array.isArray(clusters)) {
+        this.addFinding('clusters', 'EKSCluster', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkClusters(clusters);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'eks-version',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkClusters(clusters) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const cluster of clusters) {
+      this.incrementResourceCount();
+
+      const validation = this.validateClusterFormat(cluster);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkCluster(cluster);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateClusterFormat(cluster) {
+    if (!cluster || typeof cluster !== 'object') {
+      return { valid: false, error: '클러스터가 객체가 아님' };
+    }
+
+    if (!cluster.name) {
+      return { valid: false, error: 'name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkCluster(cluster) {
+    if (!cluster.version) return;
+
+    const lifecycle = await lifecycleCatalogService.getLifecycleStatus(
+      this.lifecycleProductId,
+      cluster.version,
+      this.warningThresholdMonths
+    );
+    if (!lifecycle) return; // 지원 중인 버전 (1.21 이전 버전은 자동 업그레이드되어 존재하지 않음)
+
+    const { endDate: supportEndDate, status, daysUntilEnd } = lifecycle;
+
+    // 이미 표준 지원이 종료된 경우
+    if (status === 'ended') {
+      this.addFinding(
+        cluster.arn || cluster.name,
+        'EKSCluster',
+        `EKS 클러스터 '${cluster.name}'이 표준 지원이 종료된 Kubernetes 버전 사용 (${cluster.version}, ${supportEndDate.toLocaleDateString('ko-KR')} 종료)`,
+        '지원되는 Kubernetes 버전으로 순차 업그레이드하세요. 표준 지원 종료 후에는 확장 지원 요금이 추가로 부과되며, 확장 지원 기간이 끝나면 자동 업그레이드됩니다'
+      );
+      return;
+    }
+
+    // 표준 지원 종료가 임박한 경우
+    if (status === 'ending') {
+      this.addFinding(
+        cluster.arn || cluster.name,
+        'EKSCluster',
+        `EKS 클러스터 '${cluster.name}'의 Kubernetes 버전 표준 지원 종료 임박 (${cluster.version}, ${daysUntilEnd}일 후: ${supportEndDate.toLocaleDateString('ko-KR')})`,
+        '지원 종료 전에 애드온과 워크로드의 API 호환성을 확인하고 다음 버전으로 업그레이드를 계획하세요'
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'EKS 권한 부족', 'IAM 정책에 eks:ListClusters, eks:DescribeCluster 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EKS 버전 지원 검사' });
+    }
+  }
+}
+
+module.exports = EksVersionInspector;
@@ -0,0 +1,192 @@
+/**
+ * Container Data Collector
+ * ECR 리포지토리, ECS 작업 정의, EKS 클러스터 관련 데이터 수집을 담당하는 모듈
+ */
+
+const {
+  DescribeRepositoriesCommand,
+  GetLifecyclePolicyCommand,
+  GetRegistryScanningConfigurationCommand
+} = require('@aws-sdk/client-ecr');
+const {
+  ListTaskDefinitionFamiliesCommand,
+  DescribeTaskDefinitionCommand
+} = require('@aws-sdk/client-ecs');
+const { ListClustersCommand, DescribeClusterCommand } = require('@aws-sdk/client-eks');
+
+class ContainerDataCollector {
+  /**
+   * @param {Object} clients - { ecrClient, ecsClient, eksClient }
+   * @param {Object} inspector - 재시도/오류 기록을 담당하는 Inspector
+   */
+  constructor(clients, inspector) {
+    this.ecrClient = clients.ecrClient;
+    this.ecsClient = clients.ecsClient;
+    this.eksClient = clients.eksClient;
+    this.inspector = inspector;
+  }
+
+  /**
+   * ECR 리포지토리 목록 조회
+   */
+  async getRepositories() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeRepositories', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeRepositories',
+          (nextToken) => this.ecrClient.send(new DescribeRepositoriesCommand({ nextToken })),
+          (response) => response.repositories,
+          (response) => response.nextToken
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getRepositories' });
+      throw error;
+    }
+  }
+
+  /**
+   * 리포지토리 수명 주기 정책 조회 (정책이 없으면 null, 조회 실패 시 undefined)
+   */
+  async getLifecyclePolicy(repositoryName) {
+    try {
+      const command = new GetLifecyclePolicyCommand({ repositoryName });
+      const response = await this.inspector.retryableApiCall(
+        () => this.ecrClient.send(command),
+        'GetLifecyclePolicy'
+      );
+
+      return response.lifecyclePolicyText || null;
+    } catch (error) {
+      if (error.name === 'LifecyclePolicyNotFoundException') {
+        return null;
+      }
+      this.inspector.recordError(error, {
+        operation: 'getLifecyclePolicy',
+        repositoryName
+      });
+      return undefined;
+    }
+  }
+
+  /**
+   * 레지스트리 수준 스캔 설정 조회 (Inspector 고급 스캔 규칙 포함)
+   */
+  async getRegistryScanningConfiguration() {
+    try {
+      const command = new GetRegistryScanningConfigurationCommand({});
+      const response = await this.inspector.retryableApiCall(
+        () => this.ecrClient.send(command),
+        'GetRegistryScanningConfiguration'
+      );
+
+      return response.scanningConfiguration || null;
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getRegistryScanningConfiguration' });
+      return null;
+    }
+  }
+
+  /**
+   * 활성 ECS 작업 정의 패밀리별 최신 리비전 조회
+   */
+  async getLatestTaskDefinitions() {
+    try {
+      const families = await this.inspector.collectAllPages(
+        'ListTaskDefinitionFamilies',
+        (nextToken) => this.ecsClient.send(new ListTaskDefinitionFamiliesCommand({ status: 'ACTIVE', nextToken })),
+        (response) => response.families,
+        (response) => response.nextToken
+      );
+
+      const taskDefinitions = [];
+      for (const family of families) {
+        const taskDefinition = await this.describeTaskDefinition(family);
+        if (taskDefinition) {
+          taskDefinitions.push(taskDefinition);
+        }
+      }
+      return taskDefinitions;
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getLatestTaskDefinitions' });
+      throw error;
+    }
+  }
+
+  /**
+   * 작업 정의 상세 조회 (패밀리 이름만 지정하면 최신 ACTIVE 리비전)
+   */
+  async describeTaskDefinition(taskDefinition) {
+    try {
+      const command = new DescribeTaskDefinitionCommand({ taskDefinition });
+      const response = await this.inspector.retryableApiCall(
+        () => this.ecsClient.send(command),
+        'DescribeTaskDefinition'
+      );
+
+      return response.taskDefinition || null;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'describeTaskDefinition',
+        taskDefinition
+      });
+      return null;
+    }
+  }
+
+  /**
+   * EKS 클러스터 상세 목록 조회
+   */
+  async getClusters() {
+    try {
+      const clusterNames = await this.inspector.collectAllPages(
+        'ListClusters',
+        (nextToken) => this.eksClient.send(new ListClustersCommand({ nextToken })),
+        (response) => response.clusters,
+        (response) => response.nextToken
+      );
+
+      const clusters = [];
+      for (const name of clusterNames) {
+        const cluster = await this.describeCluster(name);
+        if (cluster) {
+          clusters.push(cluster);
+        }
+      }
+      return clusters;
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getClusters' });
+      throw error;
+    }
+  }
+
+  /**
+   * EKS 클러스터 상세 조회
+   */
+  async describeCluster(name) {
+    try {
+      const command = new DescribeClusterCommand({ name });
+      const response = await this.inspector.retryableApiCall(
+        () => this.eksClient.send(command),
+        'DescribeCluster'
+      );
+
+      return response.cluster || null;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'describeCluster',
+        name
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 작업 정의 표시용 이름 (family:revision)
+   */
+  getTaskDefinitionLabel(taskDefinition) {
+    return `${taskDefinition.family}:${taskDefinition.revision}`;
+  }
+}
+
+module.exports = ContainerDataCollector;
@@ -0,0 +1,93 @@
+const BaseInspector = require('../baseInspector');
+const EcrScanOnPushInspector = require('./checks/ecrScanOnPushInspector');
+const EcrImmutableTagsInspector = require('./checks/ecrImmutableTagsInspector');
+const EcrLifecyclePolicyInspector = require('./checks/ecrLifecyclePolicyInspector');
+const EcsPrivilegedInspector = require('./checks/ecsPrivilegedInspector');
+const EcsHostNetworkInspector = require('./checks/ecsHostNetworkInspector');
+const EcsEnvironmentSecretsInspector = require('./checks/ecsEnvironmentSecretsInspector');
+const EksPublicEndpointInspector = require('./checks/eksPublicEndpointInspector');
+const EksControlPlaneLoggingInspector = require('./checks/eksControlPlaneLoggingInspector');
+const EksVersionInspector = require('./checks/eksVersionInspector');
+
+class ContainerInspector extends BaseInspector {
+  constructor() {
+    super('CONTAINER');
+  }
+
+  async preInspectionValidation(awsCredentials, inspectionConfig) {
+    const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+    this.region = region;
+    this.logger.info(`Container inspection initialized for region: ${region}`);
+  }
+
+  async performItemInspection(awsCredentials, inspectionConfig) {
+    const targetItem = inspectionConfig.targetItem || inspectionConfig.targetItemId;
+
+    if (targetItem === 'all') {
+      return await this.performInspection(awsCredentials, inspectionConfig);
+    }
+
+    const inspectorMap = {
+      'ecr-scan-on-push': EcrScanOnPushInspector,
+      'ecr-immutable-tags': EcrImmutableTagsInspector,
+      'ecr-lifecycle-policy': EcrLifecyclePolicyInspector,
+      'ecs-privileged': EcsPrivilegedInspector,
+      'ecs-host-network': EcsHostNetworkInspector,
+      'ecs-env-secrets': EcsEnvironmentSecretsInspector,
+      'eks-public-endpoint': EksPublicEndpointInspector,
+      'eks-control-plane-logging': EksControlPlaneLoggingInspector,
+      'eks-version': EksVersionInspector
+    };
+
+    const InspectorClass = inspectorMap[targetItem];
+    if (InspectorClass) {
+      await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem);
+      return;
+    }
+
+    this.handleUnknownInspectionItem(targetItem);
+  }
+
+  async executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem) {
+    const inspector = new InspectorClass();
+    try {
+      await inspector.executeInspection(awsCredentials, inspectionConfig);
+      this.findings.push(...inspector.findings);
+      this.incrementResourceCount(inspector.resourcesScanned);
+      this.mergePartialCollections(inspector);
+    } catch (error) {
+      if (this.isCancelled()) {
+        // 취소된 경우 취소 전까지 발견된 결과는 유지
+        this.findings.push(...inspector.findings);
+        this.mergePartialCollections(inspector);
+      } else {
+        this.recordError(error, { targetItem });
+      }
+      throw error;
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    const inspectorClasses = [
+      EcrScanOnPushInspector,
+      EcrImmutableTagsInspector,
+      EcrLifecyclePolicyInspector,
+      EcsPrivilegedInspector,
+      EcsHostNetworkInspector,
+      EcsEnvironmentSecretsInspector,
+      EksPublicEndpointInspector,
+      EksControlPlaneLoggingInspector,
+      EksVersionInspector
+    ];
+
+    for (const InspectorClass of inspectorClasses) {
+      try {
+        await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig);
+      } catch (error) {
+        this.recordError(error, { context: `${InspectorClass.name} 실행` });
+      }
+    }
+  }
+}
+
+module.exports = ContainerInspector;
@@ -0,0 +1,126 @@
+const BaseInspector = require('../../baseInspector');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const DataStoreDataCollector = require('../collectors/dataStoreDataCollector');
+
+class DynamoDbDeletionProtectionInspector extends BaseInspector {
+  constructor() {
+    super('DATASTORE');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.dynamoDbClient = new DynamoDBClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new DataStoreDataCollector({ dynamoDbClient: this.dynamoDbClient }, this);
+
+      const tables = await this.dataCollector.getTables();
+
+      if (!Array.isArray(tables)) {
+        this.addFinding('tables', 'DynamoDBTable', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkTables(tables);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'dynamodb-deletion-protection',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkTables(tables) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const table of tables) {
+      this.incrementResourceCount();
+
+      const validation = this.validateTableFormat(table);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkTable(table);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateTableFormat(table) {
+    if (!table || typeof table !== 'object') {
+      return { valid: false, error: '테이블이 객체가 아님' };
+    }
+
+    if (!table.TableName) {
+      return { valid: false, error: 'TableName 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkTable(table) {
+    if (table.DeletionProtectionEnabled) return;
+
+    this.addFinding(
+      table.TableArn || table.TableName,
+      'DynamoDBTable',
+      `DynamoDB 테이블 '${table.TableName}'의 삭제 방지가 비활성화됨`,
+      '운영 데이터를 저장하는 테이블은 삭제 방지를 활성화하여 콘솔, CLI 또는 IaC 변경으로 테이블이 실수로 삭제되지 않도록 하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'DynamoDB 권한 부족', 'IAM 정책에 dynamodb:ListTables, dynamodb:DescribeTable 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'DynamoDB 삭제 방지 검사' });
+    }
+  }
+}
+
+module.exports = DynamoDbDeletionProtectionInspector;
@@ -0,0 +1,130 @@
+const BaseInspector = require('../../baseInspector');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const DataStoreDataCollector = require('../collectors/dataStoreDataCollector');
+
+class DynamoDbPitrInspector extends BaseInspector {
+  constructor() {
+    super('DATASTORE');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.dynamoDbClient = new DynamoDBClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new DataStoreDataCollector({ dynamoDbClient: this.dynamoDbClient }, this);
+
+      const tables = await this.dataCollector.getTables();
+
+      if (!Array.isArray(tables)) {
+        this.addFinding('tables', 'DynamoDBTable', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkTables(tables);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'dynamodb-pitr',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkTables(tables) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const table of tables) {
+      this.incrementResourceCount();
+
+      const validation = this.validateTableFormat(table);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkTable(table);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateTableFormat(table) {
+    if (!table || typeof table !== 'object') {
+      return { valid: false, error: '테이블이 객체가 아님' };
+    }
+
+    if (!table.TableName) {
+      return { valid: false, error: 'TableName 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkTable(table) {
+    // 생성/삭제 중인 테이블은 백업 설정을 조회할 수 없음
+    if (table.TableStatus !== 'ACTIVE') return;
+
+    const pitrEnabled = await this.dataCollector.getPointInTimeRecoveryEnabled(table.TableName);
+    if (pitrEnabled !== false) return;
+
+    this.addFinding(
+      table.TableArn || table.TableName,
+      'DynamoDBTable',
+      `DynamoDB 테이블 '${table.TableName}'의 특정 시점 복구(PITR)가 비활성화됨`,
+      'PITR을 활성화하여 실수로 인한 쓰기/삭제 발생 시 최근 35일 내 임의 시점으로 테이블을 복원할 수 있도록 하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'DynamoDB 권한 부족', 'IAM 정책에 dynamodb:ListTables, dynamodb:DescribeTable, dynamodb:DescribeContinuousBackups 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'DynamoDB 특정 시점 복구 검사' });
+    }
+  }
+}
+
+module.exports = DynamoDbPitrInspector;
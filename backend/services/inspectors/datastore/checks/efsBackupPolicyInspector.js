@@ -0,0 +1,130 @@
+const BaseInspector = require('../../baseInspector');
+const { EFSClient } = require('@aws-sdk/client-efs');
+const DataStoreDataCollector = require('../collectors/dataStoreDataCollector');
+
+class EfsBackupPolicyInspector extends BaseInspector {
+  constructor() {
+    super('DATASTORE');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.efsClient = new EFSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new DataStoreDataCollector({ efsClient: this.efsClient }, this);
+
+      const fileSystems = await this.dataCollector.getFileSystems();
+
+      if (!Array.isArray(fileSystems)) {
+        this.addFinding('file-systems', 'EFSFileSystem', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkFileSystems(fileSystems);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'efs-backup-policy',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkFileSystems(fileSystems) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const fileSystem of fileSystems) {
+      this.incrementResourceCount();
+
+      const validation = this.validateFileSystemFormat(fileSystem);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkFileSystem(fileSystem);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateFileSystemFormat(fileSystem) {
+    if (!fileSystem || typeof fileSystem !== 'object') {
+      return { valid: false, error: '파일 시스템이 객체가 아님' };
+    }
+
+    if (!fileSystem.FileSystemId) {
+      return { valid: false, error: 'FileSystemId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkFileSystem(fileSystem) {
+    const backupStatus = await this.dataCollector.getBackupPolicyStatus(fileSystem.FileSystemId);
+
+    // 조회 실패(undefined) 시 판단 보류
+    if (backupStatus === undefined) return;
+    if (backupStatus === 'ENABLED' || backupStatus === 'ENABLING') return;
+
+    this.addFinding(
+      fileSystem.FileSystemArn || fileSystem.FileSystemId,
+      'EFSFileSystem',
+      `EFS 파일 시스템 ${this.dataCollector.getFileSystemLabel(fileSystem)}의 자동 백업이 비활성화됨`,
+      '자동 백업을 활성화하거나 AWS Backup 백업 계획에 파일 시스템을 포함하여 데이터 손실 시 복원할 수 있도록 하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'EFS 권한 부족', 'IAM 정책에 elasticfilesystem:DescribeFileSystems, elasticfilesystem:DescribeBackupPolicy 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EFS 백업 정책 검사' });
+    }
+  }
+}
+
+module.exports = EfsBackupPolicyInspector;
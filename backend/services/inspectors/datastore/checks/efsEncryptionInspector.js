@@ -0,0 +1,126 @@
+const BaseInspector = require('../../baseInspector');
+const { EFSClient } = require('@aws-sdk/client-efs');
+const DataStoreDataCollector = require('../collectors/dataStoreDataCollector');
+
+class EfsEncryptionInspector extends BaseInspector {
+  constructor() {
+    super('DATASTORE');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.efsClient = new EFSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new DataStoreDataCollector({ efsClient: this.efsClient }, this);
+
+      const fileSystems = await this.dataCollector.getFileSystems();
+
+      if (!Array.isArray(fileSystems)) {
+        this.addFinding('file-systems', 'EFSFileSystem', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkFileSystems(fileSystems);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'efs-encryption',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkFileSystems(fileSystems) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const fileSystem of fileSystems) {
+      this.incrementResourceCount();
+
+      const validation = this.validateFileSystemFormat(fileSystem);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkFileSystem(fileSystem);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateFileSystemFormat(fileSystem) {
+    if (!fileSystem || typeof fileSystem !== 'object') {
+      return { valid: false, error: '파일 시스템이 객체가 아님' };
+    }
+
+    if (!fileSystem.FileSystemId) {
+      return { valid: false, error: 'FileSystemId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkFileSystem(fileSystem) {
+    if (fileSystem.Encrypted) return;
+
+    this.addFinding(
+      fileSystem.FileSystemArn || fileSystem.FileSystemId,
+      'EFSFileSystem',
+      `EFS 파일 시스템 ${this.dataCollector.getFileSystemLabel(fileSystem)}의 저장 데이터 암호화가 비활성화됨`,
+      '암호화는 생성 시에만 설정할 수 있으므로, 암호화된 새 파일 시스템을 만들고 AWS DataSync 등으로 데이터를 복사한 뒤 마운트 대상을 전환하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'EFS 권한 부족', 'IAM 정책에 elasticfilesystem:DescribeFileSystems 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EFS 암호화 검사' });
+    }
+  }
+}
+
+module.exports = EfsEncryptionInspector;
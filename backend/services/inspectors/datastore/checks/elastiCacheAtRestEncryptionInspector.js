@@ -0,0 +1,128 @@
+const BaseInspector = require('../../baseInspector');
+const { ElastiCacheClient } = require('@aws-sdk/client-elasticache');
+const DataStoreDataCollector = require('../collectors/dataStoreDataCollector');
+
+class ElastiCacheAtRestEncryptionInspector extends BaseInspector {
+  constructor() {
+    super('DATASTORE');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.elastiCacheClient = new ElastiCacheClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new DataStoreDataCollector({ elastiCacheClient: this.elastiCacheClient }, this);
+
+      const clusters = await this.dataCollector.getCacheClusters();
+
+      if (!Array.isArray(clusters)) {
+        this.addFinding('clusters', 'ElastiCacheCluster', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkClusters(clusters);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'elasticache-at-rest-encryption',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkClusters(clusters) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const cluster of clusters) {
+      this.incrementResourceCount();
+
+      const validation = this.validateClusterFormat(cluster);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkCluster(cluster);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateClusterFormat(cluster) {
+    if (!cluster || typeof cluster !== 'object') {
+      return { valid: false, error: '클러스터가 객체가 아님' };
+    }
+
+    if (!cluster.id) {
+      return { valid: false, error: 'id 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkCluster(cluster) {
+    // Memcached 노드 기반 클러스터는 저장 데이터 암호화를 지원하지 않음
+    if (cluster.engine === 'memcached') return;
+    if (cluster.atRestEncryptionEnabled) return;
+
+    this.addFinding(
+      cluster.arn || cluster.id,
+      cluster.resourceType,
+      `ElastiCache 클러스터 '${cluster.id}'(${cluster.engine})의 저장 데이터 암호화가 비활성화됨`,
+      '저장 데이터 암호화는 생성 시에만 설정할 수 있으므로, 백업에서 암호화를 활성화한 새 클러스터로 복원한 뒤 엔드포인트를 전환하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'ElastiCache 권한 부족', 'IAM 정책에 elasticache:DescribeReplicationGroups, elasticache:DescribeCacheClusters 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'ElastiCache 저장 데이터 암호화 검사' });
+    }
+  }
+}
+
+module.exports = ElastiCacheAtRestEncryptionInspector;
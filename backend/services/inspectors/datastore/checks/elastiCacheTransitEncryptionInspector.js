@@ -0,0 +1,131 @@
+const BaseInspector = require('../../baseInspector');
+const { ElastiCacheClient } = require('@aws-sdk/client-elasticache');
+const DataStoreDataCollector = require('../collectors/dataStoreDataCollector');
+
+class ElastiCacheTransitEncryptionInspector extends BaseInspector {
+  constructor() {
+    super('DATASTORE');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.elastiCacheClient = new ElastiCacheClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new DataStoreDataCollector({ elastiCacheClient: this.elastiCacheClient }, this);
+
+      const clusters = await this.dataCollector.getCacheClusters();
+
+      if (!Array.isArray(clusters)) {
+        this.addFinding('clusters', 'ElastiCacheCluster', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkClusters(clusters);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'elasticache-transit-encryption',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkClusters(clusters) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const cluster of clusters) {
+      this.incrementResourceCount();
+
+      const validation = this.validateClusterFormat(cluster);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkCluster(cluster);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateClusterFormat(cluster) {
+    if (!cluster || typeof cluster !== 'object') {
+      return { valid: false, error: '클러스터가 객체가 아님' };
+    }
+
+    if (!cluster.id) {
+      return { valid: false, error: 'id 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkCluster(cluster) {
+    if (cluster.transitEncryptionEnabled && cluster.transitEncryptionMode !== 'preferred') return;
+
+    // preferred 모드는 암호화되지 않은 연결도 허용하는 마이그레이션용 설정
+    const issue = cluster.transitEncryptionEnabled
+      ? `ElastiCache 클러스터 '${cluster.id}'의 전송 중 암호화가 preferred 모드로 설정되어 암호화되지 않은 연결 허용`
+      : `ElastiCache 클러스터 '${cluster.id}'(${cluster.engine})의 전송 중 암호화(TLS)가 비활성화됨`;
+
+    this.addFinding(
+      cluster.arn || cluster.id,
+      cluster.resourceType,
+      issue,
+      '전송 중 암호화를 활성화하고 모드를 required로 설정하여 클라이언트와 캐시 노드 간 트래픽을 TLS로 보호하세요. 클라이언트의 TLS 연결 설정을 먼저 확인하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'ElastiCache 권한 부족', 'IAM 정책에 elasticache:DescribeReplicationGroups, elasticache:DescribeCacheClusters 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'ElastiCache 전송 중 암호화 검사' });
+    }
+  }
+}
+
+module.exports = ElastiCacheTransitEncryptionInspector;
@@ -0,0 +1,208 @@
+/**
+ * Data Store Data Collector
+ * DynamoDB 테이블, ElastiCache 클러스터, EFS 파일 시스템 관련 데이터 수집을 담당하는 모듈
+ */
+
+const {
+  ListTablesCommand,
+  DescribeTableCommand,
+  DescribeContinuousBackupsCommand
+} = require('@aws-sdk/client-dynamodb');
+const {
+  DescribeReplicationGroupsCommand,
+  DescribeCacheClustersCommand
+} = require('@aws-sdk/client-elasticache');
+const {
+  DescribeFileSystemsCommand,
+  DescribeBackupPolicyCommand
+} = require('@aws-sdk/client-efs');
+
+class DataStoreDataCollector {
+  /**
+   * @param {Object} clients - { dynamoDbClient, elastiCacheClient, efsClient }
+   * @param {Object} inspector - 재시도/오류 기록을 담당하는 Inspector
+   */
+  constructor(clients, inspector) {
+    this.dynamoDbClient = clients.dynamoDbClient;
+    this.elastiCacheClient = clients.elastiCacheClient;
+    this.efsClient = clients.efsClient;
+    this.inspector = inspector;
+  }
+
+  /**
+   * DynamoDB 테이블 상세 목록 조회
+   */
+  async getTables() {
+    try {
+      const tableNames = await this.inspector.collectAllPages(
+        'ListTables',
+        (lastTableName) => this.dynamoDbClient.send(new ListTablesCommand({ ExclusiveStartTableName: lastTableName })),
+        (response) => response.TableNames,
+        (response) => response.LastEvaluatedTableName
+      );
+
+      const tables = [];
+      for (const tableName of tableNames) {
+        const table = await this.describeTable(tableName);
+        if (table) {
+          tables.push(table);
+        }
+      }
+      return tables;
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getTables' });
+      throw error;
+    }
+  }
+
+  /**
+   * DynamoDB 테이블 상세 조회
+   */
+  async describeTable(tableName) {
+    try {
+      const command = new DescribeTableCommand({ TableName: tableName });
+      const response = await this.inspector.retryableApiCall(
+        () => this.dynamoDbClient.send(command),
+        'DescribeTable'
+      );
+
+      return response.Table || null;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'describeTable',
+        tableName
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 특정 시점 복구(PITR) 활성화 여부 조회
+   */
+  async getPointInTimeRecoveryEnabled(tableName) {
+    try {
+      const command = new DescribeContinuousBackupsCommand({ TableName: tableName });
+      const response = await this.inspector.retryableApiCall(
+        () => this.dynamoDbClient.send(command),
+        'DescribeContinuousBackups'
+      );
+
+      const status = response.ContinuousBackupsDescription?.PointInTimeRecoveryDescription?.PointInTimeRecoveryStatus;
+      return status === 'ENABLED';
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getPointInTimeRecoveryEnabled',
+        tableName
+      });
+      return null;
+    }
+  }
+
+  /**
+   * ElastiCache 클러스터 목록 조회
+   * 복제 그룹과 복제 그룹에 속하지 않은 단독 클러스터를 동일한 형식으로 정규화
+   */
+  async getCacheClusters() {
+    try {
+      const [groups, cacheClusters] = await Promise.all([
+        this.inspector.collectAllPages(
+          'DescribeReplicationGroups',
+          (marker) => this.elastiCacheClient.send(new DescribeReplicationGroupsCommand({ Marker: marker })),
+          (response) => response.ReplicationGroups,
+          (response) => response.Marker
+        ),
+        this.inspector.collectAllPages(
+          'DescribeCacheClusters',
+          (marker) => this.elastiCacheClient.send(new DescribeCacheClustersCommand({ Marker: marker })),
+          (response) => response.CacheClusters,
+          (response) => response.Marker
+        )
+      ]);
+
+      const replicationGroups = groups.map(group => ({
+        id: group.ReplicationGroupId,
+        arn: group.ARN,
+        resourceType: 'ElastiCacheReplicationGroup',
+        engine: group.Engine || 'redis',
+        transitEncryptionEnabled: group.TransitEncryptionEnabled === true,
+        transitEncryptionMode: group.TransitEncryptionMode,
+        atRestEncryptionEnabled: group.AtRestEncryptionEnabled === true,
+        authTokenEnabled: group.AuthTokenEnabled === true,
+        userGroupIds: group.UserGroupIds || []
+      }));
+
+      const standaloneClusters = cacheClusters
+        .filter(cluster => !cluster.ReplicationGroupId)
+        .map(cluster => ({
+          id: cluster.CacheClusterId,
+          arn: cluster.ARN,
+          resourceType: 'ElastiCacheCluster',
+          engine: cluster.Engine,
+          transitEncryptionEnabled: cluster.TransitEncryptionEnabled === true,
+          transitEncryptionMode: cluster.TransitEncryptionMode,
+          atRestEncryptionEnabled: cluster.AtRestEncryptionEnabled === true,
+          authTokenEnabled: cluster.AuthTokenEnabled === true,
+          userGroupIds: []
+        }));
+
+      return [...replicationGroups, ...standaloneClusters];
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getCacheClusters' });
+      throw error;
+    }
+  }
+
+  /**
+   * EFS 파일 시스템 목록 조회
+   */
+  async getFileSystems() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeFileSystems', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeFileSystems',
+          (marker) => this.efsClient.send(new DescribeFileSystemsCommand({ Marker: marker })),
+          (response) => response.FileSystems,
+          (response) => response.NextMarker
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getFileSystems' });
+      throw error;
+    }
+  }
+
+  /**
+   * EFS 자동 백업 정책 상태 조회 (정책이 없으면 null, 조회 실패 시 undefined)
+   */
+  async getBackupPolicyStatus(fileSystemId) {
+    try {
+      const command = new DescribeBackupPolicyCommand({ FileSystemId: fileSystemId });
+      const response = await this.inspector.retryableApiCall(
+        () => this.efsClient.send(command),
+        'DescribeBackupPolicy'
+      );
+
+      return response.BackupPolicy?.Status || null;
+    } catch (error) {
+      if (error.name === 'PolicyNotFound') {
+        return null;
+      }
+      this.inspector.recordError(error, {
+        operation: 'getBackupPolicyStatus',
+        fileSystemId
+      });
+      return undefined;
+    }
+  }
+
+  /**
+   * EFS 파일 시스템 표시용 이름 (Name 태그 우선)
+   */
+  getFileSystemLabel(fileSystem) {
+    return fileSystem.Name
+      ? `${fileSystem.Name} (${fileSystem.FileSystemId})`
+      : fileSystem.FileSystemId;
+  }
+}
+
+module.exports = DataStoreDataCollector;
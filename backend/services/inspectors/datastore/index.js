@@ -0,0 +1,87 @@
+const BaseInspector = require('../baseInspector');
+const DynamoDbPitrInspector = require('./checks/dynamoDbPitrInspector');
+const DynamoDbDeletionProtectionInspector = require('./checks/dynamoDbDeletionProtectionInspector');
+const ElastiCacheTransitEncryptionInspector = require('./checks/elastiCacheTransitEncryptionInspector');
+const ElastiCacheAtRestEncryptionInspector = require('./checks/elastiCacheAtRestEncryptionInspector');
+const ElastiCacheAuthInspector = require('./checks/elastiCacheAuthInspector');
+const EfsEncryptionInspector = require('./checks/efsEncryptionInspector');
+const EfsBackupPolicyInspector = require('./checks/efsBackupPolicyInspector');
+
+class DataStoreInspector extends BaseInspector {
+  constructor() {
+    super('DATASTORE');
+  }
+
+  async preInspectionValidation(awsCredentials, inspectionConfig) {
+    const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+    this.region = region;
+    this.logger.info(`Data store inspection initialized for region: ${region}`);
+  }
+
+  async performItemInspection(awsCredentials, inspectionConfig) {
+    const targetItem = inspectionConfig.targetItem || inspectionConfig.targetItemId;
+
+    if (targetItem === 'all') {
+      return await this.performInspection(awsCredentials, inspectionConfig);
+    }
+
+    const inspectorMap = {
+      'dynamodb-pitr': DynamoDbPitrInspector,
+      'dynamodb-deletion-protection': DynamoDbDeletionProtectionInspector,
+      'elasticache-transit-encryption': ElastiCacheTransitEncryptionInspector,
+      'elasticache-at-rest-encryption': ElastiCacheAtRestEncryptionInspector,
+      'elasticache-auth': ElastiCacheAuthInspector,
+      'efs-encryption': EfsEncryptionInspector,
+      'efs-backup-policy': EfsBackupPolicyInspector
+    };
+
+    const InspectorClass = inspectorMap[targetItem];
+    if (InspectorClass) {
+      await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem);
+      return;
+    }
+
+    this.handleUnknownInspectionItem(targetItem);
+  }
+
+  async executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem) {
+    const inspector = new InspectorClass();
+    try {
+      await inspector.executeInspection(awsCredentials, inspectionConfig);
+      this.findings.push(...inspector.findings);
+      this.incrementResourceCount(inspector.resourcesScanned);
+      this.mergePartialCollections(inspector);
+    } catch (error) {
+      if (this.isCancelled()) {
+        // 취소된 경우 취소 전까지 발견된 결과는 유지
+        this.findings.push(...inspector.findings);
+        this.mergePartialCollections(inspector);
+      } else {
+        this.recordError(error, { targetItem });
+      }
+      throw error;
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    const inspectorClasses = [
+      DynamoDbPitrInspector,
+      DynamoDbDeletionProtectionInspector,
+      ElastiCacheTransitEncryptionInspector,
+      ElastiCacheAtRestEncryptionInspector,
+      ElastiCacheAuthInspector,
+      EfsEncryptionInspector,
+      EfsBackupPolicyInspector
+    ];
+
+    for (const InspectorClass of inspectorClasses) {
+      try {
+        await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig);
+      } catch (error) {
+        this.recordError(error, { context: `${InspectorClass.name} 실행` });
+      }
+    }
+  }
+}
+
+module.exports = DataStoreInspector;
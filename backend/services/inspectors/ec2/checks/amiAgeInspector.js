@@ -0,0 +1,143 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const EC2DataCollector = require('../collectors/ec2DataCollector');
+
+class AmiAgeInspector extends BaseInspector {
+  constructor() {
+    super('EC2');
+
+    // 기본 AMI 최대 사용 기간 (검사 설정 maxAmiAgeDays로 변경 가능)
+    this.defaultMaxAmiAgeDays = 180;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new EC2DataCollector(this.ec2Client, this);
+
+      this.maxAmiAgeDays = inspectionConfig.maxAmiAgeDays || this.defaultMaxAmiAgeDays;
+
+      const instances = await this.dataCollector.getEC2Instances();
+
+      if (!Array.isArray(instances)) {
+        this.addFinding('instances', 'EC2Instance', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkInstances(this.dataCollector.getActiveInstances(instances));
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'ami-age',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkInstances(instances) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    // 인스턴스가 사용하는 AMI를 한 번에 조회 (등록 해제된 AMI는 검사 제외)
+    const imageIds = [...new Set(instances.map(instance => instance?.ImageId).filter(Boolean))];
+    const images = await this.dataCollector.getImages(imageIds);
+    this.images = new Map(images.map(image => [image.ImageId, image]));
+
+    for (const instance of instances) {
+      this.incrementResourceCount();
+
+      const validation = this.validateInstanceFormat(instance);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkInstance(instance);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateInstanceFormat(instance) {
+    if (!instance || typeof instance !== 'object') {
+      return { valid: false, error: '인스턴스가 객체가 아님' };
+    }
+
+    if (!instance.InstanceId) {
+      return { valid: false, error: 'InstanceId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkInstance(instance) {
+    const image = this.images.get(instance.ImageId);
+    if (!image?.CreationDate) return;
+
+    const ageDays = Math.floor((Date.now() - new Date(image.CreationDate).getTime()) / (24 * 60 * 60 * 1000));
+    if (ageDays <= this.maxAmiAgeDays) return;
+
+    this.addFinding(
+      instance.InstanceId,
+      'EC2Instance',
+      `인스턴스 ${this.getInstanceName(instance)}가 ${ageDays}일 전에 생성된 AMI 사용 중 (${image.Name || instance.ImageId}, 기준 ${this.maxAmiAgeDays}일)`,
+      '최신 보안 패치가 적용된 AMI로 인스턴스를 교체하거나, EC2 Image Builder 파이프라인으로 골든 AMI를 주기적으로 갱신하세요'
+    );
+  }
+
+  getInstanceName(instance) {
+    const nameTag = instance.Tags?.find(tag => tag.Key === 'Name');
+    return nameTag ? `${nameTag.Value} (${instance.InstanceId})` : instance.InstanceId;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeInstances, ec2:DescribeImages 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EC2 AMI 사용 기간 검사' });
+    }
+  }
+}
+
+module.exports = AmiAgeInspector;
@@ -0,0 +1,505 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const { SavingsplansClient } = require('@aws-sdk/client-savingsplans');
+const EC2DataCollector = require('../collectors/ec2DataCollector');
+const {
+  HOURS_PER_MONTH,
+  parseInstanceType,
+  getSizeFactor,
+  getHourlyPrice,
+  getSizeLadder
+} = require('../pricing/instancePricing');
+
+class CommitmentCoverageInspector extends BaseInspector {
+  constructor() {
+    super('EC2');
+
+    // Savings Plans 예상 할인율 (1년 선결제 없음 기준 근사치, 실제 할인율은 타입·기간·결제 옵션에 따라 다름)
+    this.SAVINGS_PLAN_DISCOUNT_RATES = {
+      EC2Instance: 0.35,
+      Compute: 0.27
+    };
+
+    // 보고 최소 월 금액 (검사 설정 minCommitmentMonthlyAmount로 변경 가능)
+    this.DEFAULT_MIN_MONTHLY_AMOUNT = 50;
+
+    // 이 기간 이상 계속 실행된 인스턴스만 약정 구매 권장 대상 (검사 설정 steadyStateDays로 변경 가능)
+    this.DEFAULT_STEADY_STATE_DAYS = 30;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const credentials = {
+        accessKeyId: awsCredentials.accessKeyId,
+        secretAccessKey: awsCredentials.secretAccessKey,
+        sessionToken: awsCredentials.sessionToken
+      };
+
+      this.region = awsCredentials.region || 'us-east-1';
+      this.credentials = credentials;
+      this.ec2Client = new EC2Client({ region: this.region, credentials });
+      this.dataCollector = new EC2DataCollector(this.ec2Client, this);
+
+      // Savings Plans API는 us-east-1 엔드포인트로만 제공
+      this.savingsPlansClient = new SavingsplansClient({ region: 'us-east-1', credentials });
+
+      this.minMonthlyAmount = this.resolveNonNegativeNumber(inspectionConfig.minCommitmentMonthlyAmount, this.DEFAULT_MIN_MONTHLY_AMOUNT);
+      this.steadyStateDays = this.resolveNonNegativeNumber(inspectionConfig.steadyStateDays, this.DEFAULT_STEADY_STATE_DAYS);
+
+      const [instances, reservedInstances, savingsPlans] = await Promise.all([
+        this.dataCollector.getEC2Instances(),
+        this.dataCollector.getReservedInstances(),
+        this.getSavingsPlans()
+      ]);
+
+      if (!Array.isArray(instances) || !Array.isArray(reservedInstances)) {
+        this.addFinding('instances', 'EC2Instance', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      const computePlanShare = savingsPlans ? await this.getComputePlanShare(savingsPlans) : null;
+
+      await this.analyzeCoverage(instances, reservedInstances, savingsPlans, computePlanShare);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'commitment-coverage',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  /**
+   * 0 이상의 숫자 설정값 (그 외 값은 기본값 사용)
+   */
+  resolveNonNegativeNumber(value, defaultValue) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : defaultValue;
+  }
+
+  /**
+   * Savings Plans 조회 (실패 시 null - 약정 적용률은 판단하지 않고 예약 인스턴스 활용도만 분석)
+   */
+  async getSavingsPlans() {
+    try {
+      return await this.dataCollector.getActiveSavingsPlans(this.savingsPlansClient);
+    } catch (error) {
+      if (this.isPermissionError(error)) {
+        this.addFinding('system', 'Permission',
+          'Savings Plans 조회 권한 부족으로 약정 적용률을 판단할 수 없음',
+          'IAM 정책에 savingsplans:DescribeSavingsPlans 권한 추가');
+      } else {
+        this.addFinding('system', 'SavingsPlan',
+          `Savings Plans 조회 실패로 약정 적용률을 판단할 수 없음 (${error.name || error.message})`,
+          '잠시 후 다시 검사하세요');
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Compute SP 약정 중 이 리전에 배분할 비율
+   * Compute SP는 계정의 모든 리전에 적용되므로 리전마다 전체 약정액을 적용하면 다중 리전 검사에서 중복 계산됨
+   * 리전별 실행 중 인스턴스의 온디맨드 환산 요금 비중으로 배분 (Fargate·Lambda 사용분은 반영하지 않는 근사치)
+   * @returns {Promise<number|null>} 배분 비율 (조회 실패 시 null)
+   */
+  async getComputePlanShare(savingsPlans) {
+    if (!savingsPlans.some(plan => plan.savingsPlanType === 'Compute')) return 0;
+
+    try {
+      const { instanceTypesByRegion, failedRegions } = await this.dataCollector.getRunningInstanceTypesByRegion(region =>
+        region === this.region ? this.ec2Client : new EC2Client({ region, credentials: this.credentials })
+      );
+
+      if (failedRegions.length > 0) {
+        this.addFinding('system', 'EC2Region',
+          `리전 ${failedRegions.map(({ region, error }) => `${region}(${error})`).join(', ')}의 인스턴스 조회 실패로 Compute Savings Plan 배분에서 제외 (이 리전 배분 비율이 실제보다 높게 계산될 수 있음)`,
+          '옵트인되지 않은 리전이면 무시해도 되며, 사용 중인 리전이면 해당 리전의 ec2:DescribeInstances 권한과 SCP 제한을 확인하세요');
+      }
+
+      const hourlyCostByRegion = Object.entries(instanceTypesByRegion).map(([region, instanceTypes]) => [
+        region,
+        instanceTypes.reduce((sum, instanceType) => sum + (getHourlyPrice(instanceType) || 0), 0)
+      ]);
+      const totalHourly = hourlyCostByRegion.reduce((sum, [, hourly]) => sum + hourly, 0);
+      const regionHourly = hourlyCostByRegion.find(([region]) => region === this.region)?.[1] || 0;
+
+      return totalHourly > 0 ? regionHourly / totalHourly : 0;
+    } catch (error) {
+      if (this.isPermissionError(error)) {
+        this.addFinding('system', 'Permission',
+          '리전별 인스턴스 조회 권한 부족으로 Compute Savings Plan 배분과 약정 적용률을 판단할 수 없음',
+          'IAM 정책에 ec2:DescribeRegions 권한과 활성화된 모든 리전의 ec2:DescribeInstances 권한 추가');
+      } else {
+        this.recordError(error, { operation: 'getComputePlanShare' });
+        this.addFinding('system', 'SavingsPlan',
+          `리전별 인스턴스 조회 실패로 Compute Savings Plan 배분과 약정 적용률을 판단할 수 없음 (${error.name || error.message})`,
+          '잠시 후 다시 검사하세요');
+      }
+      return null;
+    }
+  }
+
+  isPermissionError(error) {
+    return ['AccessDenied', 'AccessDeniedException', 'UnauthorizedOperation'].includes(error?.name);
+  }
+
+  /**
+   * @param {Array|null} savingsPlans - 활성 Savings Plans (조회 실패 시 null)
+   * @param {number|null} computePlanShare - 이 리전에 배분할 Compute SP 비율 (판단 불가 시 null)
+   */
+  async analyzeCoverage(instances, reservedInstances, savingsPlans, computePlanShare = 0) {
+    const usageGroups = this.buildUsageGroups(instances);
+    const reservationGroups = this.buildReservationGroups(reservedInstances);
+
+    // 예약 인스턴스는 Savings Plans보다 먼저 적용되므로 RI 활용도는 Savings Plans 조회 결과와 무관하게 판단 가능
+    this.applyReservedInstances(usageGroups, reservationGroups);
+
+    for (const reservation of reservationGroups.values()) {
+      this.reportUnusedReservation(reservation);
+    }
+
+    // Savings Plans 적용분을 알 수 없으면 약정 미적용 사용분도 알 수 없으므로 적용률 결론은 생략
+    if (!savingsPlans || computePlanShare === null) return;
+
+    const planUsage = this.applySavingsPlans(usageGroups, savingsPlans, computePlanShare);
+
+    for (const usage of usageGroups.values()) {
+      this.reportUncoveredUsage(usage);
+    }
+
+    for (const { plan, unusedHourly } of planUsage) {
+      this.reportUnusedSavingsPlan(plan, unusedHourly);
+    }
+
+    this.reportCoverageSummary(usageGroups);
+  }
+
+  /**
+   * 실행 중인 인스턴스를 패밀리·플랫폼별 정규화 단위와 온디맨드 시간당 요금으로 집계
+   * 요금표는 Linux 기준이므로 Windows 등 라이선스 포함 플랫폼의 금액은 최소 추정치
+   */
+  buildUsageGroups(instances) {
+    const groups = new Map();
+    const steadyStateCutoff = Date.now() - this.steadyStateDays * 24 * 60 * 60 * 1000;
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const instance of instances) {
+      if (instance?.State?.Name !== 'running') continue;
+      this.incrementResourceCount();
+
+      const validation = this.validateInstanceFormat(instance);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      const parsed = parseInstanceType(instance.InstanceType);
+      const factor = parsed && getSizeFactor(parsed.size);
+      const hourlyPrice = getHourlyPrice(instance.InstanceType);
+      if (!factor || hourlyPrice === null) continue;
+
+      const platform = this.getInstancePlatform(instance);
+      const key = `${parsed.family}|${platform}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          family: parsed.family,
+          platform,
+          instanceCount: 0,
+          units: 0,
+          steadyUnits: 0,
+          hourlyCost: 0,
+          coveredUnits: 0,
+          uncoveredHourly: 0,
+          steadyUncoveredHourly: 0
+        });
+      }
+
+      const group = groups.get(key);
+      group.instanceCount += 1;
+      group.units += factor;
+      group.hourlyCost += hourlyPrice;
+
+      const launchTime = instance.LaunchTime ? new Date(instance.LaunchTime).getTime() : Date.now();
+      if (launchTime <= steadyStateCutoff) {
+        group.steadyUnits += factor;
+      }
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+
+    return groups;
+  }
+
+  /**
+   * 활성 예약 인스턴스를 패밀리·플랫폼별 정규화 단위와 실효 시간당 비용으로 집계
+   * 리전 범위 Linux RI의 인스턴스 크기 유연성을 기준으로 단위 환산
+   */
+  buildReservationGroups(reservedInstances) {
+    const groups = new Map();
+
+    for (const ri of reservedInstances) {
+      if (ri?.State !== 'active') continue;
+
+      const parsed = parseInstanceType(ri.InstanceType);
+      const factor = parsed && getSizeFactor(parsed.size);
+      if (!factor) continue;
+
+      const platform = (ri.ProductDescription || 'Linux/UNIX').replace(' (Amazon VPC)', '');
+      const key = `${parsed.family}|${platform}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          family: parsed.family,
+          platform,
+          units: 0,
+          hourlyCost: 0,
+          usedUnits: 0,
+          reservedInstanceIds: []
+        });
+      }
+
+      const count = ri.InstanceCount || 1;
+      const group = groups.get(key);
+      group.units += count * factor;
+      group.hourlyCost += count * this.getReservedHourlyCost(ri);
+      group.reservedInstanceIds.push(ri.ReservedInstancesId);
+    }
+
+    return groups;
+  }
+
+  /**
+   * 예약 인스턴스는 같은 패밀리·플랫폼 사용량에 먼저 적용 (장기 실행 인스턴스부터 적용된다고 가정)
+   */
+  applyReservedInstances(usageGroups, reservationGroups) {
+    for (const usage of usageGroups.values()) {
+      const reservation = reservationGroups.get(usage.key);
+      const reservedUnits = reservation?.units || 0;
+      const unitPrice = usage.hourlyCost / usage.units;
+
+      usage.coveredUnits = Math.min(usage.units, reservedUnits);
+      usage.uncoveredHourly = (usage.units - usage.coveredUnits) * unitPrice;
+      usage.steadyUncoveredHourly = Math.max(0, usage.steadyUnits - reservedUnits) * unitPrice;
+
+      if (reservation) {
+        reservation.usedUnits = usage.coveredUnits;
+      }
+    }
+  }
+
+  /**
+   * 남은 온디맨드 사용분에 Savings Plans 적용 (EC2 Instance SP 우선, 이후 Compute SP)
+   * @param {number} computePlanShare - 이 리전에 배분할 Compute SP 약정 비율
+   * @returns {Array} 검사 리전의 EC2 Instance SP별 미사용 시간당 약정액
+   */
+  applySavingsPlans(usageGroups, savingsPlans, computePlanShare) {
+    const planUsage = [];
+    const groups = Array.from(usageGroups.values()).sort((a, b) => b.uncoveredHourly - a.uncoveredHourly);
+
+    const instancePlans = savingsPlans.filter(plan =>
+      plan.savingsPlanType === 'EC2Instance' && plan.region === this.region
+    );
+    const computePlans = savingsPlans.filter(plan => plan.savingsPlanType === 'Compute');
+
+    for (const plan of instancePlans) {
+      const targets = groups.filter(group => group.family === plan.ec2InstanceFamily);
+      const remainingCommitment = this.applyPlanToGroups(plan, targets);
+      planUsage.push({ plan, unusedHourly: remainingCommitment });
+    }
+
+    // Compute SP는 다른 리전·Fargate·Lambda에도 적용되므로 배분된 약정만 적용하고 미사용 여부는 판단하지 않음
+    for (const plan of computePlans) {
+      this.applyPlanToGroups(plan, groups, (parseFloat(plan.commitment) || 0) * computePlanShare);
+    }
+
+    return planUsage;
+  }
+
+  applyPlanToGroups(plan, groups, commitment = parseFloat(plan.commitment) || 0) {
+    const discountRate = this.SAVINGS_PLAN_DISCOUNT_RATES[plan.savingsPlanType];
+    let remainingCommitment = commitment;
+
+    for (const group of groups) {
+      if (remainingCommitment <= 0) break;
+
+      // 약정액으로 충당 가능한 온디맨드 환산 금액
+      const coverableOnDemand = remainingCommitment / (1 - discountRate);
+      const applied = Math.min(group.uncoveredHourly, coverableOnDemand);
+      if (applied <= 0) continue;
+
+      group.uncoveredHourly -= applied;
+      group.steadyUncoveredHourly = Math.max(0, group.steadyUncoveredHourly - applied);
+      remainingCommitment -= applied * (1 - discountRate);
+    }
+
+    return remainingCommitment;
+  }
+
+  reportUncoveredUsage(usage) {
+    const uncoveredMonthly = usage.uncoveredHourly * HOURS_PER_MONTH;
+    if (uncoveredMonthly < this.minMonthlyAmount) return;
+
+    const coverage = (1 - usage.uncoveredHourly / usage.hourlyCost) * 100;
+    const steadyMonthly = usage.steadyUncoveredHourly * HOURS_PER_MONTH;
+
+    let recommendation;
+    if (steadyMonthly >= this.minMonthlyAmount) {
+      const steadyUnits = usage.steadyUncoveredHourly / (usage.hourlyCost / usage.units);
+      const discountRate = this.SAVINGS_PLAN_DISCOUNT_RATES.EC2Instance;
+      const commitment = usage.steadyUncoveredHourly * (1 - discountRate);
+      const monthlySavings = usage.steadyUncoveredHourly * discountRate * HOURS_PER_MONTH;
+
+      recommendation = `${this.steadyStateDays}일 이상 계속 실행된 사용분(월 $${steadyMonthly.toFixed(2)}) 기준으로 ` +
+        `${this.describePurchaseSize(usage.family, steadyUnits)} 규모의 리전 범위 예약 인스턴스 또는 ` +
+        `시간당 $${commitment.toFixed(3)} 규모의 EC2 Instance Savings Plan(${usage.family}) 구매 시 월 약 $${monthlySavings.toFixed(2)} 절감 예상`;
+    } else {
+      recommendation = `미적용 사용분 대부분이 ${this.steadyStateDays}일 미만 실행된 인스턴스입니다. 사용 패턴이 안정된 후 약정 구매를 검토하거나 불필요한 인스턴스를 정리하세요`;
+    }
+
+    this.addFinding(
+      `${this.region}/${usage.family}/${usage.platform}`,
+      'EC2OnDemandUsage',
+      `${usage.family} 패밀리(${usage.platform}, ${this.region}) 온디맨드 사용분 중 약정 미적용 월 $${uncoveredMonthly.toFixed(2)} (약정 적용률 ${coverage.toFixed(1)}%, 실행 중 ${usage.instanceCount}대)`,
+      recommendation
+    );
+  }
+
+  reportUnusedReservation(reservation) {
+    const unusedUnits = reservation.units - reservation.usedUnits;
+    if (unusedUnits <= 0) return;
+
+    const wastedMonthly = reservation.hourlyCost * (unusedUnits / reservation.units) * HOURS_PER_MONTH;
+    if (wastedMonthly < this.minMonthlyAmount) return;
+
+    const unusedRate = (unusedUnits / reservation.units) * 100;
+
+    this.addFinding(
+      reservation.reservedInstanceIds.join(', '),
+      'ReservedInstance',
+      `${reservation.family} 패밀리(${reservation.platform}) 예약 인스턴스 약정 중 ${unusedRate.toFixed(1)}% 미사용 (정규화 단위 ${unusedUnits}/${reservation.units}, 월 약 $${wastedMonthly.toFixed(2)} 낭비)`,
+      '같은 패밀리로 인스턴스를 전환하여 약정을 활용하거나, 전환형 RI는 교환하고 표준 RI는 RI 마켓플레이스 판매를 검토하세요'
+    );
+  }
+
+  reportUnusedSavingsPlan(plan, unusedHourly) {
+    const wastedMonthly = unusedHourly * HOURS_PER_MONTH;
+    if (wastedMonthly < this.minMonthlyAmount) return;
+
+    const commitment = parseFloat(plan.commitment) || 0;
+
+    this.addFinding(
+      plan.savingsPlanId,
+      'SavingsPlan',
+      `EC2 Instance Savings Plan(${plan.ec2InstanceFamily}, ${plan.region}) 시간당 약정 $${commitment.toFixed(3)} 중 $${unusedHourly.toFixed(3)} 미사용 (월 약 $${wastedMonthly.toFixed(2)} 낭비)`,
+      `${plan.ec2InstanceFamily} 패밀리 워크로드를 이 리전으로 통합하거나, 다른 패밀리 인스턴스를 ${plan.ec2InstanceFamily}로 전환하여 약정을 활용하세요`
+    );
+  }
+
+  reportCoverageSummary(usageGroups) {
+    const groups = Array.from(usageGroups.values());
+    const totalHourly = groups.reduce((sum, group) => sum + group.hourlyCost, 0);
+    const uncoveredHourly = groups.reduce((sum, group) => sum + group.uncoveredHourly, 0);
+
+    if (uncoveredHourly * HOURS_PER_MONTH < this.minMonthlyAmount) return;
+
+    const coverage = (1 - uncoveredHourly / totalHourly) * 100;
+
+    this.addFinding(
+      `${this.region}/commitment-coverage`,
+      'EC2OnDemandUsage',
+      `EC2 약정 적용률 ${coverage.toFixed(1)}% (${this.region} 온디맨드 환산 월 $${(totalHourly * HOURS_PER_MONTH).toFixed(2)} 중 약정 미적용 월 $${(uncoveredHourly * HOURS_PER_MONTH).toFixed(2)})`,
+      '패밀리별 권장 구매 규모를 참고하고, Cost Explorer의 Savings Plans 구매 권장 사항과 함께 검토하세요'
+    );
+  }
+
+  /**
+   * 정규화 단위를 구매 가능한 인스턴스 크기와 수량으로 표현 (보수적으로 내림)
+   */
+  describePurchaseSize(family, units) {
+    const ladder = getSizeLadder(family);
+    const size = units >= getSizeFactor('large') && ladder.includes('large')
+      ? 'large'
+      : [...ladder].reverse().find(candidate => getSizeFactor(candidate) <= units);
+
+    if (!size) return `정규화 단위 ${units.toFixed(1)}`;
+
+    const count = Math.floor(units / getSizeFactor(size));
+    return `${family}.${size} ${count}개`;
+  }
+
+  /**
+   * 예약 인스턴스의 실효 시간당 비용 (선결제 금액을 기간으로 분할 + 시간당 요금)
+   */
+  getReservedHourlyCost(ri) {
+    const durationHours = (ri.Duration || 0) / 3600;
+    const amortizedFixed = durationHours > 0 ? (ri.FixedPrice || 0) / durationHours : 0;
+    const recurringHourly = (ri.RecurringCharges || [])
+      .filter(charge => charge.Frequency === 'Hourly')
+      .reduce((sum, charge) => sum + (charge.Amount || 0), 0);
+
+    return amortizedFixed + (ri.UsagePrice || 0) + recurringHourly;
+  }
+
+  getInstancePlatform(instance) {
+    if (instance.PlatformDetails) return instance.PlatformDetails;
+    return instance.Platform === 'windows' ? 'Windows' : 'Linux/UNIX';
+  }
+
+  validateInstanceFormat(instance) {
+    if (!instance || typeof instance !== 'object') {
+      return { valid: false, error: '인스턴스가 객체가 아님' };
+    }
+
+    if (!instance.InstanceId || !instance.InstanceType) {
+      return { valid: false, error: 'InstanceId 또는 InstanceType 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeInstances, ec2:DescribeReservedInstances, ec2:DescribeRegions, savingsplans:DescribeSavingsPlans 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EC2 약정 적용률 분석' });
+    }
+  }
+}
+
+module.exports = CommitmentCoverageInspector;
@@ -0,0 +1,81 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const EC2DataCollector = require('../collectors/ec2DataCollector');
+
+class EbsDefaultEncryptionInspector extends BaseInspector {
+  constructor() {
+    super('EC2');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const region = awsCredentials.region || 'us-east-1';
+
+      this.ec2Client = new EC2Client({
+        region: region,
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new EC2DataCollector(this.ec2Client, this);
+
+      const encryptionByDefault = await this.dataCollector.getEbsEncryptionByDefault();
+      this.incrementResourceCount();
+
+      // 기본 암호화는 리전 단위 설정
+      if (!encryptionByDefault) {
+        this.addFinding(
+          `ebs-encryption-by-default-${region}`,
+          'EBSAccountSetting',
+          `${region} 리전의 EBS 기본 암호화가 비활성화됨`,
+          'EC2 콘솔의 EBS 암호화 설정 또는 EnableEbsEncryptionByDefault API로 기본 암호화를 활성화하여 새로 생성되는 볼륨과 스냅샷 복사본이 항상 암호화되도록 하세요'
+        );
+      }
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'ebs-default-encryption',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:GetEbsEncryptionByDefault 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EBS 기본 암호화 검사' });
+    }
+  }
+}
+
+module.exports = EbsDefaultEncryptionInspector;
@@ -0,0 +1,141 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const EC2DataCollector = require('../collectors/ec2DataCollector');
+
+class Gp3MigrationInspector extends BaseInspector {
+  constructor() {
+    super('EC2');
+
+    // us-east-1 기준 GiB당 월 요금 (USD)
+    this.GP2_PRICE_PER_GB = 0.10;
+    this.GP3_PRICE_PER_GB = 0.08;
+    this.GP3_BASELINE_IOPS = 3000;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new EC2DataCollector(this.ec2Client, this);
+
+      const volumes = await this.dataCollector.getVolumes();
+
+      if (!Array.isArray(volumes)) {
+        this.addFinding('volumes', 'EBSVolume', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkVolumes(volumes);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'gp3-migration',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkVolumes(volumes) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const volume of volumes) {
+      this.incrementResourceCount();
+
+      const validation = this.validateVolumeFormat(volume);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkVolume(volume);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateVolumeFormat(volume) {
+    if (!volume || typeof volume !== 'object') {
+      return { valid: false, error: '볼륨이 객체가 아님' };
+    }
+
+    if (!volume.VolumeId) {
+      return { valid: false, error: 'VolumeId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkVolume(volume) {
+    if (volume.VolumeType !== 'gp2') return;
+
+    const size = volume.Size || 0;
+    const monthlySavings = size * (this.GP2_PRICE_PER_GB - this.GP3_PRICE_PER_GB);
+    // gp2는 GiB당 3 IOPS를 제공하므로 1,000GiB를 넘으면 gp3 기본 성능(3,000 IOPS)보다 높음
+    const iopsNote = volume.Iops > this.GP3_BASELINE_IOPS
+      ? ` 현재 ${volume.Iops} IOPS를 유지하려면 gp3 전환 시 IOPS를 추가로 프로비저닝하세요.`
+      : '';
+
+    this.addFinding(
+      volume.VolumeId,
+      'EBSVolume',
+      `볼륨 ${this.getVolumeName(volume)}이 이전 세대 gp2 유형 사용 (${size}GiB, 예상 절감액 월 $${monthlySavings.toFixed(2)})`,
+      `gp3는 동일 용량 기준 약 20% 저렴하고 용량과 무관하게 3,000 IOPS/125MiB/s를 기본 제공합니다. ModifyVolume으로 중단 없이 gp3로 전환하세요.${iopsNote}`
+    );
+  }
+
+  getVolumeName(volume) {
+    const nameTag = volume.Tags?.find(tag => tag.Key === 'Name');
+    return nameTag ? `${nameTag.Value} (${volume.VolumeId})` : volume.VolumeId;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeVolumes 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EBS 볼륨 검사' });
+    }
+  }
+}
+
+module.exports = Gp3MigrationInspector;
@@ -0,0 +1,137 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const EC2DataCollector = require('../collectors/ec2DataCollector');
+
+class ImdsV2Inspector extends BaseInspector {
+  constructor() {
+    super('EC2');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new EC2DataCollector(this.ec2Client, this);
+
+      const instances = await this.dataCollector.getEC2Instances();
+
+      if (!Array.isArray(instances)) {
+        this.addFinding('instances', 'EC2Instance', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkInstances(this.dataCollector.getActiveInstances(instances));
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'imdsv2-enforcement',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkInstances(instances) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const instance of instances) {
+      this.incrementResourceCount();
+
+      const validation = this.validateInstanceFormat(instance);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkInstance(instance);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateInstanceFormat(instance) {
+    if (!instance || typeof instance !== 'object') {
+      return { valid: false, error: '인스턴스가 객체가 아님' };
+    }
+
+    if (!instance.InstanceId) {
+      return { valid: false, error: 'InstanceId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkInstance(instance) {
+    const metadataOptions = instance.MetadataOptions || {};
+
+    // 메타데이터 엔드포인트가 꺼져 있으면 IMDSv1 노출 위험 없음
+    if (metadataOptions.HttpEndpoint === 'disabled') return;
+    if (metadataOptions.HttpTokens === 'required') return;
+
+    const hopLimitText = metadataOptions.HttpPutResponseHopLimit > 1
+      ? `, 응답 홉 제한 ${metadataOptions.HttpPutResponseHopLimit}`
+      : '';
+
+    this.addFinding(
+      instance.InstanceId,
+      'EC2Instance',
+      `인스턴스 ${this.getInstanceName(instance)}가 IMDSv2를 강제하지 않음 (HttpTokens: ${metadataOptions.HttpTokens || 'optional'}${hopLimitText})`,
+      '인스턴스 메타데이터 옵션에서 HttpTokens를 required로 설정하여 IMDSv1을 차단하세요. SSRF 취약점을 통한 자격 증명 탈취를 방지할 수 있으며, 계정 수준 기본값으로 IMDSv2를 지정하면 신규 인스턴스에도 적용됩니다'
+    );
+  }
+
+  getInstanceName(instance) {
+    const nameTag = instance.Tags?.find(tag => tag.Key === 'Name');
+    return nameTag ? `${nameTag.Value} (${instance.InstanceId})` : instance.InstanceId;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeInstances 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EC2 IMDSv2 검사' });
+    }
+  }
+}
+
+module.exports = ImdsV2Inspector;
@@ -0,0 +1,223 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const { IAMClient } = require('@aws-sdk/client-iam');
+const IAMDataCollector = require('../../iam/collectors/iamDataCollector');
+const EC2DataCollector = require('../collectors/ec2DataCollector');
+
+class InstanceProfileInspector extends BaseInspector {
+  constructor() {
+    super('EC2');
+
+    // 관리자 수준으로 간주하는 AWS 관리형 정책 (IAMFullAccess는 권한 상승 가능)
+    this.adminManagedPolicyArns = [
+      'arn:aws:iam::aws:policy/AdministratorAccess',
+      'arn:aws:iam::aws:policy/IAMFullAccess'
+    ];
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new EC2DataCollector(this.ec2Client, this);
+
+      // IAM은 글로벌 서비스이므로 us-east-1로 클라이언트 생성
+      this.iamDataCollector = new IAMDataCollector(new IAMClient({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      }), this);
+
+      // 여러 인스턴스가 같은 프로파일을 공유하므로 분석 결과 캐시
+      this.profileAnalysis = new Map();
+
+      const instances = await this.dataCollector.getEC2Instances();
+
+      if (!Array.isArray(instances)) {
+        this.addFinding('instances', 'EC2Instance', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkInstances(this.dataCollector.getActiveInstances(instances));
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'instance-profile',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkInstances(instances) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const instance of instances) {
+      this.incrementResourceCount();
+
+      const validation = this.validateInstanceFormat(instance);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkInstance(instance);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateInstanceFormat(instance) {
+    if (!instance || typeof instance !== 'object') {
+      return { valid: false, error: '인스턴스가 객체가 아님' };
+    }
+
+    if (!instance.InstanceId) {
+      return { valid: false, error: 'InstanceId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkInstance(instance) {
+    const profileArn = instance.IamInstanceProfile?.Arn;
+
+    if (!profileArn) {
+      if (instance.State?.Name !== 'running') return;
+
+      this.addFinding(
+        instance.InstanceId,
+        'EC2Instance',
+        `인스턴스 ${this.getInstanceName(instance)}에 IAM 인스턴스 프로파일이 연결되지 않음`,
+        '필요한 최소 권한의 역할을 인스턴스 프로파일로 연결하세요. 액세스 키를 인스턴스에 저장하는 대신 역할의 임시 자격 증명을 사용해야 하며, Systems Manager 관리에도 역할이 필요합니다'
+      );
+      return;
+    }
+
+    const adminPolicies = await this.getAdminPolicies(profileArn);
+    if (adminPolicies.length === 0) return;
+
+    this.addFinding(
+      instance.InstanceId,
+      'EC2Instance',
+      `인스턴스 ${this.getInstanceName(instance)}의 인스턴스 프로파일 '${this.getProfileName(profileArn)}'에 관리자 수준 권한 부여됨: ${adminPolicies.join(', ')}`,
+      '인스턴스 역할에서 관리자 권한을 제거하고 워크로드에 필요한 작업과 리소스만 허용하는 정책으로 교체하세요. 인스턴스가 침해되면 계정 전체가 노출됩니다'
+    );
+  }
+
+  /**
+   * 인스턴스 프로파일 역할의 관리자 수준 정책 이름 목록 (프로파일 단위 캐시)
+   */
+  async getAdminPolicies(profileArn) {
+    if (this.profileAnalysis.has(profileArn)) {
+      return this.profileAnalysis.get(profileArn);
+    }
+
+    const adminPolicies = [];
+    const profile = await this.iamDataCollector.getInstanceProfile(this.getProfileName(profileArn));
+
+    for (const role of profile?.Roles || []) {
+      const attachedPolicies = await this.iamDataCollector.getAttachedRolePolicies(role.RoleName);
+      for (const policy of attachedPolicies) {
+        if (this.adminManagedPolicyArns.includes(policy.PolicyArn)) {
+          adminPolicies.push(policy.PolicyName);
+          continue;
+        }
+
+        // AWS 관리형 정책은 위 목록으로만 판단하고 고객 관리형 정책만 문서 분석
+        if (policy.PolicyArn.startsWith('arn:aws:iam::aws:policy/')) continue;
+
+        const document = await this.iamDataCollector.getManagedPolicyDocument(policy.PolicyArn);
+        if (this.grantsFullAccess(document)) {
+          adminPolicies.push(policy.PolicyName);
+        }
+      }
+
+      const inlinePolicies = await this.iamDataCollector.getRoleInlinePolicies(role.RoleName);
+      for (const policy of inlinePolicies) {
+        if (this.grantsFullAccess(policy.document)) {
+          adminPolicies.push(`${policy.policyName} (인라인)`);
+        }
+      }
+    }
+
+    this.profileAnalysis.set(profileArn, adminPolicies);
+    return adminPolicies;
+  }
+
+  /**
+   * 조건 없이 모든 리소스에 모든 작업을 허용하는 문장이 있는지 확인
+   */
+  grantsFullAccess(document) {
+    const statements = [].concat(document?.Statement || []);
+
+    return statements.some(statement =>
+      statement.Effect === 'Allow' &&
+      !statement.Condition &&
+      [].concat(statement.Action || []).includes('*') &&
+      [].concat(statement.Resource || []).includes('*')
+    );
+  }
+
+  getProfileName(profileArn) {
+    return profileArn.split('/').pop();
+  }
+
+  getInstanceName(instance) {
+    const nameTag = instance.Tags?.find(tag => tag.Key === 'Name');
+    return nameTag ? `${nameTag.Value} (${instance.InstanceId})` : instance.InstanceId;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeInstances, iam:GetInstanceProfile, iam:ListAttachedRolePolicies, iam:ListRolePolicies, iam:GetRolePolicy, iam:GetPolicy, iam:GetPolicyVersion 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EC2 인스턴스 프로파일 검사' });
+    }
+  }
+}
+
+module.exports = InstanceProfileInspector;
@@ -1,9 +1,42 @@
 const BaseInspector = require('../../baseInspector');
-const { CloudWatchClient, GetMetricStatisticsCommand } = require('@aws-sdk/client-cloudwatch');
+const { CloudWatchClient, GetMetricStatisticsCommand, ListMetricsCommand } = require('@aws-sdk/client-cloudwatch');
+const {
+  parseInstanceType,
+  getSizeFactor,
+  getMonthlyPrice,
+  getSizeLadder,
+  getGravitonFamily
+} = require('../pricing/instancePricing');
 
 class InstanceTypeOptimizationInspector extends BaseInspector {
   constructor() {
     super('EC2');
+
+    // 기본 분석 기간 (검사 설정 rightsizingLookbackDays로 변경 가능)
+    this.DEFAULT_LOOKBACK_DAYS = 14;
+
+    // 분석 기간 범위 (시간 단위 조회가 CloudWatch 요청당 최대 1,440개 데이터포인트를 넘지 않도록 60일로 제한)
+    this.MIN_LOOKBACK_DAYS = 1;
+    this.MAX_LOOKBACK_DAYS = 60;
+
+    // 다운사이징 대상 크기에서 허용하는 예상 사용률 상한
+    // CPU 최대값은 순간 피크이므로 대상 크기에서 포화(100%)되지 않는지만 확인
+    this.DOWNSIZE_TARGET_CPU_P95 = 60;
+    this.DOWNSIZE_TARGET_CPU_MAX = 100;
+    this.DOWNSIZE_TARGET_MEMORY_MAX = 80;
+
+    // 업사이징 권장 기준
+    this.UPSIZE_CPU_P95 = 80;
+    this.UPSIZE_MEMORY_P95 = 90;
+
+    // 정규화 계수 1(small)당 기준 네트워크 대역폭 추정치 (Mbps, m5.large 기준 약 750Mbps)
+    this.NETWORK_BASELINE_MBPS_PER_UNIT = 150;
+
+    // CloudWatch 에이전트 메모리 지표 (Linux, Windows)
+    this.MEMORY_METRICS = [
+      { namespace: 'CWAgent', metricName: 'mem_used_percent' },
+      { namespace: 'CWAgent', metricName: 'Memory % Committed Bytes In Use' }
+    ];
   }
 
   async retryableApiCall(apiCall, operationName, maxRetries = 3) {
@@ -28,6 +61,8 @@ class InstanceTypeOptimizationInspector extends BaseInspector {
         }
       });
 
+      this.lookbackDays = this.resolveLookbackDays(inspectionConfig.rightsizingLookbackDays);
+
       await this.preInspectionValidation(awsCredentials, inspectionConfig);
       const instances = await this.dataCollector.getEC2Instances();
       
@@ -69,6 +104,14 @@ class InstanceTypeOptimizationInspector extends BaseInspector {
     }];
   }
 
+  /**
+   * 분석 기간 결정 (정수가 아니면 기본값, 범위를 벗어나면 최소·최대값으로 제한)
+   */
+  resolveLookbackDays(value) {
+    if (!Number.isInteger(value)) return this.DEFAULT_LOOKBACK_DAYS;
+    return Math.min(Math.max(value, this.MIN_LOOKBACK_DAYS), this.MAX_LOOKBACK_DAYS);
+  }
+
   async checkInstanceOptimization(instances) {
     let hasFormatError = false;
     const formatErrors = new Set();
@@ -115,72 +158,300 @@ class InstanceTypeOptimizationInspector extends BaseInspector {
   async analyzeInstanceUtilization(instance) {
     try {
       const endTime = new Date();
-      const startTime = new Date(endTime.getTime() - 7 * 24 * 60 * 60 * 1000); // 7일 전
-      
-      const cpuUtilization = await this.getCPUUtilization(instance.InstanceId, startTime, endTime);
-      
-      if (cpuUtilization === null) return;
-      
-      if (cpuUtilization < 10) {
-        this.addFinding(
-          instance.InstanceId,
-          'EC2Instance',
-          `CPU 사용률이 낮음 (평균 ${cpuUtilization.toFixed(1)}%)`,
-          `인스턴스 타입을 더 작은 크기로 다운사이징하여 비용을 절약하세요. 현재 타입: ${instance.InstanceType}`
-        );
-      } else if (cpuUtilization > 80) {
-        this.addFinding(
-          instance.InstanceId,
-          'EC2Instance',
-          `CPU 사용률이 높음 (평균 ${cpuUtilization.toFixed(1)}%)`,
-          `인스턴스 타입을 더 큰 크기로 업그레이드하여 성능을 개선하세요. 현재 타입: ${instance.InstanceType}`
-        );
-      }
+      const startTime = new Date(endTime.getTime() - this.lookbackDays * 24 * 60 * 60 * 1000);
+
+      const [cpu, memory, networkPeakMbps] = await Promise.all([
+        this.getCPUUtilization(instance.InstanceId, startTime, endTime),
+        this.getMemoryUtilization(instance.InstanceId, startTime, endTime),
+        this.getNetworkPeakMbps(instance, startTime, endTime)
+      ]);
+
+      if (cpu === null) return;
+
+      const metrics = { cpu, memory, networkPeakMbps };
+      const recommendation = this.getRecommendation(instance, metrics);
+      if (!recommendation) return;
+
+      this.reportRecommendation(instance, metrics, recommendation);
     } catch (error) {
       this.recordError(error, { context: `인스턴스 ${instance.InstanceId} 분석` });
     }
   }
 
+  /**
+   * 사용률 지표로 권장 인스턴스 타입 결정
+   * @returns {Object|null} { action: 'downsize'|'upsize', targetType } 또는 변경 불필요 시 null
+   *   targetType은 제공 크기를 알 수 없는 패밀리인 경우 null
+   */
+  getRecommendation(instance, metrics) {
+    const parsed = parseInstanceType(instance.InstanceType);
+    if (!parsed || getSizeFactor(parsed.size) === null) return null;
+
+    const ladder = getSizeLadder(parsed.family);
+    const { cpu, memory } = metrics;
+    if (cpu.p95 > this.UPSIZE_CPU_P95 || (memory && memory.p95 > this.UPSIZE_MEMORY_P95)) {
+      const nextSize = ladder[ladder.indexOf(parsed.size) + 1];
+      return {
+        action: 'upsize',
+        targetType: ladder.includes(parsed.size) && nextSize ? `${parsed.family}.${nextSize}` : null
+      };
+    }
+
+    // 요금표에 없는 패밀리는 존재하지 않는 타입을 권장하지 않도록 절반 크기 기준으로만 판단하고 타입은 제시하지 않음
+    if (!ladder.includes(parsed.size)) {
+      const halfFactor = getSizeFactor(parsed.size) / 2;
+      return this.fitsTargetSize(metrics, 2, halfFactor) ? { action: 'downsize', targetType: null } : null;
+    }
+
+    const targetSize = this.findDownsizeTarget(parsed, metrics);
+    if (!targetSize) return null;
+
+    return { action: 'downsize', targetType: `${parsed.family}.${targetSize}` };
+  }
+
+  /**
+   * 예상 사용률이 기준 이내인 가장 작은 크기 탐색 (한 단계씩 축소)
+   */
+  findDownsizeTarget(parsed, metrics) {
+    const ladder = getSizeLadder(parsed.family);
+    const currentIndex = ladder.indexOf(parsed.size);
+    const currentFactor = getSizeFactor(parsed.size);
+    let targetSize = null;
+
+    for (let index = currentIndex - 1; index >= 0; index--) {
+      const targetFactor = getSizeFactor(ladder[index]);
+      if (!this.fitsTargetSize(metrics, currentFactor / targetFactor, targetFactor)) break;
+      targetSize = ladder[index];
+    }
+
+    return targetSize;
+  }
+
+  fitsTargetSize(metrics, scale, targetFactor) {
+    const { cpu, memory, networkPeakMbps } = metrics;
+
+    if (cpu.p95 * scale > this.DOWNSIZE_TARGET_CPU_P95) return false;
+    if (cpu.maximum * scale > this.DOWNSIZE_TARGET_CPU_MAX) return false;
+    if (memory && memory.maximum * scale > this.DOWNSIZE_TARGET_MEMORY_MAX) return false;
+    if (networkPeakMbps !== null && networkPeakMbps > this.NETWORK_BASELINE_MBPS_PER_UNIT * targetFactor) return false;
+
+    return true;
+  }
+
+  reportRecommendation(instance, metrics, recommendation) {
+    const { action, targetType } = recommendation;
+    const instanceName = this.getInstanceName(instance);
+    const utilizationText = this.getUtilizationSummary(metrics);
+
+    if (action === 'upsize') {
+      const additionalCost = this.getMonthlyDifference(targetType, instance.InstanceType);
+      this.addFinding(
+        instance.InstanceId,
+        'EC2Instance',
+        `인스턴스 ${instanceName}의 사용률이 높음 (${utilizationText})`,
+        targetType
+          ? `${instance.InstanceType} → ${targetType}로 업사이징하여 성능을 개선하세요${additionalCost !== null ? ` (예상 추가 비용 월 $${additionalCost.toFixed(2)})` : ''}`
+          : `인스턴스 타입을 더 큰 크기로 업그레이드하여 성능을 개선하세요. 현재 타입: ${instance.InstanceType}`
+      );
+      return;
+    }
+
+    if (!targetType) {
+      this.addFinding(
+        instance.InstanceId,
+        'EC2Instance',
+        `인스턴스 ${instanceName}의 사용률이 낮음 (${utilizationText})`,
+        `같은 패밀리의 더 작은 크기로 다운사이징을 검토하세요. 현재 타입: ${instance.InstanceType}`
+      );
+      return;
+    }
+
+    const monthlySavings = this.getMonthlyDifference(instance.InstanceType, targetType);
+    const recommendations = [
+      `${instance.InstanceType} → ${targetType}로 다운사이징을 권장합니다${monthlySavings !== null ? ` (예상 절감액 월 $${monthlySavings.toFixed(2)})` : ''}`
+    ];
+
+    const gravitonType = this.getGravitonType(instance, targetType);
+    if (gravitonType) {
+      const gravitonSavings = this.getMonthlyDifference(instance.InstanceType, gravitonType);
+      recommendations.push(`arm64 호환 워크로드라면 Graviton ${gravitonType}로 전환 시 월 $${gravitonSavings.toFixed(2)} 절감 가능`);
+    }
+
+    if (!metrics.memory) {
+      recommendations.push('메모리 지표가 없으므로 CloudWatch 에이전트로 메모리 사용량을 확인한 후 적용하세요');
+    }
+
+    this.addFinding(
+      instance.InstanceId,
+      'EC2Instance',
+      `인스턴스 ${instanceName}의 사용률이 낮음 (${utilizationText})`,
+      recommendations.join('. ')
+    );
+  }
+
+  /**
+   * 같은 크기의 Graviton 대응 타입 (x86 Linux 인스턴스만 해당)
+   */
+  getGravitonType(instance, targetType) {
+    if (instance.Architecture !== 'x86_64' || instance.Platform === 'windows') return null;
+
+    const parsed = parseInstanceType(targetType);
+    const gravitonFamily = getGravitonFamily(parsed.family);
+    if (!gravitonFamily) return null;
+
+    const gravitonType = `${gravitonFamily}.${parsed.size}`;
+    return getMonthlyPrice(gravitonType) === null ? null : gravitonType;
+  }
+
+  getMonthlyDifference(fromType, toType) {
+    const fromPrice = getMonthlyPrice(fromType);
+    const toPrice = getMonthlyPrice(toType);
+    if (fromPrice === null || toPrice === null) return null;
+    return fromPrice - toPrice;
+  }
+
+  getUtilizationSummary(metrics) {
+    const { cpu, memory, networkPeakMbps } = metrics;
+    const parts = [
+      `최근 ${this.lookbackDays}일 CPU 평균 ${cpu.average.toFixed(1)}%, p95 ${cpu.p95.toFixed(1)}%, 최대 ${cpu.maximum.toFixed(1)}%`,
+      memory
+        ? `메모리 p95 ${memory.p95.toFixed(1)}%, 최대 ${memory.maximum.toFixed(1)}%`
+        : '메모리 지표 없음'
+    ];
+
+    if (networkPeakMbps !== null) {
+      parts.push(`네트워크 최대 ${networkPeakMbps.toFixed(1)}Mbps`);
+    }
+
+    return parts.join(', ');
+  }
+
   async getCPUUtilization(instanceId, startTime, endTime) {
+    return await this.getMetricSummary(
+      'AWS/EC2',
+      'CPUUtilization',
+      [{ Name: 'InstanceId', Value: instanceId }],
+      startTime,
+      endTime
+    );
+  }
+
+  /**
+   * CloudWatch 에이전트 메모리 사용률 (에이전트 미설치 시 null)
+   * 에이전트 지표는 ImageId, InstanceType 등 추가 차원을 가질 수 있으므로 실제 차원을 먼저 조회
+   */
+  async getMemoryUtilization(instanceId, startTime, endTime) {
+    for (const { namespace, metricName } of this.MEMORY_METRICS) {
+      try {
+        const command = new ListMetricsCommand({
+          Namespace: namespace,
+          MetricName: metricName,
+          Dimensions: [{ Name: 'InstanceId', Value: instanceId }]
+        });
+        const response = await this.retryableApiCall(
+          () => this.cloudWatchClient.send(command),
+          'ListMetrics'
+        );
+
+        const metric = response.Metrics?.[0];
+        if (!metric) continue;
+
+        const summary = await this.getMetricSummary(namespace, metricName, metric.Dimensions, startTime, endTime);
+        if (summary) return summary;
+      } catch (error) {
+        this.recordError(error, { context: `CloudWatch 메모리 지표 조회: ${instanceId}` });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 네트워크 송수신 최대 처리량 (Mbps)
+   * 지표 값은 수집 간격(기본 5분, 세부 모니터링 1분) 동안의 바이트 합계
+   */
+  async getNetworkPeakMbps(instance, startTime, endTime) {
+    const sampleSeconds = instance.Monitoring?.State === 'enabled' ? 60 : 300;
+    const dimensions = [{ Name: 'InstanceId', Value: instance.InstanceId }];
+
+    const [networkIn, networkOut] = await Promise.all([
+      this.getMetricSummary('AWS/EC2', 'NetworkIn', dimensions, startTime, endTime),
+      this.getMetricSummary('AWS/EC2', 'NetworkOut', dimensions, startTime, endTime)
+    ]);
+    if (!networkIn && !networkOut) return null;
+
+    const peakBytes = (networkIn?.maximum || 0) + (networkOut?.maximum || 0);
+    return (peakBytes * 8) / sampleSeconds / 1000000;
+  }
+
+  /**
+   * 지표의 평균·최대·p95 조회 (데이터가 없으면 null)
+   * p95는 분석 기간 전체를 하나의 기간으로 조회하여 CloudWatch 백분위수를 사용
+   */
+  async getMetricSummary(namespace, metricName, dimensions, startTime, endTime) {
     try {
-      const command = new GetMetricStatisticsCommand({
-        Namespace: 'AWS/EC2',
-        MetricName: 'CPUUtilization',
-        Dimensions: [
-          {
-            Name: 'InstanceId',
-            Value: instanceId
-          }
-        ],
+      const hourlyCommand = new GetMetricStatisticsCommand({
+        Namespace: namespace,
+        MetricName: metricName,
+        Dimensions: dimensions,
         StartTime: startTime,
         EndTime: endTime,
         Period: 3600, // 1시간
-        Statistics: ['Average']
+        Statistics: ['Average', 'Maximum']
+      });
+      const percentileCommand = new GetMetricStatisticsCommand({
+        Namespace: namespace,
+        MetricName: metricName,
+        Dimensions: dimensions,
+        StartTime: startTime,
+        EndTime: endTime,
+        Period: this.lookbackDays * 24 * 60 * 60,
+        ExtendedStatistics: ['p95']
       });
 
-      const response = await this.retryableApiCall(
-        () => this.cloudWatchClient.send(command),
-        'GetMetricStatistics'
-      );
+      const [hourlyResponse, percentileResponse] = await Promise.all([
+        this.retryableApiCall(() => this.cloudWatchClient.send(hourlyCommand), 'GetMetricStatistics'),
+        this.retryableApiCall(() => this.cloudWatchClient.send(percentileCommand), 'GetMetricStatistics')
+      ]);
 
-      if (!response.Datapoints || response.Datapoints.length === 0) {
-        return null;
-      }
+      const datapoints = hourlyResponse.Datapoints || [];
+      if (datapoints.length === 0) return null;
+
+      const average = datapoints.reduce((sum, point) => sum + point.Average, 0) / datapoints.length;
+      const maximum = Math.max(...datapoints.map(point => point.Maximum));
 
-      const averageUtilization = response.Datapoints.reduce((sum, point) => sum + point.Average, 0) / response.Datapoints.length;
-      return averageUtilization;
+      // 백분위수를 받지 못하면 시간별 평균의 95번째 백분위수로 대체
+      const percentileValues = (percentileResponse.Datapoints || [])
+        .map(point => point.ExtendedStatistics?.p95)
+        .filter(value => typeof value === 'number');
+      const p95 = percentileValues.length > 0
+        ? Math.max(...percentileValues)
+        : this.getPercentile(datapoints.map(point => point.Average), 95);
+
+      return { average, maximum, p95 };
     } catch (error) {
-      this.recordError(error, { context: `CloudWatch 지표 조회: ${instanceId}` });
+      this.recordError(error, { context: `CloudWatch 지표 조회: ${metricName} ${dimensions[0]?.Value}` });
       return null;
     }
   }
 
+  getPercentile(values, percentile) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.ceil((percentile / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+  }
+
+  getInstanceName(instance) {
+    const nameTag = instance.Tags?.find(tag => tag.Key === 'Name');
+    return nameTag ? `${nameTag.Value} (${instance.InstanceId})` : instance.InstanceId;
+  }
+
   handleAWSError(error) {
     if (!error) return;
     
     switch (error.name) {
       case 'UnauthorizedOperation':
-        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'CloudWatch 및 EC2 읽기 권한 확인');
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeInstances, cloudwatch:GetMetricStatistics, cloudwatch:ListMetrics 권한 추가');
         break;
       case 'ExpiredToken':
         this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
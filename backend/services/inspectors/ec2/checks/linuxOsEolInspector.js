@@ -0,0 +1,194 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const EC2DataCollector = require('../collectors/ec2DataCollector');
+const lifecycleCatalogService = require('../../../lifecycleCatalogService');
+
+class LinuxOsEolInspector extends BaseInspector {
+  constructor() {
+    super('EC2');
+
+    // AMI 이름·설명·플랫폼 정보로 배포판과 버전을 식별하고, 지원 종료 날짜는 공통 수명 주기 카탈로그에서 조회
+    this.distributionPatterns = [
+      { productId: 'amazon-linux', pattern: /al2023-ami|amazon linux 2023/i, version: () => '2023' },
+      { productId: 'amazon-linux', pattern: /amzn2-ami|amazon linux 2(?!\d)/i, version: () => '2' },
+      { productId: 'amazon-linux', pattern: /amzn-ami|amazon linux ami/i, version: () => '1' },
+      { productId: 'ubuntu', pattern: /ubuntu[^\d]*(\d{2}\.04)/i, version: match => match[1] },
+      { productId: 'rhel', pattern: /(?:rhel|red hat enterprise linux)[-_ ]?(\d+)/i, version: match => match[1] }
+    ];
+
+    // 경고 임계값 (지원 종료 6개월 전)
+    this.warningThresholdMonths = 6;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new EC2DataCollector(this.ec2Client, this);
+
+      const instances = await this.dataCollector.getEC2Instances();
+
+      if (!Array.isArray(instances)) {
+        this.addFinding('instances', 'EC2Instance', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkInstances(this.dataCollector.getActiveInstances(instances));
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'linux-os-eol',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkInstances(instances) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    // Windows 인스턴스는 windows-server-eol 항목에서 검사
+    const linuxInstances = instances.filter(instance => instance?.Platform !== 'windows');
+
+    // 인스턴스가 사용하는 AMI를 한 번에 조회 (등록 해제된 AMI는 배포판을 식별할 수 없으므로 검사 제외)
+    const imageIds = [...new Set(linuxInstances.map(instance => instance?.ImageId).filter(Boolean))];
+    const images = await this.dataCollector.getImages(imageIds);
+    this.images = new Map(images.map(image => [image.ImageId, image]));
+
+    for (const instance of linuxInstances) {
+      this.incrementResourceCount();
+
+      const validation = this.validateInstanceFormat(instance);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkInstance(instance);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateInstanceFormat(instance) {
+    if (!instance || typeof instance !== 'object') {
+      return { valid: false, error: '인스턴스가 객체가 아님' };
+    }
+
+    if (!instance.InstanceId) {
+      return { valid: false, error: 'InstanceId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkInstance(instance) {
+    const image = this.images.get(instance.ImageId);
+    if (!image) return;
+
+    const distribution = this.identifyDistribution(image);
+    if (!distribution) return; // 배포판이나 버전을 식별할 수 없는 AMI
+
+    const lifecycle = await lifecycleCatalogService.getLifecycleStatus(
+      distribution.productId,
+      distribution.version,
+      this.warningThresholdMonths
+    );
+    if (!lifecycle) return; // 카탈로그에 없는 버전
+
+    const { productName, endDate, status, daysUntilEnd } = lifecycle;
+    const osLabel = `${productName} ${distribution.version}`;
+    const imageLabel = image.Name || instance.ImageId;
+
+    if (status === 'ended') {
+      this.addFinding(
+        instance.InstanceId,
+        'EC2Instance',
+        `인스턴스 ${this.getInstanceName(instance)}의 운영체제 ${osLabel} 지원 종료됨 (${endDate.toLocaleDateString('ko-KR')}, AMI ${imageLabel})`,
+        '지원되는 배포판 버전의 AMI로 인스턴스를 교체하세요. 즉시 교체가 어려우면 확장 지원(ESM, ELS 등) 적용을 검토하세요'
+      );
+      return;
+    }
+
+    if (status === 'ending') {
+      this.addFinding(
+        instance.InstanceId,
+        'EC2Instance',
+        `인스턴스 ${this.getInstanceName(instance)}의 운영체제 ${osLabel} 지원 종료 임박 (${daysUntilEnd}일 후: ${endDate.toLocaleDateString('ko-KR')}, AMI ${imageLabel})`,
+        '지원 종료 전에 최신 배포판 버전의 AMI로 마이그레이션 계획을 수립하세요'
+      );
+    }
+  }
+
+  /**
+   * AMI 정보에서 배포판 식별
+   * @returns {Object|null} { productId, version } 또는 식별 불가 시 null
+   */
+  identifyDistribution(image) {
+    const text = `${image.Name || ''} ${image.Description || ''} ${image.PlatformDetails || ''}`;
+
+    for (const { productId, pattern, version } of this.distributionPatterns) {
+      const match = text.match(pattern);
+      if (match) {
+        return { productId, version: version(match) };
+      }
+    }
+
+    return null;
+  }
+
+  getInstanceName(instance) {
+    const nameTag = instance.Tags?.find(tag => tag.Key === 'Name');
+    return nameTag ? `${nameTag.Value} (${instance.InstanceId})` : instance.InstanceId;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeInstances, ec2:DescribeImages 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'Linux 운영체제 지원 종료 검사' });
+    }
+  }
+}
+
+module.exports = LinuxOsEolInspector;
@@ -0,0 +1,165 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const EC2DataCollector = require('../collectors/ec2DataCollector');
+
+class OrphanedSnapshotInspector extends BaseInspector {
+  constructor() {
+    super('EC2');
+    this.COPIED_SNAPSHOT_VOLUME_ID = 'vol-ffffffff';
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new EC2DataCollector(this.ec2Client, this);
+
+      const [snapshots, volumes, images] = await Promise.all([
+        this.dataCollector.getSnapshots(),
+        this.dataCollector.getVolumes(),
+        this.dataCollector.getOwnedImages()
+      ]);
+
+      if (!Array.isArray(snapshots)) {
+        this.addFinding('snapshots', 'EBSSnapshot', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+      if (!Array.isArray(volumes)) {
+        this.addFinding('volumes', 'EBSVolume', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      this.existingVolumeIds = new Set(volumes.map(volume => volume.VolumeId));
+      this.imageSnapshotIds = this.getImageSnapshotIds(images);
+      // 볼륨·AMI 목록이 수집 한도로 잘린 경우 목록에 없는 볼륨을 삭제된 것으로 판단할 수 없음
+      this.canVerifyOrphans = !this.isPartialCollection('DescribeVolumes') &&
+        !this.isPartialCollection('DescribeImages');
+
+      await this.checkSnapshots(snapshots);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'orphaned-snapshots',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkSnapshots(snapshots) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const snapshot of snapshots) {
+      this.incrementResourceCount();
+
+      const validation = this.validateSnapshotFormat(snapshot);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkSnapshot(snapshot);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateSnapshotFormat(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') {
+      return { valid: false, error: '스냅샷이 객체가 아님' };
+    }
+
+    if (!snapshot.SnapshotId) {
+      return { valid: false, error: 'SnapshotId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkSnapshot(snapshot) {
+    // 다른 스냅샷을 복사해 만든 스냅샷은 원본 볼륨 ID가 vol-ffffffff로 표시됨
+    if (!snapshot.VolumeId || snapshot.VolumeId === this.COPIED_SNAPSHOT_VOLUME_ID) return;
+    if (!this.canVerifyOrphans || this.existingVolumeIds.has(snapshot.VolumeId)) return;
+
+    // AMI를 구성하는 스냅샷은 AMI 등록 해제 전까지 삭제할 수 없으므로 제외
+    if (this.imageSnapshotIds.has(snapshot.SnapshotId)) return;
+
+    const ageText = snapshot.StartTime
+      ? `, 생성 후 ${Math.floor((Date.now() - new Date(snapshot.StartTime).getTime()) / (1000 * 60 * 60 * 24))}일 경과`
+      : '';
+
+    this.addFinding(
+      snapshot.SnapshotId,
+      'EBSSnapshot',
+      `스냅샷 ${this.getSnapshotName(snapshot)}의 원본 볼륨 ${snapshot.VolumeId}이 삭제됨 (${snapshot.VolumeSize || 0}GiB${ageText})`,
+      '보존 정책상 필요한 스냅샷인지 확인하고, 불필요한 경우 삭제하거나 EBS Snapshots Archive로 이동하여 스토리지 비용을 줄이세요'
+    );
+  }
+
+  getImageSnapshotIds(images) {
+    const snapshotIds = new Set();
+    for (const image of images || []) {
+      for (const mapping of image.BlockDeviceMappings || []) {
+        if (mapping.Ebs?.SnapshotId) {
+          snapshotIds.add(mapping.Ebs.SnapshotId);
+        }
+      }
+    }
+    return snapshotIds;
+  }
+
+  getSnapshotName(snapshot) {
+    const nameTag = snapshot.Tags?.find(tag => tag.Key === 'Name');
+    return nameTag ? `${nameTag.Value} (${snapshot.SnapshotId})` : snapshot.SnapshotId;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeSnapshots, ec2:DescribeVolumes, ec2:DescribeImages 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EBS 스냅샷 검사' });
+    }
+  }
+}
+
+module.exports = OrphanedSnapshotInspector;
@@ -0,0 +1,252 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const EC2DataCollector = require('../collectors/ec2DataCollector');
+
+class SecurityGroupHygieneInspector extends BaseInspector {
+  constructor() {
+    super('EC2');
+
+    // 데이터 계층 보안그룹 식별용 태그 기준
+    this.tierTagKeys = ['tier', 'layer', 'role'];
+    this.sensitiveTierTagValues = ['db', 'database', 'data', 'cache', 'storage'];
+
+    // 데이터 서비스가 생성한 ENI 설명 접두사 (연결된 보안그룹을 데이터 계층으로 판단)
+    this.sensitiveEniDescriptions = [
+      { prefix: 'RDSNetworkInterface', label: 'RDS' },
+      { prefix: 'ElastiCache', label: 'ElastiCache' },
+      { prefix: 'EFS mount target', label: 'EFS' }
+    ];
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new EC2DataCollector(this.ec2Client, this);
+
+      const [securityGroups, networkInterfaces] = await Promise.all([
+        this.dataCollector.getSecurityGroups(),
+        this.dataCollector.getNetworkInterfaces()
+      ]);
+
+      if (!Array.isArray(securityGroups) || !Array.isArray(networkInterfaces)) {
+        this.addFinding('security-groups', 'SecurityGroup', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      this.attachments = this.buildAttachmentMap(networkInterfaces);
+      // 네트워크 인터페이스 목록이 수집 한도로 잘린 경우 미연결 여부를 판단할 수 없음
+      this.canVerifyAttachments = !this.isPartialCollection('DescribeNetworkInterfaces');
+      this.referencedGroupIds = this.getReferencedGroupIds(securityGroups);
+
+      await this.checkSecurityGroups(securityGroups);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'security-group-hygiene',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkSecurityGroups(securityGroups) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const securityGroup of securityGroups) {
+      this.incrementResourceCount();
+
+      const validation = this.validateSecurityGroupFormat(securityGroup);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkSecurityGroup(securityGroup);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateSecurityGroupFormat(securityGroup) {
+    if (!securityGroup || typeof securityGroup !== 'object') {
+      return { valid: false, error: '보안그룹이 객체가 아님' };
+    }
+
+    if (!securityGroup.GroupId || !securityGroup.GroupName) {
+      return { valid: false, error: 'GroupId 또는 GroupName 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkSecurityGroup(securityGroup) {
+    const networkInterfaces = this.attachments.get(securityGroup.GroupId) || [];
+
+    if (securityGroup.GroupName === 'default') {
+      this.checkDefaultGroupRules(securityGroup, networkInterfaces);
+    } else if (networkInterfaces.length === 0 && this.canVerifyAttachments) {
+      this.reportUnattachedGroup(securityGroup);
+    }
+
+    this.checkSensitiveTierEgress(securityGroup, networkInterfaces);
+  }
+
+  /**
+   * 기본 보안그룹은 규칙이 없어야 함 (리소스에 실수로 지정되어도 트래픽이 허용되지 않도록)
+   */
+  checkDefaultGroupRules(securityGroup, networkInterfaces) {
+    const inboundCount = securityGroup.IpPermissions?.length || 0;
+    const outboundCount = securityGroup.IpPermissionsEgress?.length || 0;
+    if (inboundCount === 0 && outboundCount === 0) return;
+
+    const attachedText = networkInterfaces.length > 0
+      ? `, 연결된 네트워크 인터페이스 ${networkInterfaces.length}개`
+      : '';
+
+    this.addFinding(
+      securityGroup.GroupId,
+      'SecurityGroup',
+      `VPC ${securityGroup.VpcId || '미확인'}의 기본 보안그룹에 규칙 존재 (인바운드 ${inboundCount}개, 아웃바운드 ${outboundCount}개${attachedText})`,
+      '기본 보안그룹의 인바운드·아웃바운드 규칙을 모두 제거하고, 리소스에는 용도별 보안그룹을 지정하세요.'
+    );
+  }
+
+  reportUnattachedGroup(securityGroup) {
+    const referencedText = this.referencedGroupIds.has(securityGroup.GroupId)
+      ? ' (다른 보안그룹 규칙에서 참조 중)'
+      : '';
+
+    this.addFinding(
+      securityGroup.GroupId,
+      'SecurityGroup',
+      `보안그룹 '${securityGroup.GroupName}'이 어떤 네트워크 인터페이스에도 연결되지 않음${referencedText}`,
+      '시작 템플릿이나 다른 보안그룹 규칙에서 참조 중인지 확인한 후, 사용 계획이 없으면 삭제하여 관리 대상을 줄이세요.'
+    );
+  }
+
+  /**
+   * 데이터 계층 보안그룹의 무제한 아웃바운드 검사
+   */
+  checkSensitiveTierEgress(securityGroup, networkInterfaces) {
+    const tierLabel = this.getSensitiveTierLabel(securityGroup, networkInterfaces);
+    if (!tierLabel) return;
+
+    const unrestrictedEgress = (securityGroup.IpPermissionsEgress || []).some(rule =>
+      rule.IpProtocol === '-1' && (
+        rule.IpRanges?.some(range => range.CidrIp === '0.0.0.0/0') ||
+        rule.Ipv6Ranges?.some(range => range.CidrIpv6 === '::/0')
+      )
+    );
+    if (!unrestrictedEgress) return;
+
+    this.addFinding(
+      securityGroup.GroupId,
+      'SecurityGroup',
+      `데이터 계층(${tierLabel}) 보안그룹 '${securityGroup.GroupName}'의 아웃바운드가 모든 대상에 모든 트래픽 허용`,
+      '데이터 계층의 아웃바운드는 애플리케이션 계층 보안그룹, VPC 엔드포인트 등 필요한 대상과 포트로 제한하여 데이터 유출 경로를 줄이세요.'
+    );
+  }
+
+  getSensitiveTierLabel(securityGroup, networkInterfaces) {
+    const tierTag = (securityGroup.Tags || []).find(tag =>
+      this.tierTagKeys.includes((tag.Key || '').toLowerCase()) &&
+      this.sensitiveTierTagValues.includes((tag.Value || '').toLowerCase())
+    );
+    if (tierTag) return `${tierTag.Key}=${tierTag.Value}`;
+
+    for (const networkInterface of networkInterfaces) {
+      const match = this.sensitiveEniDescriptions.find(({ prefix }) =>
+        (networkInterface.Description || '').startsWith(prefix)
+      );
+      if (match) return match.label;
+    }
+
+    return null;
+  }
+
+  /**
+   * 보안그룹 ID별 연결된 네트워크 인터페이스 목록
+   */
+  buildAttachmentMap(networkInterfaces) {
+    const attachments = new Map();
+
+    for (const networkInterface of networkInterfaces) {
+      for (const group of networkInterface.Groups || []) {
+        if (!attachments.has(group.GroupId)) {
+          attachments.set(group.GroupId, []);
+        }
+        attachments.get(group.GroupId).push(networkInterface);
+      }
+    }
+
+    return attachments;
+  }
+
+  getReferencedGroupIds(securityGroups) {
+    const referencedGroupIds = new Set();
+
+    for (const securityGroup of securityGroups) {
+      const rules = [...(securityGroup.IpPermissions || []), ...(securityGroup.IpPermissionsEgress || [])];
+      for (const rule of rules) {
+        for (const pair of rule.UserIdGroupPairs || []) {
+          if (pair.GroupId && pair.GroupId !== securityGroup.GroupId) {
+            referencedGroupIds.add(pair.GroupId);
+          }
+        }
+      }
+    }
+
+    return referencedGroupIds;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeSecurityGroups, ec2:DescribeNetworkInterfaces 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: '보안그룹 사용 현황 검사' });
+    }
+  }
+}
+
+module.exports = SecurityGroupHygieneInspector;
@@ -13,8 +13,8 @@ class SecurityGroupInspector extends BaseInspector {
     this.ec2Client = null;
     this.dataCollector = null;
     
-    // 성능 최적화: 위험한 포트 배열을 미리 변환
-    this.dangerousPortsArray = [
+    // 기본 위험 포트 목록 (검사 설정 dangerousPorts로 교체, additionalDangerousPorts로 추가 가능)
+    this.defaultDangerousPorts = [
       { port: 22, service: 'SSH' },
       { port: 3389, service: 'RDP' },
       { port: 23, service: 'Telnet' },
@@ -22,6 +22,36 @@ class SecurityGroupInspector extends BaseInspector {
       { port: 3306, service: 'MySQL' },
       { port: 5432, service: 'PostgreSQL' }
     ];
+
+    // 설정에 포트 번호만 지정된 경우 사용할 서비스 이름
+    this.knownServicePorts = {
+      445: 'SMB',
+      1433: 'MSSQL',
+      1521: 'Oracle',
+      2379: 'etcd',
+      5601: 'Kibana',
+      6379: 'Redis',
+      6443: 'Kubernetes API',
+      9200: 'Elasticsearch',
+      9300: 'Elasticsearch 노드 통신',
+      10250: 'Kubelet',
+      11211: 'Memcached',
+      27017: 'MongoDB'
+    };
+
+    // 성능 최적화: 위험한 포트 배열을 미리 변환
+    this.dangerousPortsArray = this.defaultDangerousPorts;
+
+    // 이 값 이하의 프리픽스 길이(0 제외)를 넓은 CIDR로 판단 (검사 설정 wideCidrPrefixLength로 변경 가능)
+    this.defaultWideCidrPrefixLength = 8;
+    this.wideCidrPrefixLength = this.defaultWideCidrPrefixLength;
+
+    // IPv6 넓은 CIDR 기준 (/16~/32 등 계정·조직 단위 대역, 검사 설정 wideIpv6CidrPrefixLength로 변경 가능)
+    this.defaultWideIpv6CidrPrefixLength = 32;
+    this.wideIpv6CidrPrefixLength = this.defaultWideIpv6CidrPrefixLength;
+
+    // 인터넷에 라우팅되지 않는 사설 IPv4 대역
+    this.privateIpv4Ranges = ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16'];
   }
 
   /**
@@ -81,7 +111,12 @@ class SecurityGroupInspector extends BaseInspector {
 
       this.dataCollector = new EC2DataCollector(this.ec2Client, this);
 
-      // 2. 보안그룹 수집
+      // 2. 검사 설정 적용
+      this.dangerousPortsArray = this.resolveDangerousPorts(inspectionConfig);
+      this.wideCidrPrefixLength = inspectionConfig.wideCidrPrefixLength || this.defaultWideCidrPrefixLength;
+      this.wideIpv6CidrPrefixLength = inspectionConfig.wideIpv6CidrPrefixLength || this.defaultWideIpv6CidrPrefixLength;
+
+      // 3. 보안그룹 수집
       const collector = {
         collect: () => this.dataCollector.getSecurityGroups()
       };
@@ -133,6 +168,8 @@ class SecurityGroupInspector extends BaseInspector {
       }
       
       await this.checkDangerousPorts(sg);
+      this.checkAllTrafficRules(sg);
+      this.checkWideCidrRules(sg);
     }
     
     // 형식 오류가 있었다면 한 번만 기록
@@ -195,6 +232,10 @@ class SecurityGroupInspector extends BaseInspector {
       return { valid: false, error: 'IpRanges가 배열이 아님' };
     }
     
+    if (rule.Ipv6Ranges && !Array.isArray(rule.Ipv6Ranges)) {
+      return { valid: false, error: 'Ipv6Ranges가 배열이 아님' };
+    }
+    
     if (rule.IpRanges) {
       for (let i = 0; i < rule.IpRanges.length; i++) {
         const range = rule.IpRanges[i];
@@ -256,27 +297,30 @@ class SecurityGroupInspector extends BaseInspector {
     const issues = [];
 
     for (const rule of securityGroup.IpPermissions) {
-      const hasPublicAccess = rule.IpRanges?.some(range => range.CidrIp === '0.0.0.0/0');
+      const publicSources = this.getPublicSources(rule);
       
-      if (!hasPublicAccess) continue;
+      if (publicSources.length === 0) continue;
       
       const fromPort = rule.FromPort;
       const toPort = rule.ToPort;
 
-      // 포트 정보가 없으면 건너뛰기
+      // 포트 정보가 없으면 건너뛰기 (모든 트래픽 규칙은 checkAllTrafficRules에서 검사)
       if (fromPort === undefined || toPort === undefined) continue;
+      if (rule.IpProtocol === '-1') continue;
+
+      const sourceText = ` [${publicSources.join(', ')}]`;
 
       // 성능 최적화: 미리 변환된 배열 사용
       for (const { port, service } of this.dangerousPortsArray) {
         if (fromPort === toPort) {
           // 단일 포트 검사
           if (port === fromPort) {
-            issues.push(`${service} 포트(${port})`);
+            issues.push(`${service} 포트(${port})${sourceText}`);
           }
         } else {
           // 포트 범위 검사
           if (port >= fromPort && port <= toPort) {
-            issues.push(`${service} 포트(${port}) 포함 범위(${fromPort}-${toPort})`);
+            issues.push(`${service} 포트(${port}) 포함 범위(${fromPort}-${toPort})${sourceText}`);
             break;
           }
         }
@@ -292,6 +336,144 @@ class SecurityGroupInspector extends BaseInspector {
       );
     }
   }
+
+  /**
+   * 모든 프로토콜·포트(-1)를 인터넷에 허용하는 규칙 검사
+   */
+  checkAllTrafficRules(securityGroup) {
+    const publicSources = new Set();
+
+    for (const rule of securityGroup.IpPermissions) {
+      if (rule.IpProtocol !== '-1') continue;
+      this.getPublicSources(rule).forEach(source => publicSources.add(source));
+    }
+
+    if (publicSources.size === 0) return;
+
+    this.addFinding(
+      securityGroup.GroupId,
+      'SecurityGroup',
+      `보안그룹 '${securityGroup.GroupName}'에서 모든 트래픽(모든 프로토콜·포트)이 인터넷에 개방됨: ${Array.from(publicSources).join(', ')}`,
+      '모든 트래픽 허용 규칙을 제거하고 필요한 프로토콜과 포트만 특정 IP 대역에 허용하세요.'
+    );
+  }
+
+  /**
+   * IPv4 /8, IPv6 /32 등 지나치게 넓은 CIDR 대역을 허용하는 인바운드 규칙 검사 (0.0.0.0/0, ::/0 제외)
+   */
+  checkWideCidrRules(securityGroup) {
+    const wideRanges = [];
+
+    for (const rule of securityGroup.IpPermissions) {
+      for (const range of rule.IpRanges || []) {
+        const prefixLength = this.getPrefixLength(range.CidrIp);
+        if (prefixLength === null || prefixLength === 0 || prefixLength > this.wideCidrPrefixLength) continue;
+
+        const privateText = this.isPrivateIpv4Cidr(range.CidrIp) ? ', 사설 대역' : '';
+        wideRanges.push(`${range.CidrIp} (${this.getRulePortText(rule)}${privateText})`);
+      }
+
+      for (const range of rule.Ipv6Ranges || []) {
+        const prefixLength = this.getPrefixLength(range.CidrIpv6);
+        if (prefixLength === null || prefixLength === 0 || prefixLength > this.wideIpv6CidrPrefixLength) continue;
+
+        const privateText = this.isUniqueLocalIpv6Cidr(range.CidrIpv6) ? ', 사설 대역' : '';
+        wideRanges.push(`${range.CidrIpv6} (${this.getRulePortText(rule)}${privateText})`);
+      }
+    }
+
+    if (wideRanges.length === 0) return;
+
+    this.addFinding(
+      securityGroup.GroupId,
+      'SecurityGroup',
+      `보안그룹 '${securityGroup.GroupName}'에서 넓은 CIDR 대역(IPv4 /${this.wideCidrPrefixLength}, IPv6 /${this.wideIpv6CidrPrefixLength} 이하)에 인바운드 허용: ${wideRanges.join(', ')}`,
+      '허용 대역을 실제 접근이 필요한 호스트나 서브넷 단위로 좁히거나, 같은 VPC 내 통신은 보안그룹 참조로 대체하세요.'
+    );
+  }
+
+  /**
+   * 검사 설정을 반영한 위험 포트 목록 생성 (포트 번호만 지정 시 서비스 이름 자동 매핑)
+   */
+  resolveDangerousPorts(inspectionConfig) {
+    const basePorts = Array.isArray(inspectionConfig.dangerousPorts)
+      ? inspectionConfig.dangerousPorts
+      : this.defaultDangerousPorts;
+    const additionalPorts = Array.isArray(inspectionConfig.additionalDangerousPorts)
+      ? inspectionConfig.additionalDangerousPorts
+      : [];
+
+    const portMap = new Map();
+    for (const entry of [...basePorts, ...additionalPorts]) {
+      const port = typeof entry === 'number' ? entry : Number(entry?.port);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) continue;
+
+      portMap.set(port, entry?.service || this.knownServicePorts[port] || `TCP ${port}`);
+    }
+
+    return Array.from(portMap, ([port, service]) => ({ port, service }));
+  }
+
+  /**
+   * 규칙의 인터넷 전체 허용 소스 (IPv4 0.0.0.0/0, IPv6 ::/0)
+   */
+  getPublicSources(rule) {
+    const sources = [];
+
+    if (rule.IpRanges?.some(range => range.CidrIp === '0.0.0.0/0')) {
+      sources.push('0.0.0.0/0');
+    }
+    if (rule.Ipv6Ranges?.some(range => range.CidrIpv6 === '::/0')) {
+      sources.push('::/0');
+    }
+
+    return sources;
+  }
+
+  getPrefixLength(cidr) {
+    const match = /\/(\d{1,3})$/.exec(cidr || '');
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * IPv6 고유 로컬 주소(fc00::/7) 대역 여부
+   */
+  isUniqueLocalIpv6Cidr(cidr) {
+    const [address, prefixLength] = cidr.split('/');
+    return Number(prefixLength) >= 7 && /^f[cd]/i.test(address);
+  }
+
+  isPrivateIpv4Cidr(cidr) {
+    const [address, prefixLength] = cidr.split('/');
+    const addressValue = this.ipv4ToNumber(address);
+    if (addressValue === null) return false;
+
+    return this.privateIpv4Ranges.some(range => {
+      const [rangeAddress, rangePrefix] = range.split('/');
+      if (Number(prefixLength) < Number(rangePrefix)) return false;
+
+      const mask = Number(rangePrefix) === 0 ? 0 : (~0 << (32 - Number(rangePrefix))) >>> 0;
+      return ((addressValue & mask) >>> 0) === this.ipv4ToNumber(rangeAddress);
+    });
+  }
+
+  ipv4ToNumber(address) {
+    const octets = (address || '').split('.').map(Number);
+    if (octets.length !== 4 || octets.some(octet => !Number.isInteger(octet) || octet < 0 || octet > 255)) {
+      return null;
+    }
+    return octets.reduce((value, octet) => ((value << 8) >>> 0) + octet, 0);
+  }
+
+  getRulePortText(rule) {
+    if (rule.IpProtocol === '-1') return '모든 트래픽';
+
+    const protocol = (rule.IpProtocol || '').toUpperCase();
+    if (rule.FromPort === undefined || rule.FromPort === rule.ToPort) {
+      return rule.FromPort === undefined ? protocol : `${protocol}/${rule.FromPort}`;
+    }
+    return `${protocol}/${rule.FromPort}-${rule.ToPort}`;
+  }
 }
 
 module.exports = SecurityGroupInspector;
\ No newline at end of file
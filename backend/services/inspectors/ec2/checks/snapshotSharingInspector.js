@@ -0,0 +1,150 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const EC2DataCollector = require('../collectors/ec2DataCollector');
+
+class SnapshotSharingInspector extends BaseInspector {
+  constructor() {
+    super('EC2');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new EC2DataCollector(this.ec2Client, this);
+
+      // 검사 설정으로 전달된 신뢰 계정 목록 (조직 내 백업/DR 계정 등)
+      this.trustedAccountIds = new Set(inspectionConfig.trustedAccountIds || []);
+
+      const snapshots = await this.dataCollector.getSnapshots();
+
+      if (!Array.isArray(snapshots)) {
+        this.addFinding('snapshots', 'EBSSnapshot', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkSnapshots(snapshots);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'snapshot-sharing',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkSnapshots(snapshots) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const snapshot of snapshots) {
+      this.incrementResourceCount();
+
+      const validation = this.validateSnapshotFormat(snapshot);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkSnapshot(snapshot);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateSnapshotFormat(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') {
+      return { valid: false, error: '스냅샷이 객체가 아님' };
+    }
+
+    if (!snapshot.SnapshotId) {
+      return { valid: false, error: 'SnapshotId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkSnapshot(snapshot) {
+    const permissions = await this.dataCollector.getSnapshotCreateVolumePermissions(snapshot.SnapshotId);
+    if (permissions.length === 0) return;
+
+    const snapshotName = this.getSnapshotName(snapshot);
+
+    if (permissions.some(permission => permission.Group === 'all')) {
+      this.addFinding(
+        snapshot.SnapshotId,
+        'EBSSnapshot',
+        `스냅샷 ${snapshotName}이 퍼블릭으로 공유됨 (모든 AWS 계정이 볼륨 생성 가능${snapshot.Encrypted ? '' : ', 암호화되지 않음'})`,
+        '스냅샷의 권한 수정에서 퍼블릭 공유를 즉시 해제하고, 계정 수준의 스냅샷 퍼블릭 액세스 차단을 활성화하세요'
+      );
+    }
+
+    const unknownAccounts = permissions
+      .map(permission => permission.UserId)
+      .filter(userId => userId && userId !== snapshot.OwnerId && !this.trustedAccountIds.has(userId));
+
+    if (unknownAccounts.length > 0) {
+      this.addFinding(
+        snapshot.SnapshotId,
+        'EBSSnapshot',
+        `스냅샷 ${snapshotName}이 신뢰 목록에 없는 계정과 공유됨 (${unknownAccounts.join(', ')})`,
+        '공유 대상 계정이 조직에서 관리하는 계정인지 확인하고, 불필요한 공유 권한은 제거하세요'
+      );
+    }
+  }
+
+  getSnapshotName(snapshot) {
+    const nameTag = snapshot.Tags?.find(tag => tag.Key === 'Name');
+    return nameTag ? `${nameTag.Value} (${snapshot.SnapshotId})` : snapshot.SnapshotId;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeSnapshots, ec2:DescribeSnapshotAttribute 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EBS 스냅샷 공유 검사' });
+    }
+  }
+}
+
+module.exports = SnapshotSharingInspector;
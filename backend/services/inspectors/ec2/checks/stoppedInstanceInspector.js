@@ -1,10 +1,28 @@
 const BaseInspector = require('../../baseInspector');
 const { EC2Client } = require('@aws-sdk/client-ec2');
 const EC2DataCollector = require('../collectors/ec2DataCollector');
+const { HOURS_PER_MONTH } = require('../pricing/instancePricing');
 
 class StoppedInstanceInspector extends BaseInspector {
   constructor() {
     super('EC2');
+
+    // EBS 볼륨 유형별 GB당 월 요금 (USD, us-east-1 기준 스토리지 용량 요금)
+    this.EBS_PRICE_PER_GB = {
+      gp2: 0.10,
+      gp3: 0.08,
+      io1: 0.125,
+      io2: 0.125,
+      st1: 0.045,
+      sc1: 0.015,
+      standard: 0.05
+    };
+
+    // 퍼블릭 IPv4 주소 시간당 요금 (USD)
+    this.HOURLY_IPV4_PRICE = 0.005;
+
+    // 보고 대상 최소 중지 기간 (검사 설정 minStoppedDays로 변경 가능)
+    this.DEFAULT_MIN_STOPPED_DAYS = 7;
   }
 
   async retryableApiCall(apiCall, operationName, maxRetries = 3) {
@@ -31,12 +49,21 @@ class StoppedInstanceInspector extends BaseInspector {
 
       this.dataCollector = new EC2DataCollector(this.ec2Client, this);
 
-      const instances = await this.dataCollector.getEC2Instances();
+      this.minStoppedDays = inspectionConfig.minStoppedDays ?? this.DEFAULT_MIN_STOPPED_DAYS;
+
+      const [instances, volumes, addresses] = await Promise.all([
+        this.dataCollector.getEC2Instances(),
+        this.dataCollector.getVolumes(),
+        this.dataCollector.getAddresses()
+      ]);
       
-      if (!Array.isArray(instances)) {
+      if (!Array.isArray(instances) || !Array.isArray(volumes) || !Array.isArray(addresses)) {
         this.addFinding('instances', 'EC2Instance', '데이터 형식 오류', '데이터 구조 확인');
         throw new Error('데이터 형식 오류');
       }
+
+      this.volumesByInstance = this.groupVolumesByInstance(volumes);
+      this.addressesByInstance = this.groupAddressesByInstance(addresses);
       
       await this.checkStoppedInstances(instances);
     } catch (error) {
@@ -99,20 +126,113 @@ class StoppedInstanceInspector extends BaseInspector {
   }
 
   async checkInstanceState(instance) {
+    if (instance.State.Name !== 'stopped') return;
+
     const instanceId = instance.InstanceId;
-    const state = instance.State.Name;
-    
-    if (state === 'stopped') {
-      const instanceName = this.getInstanceName(instance);
-      const instanceType = instance.InstanceType || 'Unknown';
-      
-      this.addFinding(
-        instanceId,
-        'EC2Instance',
-        `중지된 인스턴스 발견: ${instanceName} (${instanceType})`,
-        '장기간 사용하지 않는 경우 인스턴스 종료를 고려하여 EBS 볼륨 비용 절약'
-      );
+    const instanceName = this.getInstanceName(instance);
+    const instanceType = instance.InstanceType || 'Unknown';
+
+    const stoppedAt = this.parseStopTime(instance.StateTransitionReason);
+    const stoppedDays = stoppedAt
+      ? Math.floor((Date.now() - stoppedAt.getTime()) / (1000 * 60 * 60 * 24))
+      : null;
+
+    // 중지 시점을 확인할 수 없는 경우 기간과 무관하게 보고
+    if (stoppedDays !== null && stoppedDays < this.minStoppedDays) return;
+
+    const volumes = this.volumesByInstance.get(instanceId) || [];
+    const addresses = this.addressesByInstance.get(instanceId) || [];
+    const cost = this.estimateMonthlyCost(volumes, addresses);
+
+    const stoppedText = stoppedDays !== null
+      ? `${stoppedDays}일째 중지 (${stoppedAt.toLocaleDateString('ko-KR')}부터)`
+      : '중지 시점 확인 불가';
+    const volumeText = volumes.length > 0
+      ? `EBS ${cost.totalSizeGb}GiB [${this.formatSizeByType(cost.sizeByType)}]`
+      : 'EBS 볼륨 없음';
+    const addressText = addresses.length > 0 ? `, Elastic IP ${addresses.length}개` : '';
+
+    const recommendations = ['장기간 사용하지 않는 경우 AMI 또는 스냅샷을 생성한 후 인스턴스를 종료하세요'];
+    if (addresses.length > 0) {
+      recommendations.push('연결된 Elastic IP는 인스턴스가 중지된 동안에도 요금이 부과되므로 필요하지 않으면 릴리스하세요');
     }
+
+    this.addFinding(
+      instanceId,
+      'EC2Instance',
+      `중지된 인스턴스 ${instanceName} (${instanceType}) ${stoppedText} - ${volumeText}${addressText}, 예상 낭비 비용 월 $${cost.monthlyCost.toFixed(2)}`,
+      recommendations.join('. ')
+    );
+  }
+
+  /**
+   * StateTransitionReason에서 중지 시점 추출
+   * 예: "User initiated (2024-01-15 10:30:45 GMT)"
+   */
+  parseStopTime(stateTransitionReason) {
+    const match = (stateTransitionReason || '').match(/\((\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) GMT\)/);
+    if (!match) return null;
+
+    const stoppedAt = new Date(`${match[1]}T${match[2]}Z`);
+    return Number.isNaN(stoppedAt.getTime()) ? null : stoppedAt;
+  }
+
+  /**
+   * 연결된 EBS 볼륨 용량 요금과 Elastic IP 요금 합산 (프로비저닝된 IOPS·처리량 요금 제외)
+   */
+  estimateMonthlyCost(volumes, addresses) {
+    const sizeByType = {};
+    let totalSizeGb = 0;
+    let monthlyCost = 0;
+
+    for (const volume of volumes) {
+      const volumeType = volume.VolumeType || 'standard';
+      const size = volume.Size || 0;
+
+      sizeByType[volumeType] = (sizeByType[volumeType] || 0) + size;
+      totalSizeGb += size;
+      monthlyCost += size * (this.EBS_PRICE_PER_GB[volumeType] ?? this.EBS_PRICE_PER_GB.gp2);
+    }
+
+    monthlyCost += addresses.length * this.HOURLY_IPV4_PRICE * HOURS_PER_MONTH;
+
+    return { sizeByType, totalSizeGb, monthlyCost };
+  }
+
+  formatSizeByType(sizeByType) {
+    return Object.entries(sizeByType)
+      .map(([volumeType, size]) => `${volumeType} ${size}GiB`)
+      .join(', ');
+  }
+
+  groupVolumesByInstance(volumes) {
+    const volumesByInstance = new Map();
+
+    for (const volume of volumes) {
+      for (const attachment of volume.Attachments || []) {
+        if (!attachment.InstanceId) continue;
+        if (!volumesByInstance.has(attachment.InstanceId)) {
+          volumesByInstance.set(attachment.InstanceId, []);
+        }
+        volumesByInstance.get(attachment.InstanceId).push(volume);
+      }
+    }
+
+    return volumesByInstance;
+  }
+
+  groupAddressesByInstance(addresses) {
+    const addressesByInstance = new Map();
+
+    for (const address of addresses) {
+      if (!address.InstanceId) continue;
+      if (!addressesByInstance.has(address.InstanceId)) {
+        addressesByInstance.set(address.InstanceId, []);
+      }
+      addressesByInstance.get(address.InstanceId).push(address);
+    }
+
+    return addressesByInstance;
   }
 
   getInstanceName(instance) {
@@ -127,7 +247,7 @@ class StoppedInstanceInspector extends BaseInspector {
     
     switch (error.name) {
       case 'UnauthorizedOperation':
-        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책 확인');
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeInstances, ec2:DescribeVolumes, ec2:DescribeAddresses 권한 추가');
         break;
       case 'ExpiredToken':
         this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
@@ -0,0 +1,152 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const EC2DataCollector = require('../collectors/ec2DataCollector');
+
+class TerminationProtectionInspector extends BaseInspector {
+  constructor() {
+    super('EC2');
+
+    // 프로덕션 인스턴스 식별용 태그 기준
+    this.environmentTagKeys = ['environment', 'env', 'stage'];
+    this.productionTagValues = ['prod', 'production', 'prd'];
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new EC2DataCollector(this.ec2Client, this);
+
+      const instances = await this.dataCollector.getEC2Instances();
+
+      if (!Array.isArray(instances)) {
+        this.addFinding('instances', 'EC2Instance', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkInstances(this.dataCollector.getActiveInstances(instances));
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'termination-protection',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkInstances(instances) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const instance of instances) {
+      this.incrementResourceCount();
+
+      const validation = this.validateInstanceFormat(instance);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkInstance(instance);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateInstanceFormat(instance) {
+    if (!instance || typeof instance !== 'object') {
+      return { valid: false, error: '인스턴스가 객체가 아님' };
+    }
+
+    if (!instance.InstanceId) {
+      return { valid: false, error: 'InstanceId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkInstance(instance) {
+    if (!this.isProductionInstance(instance)) return;
+
+    // Auto Scaling 그룹과 스팟 인스턴스는 종료 방지 대상이 아님
+    if (this.isAutoScalingManaged(instance) || instance.InstanceLifecycle === 'spot') return;
+
+    const protectionEnabled = await this.dataCollector.getTerminationProtection(instance.InstanceId);
+    if (protectionEnabled !== false) return;
+
+    this.addFinding(
+      instance.InstanceId,
+      'EC2Instance',
+      `프로덕션 인스턴스 ${this.getInstanceName(instance)}에 종료 방지가 설정되지 않음`,
+      '인스턴스 설정에서 종료 방지(DisableApiTermination)를 활성화하여 콘솔·API를 통한 실수로 인한 종료를 방지하세요'
+    );
+  }
+
+  isProductionInstance(instance) {
+    const tags = instance.Tags || [];
+
+    return tags.some(tag =>
+      this.environmentTagKeys.includes((tag.Key || '').toLowerCase()) &&
+      this.productionTagValues.includes((tag.Value || '').toLowerCase())
+    );
+  }
+
+  isAutoScalingManaged(instance) {
+    return (instance.Tags || []).some(tag => tag.Key === 'aws:autoscaling:groupName');
+  }
+
+  getInstanceName(instance) {
+    const nameTag = instance.Tags?.find(tag => tag.Key === 'Name');
+    return nameTag ? `${nameTag.Value} (${instance.InstanceId})` : instance.InstanceId;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeInstances, ec2:DescribeInstanceAttribute 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EC2 종료 방지 검사' });
+    }
+  }
+}
+
+module.exports = TerminationProtectionInspector;
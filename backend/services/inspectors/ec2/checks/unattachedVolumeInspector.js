@@ -0,0 +1,133 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const EC2DataCollector = require('../collectors/ec2DataCollector');
+
+class UnattachedVolumeInspector extends BaseInspector {
+  constructor() {
+    super('EC2');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new EC2DataCollector(this.ec2Client, this);
+
+      const volumes = await this.dataCollector.getVolumes();
+
+      if (!Array.isArray(volumes)) {
+        this.addFinding('volumes', 'EBSVolume', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkVolumes(volumes);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'unattached-volumes',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkVolumes(volumes) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const volume of volumes) {
+      this.incrementResourceCount();
+
+      const validation = this.validateVolumeFormat(volume);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkVolume(volume);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateVolumeFormat(volume) {
+    if (!volume || typeof volume !== 'object') {
+      return { valid: false, error: '볼륨이 객체가 아님' };
+    }
+
+    if (!volume.VolumeId) {
+      return { valid: false, error: 'VolumeId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkVolume(volume) {
+    if (volume.State !== 'available') return;
+
+    const createdText = volume.CreateTime
+      ? `, 생성 후 ${Math.floor((Date.now() - new Date(volume.CreateTime).getTime()) / (1000 * 60 * 60 * 24))}일 경과`
+      : '';
+
+    this.addFinding(
+      volume.VolumeId,
+      'EBSVolume',
+      `볼륨 ${this.getVolumeName(volume)}이 어떤 인스턴스에도 연결되지 않음 (${volume.VolumeType || 'Unknown'}, ${volume.Size || 0}GiB${createdText})`,
+      '연결되지 않은 볼륨에도 스토리지 비용이 계속 발생합니다. 필요한 데이터는 스냅샷으로 보관한 뒤 볼륨을 삭제하세요'
+    );
+  }
+
+  getVolumeName(volume) {
+    const nameTag = volume.Tags?.find(tag => tag.Key === 'Name');
+    return nameTag ? `${nameTag.Value} (${volume.VolumeId})` : volume.VolumeId;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeVolumes 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'EBS 볼륨 검사' });
+    }
+  }
+}
+
+module.exports = UnattachedVolumeInspector;
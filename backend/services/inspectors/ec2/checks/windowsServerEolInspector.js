@@ -1,21 +1,14 @@
 const BaseInspector = require('../../baseInspector');
 const { EC2Client } = require('@aws-sdk/client-ec2');
 const EC2DataCollector = require('../collectors/ec2DataCollector');
+const lifecycleCatalogService = require('../../../lifecycleCatalogService');
 
 class WindowsServerEolInspector extends BaseInspector {
   constructor() {
     super('EC2');
     
-    // Windows Server 버전별 지원 종료 날짜 (연장 지원 종료 기준)
-    this.windowsServerEolDates = {
-      '2008': new Date('2020-01-14'),
-      '2008 R2': new Date('2020-01-14'),
-      '2012': new Date('2023-10-10'),
-      '2012 R2': new Date('2023-10-10'),
-      '2016': new Date('2027-01-12'),
-      '2019': new Date('2029-01-09'),
-      '2022': new Date('2031-10-14')
-    };
+    // 지원 종료 날짜는 공통 수명 주기 카탈로그(windows-server)에서 조회
+    this.lifecycleProductId = 'windows-server';
     
     // 경고 임계값 (지원 종료 6개월 전)
     this.warningThresholdMonths = 6;
@@ -124,17 +117,19 @@ class WindowsServerEolInspector extends BaseInspector {
       return; // Windows Server가 아니거나 버전을 확인할 수 없는 경우
     }
 
-    const eolDate = this.windowsServerEolDates[windowsVersion];
-    if (!eolDate) {
+    const lifecycle = await lifecycleCatalogService.getLifecycleStatus(
+      this.lifecycleProductId,
+      windowsVersion,
+      this.warningThresholdMonths
+    );
+    if (!lifecycle) {
       return; // 알려지지 않은 버전
     }
 
-    const currentDate = new Date();
-    const warningDate = new Date(eolDate);
-    warningDate.setMonth(warningDate.getMonth() - this.warningThresholdMonths);
+    const { endDate: eolDate, status, daysUntilEnd: daysUntilEol } = lifecycle;
 
     // 이미 지원이 종료된 경우
-    if (currentDate > eolDate) {
+    if (status === 'ended') {
       this.addFinding(
         instanceId,
         'EC2Instance',
@@ -145,8 +140,7 @@ class WindowsServerEolInspector extends BaseInspector {
     }
 
     // 지원 종료가 임박한 경우
-    if (currentDate > warningDate) {
-      const daysUntilEol = Math.ceil((eolDate - currentDate) / (1000 * 60 * 60 * 24));
+    if (status === 'ending') {
       this.addFinding(
         instanceId,
         'EC2Instance',
@@ -163,6 +157,7 @@ class WindowsServerEolInspector extends BaseInspector {
 
     // Windows Server 버전 패턴 매칭
     const versionPatterns = [
+      { pattern: /windows.*server.*2025/i, version: '2025' },
       { pattern: /windows.*server.*2022/i, version: '2022' },
       { pattern: /windows.*server.*2019/i, version: '2019' },
       { pattern: /windows.*server.*2016/i, version: '2016' },
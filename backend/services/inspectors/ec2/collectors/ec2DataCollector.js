@@ -3,7 +3,22 @@
  * EC2 관련 데이터 수집을 담당하는 모듈
  */
 
-const { DescribeInstancesCommand, DescribeSecurityGroupsCommand, DescribeSnapshotsCommand, DescribeSubnetsCommand, DescribeReservedInstancesCommand } = require('@aws-sdk/client-ec2');
+const {
+  DescribeInstancesCommand,
+  DescribeInstanceAttributeCommand,
+  DescribeSecurityGroupsCommand,
+  DescribeNetworkInterfacesCommand,
+  DescribeSnapshotsCommand,
+  DescribeSnapshotAttributeCommand,
+  DescribeSubnetsCommand,
+  DescribeReservedInstancesCommand,
+  DescribeVolumesCommand,
+  DescribeImagesCommand,
+  DescribeAddressesCommand,
+  DescribeRegionsCommand,
+  GetEbsEncryptionByDefaultCommand
+} = require('@aws-sdk/client-ec2');
+const { DescribeSavingsPlansCommand } = require('@aws-sdk/client-savingsplans');
 
 class EC2DataCollector {
   constructor(ec2Client, inspector) {
@@ -31,13 +46,14 @@ class EC2DataCollector {
    */
   async getSecurityGroups() {
     try {
-      const command = new DescribeSecurityGroupsCommand({});
-      const response = await this.inspector.retryableApiCall(
-        () => this.ec2Client.send(command),
-        'DescribeSecurityGroups'
+      return await this.inspector.withCollectionCache('DescribeSecurityGroups', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeSecurityGroups',
+          (nextToken) => this.ec2Client.send(new DescribeSecurityGroupsCommand({ NextToken: nextToken })),
+          (response) => response.SecurityGroups,
+          (response) => response.NextToken
+        )
       );
-
-      return response.SecurityGroups || [];
     } catch (error) {
       this.inspector.recordError(error, { operation: 'getSecurityGroups' });
       throw error;
@@ -49,28 +65,39 @@ class EC2DataCollector {
    */
   async getEC2Instances() {
     try {
-      const command = new DescribeInstancesCommand({});
-      const response = await this.inspector.retryableApiCall(
-        () => this.ec2Client.send(command),
-        'DescribeInstances'
+      return await this.inspector.withCollectionCache('DescribeInstances', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeInstances',
+          (nextToken) => this.ec2Client.send(new DescribeInstancesCommand({ NextToken: nextToken })),
+          (response) => (response.Reservations || []).flatMap(reservation => reservation.Instances || []),
+          (response) => response.NextToken
+        )
       );
-
-      const instances = [];
-      if (response.Reservations) {
-        response.Reservations.forEach(reservation => {
-          if (reservation.Instances) {
-            instances.push(...reservation.Instances);
-          }
-        });
-      }
-
-      return instances;
     } catch (error) {
       this.inspector.recordError(error, { operation: 'getEC2Instances' });
       throw error;
     }
   }
 
+  /**
+   * 네트워크 인터페이스(ENI) 목록 조회 (보안 그룹 연결 현황 분석용)
+   */
+  async getNetworkInterfaces() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeNetworkInterfaces', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeNetworkInterfaces',
+          (nextToken) => this.ec2Client.send(new DescribeNetworkInterfacesCommand({ NextToken: nextToken })),
+          (response) => response.NetworkInterfaces,
+          (response) => response.NextToken
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getNetworkInterfaces' });
+      throw error;
+    }
+  }
+
   /**
    * 특정 보안 그룹 조회
    */
@@ -120,6 +147,30 @@ class EC2DataCollector {
     }
   }
 
+  /**
+   * 인스턴스 종료 방지 설정 조회 (조회 실패 시 null)
+   */
+  async getTerminationProtection(instanceId) {
+    try {
+      const command = new DescribeInstanceAttributeCommand({
+        InstanceId: instanceId,
+        Attribute: 'disableApiTermination'
+      });
+      const response = await this.inspector.retryableApiCall(
+        () => this.ec2Client.send(command),
+        'DescribeInstanceAttribute'
+      );
+
+      return response.DisableApiTermination?.Value === true;
+    } catch (error) {
+      this.inspector.recordError(error, { 
+        operation: 'getTerminationProtection',
+        instanceId 
+      });
+      return null;
+    }
+  }
+
   /**
    * 활성 인스턴스만 필터링
    */
@@ -135,45 +186,182 @@ class EC2DataCollector {
    */
   async getSnapshots(ownerId = 'self') {
     try {
-      const command = new DescribeSnapshotsCommand({
-        OwnerIds: [ownerId]
+      return await this.inspector.withCollectionCache('DescribeSnapshots', { ownerId }, () =>
+        this.inspector.collectAllPages(
+          'DescribeSnapshots',
+          (nextToken) => this.ec2Client.send(new DescribeSnapshotsCommand({
+            OwnerIds: [ownerId],
+            NextToken: nextToken
+          })),
+          (response) => response.Snapshots,
+          (response) => response.NextToken
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getSnapshots' });
+      throw error;
+    }
+  }
+
+  /**
+   * 특정 볼륨의 스냅샷 조회
+   */
+  async getSnapshotsForVolume(volumeId) {
+    try {
+      // 계정 전체 스냅샷 조회(DescribeSnapshots)와 부분 수집 기록을 구분
+      return await this.inspector.collectAllPages(
+        'DescribeSnapshotsForVolume',
+        (nextToken) => this.ec2Client.send(new DescribeSnapshotsCommand({
+          OwnerIds: ['self'],
+          Filters: [
+            {
+              Name: 'volume-id',
+              Values: [volumeId]
+            }
+          ],
+          NextToken: nextToken
+        })),
+        (response) => response.Snapshots,
+        (response) => response.NextToken
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { 
+        operation: 'getSnapshotsForVolume',
+        volumeId 
+      });
+      return [];
+    }
+  }
+
+  /**
+   * 스냅샷 볼륨 생성 권한(공유 대상) 조회
+   */
+  async getSnapshotCreateVolumePermissions(snapshotId) {
+    try {
+      const command = new DescribeSnapshotAttributeCommand({
+        SnapshotId: snapshotId,
+        Attribute: 'createVolumePermission'
       });
       const response = await this.inspector.retryableApiCall(
         () => this.ec2Client.send(command),
-        'DescribeSnapshots'
+        'DescribeSnapshotAttribute'
       );
 
-      return response.Snapshots || [];
+      return response.CreateVolumePermissions || [];
     } catch (error) {
-      this.inspector.recordError(error, { operation: 'getSnapshots' });
+      this.inspector.recordError(error, { 
+        operation: 'getSnapshotCreateVolumePermissions',
+        snapshotId 
+      });
+      return [];
+    }
+  }
+
+  /**
+   * EBS 볼륨 목록 조회
+   */
+  async getVolumes() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeVolumes', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeVolumes',
+          (nextToken) => this.ec2Client.send(new DescribeVolumesCommand({ NextToken: nextToken })),
+          (response) => response.Volumes,
+          (response) => response.NextToken
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getVolumes' });
       throw error;
     }
   }
 
   /**
-   * 특정 볼륨의 스냅샷 조회
+   * Elastic IP 목록 조회
    */
-  async getSnapshotsForVolume(volumeId) {
+  async getAddresses() {
     try {
-      const command = new DescribeSnapshotsCommand({
-        OwnerIds: ['self'],
-        Filters: [
-          {
-            Name: 'volume-id',
-            Values: [volumeId]
-          }
-        ]
+      return await this.inspector.withCollectionCache('DescribeAddresses', {}, async () => {
+        const response = await this.inspector.retryableApiCall(
+          () => this.ec2Client.send(new DescribeAddressesCommand({})),
+          'DescribeAddresses'
+        );
+        return response.Addresses || [];
+      });
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getAddresses' });
+      throw error;
+    }
+  }
+
+  /**
+   * 계정 수준 EBS 기본 암호화 설정 조회
+   */
+  async getEbsEncryptionByDefault() {
+    try {
+      return await this.inspector.withCollectionCache('GetEbsEncryptionByDefault', {}, async () => {
+        const response = await this.inspector.retryableApiCall(
+          () => this.ec2Client.send(new GetEbsEncryptionByDefaultCommand({})),
+          'GetEbsEncryptionByDefault'
+        );
+        return response.EbsEncryptionByDefault === true;
+      });
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getEbsEncryptionByDefault' });
+      throw error;
+    }
+  }
+
+  /**
+   * 계정 소유 AMI 목록 조회
+   */
+  async getOwnedImages() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeImages', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeImages',
+          (nextToken) => this.ec2Client.send(new DescribeImagesCommand({
+            Owners: ['self'],
+            NextToken: nextToken
+          })),
+          (response) => response.Images,
+          (response) => response.NextToken
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getOwnedImages' });
+      return [];
+    }
+  }
+
+  /**
+   * AMI ID 목록으로 이미지 조회 (등록 해제되었거나 접근할 수 없는 AMI는 결과에서 제외됨)
+   */
+  async getImages(imageIds) {
+    if (!imageIds || imageIds.length === 0) return [];
+
+    try {
+      const command = new DescribeImagesCommand({
+        ImageIds: imageIds
       });
       const response = await this.inspector.retryableApiCall(
         () => this.ec2Client.send(command),
-        'DescribeSnapshots'
+        'DescribeImages'
       );
 
-      return response.Snapshots || [];
+      return response.Images || [];
     } catch (error) {
+      // 존재하지 않는 AMI ID가 섞이면 전체 요청이 실패하므로 개별 조회로 재시도
+      if (error.name?.startsWith('InvalidAMIID') && imageIds.length > 1) {
+        const results = await Promise.all(imageIds.map(imageId => this.getImages([imageId])));
+        return results.flat();
+      }
+      if (error.name?.startsWith('InvalidAMIID')) {
+        return [];
+      }
       this.inspector.recordError(error, { 
-        operation: 'getSnapshotsForVolume',
-        volumeId 
+        operation: 'getImages',
+        imageIds 
       });
       return [];
     }
@@ -189,13 +377,14 @@ class EC2DataCollector {
         params.SubnetIds = subnetIds;
       }
       
-      const command = new DescribeSubnetsCommand(params);
-      const response = await this.inspector.retryableApiCall(
-        () => this.ec2Client.send(command),
-        'DescribeSubnets'
+      return await this.inspector.withCollectionCache('DescribeSubnets', params, () =>
+        this.inspector.collectAllPages(
+          'DescribeSubnets',
+          (nextToken) => this.ec2Client.send(new DescribeSubnetsCommand({ ...params, NextToken: nextToken })),
+          (response) => response.Subnets,
+          (response) => response.NextToken
+        )
       );
-
-      return response.Subnets || [];
     } catch (error) {
       this.inspector.recordError(error, { 
         operation: 'getSubnets',
@@ -210,20 +399,93 @@ class EC2DataCollector {
    */
   async getReservedInstances() {
     try {
-      const command = new DescribeReservedInstancesCommand({});
-      const response = await this.inspector.retryableApiCall(
-        () => this.ec2Client.send(command),
-        'DescribeReservedInstances'
-      );
-
-      return response.ReservedInstances || [];
+      return await this.inspector.withCollectionCache('DescribeReservedInstances', {}, async () => {
+        const response = await this.inspector.retryableApiCall(
+          () => this.ec2Client.send(new DescribeReservedInstancesCommand({})),
+          'DescribeReservedInstances'
+        );
+        return response.ReservedInstances || [];
+      });
     } catch (error) {
       this.inspector.recordError(error, { operation: 'getReservedInstances' });
       throw error;
     }
   }
 
+  /**
+   * 활성화된 모든 리전의 실행 중 인스턴스 유형 조회 (계정 단위 약정의 리전별 배분용)
+   * 옵트인되지 않았거나 접근이 막힌 리전은 건너뛰고 failedRegions로 반환
+   * @param {Function} getRegionClient - 리전 이름을 받아 해당 리전의 EC2 클라이언트 반환
+   * @returns {Promise<Object>} { instanceTypesByRegion: 리전 -> 실행 중 인스턴스 유형 배열, failedRegions: [{ region, error }] }
+   */
+  async getRunningInstanceTypesByRegion(getRegionClient) {
+    try {
+      return await this.inspector.withCollectionCache('DescribeRunningInstancesByRegion', {}, async () => {
+        const regionsResponse = await this.inspector.retryableApiCall(
+          () => this.ec2Client.send(new DescribeRegionsCommand({})),
+          'DescribeRegions'
+        );
+        const regions = (regionsResponse.Regions || []).map(region => region.RegionName).filter(Boolean);
+        const failedRegions = [];
 
+        const entries = await Promise.all(regions.map(async region => {
+          const client = getRegionClient(region);
+          try {
+            const instanceTypes = await this.inspector.collectAllPages(
+              'DescribeInstances',
+              (nextToken) => client.send(new DescribeInstancesCommand({
+                Filters: [{ Name: 'instance-state-name', Values: ['running'] }],
+                NextToken: nextToken
+              })),
+              (response) => (response.Reservations || [])
+                .flatMap(reservation => reservation.Instances || [])
+                .map(instance => instance.InstanceType),
+              (response) => response.NextToken
+            );
+            return [region, instanceTypes];
+          } catch (error) {
+            this.inspector.throwIfCancelled();
+
+            this.inspector.recordError(error, { operation: 'getRunningInstanceTypesByRegion', region });
+            failedRegions.push({ region, error: error.name || error.message });
+            return null;
+          }
+        }));
+
+        return {
+          instanceTypesByRegion: Object.fromEntries(entries.filter(Boolean)),
+          failedRegions
+        };
+      });
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getRunningInstanceTypesByRegion' });
+      throw error;
+    }
+  }
+
+
+
+  /**
+   * 활성 Savings Plans 목록 조회 (Savings Plans는 계정 단위이므로 별도 클라이언트 사용)
+   */
+  async getActiveSavingsPlans(savingsPlansClient) {
+    try {
+      return await this.inspector.withCollectionCache('DescribeSavingsPlans', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeSavingsPlans',
+          (nextToken) => savingsPlansClient.send(new DescribeSavingsPlansCommand({
+            states: ['active'],
+            nextToken
+          })),
+          (response) => response.savingsPlans,
+          (response) => response.nextToken
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getActiveSavingsPlans' });
+      throw error;
+    }
+  }
 
   /**
    * 보안 그룹 사용 현황 분석 (필요시에만 실행)
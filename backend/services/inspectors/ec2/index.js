@@ -2,12 +2,26 @@ const BaseInspector = require('../baseInspector');
 const { EC2Client } = require('@aws-sdk/client-ec2');
 const EC2DataCollector = require('./collectors/ec2DataCollector');
 const SecurityGroupInspector = require('./checks/securityGroupInspector');
+const SecurityGroupHygieneInspector = require('./checks/securityGroupHygieneInspector');
 const BackupStatusInspector = require('./checks/backupStatusInspector');
 const WindowsServerEolInspector = require('./checks/windowsServerEolInspector');
+const LinuxOsEolInspector = require('./checks/linuxOsEolInspector');
 const PublicInstanceInspector = require('./checks/publicInstanceInspector');
 const InstanceTypeOptimizationInspector = require('./checks/instanceTypeOptimizationInspector');
 const ReservedInstanceInspector = require('./checks/reservedInstanceInspector');
+const CommitmentCoverageInspector = require('./checks/commitmentCoverageInspector');
 const StoppedInstanceInspector = require('./checks/stoppedInstanceInspector');
+const UnattachedVolumeInspector = require('./checks/unattachedVolumeInspector');
+const VolumeEncryptionInspector = require('./checks/volumeEncryptionInspector');
+const EbsDefaultEncryptionInspector = require('./checks/ebsDefaultEncryptionInspector');
+const Gp3MigrationInspector = require('./checks/gp3MigrationInspector');
+const SnapshotSharingInspector = require('./checks/snapshotSharingInspector');
+const OrphanedSnapshotInspector = require('./checks/orphanedSnapshotInspector');
+const ImdsV2Inspector = require('./checks/imdsV2Inspector');
+const DetailedMonitoringInspector = require('./checks/detailedMonitoringInspector');
+const TerminationProtectionInspector = require('./checks/terminationProtectionInspector');
+const InstanceProfileInspector = require('./checks/instanceProfileInspector');
+const AmiAgeInspector = require('./checks/amiAgeInspector');
 
 class EC2Inspector extends BaseInspector {
   constructor() {
@@ -40,12 +54,26 @@ class EC2Inspector extends BaseInspector {
     
     const inspectorMap = {
       'security-groups': SecurityGroupInspector,
+      'security-group-hygiene': SecurityGroupHygieneInspector,
       'backup-status': BackupStatusInspector,
       'windows-server-eol': WindowsServerEolInspector,
+      'linux-os-eol': LinuxOsEolInspector,
       'public-instances': PublicInstanceInspector,
       'instance-type-optimization': InstanceTypeOptimizationInspector,
       'reserved-instances': ReservedInstanceInspector,
-      'stopped-instances': StoppedInstanceInspector
+      'commitment-coverage': CommitmentCoverageInspector,
+      'stopped-instances': StoppedInstanceInspector,
+      'unattached-volumes': UnattachedVolumeInspector,
+      'volume-encryption': VolumeEncryptionInspector,
+      'ebs-default-encryption': EbsDefaultEncryptionInspector,
+      'gp3-migration': Gp3MigrationInspector,
+      'snapshot-sharing': SnapshotSharingInspector,
+      'orphaned-snapshots': OrphanedSnapshotInspector,
+      'imdsv2-enforcement': ImdsV2Inspector,
+      'detailed-monitoring': DetailedMonitoringInspector,
+      'termination-protection': TerminationProtectionInspector,
+      'instance-profile': InstanceProfileInspector,
+      'ami-age': AmiAgeInspector
     };
     
     const InspectorClass = inspectorMap[targetItem];
@@ -58,13 +86,20 @@ class EC2Inspector extends BaseInspector {
   }
 
   async executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem) {
+    const inspector = new InspectorClass();
     try {
-      const inspector = new InspectorClass();
       await inspector.executeInspection(awsCredentials, inspectionConfig);
       this.findings.push(...inspector.findings);
       this.incrementResourceCount(inspector.resourcesScanned);
+      this.mergePartialCollections(inspector);
     } catch (error) {
-      this.recordError(error, { targetItem });
+      if (this.isCancelled()) {
+        // 취소된 경우 취소 전까지 발견된 결과는 유지
+        this.findings.push(...inspector.findings);
+        this.mergePartialCollections(inspector);
+      } else {
+        this.recordError(error, { targetItem });
+      }
       throw error;
     }
   }
@@ -72,19 +107,46 @@ class EC2Inspector extends BaseInspector {
   async performInspection(awsCredentials, inspectionConfig) {
     const data = await this.dataCollector.collectAllData();
     this.incrementResourceCount(data.securityGroups.length + data.instances.length);
-    
+
+    const checks = [];
+
     if (data.securityGroups.length > 0) {
-      await this.executeInspector(SecurityGroupInspector, awsCredentials, inspectionConfig);
+      checks.push(SecurityGroupInspector, SecurityGroupHygieneInspector);
     }
-    
+
     if (data.instances.length > 0) {
-      await this.executeInspector(BackupStatusInspector, awsCredentials, inspectionConfig);
-      await this.executeInspector(WindowsServerEolInspector, awsCredentials, inspectionConfig);
-      await this.executeInspector(PublicInstanceInspector, awsCredentials, inspectionConfig);
-      await this.executeInspector(InstanceTypeOptimizationInspector, awsCredentials, inspectionConfig);
-      await this.executeInspector(ReservedInstanceInspector, awsCredentials, inspectionConfig);
-      await this.executeInspector(StoppedInstanceInspector, awsCredentials, inspectionConfig);
+      checks.push(
+        BackupStatusInspector,
+        WindowsServerEolInspector,
+        LinuxOsEolInspector,
+        PublicInstanceInspector,
+        InstanceTypeOptimizationInspector,
+        ReservedInstanceInspector,
+        CommitmentCoverageInspector,
+        StoppedInstanceInspector,
+        ImdsV2Inspector,
+        DetailedMonitoringInspector,
+        TerminationProtectionInspector,
+        InstanceProfileInspector,
+        AmiAgeInspector
+      );
     }
+
+    // EBS 볼륨/스냅샷은 인스턴스 유무와 관계없이 존재할 수 있으므로 항상 검사
+    checks.push(
+      UnattachedVolumeInspector,
+      VolumeEncryptionInspector,
+      EbsDefaultEncryptionInspector,
+      Gp3MigrationInspector,
+      SnapshotSharingInspector,
+      OrphanedSnapshotInspector
+    );
+
+    // 각 검사는 서로 독립적이므로 병렬 실행 (같은 데이터 수집은 수집 캐시로 공유)
+    await this.runConcurrently(
+      checks.map(InspectorClass => () => this.executeInspector(InspectorClass, awsCredentials, inspectionConfig)),
+      this.resolveCheckConcurrency(inspectionConfig)
+    );
   }
 }
 
@@ -0,0 +1,193 @@
+/**
+ * EC2 Instance Pricing
+ * 인스턴스 타입 파싱, 크기 정규화 계수 및 온디맨드 요금 추정을 담당하는 모듈
+ *
+ * 요금은 us-east-1 Linux 온디맨드 기준이며, 같은 패밀리 내에서는
+ * vCPU·메모리·요금이 크기 정규화 계수에 비례한다고 가정합니다.
+ */
+
+const HOURS_PER_MONTH = 730;
+
+// 인스턴스 크기별 정규화 계수 (AWS RI 정규화 계수 기준, small = 1)
+const SIZE_FACTORS = {
+  nano: 0.25,
+  micro: 0.5,
+  small: 1,
+  medium: 2,
+  large: 4,
+  xlarge: 8,
+  '2xlarge': 16,
+  '4xlarge': 32,
+  '8xlarge': 64,
+  '9xlarge': 72,
+  '12xlarge': 96,
+  '16xlarge': 128,
+  '18xlarge': 144,
+  '24xlarge': 192,
+  '32xlarge': 256,
+  '48xlarge': 384
+};
+
+// 패밀리별 large 크기 시간당 요금 (USD)
+const LARGE_HOURLY_PRICES = {
+  t2: 0.0928,
+  t3: 0.0832,
+  t3a: 0.0752,
+  t4g: 0.0672,
+  m5: 0.096,
+  m5a: 0.086,
+  m6i: 0.096,
+  m6a: 0.0864,
+  m6g: 0.077,
+  m7i: 0.1008,
+  m7a: 0.11592,
+  m7g: 0.0816,
+  c5: 0.085,
+  c5a: 0.077,
+  c6i: 0.085,
+  c6a: 0.0765,
+  c6g: 0.068,
+  c7i: 0.08925,
+  c7g: 0.0725,
+  r5: 0.126,
+  r5a: 0.113,
+  r6i: 0.126,
+  r6a: 0.1134,
+  r6g: 0.1008,
+  r7i: 0.1323,
+  r7g: 0.1071
+};
+
+// 패밀리별 제공 크기 (작은 크기부터, metal 제외)
+const BURSTABLE_SIZES = ['nano', 'micro', 'small', 'medium', 'large', 'xlarge', '2xlarge'];
+const GRAVITON_SIZES = ['medium', 'large', 'xlarge', '2xlarge', '4xlarge', '8xlarge', '12xlarge', '16xlarge'];
+const GEN5_SIZES = ['large', 'xlarge', '2xlarge', '4xlarge', '8xlarge', '12xlarge', '16xlarge', '24xlarge'];
+const GEN6_INTEL_SIZES = [...GEN5_SIZES, '32xlarge'];
+const GEN6_AMD_SIZES = [...GEN6_INTEL_SIZES, '48xlarge'];
+const GEN7_INTEL_SIZES = [...GEN5_SIZES, '48xlarge'];
+
+const FAMILY_SIZES = {
+  t2: BURSTABLE_SIZES,
+  t3: BURSTABLE_SIZES,
+  t3a: BURSTABLE_SIZES,
+  t4g: BURSTABLE_SIZES,
+  m5: GEN5_SIZES,
+  m5a: GEN5_SIZES,
+  m6i: GEN6_INTEL_SIZES,
+  m6a: GEN6_AMD_SIZES,
+  m6g: GRAVITON_SIZES,
+  m7i: GEN7_INTEL_SIZES,
+  m7a: ['medium', ...GEN6_AMD_SIZES],
+  m7g: GRAVITON_SIZES,
+  c5: ['large', 'xlarge', '2xlarge', '4xlarge', '9xlarge', '12xlarge', '18xlarge', '24xlarge'],
+  c5a: GEN5_SIZES,
+  c6i: GEN6_INTEL_SIZES,
+  c6a: GEN6_AMD_SIZES,
+  c6g: GRAVITON_SIZES,
+  c7i: GEN7_INTEL_SIZES,
+  c7g: GRAVITON_SIZES,
+  r5: GEN5_SIZES,
+  r5a: GEN5_SIZES,
+  r6i: GEN6_INTEL_SIZES,
+  r6a: GEN6_AMD_SIZES,
+  r6g: GRAVITON_SIZES,
+  r7i: GEN7_INTEL_SIZES,
+  r7g: GRAVITON_SIZES
+};
+
+// x86 패밀리의 Graviton(arm64) 대응 패밀리
+const GRAVITON_EQUIVALENTS = {
+  t2: 't4g',
+  t3: 't4g',
+  t3a: 't4g',
+  m5: 'm7g',
+  m5a: 'm7g',
+  m6i: 'm7g',
+  m6a: 'm7g',
+  m7i: 'm7g',
+  m7a: 'm7g',
+  c5: 'c7g',
+  c5a: 'c7g',
+  c6i: 'c7g',
+  c6a: 'c7g',
+  c7i: 'c7g',
+  r5: 'r7g',
+  r5a: 'r7g',
+  r6i: 'r7g',
+  r6a: 'r7g',
+  r7i: 'r7g'
+};
+
+/**
+ * 인스턴스 타입을 패밀리와 크기로 분리
+ * @param {string} instanceType - 예: m5.xlarge
+ * @returns {Object|null} { family, size } 또는 형식이 다르면 null
+ */
+function parseInstanceType(instanceType) {
+  const [family, size] = (instanceType || '').split('.');
+  if (!family || !size) return null;
+  return { family, size };
+}
+
+/**
+ * 크기 정규화 계수 조회
+ * @param {string} size - 인스턴스 크기
+ * @returns {number|null} 정규화 계수
+ */
+function getSizeFactor(size) {
+  return SIZE_FACTORS[size] ?? null;
+}
+
+/**
+ * 인스턴스 타입의 시간당 온디맨드 요금 추정
+ * @param {string} instanceType - 인스턴스 타입
+ * @returns {number|null} 시간당 요금 (요금 정보가 없거나 제공되지 않는 패밀리/크기는 null)
+ */
+function getHourlyPrice(instanceType) {
+  const parsed = parseInstanceType(instanceType);
+  if (!parsed) return null;
+
+  const largePrice = LARGE_HOURLY_PRICES[parsed.family];
+  const factor = getSizeFactor(parsed.size);
+  if (largePrice === undefined || factor === null || !getSizeLadder(parsed.family).includes(parsed.size)) return null;
+
+  return largePrice * (factor / SIZE_FACTORS.large);
+}
+
+/**
+ * 인스턴스 타입의 월 온디맨드 요금 추정
+ * @param {string} instanceType - 인스턴스 타입
+ * @returns {number|null} 월 요금
+ */
+function getMonthlyPrice(instanceType) {
+  const hourlyPrice = getHourlyPrice(instanceType);
+  return hourlyPrice === null ? null : hourlyPrice * HOURS_PER_MONTH;
+}
+
+/**
+ * 패밀리에서 제공하는 크기 목록 (작은 크기부터)
+ * @param {string} family - 인스턴스 패밀리
+ * @returns {string[]} 크기 목록 (요금표에 없는 패밀리는 빈 배열)
+ */
+function getSizeLadder(family) {
+  return FAMILY_SIZES[family] || [];
+}
+
+/**
+ * Graviton 대응 패밀리 조회
+ * @param {string} family - 인스턴스 패밀리
+ * @returns {string|null} Graviton 패밀리 (이미 Graviton이거나 대응 패밀리가 없으면 null)
+ */
+function getGravitonFamily(family) {
+  return GRAVITON_EQUIVALENTS[family] || null;
+}
+
+module.exports = {
+  HOURS_PER_MONTH,
+  parseInstanceType,
+  getSizeFactor,
+  getHourlyPrice,
+  getMonthlyPrice,
+  getSizeLadder,
+  getGravitonFamily
+};
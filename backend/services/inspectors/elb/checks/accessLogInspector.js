@@ -0,0 +1,162 @@
+const BaseInspector = require('../../baseInspector');
+const { ElasticLoadBalancingV2Client } = require('@aws-sdk/client-elastic-load-balancing-v2');
+const { ElasticLoadBalancingClient } = require('@aws-sdk/client-elastic-load-balancing');
+const ELBDataCollector = require('../collectors/elbDataCollector');
+
+class AccessLogInspector extends BaseInspector {
+  constructor() {
+    super('ELB');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const clientConfig = {
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new ELBDataCollector({
+        elbv2Client: new ElasticLoadBalancingV2Client(clientConfig),
+        elbClient: new ElasticLoadBalancingClient(clientConfig)
+      }, this);
+
+      const [loadBalancers, classicLoadBalancers] = await Promise.all([
+        this.dataCollector.getLoadBalancers(),
+        this.dataCollector.getClassicLoadBalancers()
+      ]);
+
+      if (!Array.isArray(loadBalancers) || !Array.isArray(classicLoadBalancers)) {
+        this.addFinding('loadBalancers', 'LoadBalancer', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkLoadBalancers(loadBalancers);
+      await this.checkClassicLoadBalancers(classicLoadBalancers);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'access-logs',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkLoadBalancers(loadBalancers) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const loadBalancer of loadBalancers) {
+      this.incrementResourceCount();
+
+      const validation = this.validateLoadBalancerFormat(loadBalancer);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkLoadBalancer(loadBalancer);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  async checkClassicLoadBalancers(classicLoadBalancers) {
+    for (const loadBalancer of classicLoadBalancers) {
+      if (!loadBalancer?.LoadBalancerName) continue;
+
+      this.incrementResourceCount();
+      await this.checkClassicLoadBalancer(loadBalancer);
+    }
+  }
+
+  validateLoadBalancerFormat(loadBalancer) {
+    if (!loadBalancer || typeof loadBalancer !== 'object') {
+      return { valid: false, error: '로드 밸런서가 객체가 아님' };
+    }
+
+    if (!loadBalancer.LoadBalancerArn) {
+      return { valid: false, error: 'LoadBalancerArn 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkLoadBalancer(loadBalancer) {
+    // 게이트웨이 로드 밸런서는 액세스 로그를 지원하지 않음
+    if (loadBalancer.Type === 'gateway') return;
+
+    const attributes = await this.dataCollector.getLoadBalancerAttributes(loadBalancer.LoadBalancerArn);
+    if (!attributes) return;
+
+    if (attributes['access_logs.s3.enabled'] !== 'true') {
+      this.addFinding(
+        loadBalancer.LoadBalancerArn,
+        'LoadBalancer',
+        `로드 밸런서 '${loadBalancer.LoadBalancerName}'의 액세스 로그가 비활성화됨 (${loadBalancer.Type}, ${loadBalancer.Scheme})`,
+        '액세스 로그를 S3 버킷으로 전송하도록 설정하여 요청 패턴 분석과 보안 사고 조사에 활용하세요'
+      );
+    }
+  }
+
+  async checkClassicLoadBalancer(loadBalancer) {
+    const attributes = await this.dataCollector.getClassicLoadBalancerAttributes(loadBalancer.LoadBalancerName);
+    if (!attributes) return;
+
+    if (!attributes.AccessLog?.Enabled) {
+      this.addFinding(
+        loadBalancer.LoadBalancerName,
+        'ClassicLoadBalancer',
+        `Classic Load Balancer '${loadBalancer.LoadBalancerName}'의 액세스 로그가 비활성화됨 (${loadBalancer.Scheme})`,
+        '액세스 로그를 S3 버킷으로 전송하도록 설정하여 요청 패턴 분석과 보안 사고 조사에 활용하세요'
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'ELB 권한 부족', 'IAM 정책에 elasticloadbalancing:DescribeLoadBalancerAttributes 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'ELB 액세스 로그 검사' });
+    }
+  }
+}
+
+module.exports = AccessLogInspector;
@@ -0,0 +1,149 @@
+const BaseInspector = require('../../baseInspector');
+const { ElasticLoadBalancingV2Client } = require('@aws-sdk/client-elastic-load-balancing-v2');
+const { ElasticLoadBalancingClient } = require('@aws-sdk/client-elastic-load-balancing');
+const ELBDataCollector = require('../collectors/elbDataCollector');
+
+class DeletionProtectionInspector extends BaseInspector {
+  constructor() {
+    super('ELB');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const clientConfig = {
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new ELBDataCollector({
+        elbv2Client: new ElasticLoadBalancingV2Client(clientConfig),
+        elbClient: new ElasticLoadBalancingClient(clientConfig)
+      }, this);
+
+      const [loadBalancers, classicLoadBalancers] = await Promise.all([
+        this.dataCollector.getLoadBalancers(),
+        this.dataCollector.getClassicLoadBalancers()
+      ]);
+
+      if (!Array.isArray(loadBalancers) || !Array.isArray(classicLoadBalancers)) {
+        this.addFinding('loadBalancers', 'LoadBalancer', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkLoadBalancers(loadBalancers);
+      await this.checkClassicLoadBalancers(classicLoadBalancers);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'deletion-protection',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkLoadBalancers(loadBalancers) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const loadBalancer of loadBalancers) {
+      this.incrementResourceCount();
+
+      const validation = this.validateLoadBalancerFormat(loadBalancer);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkLoadBalancer(loadBalancer);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  async checkClassicLoadBalancers(classicLoadBalancers) {
+    for (const loadBalancer of classicLoadBalancers) {
+      if (!loadBalancer?.LoadBalancerName) continue;
+
+      this.incrementResourceCount();
+      await this.checkClassicLoadBalancer(loadBalancer);
+    }
+  }
+
+  validateLoadBalancerFormat(loadBalancer) {
+    if (!loadBalancer || typeof loadBalancer !== 'object') {
+      return { valid: false, error: '로드 밸런서가 객체가 아님' };
+    }
+
+    if (!loadBalancer.LoadBalancerArn) {
+      return { valid: false, error: 'LoadBalancerArn 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkLoadBalancer(loadBalancer) {
+    const attributes = await this.dataCollector.getLoadBalancerAttributes(loadBalancer.LoadBalancerArn);
+    if (!attributes) return;
+
+    if (attributes['deletion_protection.enabled'] !== 'true') {
+      this.addFinding(
+        loadBalancer.LoadBalancerArn,
+        'LoadBalancer',
+        `로드 밸런서 '${loadBalancer.LoadBalancerName}'의 삭제 방지가 비활성화됨 (${loadBalancer.Type}, ${loadBalancer.Scheme})`,
+        '운영 트래픽을 처리하는 로드 밸런서는 삭제 방지를 활성화하여 실수로 인한 삭제와 서비스 중단을 방지하세요'
+      );
+    }
+  }
+
+  async checkClassicLoadBalancer(loadBalancer) {
+    // Classic Load Balancer는 삭제 방지 속성을 지원하지 않음
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'ELB 권한 부족', 'IAM 정책에 elasticloadbalancing:DescribeLoadBalancerAttributes 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'ELB 삭제 방지 검사' });
+    }
+  }
+}
+
+module.exports = DeletionProtectionInspector;
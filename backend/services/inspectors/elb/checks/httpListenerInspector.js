@@ -0,0 +1,173 @@
+const BaseInspector = require('../../baseInspector');
+const { ElasticLoadBalancingV2Client } = require('@aws-sdk/client-elastic-load-balancing-v2');
+const { ElasticLoadBalancingClient } = require('@aws-sdk/client-elastic-load-balancing');
+const ELBDataCollector = require('../collectors/elbDataCollector');
+
+class HttpListenerInspector extends BaseInspector {
+  constructor() {
+    super('ELB');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const clientConfig = {
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new ELBDataCollector({
+        elbv2Client: new ElasticLoadBalancingV2Client(clientConfig),
+        elbClient: new ElasticLoadBalancingClient(clientConfig)
+      }, this);
+
+      const [loadBalancers, classicLoadBalancers] = await Promise.all([
+        this.dataCollector.getLoadBalancers(),
+        this.dataCollector.getClassicLoadBalancers()
+      ]);
+
+      if (!Array.isArray(loadBalancers) || !Array.isArray(classicLoadBalancers)) {
+        this.addFinding('loadBalancers', 'LoadBalancer', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkLoadBalancers(loadBalancers);
+      await this.checkClassicLoadBalancers(classicLoadBalancers);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'http-listeners',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkLoadBalancers(loadBalancers) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const loadBalancer of loadBalancers) {
+      this.incrementResourceCount();
+
+      const validation = this.validateLoadBalancerFormat(loadBalancer);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkLoadBalancer(loadBalancer);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  async checkClassicLoadBalancers(classicLoadBalancers) {
+    for (const loadBalancer of classicLoadBalancers) {
+      if (!loadBalancer?.LoadBalancerName) continue;
+
+      this.incrementResourceCount();
+      await this.checkClassicLoadBalancer(loadBalancer);
+    }
+  }
+
+  validateLoadBalancerFormat(loadBalancer) {
+    if (!loadBalancer || typeof loadBalancer !== 'object') {
+      return { valid: false, error: '로드 밸런서가 객체가 아님' };
+    }
+
+    if (!loadBalancer.LoadBalancerArn) {
+      return { valid: false, error: 'LoadBalancerArn 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkLoadBalancer(loadBalancer) {
+    // HTTP 리스너는 ALB에만 존재
+    if (loadBalancer.Type !== 'application') return;
+
+    const listeners = await this.dataCollector.getListeners(loadBalancer.LoadBalancerArn);
+
+    for (const listener of listeners) {
+      if (listener.Protocol !== 'HTTP') continue;
+      if (this.redirectsToHttps(listener)) continue;
+
+      this.addFinding(
+        listener.ListenerArn,
+        'LoadBalancerListener',
+        `ALB '${loadBalancer.LoadBalancerName}'의 HTTP:${listener.Port} 리스너가 HTTPS로 리디렉션하지 않음 (${loadBalancer.Scheme})`,
+        '리스너 기본 작업을 HTTPS(443)로의 리디렉션(HTTP_301)으로 변경하여 평문 HTTP 요청이 대상에 전달되지 않도록 하세요'
+      );
+    }
+  }
+
+  async checkClassicLoadBalancer(loadBalancer) {
+    const listeners = (loadBalancer.ListenerDescriptions || []).map(description => description.Listener).filter(Boolean);
+    const hasSecureListener = listeners.some(listener => ['HTTPS', 'SSL'].includes(listener.Protocol));
+
+    for (const listener of listeners) {
+      if (listener.Protocol !== 'HTTP') continue;
+
+      // Classic Load Balancer는 리디렉션을 지원하지 않음
+      this.addFinding(
+        this.dataCollector.getClassicListenerId(loadBalancer, listener),
+        'LoadBalancerListener',
+        `Classic Load Balancer '${loadBalancer.LoadBalancerName}'의 HTTP:${listener.LoadBalancerPort} 리스너가 평문 트래픽을 수신${hasSecureListener ? '' : ' (HTTPS 리스너 없음)'}`,
+        'Classic Load Balancer는 HTTPS 리디렉션을 지원하지 않으므로 ALB로 마이그레이션하여 HTTP→HTTPS 리디렉션을 구성하세요'
+      );
+    }
+  }
+
+  redirectsToHttps(listener) {
+    return (listener.DefaultActions || []).some(action =>
+      action.Type === 'redirect' && action.RedirectConfig?.Protocol === 'HTTPS'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'ELB 권한 부족', 'IAM 정책에 elasticloadbalancing:DescribeLoadBalancers, elasticloadbalancing:DescribeListeners 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'ELB 리스너 검사' });
+    }
+  }
+}
+
+module.exports = HttpListenerInspector;
@@ -0,0 +1,178 @@
+const BaseInspector = require('../../baseInspector');
+const { ElasticLoadBalancingV2Client } = require('@aws-sdk/client-elastic-load-balancing-v2');
+const { ElasticLoadBalancingClient } = require('@aws-sdk/client-elastic-load-balancing');
+const ELBDataCollector = require('../collectors/elbDataCollector');
+
+class SslPolicyInspector extends BaseInspector {
+  constructor() {
+    super('ELB');
+
+    // 최소 TLS 1.2 이상만 허용하는 정책 이름 패턴 (TLS13-1-0, TLS13-1-1 등은 구버전 TLS 허용)
+    this.modernPolicyPatterns = [
+      /TLS13-1-[23]/,
+      /TLS-1-2/,
+      /FS-1-2/
+    ];
+    this.recommendedPolicy = 'ELBSecurityPolicy-TLS13-1-2-2021-06';
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const clientConfig = {
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new ELBDataCollector({
+        elbv2Client: new ElasticLoadBalancingV2Client(clientConfig),
+        elbClient: new ElasticLoadBalancingClient(clientConfig)
+      }, this);
+
+      const [loadBalancers, classicLoadBalancers] = await Promise.all([
+        this.dataCollector.getLoadBalancers(),
+        this.dataCollector.getClassicLoadBalancers()
+      ]);
+
+      if (!Array.isArray(loadBalancers) || !Array.isArray(classicLoadBalancers)) {
+        this.addFinding('loadBalancers', 'LoadBalancer', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkLoadBalancers(loadBalancers);
+      await this.checkClassicLoadBalancers(classicLoadBalancers);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'ssl-policy',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkLoadBalancers(loadBalancers) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const loadBalancer of loadBalancers) {
+      this.incrementResourceCount();
+
+      const validation = this.validateLoadBalancerFormat(loadBalancer);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkLoadBalancer(loadBalancer);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  async checkClassicLoadBalancers(classicLoadBalancers) {
+    for (const loadBalancer of classicLoadBalancers) {
+      if (!loadBalancer?.LoadBalancerName) continue;
+
+      this.incrementResourceCount();
+      await this.checkClassicLoadBalancer(loadBalancer);
+    }
+  }
+
+  validateLoadBalancerFormat(loadBalancer) {
+    if (!loadBalancer || typeof loadBalancer !== 'object') {
+      return { valid: false, error: '로드 밸런서가 객체가 아님' };
+    }
+
+    if (!loadBalancer.LoadBalancerArn) {
+      return { valid: false, error: 'LoadBalancerArn 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkLoadBalancer(loadBalancer) {
+    const listeners = await this.dataCollector.getListeners(loadBalancer.LoadBalancerArn);
+
+    for (const listener of listeners) {
+      if (!['HTTPS', 'TLS'].includes(listener.Protocol)) continue;
+      if (!listener.SslPolicy || this.isModernPolicy(listener.SslPolicy)) continue;
+
+      this.addFinding(
+        listener.ListenerArn,
+        'LoadBalancerListener',
+        `로드 밸런서 '${loadBalancer.LoadBalancerName}'의 ${listener.Protocol}:${listener.Port} 리스너가 TLS 1.2 미만을 허용하는 보안 정책 사용 (${listener.SslPolicy})`,
+        `${this.recommendedPolicy} 등 TLS 1.2 이상만 허용하는 보안 정책으로 변경하세요`
+      );
+    }
+  }
+
+  async checkClassicLoadBalancer(loadBalancer) {
+    for (const description of loadBalancer.ListenerDescriptions || []) {
+      const listener = description.Listener;
+      if (!listener || !['HTTPS', 'SSL'].includes(listener.Protocol)) continue;
+
+      for (const policyName of description.PolicyNames || []) {
+        const securityPolicy = await this.dataCollector.getClassicReferenceSecurityPolicy(loadBalancer.LoadBalancerName, policyName);
+        if (!securityPolicy || this.isModernPolicy(securityPolicy)) continue;
+
+        this.addFinding(
+          this.dataCollector.getClassicListenerId(loadBalancer, listener),
+          'LoadBalancerListener',
+          `Classic Load Balancer '${loadBalancer.LoadBalancerName}'의 ${listener.Protocol}:${listener.LoadBalancerPort} 리스너가 오래된 보안 정책 사용 (${securityPolicy})`,
+          'ELBSecurityPolicy-TLS-1-2-2017-01 정책을 참조하도록 리스너 정책을 변경하거나 ALB로 마이그레이션하세요'
+        );
+      }
+    }
+  }
+
+  isModernPolicy(policyName) {
+    return this.modernPolicyPatterns.some(pattern => pattern.test(policyName));
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'ELB 권한 부족', 'IAM 정책에 elasticloadbalancing:DescribeListeners, elasticloadbalancing:DescribeLoadBalancerPolicies 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'ELB 보안 정책 검사' });
+    }
+  }
+}
+
+module.exports = SslPolicyInspector;
@@ -0,0 +1,190 @@
+const BaseInspector = require('../../baseInspector');
+const { ElasticLoadBalancingV2Client } = require('@aws-sdk/client-elastic-load-balancing-v2');
+const { ElasticLoadBalancingClient } = require('@aws-sdk/client-elastic-load-balancing');
+const ELBDataCollector = require('../collectors/elbDataCollector');
+
+class TargetHealthInspector extends BaseInspector {
+  constructor() {
+    super('ELB');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const clientConfig = {
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new ELBDataCollector({
+        elbv2Client: new ElasticLoadBalancingV2Client(clientConfig),
+        elbClient: new ElasticLoadBalancingClient(clientConfig)
+      }, this);
+
+      const [loadBalancers, classicLoadBalancers] = await Promise.all([
+        this.dataCollector.getLoadBalancers(),
+        this.dataCollector.getClassicLoadBalancers()
+      ]);
+
+      if (!Array.isArray(loadBalancers) || !Array.isArray(classicLoadBalancers)) {
+        this.addFinding('loadBalancers', 'LoadBalancer', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkLoadBalancers(loadBalancers);
+      await this.checkClassicLoadBalancers(classicLoadBalancers);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'target-health',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkLoadBalancers(loadBalancers) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const loadBalancer of loadBalancers) {
+      this.incrementResourceCount();
+
+      const validation = this.validateLoadBalancerFormat(loadBalancer);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkLoadBalancer(loadBalancer);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  async checkClassicLoadBalancers(classicLoadBalancers) {
+    for (const loadBalancer of classicLoadBalancers) {
+      if (!loadBalancer?.LoadBalancerName) continue;
+
+      this.incrementResourceCount();
+      await this.checkClassicLoadBalancer(loadBalancer);
+    }
+  }
+
+  validateLoadBalancerFormat(loadBalancer) {
+    if (!loadBalancer || typeof loadBalancer !== 'object') {
+      return { valid: false, error: '로드 밸런서가 객체가 아님' };
+    }
+
+    if (!loadBalancer.LoadBalancerArn) {
+      return { valid: false, error: 'LoadBalancerArn 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkLoadBalancer(loadBalancer) {
+    const targetGroups = await this.dataCollector.getTargetGroups(loadBalancer.LoadBalancerArn);
+    if (targetGroups === null) return;
+
+    let registeredCount = 0;
+    let healthyCount = 0;
+
+    for (const targetGroup of targetGroups) {
+      const targets = await this.dataCollector.getTargetHealth(targetGroup.TargetGroupArn);
+      if (targets === null) return; // 조회 실패 시 판단 보류
+
+      registeredCount += targets.length;
+      healthyCount += targets.filter(target => target.TargetHealth?.State === 'healthy').length;
+    }
+
+    if (registeredCount === 0) {
+      this.addFinding(
+        loadBalancer.LoadBalancerArn,
+        'LoadBalancer',
+        `로드 밸런서 '${loadBalancer.LoadBalancerName}'에 등록된 대상이 없음 (대상 그룹 ${targetGroups.length}개)`,
+        '사용하지 않는 로드 밸런서라면 삭제하여 시간당 요금을 절감하고, 사용 중이라면 대상 등록 상태를 확인하세요'
+      );
+      return;
+    }
+
+    if (healthyCount === 0) {
+      this.addFinding(
+        loadBalancer.LoadBalancerArn,
+        'LoadBalancer',
+        `로드 밸런서 '${loadBalancer.LoadBalancerName}'에 정상 상태인 대상이 없음 (등록된 대상 ${registeredCount}개 모두 비정상)`,
+        '대상의 상태 검사 경로, 포트, 보안 그룹 규칙을 확인하여 트래픽을 처리할 수 있는 정상 대상을 확보하세요'
+      );
+    }
+  }
+
+  async checkClassicLoadBalancer(loadBalancer) {
+    if ((loadBalancer.Instances || []).length === 0) {
+      this.addFinding(
+        loadBalancer.LoadBalancerName,
+        'ClassicLoadBalancer',
+        `Classic Load Balancer '${loadBalancer.LoadBalancerName}'에 등록된 인스턴스가 없음`,
+        '사용하지 않는 로드 밸런서라면 삭제하여 시간당 요금을 절감하고, 사용 중이라면 인스턴스 등록 상태를 확인하세요'
+      );
+      return;
+    }
+
+    const instanceStates = await this.dataCollector.getClassicInstanceHealth(loadBalancer.LoadBalancerName);
+    if (instanceStates === null) return;
+
+    if (!instanceStates.some(state => state.State === 'InService')) {
+      this.addFinding(
+        loadBalancer.LoadBalancerName,
+        'ClassicLoadBalancer',
+        `Classic Load Balancer '${loadBalancer.LoadBalancerName}'에 InService 상태인 인스턴스가 없음 (등록된 인스턴스 ${instanceStates.length}개)`,
+        '인스턴스의 상태 검사 설정과 보안 그룹 규칙을 확인하여 트래픽을 처리할 수 있는 정상 인스턴스를 확보하세요'
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'ELB 권한 부족', 'IAM 정책에 elasticloadbalancing:DescribeTargetGroups, elasticloadbalancing:DescribeTargetHealth 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'ELB 대상 상태 검사' });
+    }
+  }
+}
+
+module.exports = TargetHealthInspector;
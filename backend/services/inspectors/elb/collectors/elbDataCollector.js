@@ -0,0 +1,263 @@
+/**
+ * ELB Data Collector
+ * ALB/NLB(ELBv2) 및 Classic Load Balancer 관련 데이터 수집을 담당하는 모듈
+ */
+
+const {
+  DescribeLoadBalancersCommand,
+  DescribeListenersCommand,
+  DescribeLoadBalancerAttributesCommand,
+  DescribeTargetGroupsCommand,
+  DescribeTargetHealthCommand
+} = require('@aws-sdk/client-elastic-load-balancing-v2');
+const {
+  DescribeLoadBalancersCommand: DescribeClassicLoadBalancersCommand,
+  DescribeLoadBalancerAttributesCommand: DescribeClassicLoadBalancerAttributesCommand,
+  DescribeLoadBalancerPoliciesCommand,
+  DescribeInstanceHealthCommand
+} = require('@aws-sdk/client-elastic-load-balancing');
+const { GetWebACLForResourceCommand } = require('@aws-sdk/client-wafv2');
+
+class ELBDataCollector {
+  /**
+   * @param {Object} clients - { elbv2Client, elbClient, wafClient }
+   * @param {Object} inspector - 재시도/오류 기록을 담당하는 Inspector
+   */
+  constructor(clients, inspector) {
+    this.elbv2Client = clients.elbv2Client;
+    this.elbClient = clients.elbClient;
+    this.wafClient = clients.wafClient;
+    this.inspector = inspector;
+  }
+
+  /**
+   * ALB/NLB 목록 조회
+   */
+  async getLoadBalancers() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeLoadBalancers', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeLoadBalancers',
+          (marker) => this.elbv2Client.send(new DescribeLoadBalancersCommand({ Marker: marker })),
+          (response) => response.LoadBalancers,
+          (response) => response.NextMarker
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getLoadBalancers' });
+      throw error;
+    }
+  }
+
+  /**
+   * Classic Load Balancer 목록 조회
+   */
+  async getClassicLoadBalancers() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeClassicLoadBalancers', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeClassicLoadBalancers',
+          (marker) => this.elbClient.send(new DescribeClassicLoadBalancersCommand({ Marker: marker })),
+          (response) => response.LoadBalancerDescriptions,
+          (response) => response.NextMarker
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getClassicLoadBalancers' });
+      throw error;
+    }
+  }
+
+  /**
+   * 로드 밸런서 리스너 목록 조회
+   */
+  async getListeners(loadBalancerArn) {
+    try {
+      return await this.inspector.collectAllPages(
+        'DescribeListeners',
+        (marker) => this.elbv2Client.send(new DescribeListenersCommand({ LoadBalancerArn: loadBalancerArn, Marker: marker })),
+        (response) => response.Listeners,
+        (response) => response.NextMarker
+      );
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getListeners',
+        loadBalancerArn
+      });
+      return [];
+    }
+  }
+
+  /**
+   * 로드 밸런서 속성 조회 (Key → Value 객체로 변환)
+   */
+  async getLoadBalancerAttributes(loadBalancerArn) {
+    try {
+      const command = new DescribeLoadBalancerAttributesCommand({ LoadBalancerArn: loadBalancerArn });
+      const response = await this.inspector.retryableApiCall(
+        () => this.elbv2Client.send(command),
+        'DescribeLoadBalancerAttributes'
+      );
+
+      const attributes = {};
+      for (const attribute of response.Attributes || []) {
+        attributes[attribute.Key] = attribute.Value;
+      }
+      return attributes;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getLoadBalancerAttributes',
+        loadBalancerArn
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Classic Load Balancer 속성 조회
+   */
+  async getClassicLoadBalancerAttributes(loadBalancerName) {
+    try {
+      const command = new DescribeClassicLoadBalancerAttributesCommand({ LoadBalancerName: loadBalancerName });
+      const response = await this.inspector.retryableApiCall(
+        () => this.elbClient.send(command),
+        'DescribeClassicLoadBalancerAttributes'
+      );
+
+      return response.LoadBalancerAttributes || null;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getClassicLoadBalancerAttributes',
+        loadBalancerName
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Classic Load Balancer 리스너 정책이 참조하는 보안 정책 이름 조회
+   */
+  async getClassicReferenceSecurityPolicy(loadBalancerName, policyName) {
+    try {
+      const command = new DescribeLoadBalancerPoliciesCommand({
+        LoadBalancerName: loadBalancerName,
+        PolicyNames: [policyName]
+      });
+      const response = await this.inspector.retryableApiCall(
+        () => this.elbClient.send(command),
+        'DescribeLoadBalancerPolicies'
+      );
+
+      const policy = response.PolicyDescriptions?.[0];
+      if (!policy || policy.PolicyTypeName !== 'SSLNegotiationPolicyType') return null;
+
+      const reference = (policy.PolicyAttributeDescriptions || [])
+        .find(attribute => attribute.AttributeName === 'Reference-Security-Policy');
+
+      // 참조 정책 없이 직접 구성한 사용자 정의 정책은 정책 이름을 그대로 반환
+      return reference?.AttributeValue || policyName;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getClassicReferenceSecurityPolicy',
+        loadBalancerName,
+        policyName
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 로드 밸런서에 연결된 대상 그룹 조회
+   */
+  async getTargetGroups(loadBalancerArn) {
+    try {
+      return await this.inspector.collectAllPages(
+        'DescribeTargetGroups',
+        (marker) => this.elbv2Client.send(new DescribeTargetGroupsCommand({ LoadBalancerArn: loadBalancerArn, Marker: marker })),
+        (response) => response.TargetGroups,
+        (response) => response.NextMarker
+      );
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getTargetGroups',
+        loadBalancerArn
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 대상 그룹의 대상 상태 조회
+   */
+  async getTargetHealth(targetGroupArn) {
+    try {
+      const command = new DescribeTargetHealthCommand({ TargetGroupArn: targetGroupArn });
+      const response = await this.inspector.retryableApiCall(
+        () => this.elbv2Client.send(command),
+        'DescribeTargetHealth'
+      );
+
+      return response.TargetHealthDescriptions || [];
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getTargetHealth',
+        targetGroupArn
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Classic Load Balancer에 등록된 인스턴스 상태 조회
+   */
+  async getClassicInstanceHealth(loadBalancerName) {
+    try {
+      const command = new DescribeInstanceHealthCommand({ LoadBalancerName: loadBalancerName });
+      const response = await this.inspector.retryableApiCall(
+        () => this.elbClient.send(command),
+        'DescribeInstanceHealth'
+      );
+
+      return response.InstanceStates || [];
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getClassicInstanceHealth',
+        loadBalancerName
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 리소스에 연결된 WAF 웹 ACL 조회 (연결되지 않았으면 null)
+   */
+  async getWebACLForResource(resourceArn) {
+    try {
+      const command = new GetWebACLForResourceCommand({ ResourceArn: resourceArn });
+      const response = await this.inspector.retryableApiCall(
+        () => this.wafClient.send(command),
+        'GetWebACLForResource'
+      );
+
+      return response.WebACL || null;
+    } catch (error) {
+      if (error.name === 'WAFNonexistentItemException') {
+        return null;
+      }
+      this.inspector.recordError(error, {
+        operation: 'getWebACLForResource',
+        resourceArn
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Classic Load Balancer 리스너 식별자 (Classic은 리스너 ARN이 없음)
+   */
+  getClassicListenerId(loadBalancer, listener) {
+    return `${loadBalancer.LoadBalancerName}:${listener.Protocol}:${listener.LoadBalancerPort}`;
+  }
+}
+
+module.exports = ELBDataCollector;
@@ -0,0 +1,84 @@
+const BaseInspector = require('../baseInspector');
+const HttpListenerInspector = require('./checks/httpListenerInspector');
+const SslPolicyInspector = require('./checks/sslPolicyInspector');
+const AccessLogInspector = require('./checks/accessLogInspector');
+const DeletionProtectionInspector = require('./checks/deletionProtectionInspector');
+const WafAssociationInspector = require('./checks/wafAssociationInspector');
+const TargetHealthInspector = require('./checks/targetHealthInspector');
+
+class ELBInspector extends BaseInspector {
+  constructor() {
+    super('ELB');
+  }
+
+  async preInspectionValidation(awsCredentials, inspectionConfig) {
+    const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+    this.region = region;
+    this.logger.info(`ELB inspection initialized for region: ${region}`);
+  }
+
+  async performItemInspection(awsCredentials, inspectionConfig) {
+    const targetItem = inspectionConfig.targetItem || inspectionConfig.targetItemId;
+
+    if (targetItem === 'all') {
+      return await this.performInspection(awsCredentials, inspectionConfig);
+    }
+
+    const inspectorMap = {
+      'http-listeners': HttpListenerInspector,
+      'ssl-policy': SslPolicyInspector,
+      'access-logs': AccessLogInspector,
+      'deletion-protection': DeletionProtectionInspector,
+      'waf-association': WafAssociationInspector,
+      'target-health': TargetHealthInspector
+    };
+
+    const InspectorClass = inspectorMap[targetItem];
+    if (InspectorClass) {
+      await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem);
+      return;
+    }
+
+    this.handleUnknownInspectionItem(targetItem);
+  }
+
+  async executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem) {
+    const inspector = new InspectorClass();
+    try {
+      await inspector.executeInspection(awsCredentials, inspectionConfig);
+      this.findings.push(...inspector.findings);
+      this.incrementResourceCount(inspector.resourcesScanned);
+      this.mergePartialCollections(inspector);
+    } catch (error) {
+      if (this.isCancelled()) {
+        // 취소된 경우 취소 전까지 발견된 결과는 유지
+        this.findings.push(...inspector.findings);
+        this.mergePartialCollections(inspector);
+      } else {
+        this.recordError(error, { targetItem });
+      }
+      throw error;
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    const inspectorClasses = [
+      HttpListenerInspector,
+      SslPolicyInspector,
+      AccessLogInspector,
+      DeletionProtectionInspector,
+      WafAssociationInspector,
+      TargetHealthInspector
+    ];
+
+    for (const InspectorClass of inspectorClasses) {
+      try {
+        await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig);
+      } catch (error) {
+        this.recordError(error, { context: `${InspectorClass.name} 실행` });
+      }
+    }
+  }
+}
+
+module.exports = ELBInspector;
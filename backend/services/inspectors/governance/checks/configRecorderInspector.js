@@ -0,0 +1,123 @@
+const BaseInspector = require('../../baseInspector');
+const GovernanceDataCollector = require('../collectors/governanceDataCollector');
+
+class ConfigRecorderInspector extends BaseInspector {
+  constructor() {
+    super('GOVERNANCE');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries || GovernanceDataCollector.NON_RETRYABLE_ERRORS.includes(error.name)) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.dataCollector = new GovernanceDataCollector(awsCredentials, this);
+
+      const regions = await this.dataCollector.getEnabledRegions();
+
+      if (!Array.isArray(regions)) {
+        this.addFinding('regions', 'Region', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkRegions(regions);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'config-recorder',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkRegions(regions) {
+    let failedRegions = 0;
+
+    for (const region of regions) {
+      this.incrementResourceCount();
+
+      const checked = await this.checkRegion(region);
+      if (!checked) failedRegions++;
+    }
+
+    // 모든 리전에서 조회에 실패했다면 권한 문제일 가능성이 높음
+    if (regions.length > 0 && failedRegions === regions.length) {
+      this.addFinding('system', 'Permission', 'AWS Config 권한 부족', 'IAM 정책에 config:DescribeConfigurationRecorders, config:DescribeConfigurationRecorderStatus 권한 추가');
+    }
+  }
+
+  async checkRegion(region) {
+    const recorders = await this.dataCollector.getConfigRecorders(region);
+    if (recorders === null) return false;
+
+    if (recorders.length === 0) {
+      this.addFinding(
+        `config-recorder-${region}`,
+        'ConfigRecorder',
+        `${region} 리전에 AWS Config 구성 레코더가 없음`,
+        'AWS Config 레코더를 생성하고 모든 리소스 유형(글로벌 리소스는 한 리전에서만)을 기록하도록 설정하세요'
+      );
+      return true;
+    }
+
+    for (const recorder of recorders) {
+      const recorderId = `${region}/${recorder.name}`;
+
+      if (!recorder.status?.recording) {
+        this.addFinding(
+          recorderId,
+          'ConfigRecorder',
+          `${region} 리전의 AWS Config 레코더 '${recorder.name}'이 기록 중이 아님`,
+          'StartConfigurationRecorder로 레코더를 시작하고 전달 채널(S3 버킷) 설정을 확인하세요'
+        );
+        continue;
+      }
+
+      if (recorder.status.lastStatus === 'FAILURE') {
+        this.addFinding(
+          recorderId,
+          'ConfigRecorder',
+          `${region} 리전의 AWS Config 레코더 '${recorder.name}'의 최근 기록이 실패함 (${recorder.status.lastErrorCode || '오류 코드 없음'})`,
+          'Config 서비스 역할 권한과 전달 채널 버킷 정책을 확인하세요'
+        );
+      }
+    }
+
+    return true;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeRegions 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'AWS Config 검사' });
+    }
+  }
+}
+
+module.exports = ConfigRecorderInspector;
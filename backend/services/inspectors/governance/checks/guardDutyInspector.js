@@ -0,0 +1,110 @@
+const BaseInspector = require('../../baseInspector');
+const GovernanceDataCollector = require('../collectors/governanceDataCollector');
+
+class GuardDutyInspector extends BaseInspector {
+  constructor() {
+    super('GOVERNANCE');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries || GovernanceDataCollector.NON_RETRYABLE_ERRORS.includes(error.name)) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.dataCollector = new GovernanceDataCollector(awsCredentials, this);
+
+      const regions = await this.dataCollector.getEnabledRegions();
+
+      if (!Array.isArray(regions)) {
+        this.addFinding('regions', 'Region', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkRegions(regions);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'guardduty-enabled',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkRegions(regions) {
+    let failedRegions = 0;
+
+    for (const region of regions) {
+      this.incrementResourceCount();
+
+      const checked = await this.checkRegion(region);
+      if (!checked) failedRegions++;
+    }
+
+    // 모든 리전에서 조회에 실패했다면 권한 문제일 가능성이 높음
+    if (regions.length > 0 && failedRegions === regions.length) {
+      this.addFinding('system', 'Permission', 'GuardDuty 권한 부족', 'IAM 정책에 guardduty:ListDetectors, guardduty:GetDetector 권한 추가');
+    }
+  }
+
+  async checkRegion(region) {
+    const detectors = await this.dataCollector.getGuardDutyDetectors(region);
+    if (detectors === null) return false;
+
+    if (detectors.length === 0) {
+      this.addFinding(
+        `guardduty-${region}`,
+        'GuardDutyDetector',
+        `${region} 리전에서 GuardDuty가 활성화되지 않음`,
+        'GuardDuty를 활성화하여 CloudTrail, VPC 플로우 로그, DNS 로그 기반의 위협 탐지를 받으세요. Organizations 위임 관리자를 사용하면 모든 계정에 일괄 적용할 수 있습니다'
+      );
+      return true;
+    }
+
+    const suspendedDetectors = detectors.filter(detector => detector.status !== 'ENABLED');
+    if (suspendedDetectors.length === detectors.length) {
+      this.addFinding(
+        `guardduty-${region}`,
+        'GuardDutyDetector',
+        `${region} 리전의 GuardDuty 탐지기가 일시 중지됨 (${suspendedDetectors.map(detector => detector.detectorId).join(', ')})`,
+        'GuardDuty 탐지기를 다시 활성화하세요'
+      );
+    }
+
+    return true;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeRegions 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'GuardDuty 검사' });
+    }
+  }
+}
+
+module.exports = GuardDutyInspector;
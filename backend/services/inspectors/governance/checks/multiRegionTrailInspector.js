@@ -0,0 +1,139 @@
+const BaseInspector = require('../../baseInspector');
+const GovernanceDataCollector = require('../collectors/governanceDataCollector');
+
+class MultiRegionTrailInspector extends BaseInspector {
+  constructor() {
+    super('GOVERNANCE');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries || GovernanceDataCollector.NON_RETRYABLE_ERRORS.includes(error.name)) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.dataCollector = new GovernanceDataCollector(awsCredentials, this);
+
+      const trails = await this.dataCollector.getTrails();
+
+      if (!Array.isArray(trails)) {
+        this.addFinding('trails', 'CloudTrail', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      this.loggingMultiRegionTrails = [];
+
+      await this.checkTrails(trails);
+      this.checkMultiRegionCoverage(trails);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'cloudtrail-multi-region',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkTrails(trails) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const trail of trails) {
+      this.incrementResourceCount();
+
+      const validation = this.validateTrailFormat(trail);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkTrail(trail);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateTrailFormat(trail) {
+    if (!trail || typeof trail !== 'object') {
+      return { valid: false, error: '추적이 객체가 아님' };
+    }
+
+    if (!trail.TrailARN) {
+      return { valid: false, error: 'TrailARN 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkTrail(trail) {
+    const status = await this.dataCollector.getTrailStatus(trail);
+    if (!status) return;
+
+    if (!status.IsLogging) {
+      this.addFinding(
+        trail.TrailARN,
+        'CloudTrail',
+        `CloudTrail 추적 '${trail.Name}'의 로깅이 중지됨 (홈 리전: ${trail.HomeRegion || '알 수 없음'})`,
+        '추적 로깅을 다시 시작하고, 로깅 중지(StopLogging) API 호출에 대한 알림을 구성하세요'
+      );
+      return;
+    }
+
+    if (trail.IsMultiRegionTrail) {
+      this.loggingMultiRegionTrails.push(trail);
+    }
+  }
+
+  checkMultiRegionCoverage(trails) {
+    if (this.loggingMultiRegionTrails.length > 0) return;
+
+    this.addFinding(
+      'cloudtrail',
+      'CloudTrail',
+      trails.length === 0
+        ? '계정에 CloudTrail 추적이 없음'
+        : `로깅 중인 다중 리전 CloudTrail 추적이 없음 (추적 ${trails.length}개 모두 단일 리전이거나 로깅 중지)`,
+      '모든 리전의 관리 이벤트를 기록하는 다중 리전 추적을 생성하여 사용하지 않는 리전에서의 활동까지 감사할 수 있도록 하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'CloudTrail 권한 부족', 'IAM 정책에 cloudtrail:DescribeTrails, cloudtrail:GetTrailStatus 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'CloudTrail 다중 리전 검사' });
+    }
+  }
+}
+
+module.exports = MultiRegionTrailInspector;
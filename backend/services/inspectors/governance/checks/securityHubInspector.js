@@ -0,0 +1,99 @@
+const BaseInspector = require('../../baseInspector');
+const GovernanceDataCollector = require('../collectors/governanceDataCollector');
+
+class SecurityHubInspector extends BaseInspector {
+  constructor() {
+    super('GOVERNANCE');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries || GovernanceDataCollector.NON_RETRYABLE_ERRORS.includes(error.name)) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.dataCollector = new GovernanceDataCollector(awsCredentials, this);
+
+      const regions = await this.dataCollector.getEnabledRegions();
+
+      if (!Array.isArray(regions)) {
+        this.addFinding('regions', 'Region', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkRegions(regions);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'securityhub-enabled',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkRegions(regions) {
+    let failedRegions = 0;
+
+    for (const region of regions) {
+      this.incrementResourceCount();
+
+      const checked = await this.checkRegion(region);
+      if (!checked) failedRegions++;
+    }
+
+    // 모든 리전에서 조회에 실패했다면 권한 문제일 가능성이 높음
+    if (regions.length > 0 && failedRegions === regions.length) {
+      this.addFinding('system', 'Permission', 'Security Hub 권한 부족', 'IAM 정책에 securityhub:DescribeHub 권한 추가');
+    }
+  }
+
+  async checkRegion(region) {
+    const enabled = await this.dataCollector.isSecurityHubEnabled(region);
+    if (enabled === null) return false;
+
+    if (!enabled) {
+      this.addFinding(
+        `securityhub-${region}`,
+        'SecurityHub',
+        `${region} 리전에서 Security Hub가 활성화되지 않음`,
+        'Security Hub를 활성화하고 AWS 기본 보안 모범 사례(FSBP) 표준을 적용하여 보안 검사 결과를 한 곳에서 관리하세요'
+      );
+    }
+
+    return true;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeRegions 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'Security Hub 검사' });
+    }
+  }
+}
+
+module.exports = SecurityHubInspector;
@@ -0,0 +1,134 @@
+const BaseInspector = require('../../baseInspector');
+const GovernanceDataCollector = require('../collectors/governanceDataCollector');
+
+class TrailBucketExposureInspector extends BaseInspector {
+  constructor() {
+    super('GOVERNANCE');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries || GovernanceDataCollector.NON_RETRYABLE_ERRORS.includes(error.name)) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.dataCollector = new GovernanceDataCollector(awsCredentials, this);
+
+      const trails = await this.dataCollector.getTrails();
+
+      if (!Array.isArray(trails)) {
+        this.addFinding('trails', 'CloudTrail', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      // 여러 추적이 같은 버킷을 사용하는 경우 한 번만 조회
+      this.bucketStatusCache = new Map();
+
+      await this.checkTrails(trails);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'cloudtrail-bucket-public',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkTrails(trails) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const trail of trails) {
+      this.incrementResourceCount();
+
+      const validation = this.validateTrailFormat(trail);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkTrail(trail);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateTrailFormat(trail) {
+    if (!trail || typeof trail !== 'object') {
+      return { valid: false, error: '추적이 객체가 아님' };
+    }
+
+    if (!trail.TrailARN) {
+      return { valid: false, error: 'TrailARN 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkTrail(trail) {
+    if (!trail.S3BucketName) return;
+
+    if (!this.bucketStatusCache.has(trail.S3BucketName)) {
+      this.bucketStatusCache.set(
+        trail.S3BucketName,
+        await this.dataCollector.getBucketPublicStatus(trail.S3BucketName)
+      );
+    }
+
+    // 다른 계정의 중앙 로그 버킷 등 조회 권한이 없는 경우 판단 보류
+    const status = this.bucketStatusCache.get(trail.S3BucketName);
+    if (!status) return;
+
+    const exposures = [];
+    if (status.policyPublic) exposures.push('버킷 정책');
+    if (status.aclPublic) exposures.push('버킷 ACL');
+    if (exposures.length === 0) return;
+
+    this.addFinding(
+      trail.TrailARN,
+      'CloudTrail',
+      `CloudTrail 추적 '${trail.Name}'의 로그 버킷 '${trail.S3BucketName}'이 퍼블릭으로 노출됨 (${exposures.join(', ')})`,
+      '버킷의 퍼블릭 정책 문과 AllUsers/AuthenticatedUsers ACL 권한을 제거하고 S3 퍼블릭 액세스 차단을 활성화하세요. 감사 로그 노출은 계정 활동 전체가 유출되는 것과 같습니다'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'CloudTrail 권한 부족', 'IAM 정책에 cloudtrail:DescribeTrails, s3:GetBucketPolicyStatus, s3:GetBucketAcl 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'CloudTrail 버킷 노출 검사' });
+    }
+  }
+}
+
+module.exports = TrailBucketExposureInspector;
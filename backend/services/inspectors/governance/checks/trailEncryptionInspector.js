@@ -0,0 +1,115 @@
+const BaseInspector = require('../../baseInspector');
+const GovernanceDataCollector = require('../collectors/governanceDataCollector');
+
+class TrailEncryptionInspector extends BaseInspector {
+  constructor() {
+    super('GOVERNANCE');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries || GovernanceDataCollector.NON_RETRYABLE_ERRORS.includes(error.name)) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.dataCollector = new GovernanceDataCollector(awsCredentials, this);
+
+      const trails = await this.dataCollector.getTrails();
+
+      if (!Array.isArray(trails)) {
+        this.addFinding('trails', 'CloudTrail', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkTrails(trails);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'cloudtrail-encryption',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkTrails(trails) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const trail of trails) {
+      this.incrementResourceCount();
+
+      const validation = this.validateTrailFormat(trail);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkTrail(trail);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateTrailFormat(trail) {
+    if (!trail || typeof trail !== 'object') {
+      return { valid: false, error: '추적이 객체가 아님' };
+    }
+
+    if (!trail.TrailARN) {
+      return { valid: false, error: 'TrailARN 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkTrail(trail) {
+    if (trail.KmsKeyId) return;
+
+    this.addFinding(
+      trail.TrailARN,
+      'CloudTrail',
+      `CloudTrail 추적 '${trail.Name}'의 로그가 KMS 고객 관리형 키로 암호화되지 않음 (S3 버킷: ${trail.S3BucketName || '없음'})`,
+      'KMS 고객 관리형 키(SSE-KMS)로 로그 파일을 암호화하고, 키 정책으로 로그 복호화 권한을 보안 감사 담당자로 제한하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'CloudTrail 권한 부족', 'IAM 정책에 cloudtrail:DescribeTrails 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'CloudTrail 암호화 검사' });
+    }
+  }
+}
+
+module.exports = TrailEncryptionInspector;
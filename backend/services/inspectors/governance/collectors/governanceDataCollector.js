@@ -0,0 +1,268 @@
+/**
+ * Governance Data Collector
+ * CloudTrail, AWS Config, GuardDuty, Security Hub 등 계정 거버넌스 데이터 수집을 담당하는 모듈
+ * 리전별 조회가 필요하므로 클라이언트 대신 자격 증명을 받아 리전별 클라이언트를 생성
+ */
+
+const { EC2Client, DescribeRegionsCommand } = require('@aws-sdk/client-ec2');
+const { CloudTrailClient, DescribeTrailsCommand, GetTrailStatusCommand } = require('@aws-sdk/client-cloudtrail');
+const {
+  ConfigServiceClient,
+  DescribeConfigurationRecordersCommand,
+  DescribeConfigurationRecorderStatusCommand
+} = require('@aws-sdk/client-config-service');
+const { GuardDutyClient, ListDetectorsCommand, GetDetectorCommand } = require('@aws-sdk/client-guardduty');
+const { SecurityHubClient, DescribeHubCommand } = require('@aws-sdk/client-securityhub');
+const { S3Client, GetBucketPolicyStatusCommand, GetBucketAclCommand } = require('@aws-sdk/client-s3');
+
+// 계정 수준 정보는 us-east-1에서 조회
+const HOME_REGION = 'us-east-1';
+
+// 서비스 미활성화/권한 오류는 재시도해도 결과가 같으므로 즉시 실패 처리
+const NON_RETRYABLE_ERRORS = [
+  'AccessDenied',
+  'AccessDeniedException',
+  'UnauthorizedOperation',
+  'InvalidAccessException',
+  'ResourceNotFoundException',
+  'NoSuchBucket',
+  'NoSuchBucketPolicy',
+  'TrailNotFoundException'
+];
+
+const PUBLIC_ACL_GRANTEES = [
+  'http://acs.amazonaws.com/groups/global/AllUsers',
+  'http://acs.amazonaws.com/groups/global/AuthenticatedUsers'
+];
+
+class GovernanceDataCollector {
+  constructor(awsCredentials, inspector) {
+    this.credentials = {
+      accessKeyId: awsCredentials.accessKeyId,
+      secretAccessKey: awsCredentials.secretAccessKey,
+      sessionToken: awsCredentials.sessionToken
+    };
+    this.inspector = inspector;
+    this.clients = new Map();
+  }
+
+  /**
+   * 리전별 클라이언트 생성 (동일 리전/서비스는 재사용)
+   */
+  getClient(ClientClass, region = HOME_REGION) {
+    const key = `${ClientClass.name}:${region}`;
+    if (!this.clients.has(key)) {
+      this.clients.set(key, new ClientClass({
+        region,
+        credentials: this.credentials,
+        ...(ClientClass === S3Client ? { followRegionRedirects: true } : {})
+      }));
+    }
+    return this.clients.get(key);
+  }
+
+  /**
+   * 계정에서 활성화된 리전 목록 조회
+   */
+  async getEnabledRegions() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeRegions', {}, async () => {
+        const command = new DescribeRegionsCommand({});
+        const response = await this.inspector.retryableApiCall(
+          () => this.getClient(EC2Client).send(command),
+          'DescribeRegions'
+        );
+
+        return (response.Regions || []).map(region => region.RegionName).filter(Boolean);
+      });
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getEnabledRegions' });
+      throw error;
+    }
+  }
+
+  /**
+   * CloudTrail 추적 목록 조회 (다른 리전의 다중 리전 추적 포함)
+   */
+  async getTrails() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeTrails', { includeShadowTrails: true }, async () => {
+        const command = new DescribeTrailsCommand({ includeShadowTrails: true });
+        const response = await this.inspector.retryableApiCall(
+          () => this.getClient(CloudTrailClient).send(command),
+          'DescribeTrails'
+        );
+
+        // 섀도 추적은 홈 리전 추적과 ARN이 같으므로 중복 제거
+        const trails = new Map();
+        for (const trail of response.trailList || []) {
+          if (trail.TrailARN && !trails.has(trail.TrailARN)) {
+            trails.set(trail.TrailARN, trail);
+          }
+        }
+        return Array.from(trails.values());
+      });
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getTrails' });
+      throw error;
+    }
+  }
+
+  /**
+   * 추적 로깅 상태 조회 (추적의 홈 리전에서 조회)
+   */
+  async getTrailStatus(trail) {
+    try {
+      const command = new GetTrailStatusCommand({ Name: trail.TrailARN });
+      const response = await this.inspector.retryableApiCall(
+        () => this.getClient(CloudTrailClient, trail.HomeRegion || HOME_REGION).send(command),
+        'GetTrailStatus'
+      );
+
+      return response;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getTrailStatus',
+        trailArn: trail.TrailARN
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 버킷 퍼블릭 여부 조회 (버킷 정책 상태 + ACL)
+   * 다른 계정 소유 버킷 등 조회할 수 없는 경우 null
+   */
+  async getBucketPublicStatus(bucketName) {
+    const s3Client = this.getClient(S3Client);
+    const status = { policyPublic: false, aclPublic: false };
+
+    try {
+      const command = new GetBucketPolicyStatusCommand({ Bucket: bucketName });
+      const response = await this.inspector.retryableApiCall(
+        () => s3Client.send(command),
+        'GetBucketPolicyStatus'
+      );
+      status.policyPublic = response.PolicyStatus?.IsPublic === true;
+    } catch (error) {
+      if (error.name !== 'NoSuchBucketPolicy') {
+        this.inspector.recordError(error, {
+          operation: 'getBucketPublicStatus',
+          bucketName
+        });
+        return null;
+      }
+    }
+
+    try {
+      const command = new GetBucketAclCommand({ Bucket: bucketName });
+      const response = await this.inspector.retryableApiCall(
+        () => s3Client.send(command),
+        'GetBucketAcl'
+      );
+      status.aclPublic = (response.Grants || []).some(grant =>
+        PUBLIC_ACL_GRANTEES.includes(grant.Grantee?.URI)
+      );
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getBucketPublicStatus',
+        bucketName
+      });
+      return null;
+    }
+
+    return status;
+  }
+
+  /**
+   * 리전의 AWS Config 레코더와 상태 조회
+   */
+  async getConfigRecorders(region) {
+    try {
+      const client = this.getClient(ConfigServiceClient, region);
+      const [recordersResponse, statusResponse] = await Promise.all([
+        this.inspector.retryableApiCall(
+          () => client.send(new DescribeConfigurationRecordersCommand({})),
+          'DescribeConfigurationRecorders'
+        ),
+        this.inspector.retryableApiCall(
+          () => client.send(new DescribeConfigurationRecorderStatusCommand({})),
+          'DescribeConfigurationRecorderStatus'
+        )
+      ]);
+
+      const statuses = statusResponse.ConfigurationRecordersStatus || [];
+      return (recordersResponse.ConfigurationRecorders || []).map(recorder => ({
+        ...recorder,
+        status: statuses.find(status => status.name === recorder.name) || null
+      }));
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getConfigRecorders',
+        region
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 리전의 GuardDuty 탐지기 상태 조회
+   */
+  async getGuardDutyDetectors(region) {
+    try {
+      const client = this.getClient(GuardDutyClient, region);
+      const detectorIds = await this.inspector.collectAllPages(
+        'ListDetectors',
+        (nextToken) => client.send(new ListDetectorsCommand({ NextToken: nextToken })),
+        (response) => response.DetectorIds,
+        (response) => response.NextToken
+      );
+
+      const detectors = [];
+      for (const detectorId of detectorIds) {
+        const detector = await this.inspector.retryableApiCall(
+          () => client.send(new GetDetectorCommand({ DetectorId: detectorId })),
+          'GetDetector'
+        );
+        detectors.push({ detectorId, status: detector.Status });
+      }
+      return detectors;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getGuardDutyDetectors',
+        region
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 리전의 Security Hub 활성화 여부 조회
+   */
+  async isSecurityHubEnabled(region) {
+    try {
+      const command = new DescribeHubCommand({});
+      await this.inspector.retryableApiCall(
+        () => this.getClient(SecurityHubClient, region).send(command),
+        'DescribeHub'
+      );
+
+      return true;
+    } catch (error) {
+      // 구독하지 않은 계정은 InvalidAccessException 반환
+      if (error.name === 'InvalidAccessException' || error.name === 'ResourceNotFoundException') {
+        return false;
+      }
+      this.inspector.recordError(error, {
+        operation: 'isSecurityHubEnabled',
+        region
+      });
+      return null;
+    }
+  }
+}
+
+GovernanceDataCollector.HOME_REGION = HOME_REGION;
+GovernanceDataCollector.NON_RETRYABLE_ERRORS = NON_RETRYABLE_ERRORS;
+
+module.exports = GovernanceDataCollector;
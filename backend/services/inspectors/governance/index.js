@@ -0,0 +1,85 @@
+const BaseInspector = require('../baseInspector');
+const MultiRegionTrailInspector = require('./checks/multiRegionTrailInspector');
+const TrailLogValidationInspector = require('./checks/trailLogValidationInspector');
+const TrailEncryptionInspector = require('./checks/trailEncryptionInspector');
+const TrailBucketExposureInspector = require('./checks/trailBucketExposureInspector');
+const ConfigRecorderInspector = require('./checks/configRecorderInspector');
+const GuardDutyInspector = require('./checks/guardDutyInspector');
+const SecurityHubInspector = require('./checks/securityHubInspector');
+
+class GovernanceInspector extends BaseInspector {
+  constructor() {
+    super('GOVERNANCE');
+  }
+
+  async preInspectionValidation(awsCredentials, inspectionConfig) {
+    this.logger.info('Account governance inspection initialized (global service)');
+  }
+
+  async performItemInspection(awsCredentials, inspectionConfig) {
+    const targetItem = inspectionConfig.targetItem || inspectionConfig.targetItemId;
+
+    if (targetItem === 'all') {
+      return await this.performInspection(awsCredentials, inspectionConfig);
+    }
+
+    const inspectorMap = {
+      'cloudtrail-multi-region': MultiRegionTrailInspector,
+      'cloudtrail-log-validation': TrailLogValidationInspector,
+      'cloudtrail-encryption': TrailEncryptionInspector,
+      'cloudtrail-bucket-public': TrailBucketExposureInspector,
+      'config-recorder': ConfigRecorderInspector,
+      'guardduty-enabled': GuardDutyInspector,
+      'securityhub-enabled': SecurityHubInspector
+    };
+
+    const InspectorClass = inspectorMap[targetItem];
+    if (InspectorClass) {
+      await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem);
+      return;
+    }
+
+    this.handleUnknownInspectionItem(targetItem);
+  }
+
+  async executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem) {
+    const inspector = new InspectorClass();
+    try {
+      await inspector.executeInspection(awsCredentials, inspectionConfig);
+      this.findings.push(...inspector.findings);
+      this.incrementResourceCount(inspector.resourcesScanned);
+      this.mergePartialCollections(inspector);
+    } catch (error) {
+      if (this.isCancelled()) {
+        // 취소된 경우 취소 전까지 발견된 결과는 유지
+        this.findings.push(...inspector.findings);
+        this.mergePartialCollections(inspector);
+      } else {
+        this.recordError(error, { targetItem });
+      }
+      throw error;
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    const inspectorClasses = [
+      MultiRegionTrailInspector,
+      TrailLogValidationInspector,
+      TrailEncryptionInspector,
+      TrailBucketExposureInspector,
+      ConfigRecorderInspector,
+      GuardDutyInspector,
+      SecurityHubInspector
+    ];
+
+    for (const InspectorClass of inspectorClasses) {
+      try {
+        await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig);
+      } catch (error) {
+        this.recordError(error, { context: `${InspectorClass.name} 실행` });
+      }
+    }
+  }
+}
+
+module.exports = GovernanceInspector;
@@ -0,0 +1,151 @@
+const BaseInspector = require('../../baseInspector');
+const { IAMClient } = require('@aws-sdk/client-iam');
+const IAMDataCollector = require('../collectors/iamDataCollector');
+
+class AccessKeyInspector extends BaseInspector {
+  constructor() {
+    super('IAM');
+
+    // 액세스 키 교체 주기 및 미사용 판단 기준 (일)
+    this.KEY_MAX_AGE_DAYS = 90;
+    this.KEY_UNUSED_DAYS = 90;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      // IAM은 글로벌 서비스이므로 us-east-1로 클라이언트 생성
+      this.iamClient = new IAMClient({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new IAMDataCollector(this.iamClient, this);
+
+      const reportRows = await this.dataCollector.getCredentialReport();
+
+      if (!Array.isArray(reportRows)) {
+        this.addFinding('credential-report', 'IAMCredentialReport', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkAccessKeys(this.dataCollector.getIamUsers(reportRows));
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'access-key-rotation',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkAccessKeys(users) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const user of users) {
+      this.incrementResourceCount();
+
+      const validation = this.validateUserFormat(user);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      this.checkUserAccessKeys(user);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateUserFormat(user) {
+    if (!user || typeof user !== 'object') {
+      return { valid: false, error: '사용자가 객체가 아님' };
+    }
+
+    if (!user.user || !user.arn) {
+      return { valid: false, error: 'user 또는 arn 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  checkUserAccessKeys(user) {
+    const activeKeys = this.dataCollector.getActiveAccessKeys(user);
+
+    for (const key of activeKeys) {
+      const issues = [];
+      const keyAge = this.dataCollector.daysSince(key.lastRotated);
+      const daysSinceUse = this.dataCollector.daysSince(key.lastUsed);
+
+      if (keyAge !== null && keyAge > this.KEY_MAX_AGE_DAYS) {
+        issues.push(`${keyAge}일 동안 교체되지 않음`);
+      }
+
+      // 보고서의 last_rotated는 교체한 적 없는 키의 생성일이므로, 미사용 키는 생성 후 기준 기간이 지난 경우에만 보고
+      if (daysSinceUse === null) {
+        if (keyAge !== null && keyAge > this.KEY_UNUSED_DAYS) {
+          issues.push(`생성 후 ${keyAge}일 동안 한 번도 사용되지 않음`);
+        }
+      } else if (daysSinceUse > this.KEY_UNUSED_DAYS) {
+        issues.push(`${daysSinceUse}일 동안 사용되지 않음`);
+      }
+
+      if (issues.length > 0) {
+        this.addFinding(
+          `${user.arn}#access_key_${key.slot}`,
+          'IAMAccessKey',
+          `사용자 '${user.user}'의 액세스 키 ${key.slot}: ${issues.join(', ')}`,
+          `사용 중인 키는 ${this.KEY_MAX_AGE_DAYS}일 이내로 교체하고, 사용하지 않는 키는 비활성화 후 삭제하세요`
+        );
+      }
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'IAM 자격 증명 보고서 조회 권한 부족', 'IAM 정책에 iam:GenerateCredentialReport, iam:GetCredentialReport 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'IAM 액세스 키 검사' });
+    }
+  }
+}
+
+module.exports = AccessKeyInspector;
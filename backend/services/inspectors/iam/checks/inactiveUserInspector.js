@@ -0,0 +1,153 @@
+const BaseInspector = require('../../baseInspector');
+const { IAMClient } = require('@aws-sdk/client-iam');
+const IAMDataCollector = require('../collectors/iamDataCollector');
+
+class InactiveUserInspector extends BaseInspector {
+  constructor() {
+    super('IAM');
+
+    // 비활성 사용자 판단 기준 (일)
+    this.INACTIVE_THRESHOLD_DAYS = 90;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      // IAM은 글로벌 서비스이므로 us-east-1로 클라이언트 생성
+      this.iamClient = new IAMClient({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new IAMDataCollector(this.iamClient, this);
+
+      const reportRows = await this.dataCollector.getCredentialReport();
+
+      if (!Array.isArray(reportRows)) {
+        this.addFinding('credential-report', 'IAMCredentialReport', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkInactiveUsers(this.dataCollector.getIamUsers(reportRows));
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'inactive-users',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkInactiveUsers(users) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const user of users) {
+      this.incrementResourceCount();
+
+      const validation = this.validateUserFormat(user);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      this.checkUserActivity(user);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateUserFormat(user) {
+    if (!user || typeof user !== 'object') {
+      return { valid: false, error: '사용자가 객체가 아님' };
+    }
+
+    if (!user.user || !user.arn) {
+      return { valid: false, error: 'user 또는 arn 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  checkUserActivity(user) {
+    const createdAt = this.dataCollector.parseReportDate(user.user_creation_time);
+    const userAge = this.dataCollector.daysSince(createdAt);
+
+    // 생성된 지 얼마 되지 않은 사용자는 제외
+    if (userAge !== null && userAge <= this.INACTIVE_THRESHOLD_DAYS) return;
+
+    const activityDates = [
+      this.dataCollector.parseReportDate(user.password_last_used),
+      ...this.dataCollector.getActiveAccessKeys(user).map(key => key.lastUsed)
+    ].filter(Boolean);
+
+    if (activityDates.length === 0) {
+      this.addFinding(
+        user.arn,
+        'IAMUser',
+        `사용자 '${user.user}'가 생성 후 한 번도 사용되지 않음`,
+        '사용하지 않는 IAM 사용자는 자격 증명을 비활성화하고 삭제하세요'
+      );
+      return;
+    }
+
+    const lastActivity = new Date(Math.max(...activityDates.map(date => date.getTime())));
+    const daysInactive = this.dataCollector.daysSince(lastActivity);
+
+    if (daysInactive > this.INACTIVE_THRESHOLD_DAYS) {
+      this.addFinding(
+        user.arn,
+        'IAMUser',
+        `사용자 '${user.user}'가 ${daysInactive}일 동안 활동 없음 (마지막 활동: ${lastActivity.toLocaleDateString('ko-KR')})`,
+        '사용하지 않는 IAM 사용자는 자격 증명을 비활성화하고 삭제하세요'
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'IAM 자격 증명 보고서 조회 권한 부족', 'IAM 정책에 iam:GenerateCredentialReport, iam:GetCredentialReport 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'IAM 비활성 사용자 검사' });
+    }
+  }
+}
+
+module.exports = InactiveUserInspector;
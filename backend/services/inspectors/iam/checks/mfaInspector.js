@@ -0,0 +1,129 @@
+const BaseInspector = require('../../baseInspector');
+const { IAMClient } = require('@aws-sdk/client-iam');
+const IAMDataCollector = require('../collectors/iamDataCollector');
+
+class MfaInspector extends BaseInspector {
+  constructor() {
+    super('IAM');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      // IAM은 글로벌 서비스이므로 us-east-1로 클라이언트 생성
+      this.iamClient = new IAMClient({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new IAMDataCollector(this.iamClient, this);
+
+      const reportRows = await this.dataCollector.getCredentialReport();
+
+      if (!Array.isArray(reportRows)) {
+        this.addFinding('credential-report', 'IAMCredentialReport', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkConsoleUsersMfa(this.dataCollector.getIamUsers(reportRows));
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'mfa-enabled',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkConsoleUsersMfa(users) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const user of users) {
+      this.incrementResourceCount();
+
+      const validation = this.validateUserFormat(user);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      this.checkUserMfa(user);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateUserFormat(user) {
+    if (!user || typeof user !== 'object') {
+      return { valid: false, error: '사용자가 객체가 아님' };
+    }
+
+    if (!user.user || !user.arn) {
+      return { valid: false, error: 'user 또는 arn 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  checkUserMfa(user) {
+    // 콘솔 비밀번호가 없는 사용자(프로그래밍 방식 전용)는 대상 아님
+    if (user.password_enabled !== 'true') return;
+
+    if (user.mfa_active !== 'true') {
+      this.addFinding(
+        user.arn,
+        'IAMUser',
+        `콘솔 로그인이 가능한 사용자 '${user.user}'에 MFA가 설정되지 않음`,
+        '가상 MFA 또는 보안 키를 등록하고, MFA 없는 콘솔 접근을 거부하는 정책 적용'
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'IAM 자격 증명 보고서 조회 권한 부족', 'IAM 정책에 iam:GenerateCredentialReport, iam:GetCredentialReport 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'IAM MFA 검사' });
+    }
+  }
+}
+
+module.exports = MfaInspector;
@@ -0,0 +1,121 @@
+const BaseInspector = require('../../baseInspector');
+const { IAMClient } = require('@aws-sdk/client-iam');
+const IAMDataCollector = require('../collectors/iamDataCollector');
+
+class PasswordPolicyInspector extends BaseInspector {
+  constructor() {
+    super('IAM');
+
+    // 비밀번호 정책 기준 (CIS AWS Foundations Benchmark 기준)
+    this.policyCriteria = {
+      minimumLength: 14,
+      reusePrevention: 24,
+      maxPasswordAge: 90
+    };
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      // IAM은 글로벌 서비스이므로 us-east-1로 클라이언트 생성
+      this.iamClient = new IAMClient({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new IAMDataCollector(this.iamClient, this);
+
+      const passwordPolicy = await this.dataCollector.getPasswordPolicy();
+      this.incrementResourceCount();
+
+      this.checkPasswordPolicy(passwordPolicy);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'password-policy',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  checkPasswordPolicy(policy) {
+    if (!policy) {
+      this.addFinding(
+        'account-password-policy',
+        'IAMPasswordPolicy',
+        '계정 비밀번호 정책이 설정되지 않음 (AWS 기본값 사용 중)',
+        `최소 ${this.policyCriteria.minimumLength}자, 대소문자/숫자/기호 포함, 재사용 방지 ${this.policyCriteria.reusePrevention}개 이상의 비밀번호 정책 설정`
+      );
+      return;
+    }
+
+    const issues = [];
+    const { minimumLength, reusePrevention, maxPasswordAge } = this.policyCriteria;
+
+    if ((policy.MinimumPasswordLength || 0) < minimumLength) {
+      issues.push(`최소 길이 ${policy.MinimumPasswordLength || 0}자 (권장 ${minimumLength}자 이상)`);
+    }
+
+    if (!policy.RequireUppercaseCharacters) issues.push('대문자 요구 안 함');
+    if (!policy.RequireLowercaseCharacters) issues.push('소문자 요구 안 함');
+    if (!policy.RequireNumbers) issues.push('숫자 요구 안 함');
+    if (!policy.RequireSymbols) issues.push('기호 요구 안 함');
+
+    if ((policy.PasswordReusePrevention || 0) < reusePrevention) {
+      issues.push(`재사용 방지 ${policy.PasswordReusePrevention || 0}개 (권장 ${reusePrevention}개 이상)`);
+    }
+
+    if (!policy.ExpirePasswords || !policy.MaxPasswordAge || policy.MaxPasswordAge > maxPasswordAge) {
+      issues.push(`비밀번호 만료 ${policy.MaxPasswordAge ? `${policy.MaxPasswordAge}일` : '미설정'} (권장 ${maxPasswordAge}일 이하)`);
+    }
+
+    if (issues.length > 0) {
+      this.addFinding(
+        'account-password-policy',
+        'IAMPasswordPolicy',
+        `계정 비밀번호 정책이 약함: ${issues.join(', ')}`,
+        '비밀번호 정책을 강화하여 무차별 대입 및 자격 증명 재사용 공격 위험 감소'
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'IAM 비밀번호 정책 조회 권한 부족', 'IAM 정책에 iam:GetAccountPasswordPolicy 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'IAM 비밀번호 정책 검사' });
+    }
+  }
+}
+
+module.exports = PasswordPolicyInspector;
@@ -0,0 +1,131 @@
+const BaseInspector = require('../../baseInspector');
+const { IAMClient } = require('@aws-sdk/client-iam');
+const IAMDataCollector = require('../collectors/iamDataCollector');
+
+class RootAccountInspector extends BaseInspector {
+  constructor() {
+    super('IAM');
+
+    // 최근 사용으로 간주하는 기간 (일)
+    this.RECENT_USAGE_DAYS = 90;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      // IAM은 글로벌 서비스이므로 us-east-1로 클라이언트 생성
+      this.iamClient = new IAMClient({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new IAMDataCollector(this.iamClient, this);
+
+      const [reportRows, accountSummary] = await Promise.all([
+        this.dataCollector.getCredentialReport(),
+        this.dataCollector.getAccountSummary()
+      ]);
+
+      if (!Array.isArray(reportRows)) {
+        this.addFinding('credential-report', 'IAMCredentialReport', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkRootAccount(reportRows, accountSummary);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'root-account',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkRootAccount(reportRows, accountSummary) {
+    const root = this.dataCollector.getRootAccount(reportRows);
+    if (!root) return;
+
+    this.incrementResourceCount();
+
+    const issues = [];
+    const recommendations = [];
+
+    // 루트 계정 MFA 검사
+    if (root.mfa_active !== 'true' && accountSummary.AccountMFAEnabled !== 1) {
+      issues.push('루트 계정 MFA 미설정');
+      recommendations.push('루트 계정에 하드웨어 또는 가상 MFA 디바이스 등록');
+    }
+
+    // 루트 액세스 키 존재 여부 검사
+    const rootAccessKeys = this.dataCollector.getActiveAccessKeys(root);
+    if (rootAccessKeys.length > 0 || accountSummary.AccountAccessKeysPresent === 1) {
+      issues.push('루트 계정 액세스 키 존재');
+      recommendations.push('루트 계정 액세스 키 삭제 후 IAM 사용자 또는 역할 사용');
+    }
+
+    // 루트 계정 최근 사용 검사
+    const lastUsedDates = [
+      this.dataCollector.parseReportDate(root.password_last_used),
+      ...rootAccessKeys.map(key => key.lastUsed)
+    ].filter(Boolean);
+
+    if (lastUsedDates.length > 0) {
+      const lastUsed = new Date(Math.max(...lastUsedDates.map(date => date.getTime())));
+      const daysSinceUse = this.dataCollector.daysSince(lastUsed);
+
+      if (daysSinceUse <= this.RECENT_USAGE_DAYS) {
+        issues.push(`루트 계정이 최근 ${daysSinceUse}일 전에 사용됨 (${lastUsed.toLocaleDateString('ko-KR')})`);
+        recommendations.push('일상 작업에는 루트 대신 최소 권한 IAM 사용자 또는 역할 사용');
+      }
+    }
+
+    if (issues.length > 0) {
+      this.addFinding(
+        root.arn || 'root-account',
+        'IAMRootAccount',
+        `루트 계정 보안 위험: ${issues.join(', ')}`,
+        recommendations.join(', ')
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'IAM 자격 증명 보고서 조회 권한 부족', 'IAM 정책에 iam:GenerateCredentialReport, iam:GetCredentialReport, iam:GetAccountSummary 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'IAM 루트 계정 검사' });
+    }
+  }
+}
+
+module.exports = RootAccountInspector;
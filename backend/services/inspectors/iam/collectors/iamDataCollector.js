@@ -0,0 +1,311 @@
+/**
+ * IAM Data Collector
+ * IAM 관련 데이터 수집을 담당하는 모듈
+ */
+
+const {
+  GenerateCredentialReportCommand,
+  GetCredentialReportCommand,
+  GetAccountSummaryCommand,
+  GetAccountPasswordPolicyCommand,
+  GetInstanceProfileCommand,
+  ListAttachedRolePoliciesCommand,
+  ListRolePoliciesCommand,
+  GetRolePolicyCommand,
+  GetPolicyCommand,
+  GetPolicyVersionCommand
+} = require('@aws-sdk/client-iam');
+
+class IAMDataCollector {
+  constructor(iamClient, inspector) {
+    this.iamClient = iamClient;
+    this.inspector = inspector;
+
+    // 자격 증명 보고서 생성 대기 설정
+    this.reportPollIntervalMs = 2000;
+    this.reportMaxPollAttempts = 10;
+  }
+
+  /**
+   * 자격 증명 보고서 조회 (루트 계정 포함 모든 사용자)
+   * 보고서 생성 대기가 길어 배치 공유 캐시로 검사 항목 간 한 번만 생성/조회
+   */
+  async getCredentialReport() {
+    try {
+      return await this.inspector.withCollectionCache('GetCredentialReport', {}, async () => {
+        await this.generateCredentialReport();
+
+        const command = new GetCredentialReportCommand({});
+        const response = await this.inspector.retryableApiCall(
+          () => this.iamClient.send(command),
+          'GetCredentialReport'
+        );
+
+        return this.parseCredentialReport(response.Content);
+      });
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getCredentialReport' });
+      throw error;
+    }
+  }
+
+  /**
+   * 자격 증명 보고서 생성 요청 후 완료될 때까지 대기
+   */
+  async generateCredentialReport() {
+    for (let attempt = 1; attempt <= this.reportMaxPollAttempts; attempt++) {
+      const command = new GenerateCredentialReportCommand({});
+      const response = await this.inspector.retryableApiCall(
+        () => this.iamClient.send(command),
+        'GenerateCredentialReport'
+      );
+
+      if (response.State === 'COMPLETE') {
+        return;
+      }
+
+      // 대기 중 검사가 취소되면 즉시 중단
+      await this.inspector.waitForRetry(this.reportPollIntervalMs);
+    }
+
+    throw new Error('자격 증명 보고서 생성 시간 초과');
+  }
+
+  /**
+   * CSV 형식의 자격 증명 보고서를 객체 배열로 변환
+   */
+  parseCredentialReport(content) {
+    if (!content) return [];
+
+    const text = typeof content === 'string'
+      ? content
+      : Buffer.from(content).toString('utf-8');
+
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length < 2) return [];
+
+    const headers = lines[0].split(',');
+
+    return lines.slice(1).map(line => {
+      const values = line.split(',');
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = values[index];
+      });
+      return row;
+    });
+  }
+
+  /**
+   * 계정 요약 정보 조회 (루트 MFA, 루트 액세스 키 존재 여부 등)
+   */
+  async getAccountSummary() {
+    try {
+      const command = new GetAccountSummaryCommand({});
+      const response = await this.inspector.retryableApiCall(
+        () => this.iamClient.send(command),
+        'GetAccountSummary'
+      );
+
+      return response.SummaryMap || {};
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getAccountSummary' });
+      throw error;
+    }
+  }
+
+  /**
+   * 계정 비밀번호 정책 조회 (정책이 없으면 null)
+   */
+  async getPasswordPolicy() {
+    try {
+      const command = new GetAccountPasswordPolicyCommand({});
+      const response = await this.inspector.retryableApiCall(
+        () => this.iamClient.send(command),
+        'GetAccountPasswordPolicy'
+      );
+
+      return response.PasswordPolicy || null;
+    } catch (error) {
+      if (error.name === 'NoSuchEntity' || error.name === 'NoSuchEntityException') {
+        return null;
+      }
+      this.inspector.recordError(error, { operation: 'getPasswordPolicy' });
+      throw error;
+    }
+  }
+
+  /**
+   * 인스턴스 프로파일 조회 (연결된 역할 포함, 조회 실패 시 null)
+   */
+  async getInstanceProfile(instanceProfileName) {
+    try {
+      const command = new GetInstanceProfileCommand({ InstanceProfileName: instanceProfileName });
+      const response = await this.inspector.retryableApiCall(
+        () => this.iamClient.send(command),
+        'GetInstanceProfile'
+      );
+
+      return response.InstanceProfile || null;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getInstanceProfile',
+        instanceProfileName
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 역할에 연결된 관리형 정책 목록 조회
+   */
+  async getAttachedRolePolicies(roleName) {
+    try {
+      return await this.inspector.collectAllPages(
+        'ListAttachedRolePolicies',
+        (marker) => this.iamClient.send(new ListAttachedRolePoliciesCommand({ RoleName: roleName, Marker: marker })),
+        (response) => response.AttachedPolicies,
+        (response) => response.IsTruncated ? response.Marker : null
+      );
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getAttachedRolePolicies',
+        roleName
+      });
+      return [];
+    }
+  }
+
+  /**
+   * 역할 인라인 정책 문서 조회 ({ policyName, document } 목록)
+   */
+  async getRoleInlinePolicies(roleName) {
+    try {
+      const policyNames = await this.inspector.collectAllPages(
+        'ListRolePolicies',
+        (marker) => this.iamClient.send(new ListRolePoliciesCommand({ RoleName: roleName, Marker: marker })),
+        (response) => response.PolicyNames,
+        (response) => response.IsTruncated ? response.Marker : null
+      );
+
+      const policies = [];
+      for (const policyName of policyNames) {
+        const command = new GetRolePolicyCommand({ RoleName: roleName, PolicyName: policyName });
+        const response = await this.inspector.retryableApiCall(
+          () => this.iamClient.send(command),
+          'GetRolePolicy'
+        );
+
+        policies.push({
+          policyName,
+          document: this.parsePolicyDocument(response.PolicyDocument)
+        });
+      }
+      return policies;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getRoleInlinePolicies',
+        roleName
+      });
+      return [];
+    }
+  }
+
+  /**
+   * 관리형 정책의 기본 버전 문서 조회 (조회 실패 시 null)
+   */
+  async getManagedPolicyDocument(policyArn) {
+    try {
+      const policyCommand = new GetPolicyCommand({ PolicyArn: policyArn });
+      const policyResponse = await this.inspector.retryableApiCall(
+        () => this.iamClient.send(policyCommand),
+        'GetPolicy'
+      );
+
+      const command = new GetPolicyVersionCommand({
+        PolicyArn: policyArn,
+        VersionId: policyResponse.Policy?.DefaultVersionId
+      });
+      const response = await this.inspector.retryableApiCall(
+        () => this.iamClient.send(command),
+        'GetPolicyVersion'
+      );
+
+      return this.parsePolicyDocument(response.PolicyVersion?.Document);
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getManagedPolicyDocument',
+        policyArn
+      });
+      return null;
+    }
+  }
+
+  /**
+   * URL 인코딩된 정책 문서 파싱 (파싱 실패 시 null)
+   */
+  parsePolicyDocument(document) {
+    if (!document) return null;
+
+    try {
+      return JSON.parse(decodeURIComponent(document));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 루트 계정 행 찾기
+   */
+  getRootAccount(reportRows) {
+    return reportRows.find(row => row.user === '<root_account>') || null;
+  }
+
+  /**
+   * IAM 사용자 행만 필터링 (루트 계정 제외)
+   */
+  getIamUsers(reportRows) {
+    return reportRows.filter(row => row.user !== '<root_account>');
+  }
+
+  /**
+   * 보고서 날짜 필드 파싱 (N/A, no_information 등은 null)
+   */
+  parseReportDate(value) {
+    if (!value || value === 'N/A' || value === 'no_information' || value === 'not_supported') {
+      return null;
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * 기준일로부터 경과 일수 계산
+   */
+  daysSince(date, now = new Date()) {
+    if (!date) return null;
+    return Math.floor((now - date) / (24 * 60 * 60 * 1000));
+  }
+
+  /**
+   * 사용자의 활성 액세스 키 정보 추출 (보고서는 키 2개까지 제공)
+   */
+  getActiveAccessKeys(row) {
+    const keys = [];
+
+    for (const slot of [1, 2]) {
+      if (row[`access_key_${slot}_active`] !== 'true') continue;
+
+      keys.push({
+        slot,
+        lastRotated: this.parseReportDate(row[`access_key_${slot}_last_rotated`]),
+        lastUsed: this.parseReportDate(row[`access_key_${slot}_last_used_date`])
+      });
+    }
+
+    return keys;
+  }
+}
+
+module.exports = IAMDataCollector;
@@ -7,7 +7,17 @@
 const BaseInspector = require('./baseInspector');
 const EC2Inspector = require('./ec2/index');
 const S3Inspector = require('./s3/index');
-// const IAMInspector = require('./iam/index');  // TODO: 구현 필요
+const IAMInspector = require('./iam/index');
+const RDSInspector = require('./rds/index');
+const CloudFrontInspector = require('./cloudfront/index');
+const LambdaInspector = require('./lambda/index');
+const VPCInspector = require('./vpc/index');
+const ELBInspector = require('./elb/index');
+const GovernanceInspector = require('./governance/index');
+const KMSInspector = require('./kms/index');
+const ContainerInspector = require('./container/index');
+const DataStoreInspector = require('./datastore/index');
+const APIGatewayInspector = require('./apigateway/index');
 
 /**
  * Inspector Registry
@@ -26,8 +36,17 @@ class InspectorRegistry {
     // 기본 Inspector들을 여기에 등록
     this.register('EC2', EC2Inspector);
     this.register('S3', S3Inspector);
-    // this.register('IAM', IAMInspector);  // TODO: 구현 후 활성화
-    // 향후 RDSInspector 등이 추가될 예정
+    this.register('GOVERNANCE', GovernanceInspector);
+    this.register('IAM', IAMInspector);
+    this.register('RDS', RDSInspector);
+    this.register('CLOUDFRONT', CloudFrontInspector);
+    this.register('LAMBDA', LambdaInspector);
+    this.register('VPC', VPCInspector);
+    this.register('ELB', ELBInspector);
+    this.register('KMS', KMSInspector);
+    this.register('CONTAINER', ContainerInspector);
+    this.register('DATASTORE', DataStoreInspector);
+    this.register('APIGATEWAY', APIGatewayInspector);
   }
 
   /**
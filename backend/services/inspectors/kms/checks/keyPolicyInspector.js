@@ -0,0 +1,159 @@
+const BaseInspector = require('../../baseInspector');
+const { KMSClient } = require('@aws-sdk/client-kms');
+const { SecretsManagerClient } = require('@aws-sdk/client-secrets-manager');
+const KMSDataCollector = require('../collectors/kmsDataCollector');
+
+class KeyPolicyInspector extends BaseInspector {
+  constructor() {
+    super('KMS');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const clientConfig = {
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new KMSDataCollector({
+        kmsClient: new KMSClient(clientConfig),
+        secretsManagerClient: new SecretsManagerClient(clientConfig)
+      }, this);
+
+      const [keys, aliases] = await Promise.all([
+        this.dataCollector.getCustomerManagedKeys(),
+        this.dataCollector.getAliases()
+      ]);
+
+      if (!Array.isArray(keys)) {
+        this.addFinding('keys', 'KMSKey', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      this.aliases = aliases;
+
+      await this.checkKeys(keys);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'key-policy',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkKeys(keys) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const key of keys) {
+      this.incrementResourceCount();
+
+      const validation = this.validateKeyFormat(key);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkKey(key);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateKeyFormat(key) {
+    if (!key || typeof key !== 'object') {
+      return { valid: false, error: '키가 객체가 아님' };
+    }
+
+    if (!key.KeyId) {
+      return { valid: false, error: 'KeyId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkKey(key) {
+    if (key.KeyState === 'PendingDeletion') return;
+
+    const policy = await this.dataCollector.getKeyPolicy(key.KeyId);
+    if (!policy) return;
+
+    const openStatements = this.dataCollector.getPolicyStatements(policy)
+      .filter(statement => statement.Effect === 'Allow')
+      .filter(statement => this.isPublicPrincipal(statement.Principal))
+      .filter(statement => this.grantsAllKmsActions(statement.Action))
+      .filter(statement => !statement.Condition);
+
+    if (openStatements.length === 0) return;
+
+    const statementIds = openStatements.map(statement => statement.Sid || '(Sid 없음)');
+    this.addFinding(
+      key.Arn || key.KeyId,
+      'KMSKey',
+      `고객 관리형 키 ${this.dataCollector.getKeyLabel(key, this.aliases)}의 키 정책이 모든 주체(*)에 kms:* 권한 부여: ${statementIds.join(', ')}`,
+      'Principal을 계정 루트(arn:aws:iam::<계정 ID>:root) 또는 특정 역할로 제한하고, 필요한 작업만 허용하세요. 교차 계정 사용이 필요하다면 kms:CallerAccount, aws:PrincipalOrgID 조건을 추가하세요'
+    );
+  }
+
+  isPublicPrincipal(principal) {
+    if (principal === '*') return true;
+    if (!principal || typeof principal !== 'object') return false;
+
+    const awsPrincipals = [].concat(principal.AWS || []);
+    return awsPrincipals.includes('*');
+  }
+
+  grantsAllKmsActions(action) {
+    return [].concat(action || []).some(item => item === '*' || item.toLowerCase() === 'kms:*');
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'KMS 권한 부족', 'IAM 정책에 kms:ListKeys, kms:DescribeKey, kms:GetKeyPolicy 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'KMS 키 정책 검사' });
+    }
+  }
+}
+
+module.exports = KeyPolicyInspector;
@@ -0,0 +1,140 @@
+const BaseInspector = require('../../baseInspector');
+const { KMSClient } = require('@aws-sdk/client-kms');
+const { SecretsManagerClient } = require('@aws-sdk/client-secrets-manager');
+const KMSDataCollector = require('../collectors/kmsDataCollector');
+
+class KeyRotationInspector extends BaseInspector {
+  constructor() {
+    super('KMS');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const clientConfig = {
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new KMSDataCollector({
+        kmsClient: new KMSClient(clientConfig),
+        secretsManagerClient: new SecretsManagerClient(clientConfig)
+      }, this);
+
+      const [keys, aliases] = await Promise.all([
+        this.dataCollector.getCustomerManagedKeys(),
+        this.dataCollector.getAliases()
+      ]);
+
+      if (!Array.isArray(keys)) {
+        this.addFinding('keys', 'KMSKey', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      this.aliases = aliases;
+
+      await this.checkKeys(keys);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'key-rotation',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkKeys(keys) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const key of keys) {
+      this.incrementResourceCount();
+
+      const validation = this.validateKeyFormat(key);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkKey(key);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateKeyFormat(key) {
+    if (!key || typeof key !== 'object') {
+      return { valid: false, error: '키가 객체가 아님' };
+    }
+
+    if (!key.KeyId) {
+      return { valid: false, error: 'KeyId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkKey(key) {
+    // 자동 교체는 KMS가 생성한 활성 대칭 키에서만 지원
+    if (key.KeyState !== 'Enabled') return;
+    if (key.KeySpec !== 'SYMMETRIC_DEFAULT' || key.Origin !== 'AWS_KMS') return;
+
+    const rotationEnabled = await this.dataCollector.getKeyRotationEnabled(key.KeyId);
+    if (rotationEnabled !== false) return;
+
+    this.addFinding(
+      key.Arn || key.KeyId,
+      'KMSKey',
+      `고객 관리형 키 ${this.dataCollector.getKeyLabel(key, this.aliases)}의 자동 키 교체가 비활성화됨`,
+      '자동 키 교체를 활성화하여 키 구성 요소가 주기적으로 교체되도록 하세요. 기존 암호문은 이전 키 구성 요소로 계속 복호화됩니다'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'KMS 권한 부족', 'IAM 정책에 kms:ListKeys, kms:DescribeKey, kms:GetKeyRotationStatus 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'KMS 키 교체 검사' });
+    }
+  }
+}
+
+module.exports = KeyRotationInspector;
@@ -0,0 +1,178 @@
+const BaseInspector = require('../../baseInspector');
+const { KMSClient } = require('@aws-sdk/client-kms');
+const { SecretsManagerClient } = require('@aws-sdk/client-secrets-manager');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const { RDSClient } = require('@aws-sdk/client-rds');
+const KMSDataCollector = require('../collectors/kmsDataCollector');
+const EC2DataCollector = require('../../ec2/collectors/ec2DataCollector');
+const RDSDataCollector = require('../../rds/collectors/rdsDataCollector');
+
+class PendingDeletionKeyInspector extends BaseInspector {
+  constructor() {
+    super('KMS');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const clientConfig = {
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new KMSDataCollector({
+        kmsClient: new KMSClient(clientConfig),
+        secretsManagerClient: new SecretsManagerClient(clientConfig)
+      }, this);
+      this.ec2DataCollector = new EC2DataCollector(new EC2Client(clientConfig), this);
+      this.rdsDataCollector = new RDSDataCollector(new RDSClient(clientConfig), this);
+
+      const [keys, aliases] = await Promise.all([
+        this.dataCollector.getCustomerManagedKeys(),
+        this.dataCollector.getAliases()
+      ]);
+
+      if (!Array.isArray(keys)) {
+        this.addFinding('keys', 'KMSKey', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      this.aliases = aliases;
+
+      // 삭제 대기 중인 키가 있을 때만 참조 리소스를 수집
+      if (keys.some(key => key.KeyState === 'PendingDeletion')) {
+        this.keyReferences = await this.collectKeyReferences();
+      }
+
+      await this.checkKeys(keys);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'pending-deletion',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkKeys(keys) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const key of keys) {
+      this.incrementResourceCount();
+
+      const validation = this.validateKeyFormat(key);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkKey(key);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateKeyFormat(key) {
+    if (!key || typeof key !== 'object') {
+      return { valid: false, error: '키가 객체가 아님' };
+    }
+
+    if (!key.KeyId) {
+      return { valid: false, error: 'KeyId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkKey(key) {
+    if (key.KeyState !== 'PendingDeletion') return;
+
+    const references = this.keyReferences?.get(key.KeyId) || [];
+    if (references.length === 0) return;
+
+    const deletionDate = key.DeletionDate
+      ? new Date(key.DeletionDate).toLocaleDateString('ko-KR')
+      : '알 수 없음';
+
+    this.addFinding(
+      key.Arn || key.KeyId,
+      'KMSKey',
+      `삭제 대기 중인 키 ${this.dataCollector.getKeyLabel(key, this.aliases)}를 ${references.length}개 리소스가 여전히 사용 중 (삭제 예정일: ${deletionDate}): ${references.join(', ')}`,
+      '키가 삭제되면 해당 리소스의 데이터를 영구적으로 복호화할 수 없습니다. 키 삭제를 취소(CancelKeyDeletion)하거나 리소스를 다른 키로 재암호화한 뒤 삭제하세요'
+    );
+  }
+
+  /**
+   * 보안 암호, EBS 볼륨, RDS 인스턴스의 KMS 키 참조 수집 (키 ID → 리소스 목록)
+   */
+  async collectKeyReferences() {
+    const references = new Map();
+    const addReference = (keyReference, resourceLabel) => {
+      const keyId = this.dataCollector.resolveKeyId(keyReference, this.aliases);
+      if (!keyId) return;
+      if (!references.has(keyId)) references.set(keyId, []);
+      references.get(keyId).push(resourceLabel);
+    };
+
+    const [secrets, volumes, dbInstances] = await Promise.all([
+      this.dataCollector.getSecrets().catch(() => []),
+      this.ec2DataCollector.getVolumes().catch(() => []),
+      this.rdsDataCollector.getDBInstances().catch(() => [])
+    ]);
+
+    secrets.forEach(secret => addReference(secret.KmsKeyId, `Secret:${secret.Name}`));
+    volumes.forEach(volume => addReference(volume.KmsKeyId, `EBS:${volume.VolumeId}`));
+    dbInstances.forEach(db => addReference(db.KmsKeyId, `RDS:${db.DBInstanceIdentifier}`));
+
+    return references;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'KMS 권한 부족', 'IAM 정책에 kms:ListKeys, kms:DescribeKey, secretsmanager:ListSecrets, ec2:DescribeVolumes, rds:DescribeDBInstances 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'KMS 삭제 대기 키 검사' });
+    }
+  }
+}
+
+module.exports = PendingDeletionKeyInspector;
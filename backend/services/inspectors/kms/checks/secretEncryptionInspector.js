@@ -0,0 +1,144 @@
+const BaseInspector = require('../../baseInspector');
+const { KMSClient } = require('@aws-sdk/client-kms');
+const { SecretsManagerClient } = require('@aws-sdk/client-secrets-manager');
+const KMSDataCollector = require('../collectors/kmsDataCollector');
+
+class SecretEncryptionInspector extends BaseInspector {
+  constructor() {
+    super('KMS');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const clientConfig = {
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new KMSDataCollector({
+        kmsClient: new KMSClient(clientConfig),
+        secretsManagerClient: new SecretsManagerClient(clientConfig)
+      }, this);
+
+      const [secrets, aliases] = await Promise.all([
+        this.dataCollector.getSecrets(),
+        this.dataCollector.getAliases()
+      ]);
+
+      if (!Array.isArray(secrets)) {
+        this.addFinding('secrets', 'Secret', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      this.aliases = aliases;
+
+      await this.checkSecrets(secrets);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'secret-cmk-encryption',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkSecrets(secrets) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const secret of secrets) {
+      this.incrementResourceCount();
+
+      const validation = this.validateSecretFormat(secret);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkSecret(secret);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateSecretFormat(secret) {
+    if (!secret || typeof secret !== 'object') {
+      return { valid: false, error: '보안 암호가 객체가 아님' };
+    }
+
+    if (!secret.ARN || !secret.Name) {
+      return { valid: false, error: 'ARN 또는 Name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkSecret(secret) {
+    // KmsKeyId가 없으면 AWS 관리형 키(aws/secretsmanager)로 암호화됨
+    if (secret.KmsKeyId && !this.isAwsManagedKey(secret.KmsKeyId)) return;
+
+    this.addFinding(
+      secret.ARN,
+      'Secret',
+      `보안 암호 '${secret.Name}'이 고객 관리형 키(CMK)가 아닌 AWS 관리형 키(aws/secretsmanager)로 암호화됨`,
+      '고객 관리형 KMS 키로 암호화하면 키 정책으로 복호화 주체를 제한하고 교차 계정 공유와 키 사용 감사를 세밀하게 제어할 수 있습니다'
+    );
+  }
+
+  isAwsManagedKey(keyReference) {
+    if (/alias\/aws\//.test(keyReference)) return true;
+
+    const keyId = this.dataCollector.resolveKeyId(keyReference, this.aliases);
+    const alias = this.aliases.find(item => item.TargetKeyId === keyId);
+    return alias?.AliasName?.startsWith('alias/aws/') || false;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'Secrets Manager 권한 부족', 'IAM 정책에 secretsmanager:ListSecrets, kms:ListAliases 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'Secrets Manager 암호화 검사' });
+    }
+  }
+}
+
+module.exports = SecretEncryptionInspector;
@@ -0,0 +1,134 @@
+const BaseInspector = require('../../baseInspector');
+const { KMSClient } = require('@aws-sdk/client-kms');
+const { SecretsManagerClient } = require('@aws-sdk/client-secrets-manager');
+const KMSDataCollector = require('../collectors/kmsDataCollector');
+
+class SecretRotationInspector extends BaseInspector {
+  constructor() {
+    super('KMS');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const clientConfig = {
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new KMSDataCollector({
+        kmsClient: new KMSClient(clientConfig),
+        secretsManagerClient: new SecretsManagerClient(clientConfig)
+      }, this);
+
+      const secrets = await this.dataCollector.getSecrets();
+
+      if (!Array.isArray(secrets)) {
+        this.addFinding('secrets', 'Secret', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkSecrets(secrets);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'secret-rotation',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkSecrets(secrets) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const secret of secrets) {
+      this.incrementResourceCount();
+
+      const validation = this.validateSecretFormat(secret);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkSecret(secret);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateSecretFormat(secret) {
+    if (!secret || typeof secret !== 'object') {
+      return { valid: false, error: '보안 암호가 객체가 아님' };
+    }
+
+    if (!secret.ARN || !secret.Name) {
+      return { valid: false, error: 'ARN 또는 Name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkSecret(secret) {
+    if (secret.RotationEnabled) return;
+
+    const lastChangedText = secret.LastChangedDate
+      ? `, 마지막 변경: ${new Date(secret.LastChangedDate).toLocaleDateString('ko-KR')}`
+      : '';
+
+    this.addFinding(
+      secret.ARN,
+      'Secret',
+      `보안 암호 '${secret.Name}'의 자동 교체가 비활성화됨${lastChangedText}`,
+      'Lambda 교체 함수(RDS/Redshift/DocumentDB는 관리형 교체 사용 가능)를 연결하여 자동 교체를 활성화하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'Secrets Manager 권한 부족', 'IAM 정책에 secretsmanager:ListSecrets 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'Secrets Manager 교체 검사' });
+    }
+  }
+}
+
+module.exports = SecretRotationInspector;
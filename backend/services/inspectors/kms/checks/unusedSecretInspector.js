@@ -0,0 +1,146 @@
+const BaseInspector = require('../../baseInspector');
+const { KMSClient } = require('@aws-sdk/client-kms');
+const { SecretsManagerClient } = require('@aws-sdk/client-secrets-manager');
+const KMSDataCollector = require('../collectors/kmsDataCollector');
+
+class UnusedSecretInspector extends BaseInspector {
+  constructor() {
+    super('KMS');
+    this.UNUSED_THRESHOLD_DAYS = 90;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const clientConfig = {
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.dataCollector = new KMSDataCollector({
+        kmsClient: new KMSClient(clientConfig),
+        secretsManagerClient: new SecretsManagerClient(clientConfig)
+      }, this);
+
+      const secrets = await this.dataCollector.getSecrets();
+
+      if (!Array.isArray(secrets)) {
+        this.addFinding('secrets', 'Secret', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkSecrets(secrets);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'unused-secrets',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkSecrets(secrets) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const secret of secrets) {
+      this.incrementResourceCount();
+
+      const validation = this.validateSecretFormat(secret);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkSecret(secret);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateSecretFormat(secret) {
+    if (!secret || typeof secret !== 'object') {
+      return { valid: false, error: '보안 암호가 객체가 아님' };
+    }
+
+    if (!secret.ARN || !secret.Name) {
+      return { valid: false, error: 'ARN 또는 Name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkSecret(secret) {
+    // 삭제 예약된 보안 암호는 제외
+    if (secret.DeletedDate) return;
+
+    const thresholdDate = new Date();
+    thresholdDate.setDate(thresholdDate.getDate() - this.UNUSED_THRESHOLD_DAYS);
+
+    // LastAccessedDate는 일 단위로 기록되며, 한 번도 조회되지 않은 경우 없음
+    const lastAccessed = secret.LastAccessedDate ? new Date(secret.LastAccessedDate) : null;
+    const createdDate = secret.CreatedDate ? new Date(secret.CreatedDate) : null;
+
+    if (lastAccessed && lastAccessed >= thresholdDate) return;
+    if (!lastAccessed && (!createdDate || createdDate >= thresholdDate)) return;
+
+    const usageText = lastAccessed
+      ? `마지막 조회: ${lastAccessed.toLocaleDateString('ko-KR')}`
+      : `생성 후 조회 이력 없음, 생성일: ${createdDate.toLocaleDateString('ko-KR')}`;
+
+    this.addFinding(
+      secret.ARN,
+      'Secret',
+      `보안 암호 '${secret.Name}'이 ${this.UNUSED_THRESHOLD_DAYS}일 이상 사용되지 않음 (${usageText})`,
+      '더 이상 사용하지 않는 보안 암호는 복구 기간을 두고 삭제하여 불필요한 자격 증명 노출 범위와 비용을 줄이세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'Secrets Manager 권한 부족', 'IAM 정책에 secretsmanager:ListSecrets 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'Secrets Manager 미사용 보안 암호 검사' });
+    }
+  }
+}
+
+module.exports = UnusedSecretInspector;
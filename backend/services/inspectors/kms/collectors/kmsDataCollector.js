@@ -0,0 +1,186 @@
+/**
+ * KMS Data Collector
+ * KMS 키와 Secrets Manager 보안 암호 관련 데이터 수집을 담당하는 모듈
+ */
+
+const {
+  ListKeysCommand,
+  DescribeKeyCommand,
+  ListAliasesCommand,
+  GetKeyRotationStatusCommand,
+  GetKeyPolicyCommand
+} = require('@aws-sdk/client-kms');
+const { ListSecretsCommand } = require('@aws-sdk/client-secrets-manager');
+
+class KMSDataCollector {
+  /**
+   * @param {Object} clients - { kmsClient, secretsManagerClient }
+   * @param {Object} inspector - 재시도/오류 기록을 담당하는 Inspector
+   */
+  constructor(clients, inspector) {
+    this.kmsClient = clients.kmsClient;
+    this.secretsManagerClient = clients.secretsManagerClient;
+    this.inspector = inspector;
+  }
+
+  /**
+   * 고객 관리형 키(CMK) 목록 조회 (AWS 관리형 키 제외)
+   */
+  async getCustomerManagedKeys() {
+    try {
+      const keyList = await this.inspector.collectAllPages(
+        'ListKeys',
+        (marker) => this.kmsClient.send(new ListKeysCommand({ Marker: marker })),
+        (response) => response.Keys,
+        (response) => response.Truncated ? response.NextMarker : null
+      );
+
+      const keys = [];
+      for (const key of keyList) {
+        const metadata = await this.describeKey(key.KeyId);
+        if (metadata?.KeyManager === 'CUSTOMER') {
+          keys.push(metadata);
+        }
+      }
+      return keys;
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getCustomerManagedKeys' });
+      throw error;
+    }
+  }
+
+  /**
+   * 키 메타데이터 조회
+   */
+  async describeKey(keyId) {
+    try {
+      const command = new DescribeKeyCommand({ KeyId: keyId });
+      const response = await this.inspector.retryableApiCall(
+        () => this.kmsClient.send(command),
+        'DescribeKey'
+      );
+
+      return response.KeyMetadata || null;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'describeKey',
+        keyId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 키 별칭 목록 조회
+   */
+  async getAliases() {
+    try {
+      return await this.inspector.withCollectionCache('ListAliases', {}, () =>
+        this.inspector.collectAllPages(
+          'ListAliases',
+          (marker) => this.kmsClient.send(new ListAliasesCommand({ Marker: marker })),
+          (response) => response.Aliases,
+          (response) => response.Truncated ? response.NextMarker : null
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getAliases' });
+      return [];
+    }
+  }
+
+  /**
+   * 자동 키 교체 활성화 여부 조회
+   */
+  async getKeyRotationEnabled(keyId) {
+    try {
+      const command = new GetKeyRotationStatusCommand({ KeyId: keyId });
+      const response = await this.inspector.retryableApiCall(
+        () => this.kmsClient.send(command),
+        'GetKeyRotationStatus'
+      );
+
+      return response.KeyRotationEnabled === true;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getKeyRotationEnabled',
+        keyId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 키 정책 조회 (JSON 파싱)
+   */
+  async getKeyPolicy(keyId) {
+    try {
+      const command = new GetKeyPolicyCommand({ KeyId: keyId, PolicyName: 'default' });
+      const response = await this.inspector.retryableApiCall(
+        () => this.kmsClient.send(command),
+        'GetKeyPolicy'
+      );
+
+      return response.Policy ? JSON.parse(response.Policy) : null;
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getKeyPolicy',
+        keyId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Secrets Manager 보안 암호 목록 조회
+   */
+  async getSecrets() {
+    try {
+      return await this.inspector.withCollectionCache('ListSecrets', {}, () =>
+        this.inspector.collectAllPages(
+          'ListSecrets',
+          (nextToken) => this.secretsManagerClient.send(new ListSecretsCommand({ NextToken: nextToken })),
+          (response) => response.SecretList,
+          (response) => response.NextToken
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getSecrets' });
+      throw error;
+    }
+  }
+
+  /**
+   * 키 참조(키 ID, 키 ARN, 별칭 이름, 별칭 ARN)를 키 ID로 변환
+   */
+  resolveKeyId(keyReference, aliases = []) {
+    if (!keyReference) return null;
+
+    const aliasMatch = keyReference.match(/(alias\/.+)$/);
+    if (aliasMatch) {
+      const alias = aliases.find(item => item.AliasName === aliasMatch[1]);
+      return alias?.TargetKeyId || null;
+    }
+
+    const keyArnMatch = keyReference.match(/key\/([a-zA-Z0-9-]+)$/);
+    return keyArnMatch ? keyArnMatch[1] : keyReference;
+  }
+
+  /**
+   * 정책 Statement 배열로 정규화
+   */
+  getPolicyStatements(policy) {
+    if (!policy?.Statement) return [];
+    return Array.isArray(policy.Statement) ? policy.Statement : [policy.Statement];
+  }
+
+  /**
+   * 키 표시용 이름 (별칭 우선)
+   */
+  getKeyLabel(keyMetadata, aliases = []) {
+    const alias = aliases.find(item => item.TargetKeyId === keyMetadata.KeyId);
+    return alias ? `${alias.AliasName} (${keyMetadata.KeyId})` : keyMetadata.KeyId;
+  }
+}
+
+module.exports = KMSDataCollector;
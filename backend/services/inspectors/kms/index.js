@@ -0,0 +1,84 @@
+const BaseInspector = require('../baseInspector');
+const KeyRotationInspector = require('./checks/keyRotationInspector');
+const KeyPolicyInspector = require('./checks/keyPolicyInspector');
+const PendingDeletionKeyInspector = require('./checks/pendingDeletionKeyInspector');
+const SecretRotationInspector = require('./checks/secretRotationInspector');
+const UnusedSecretInspector = require('./checks/unusedSecretInspector');
+const SecretEncryptionInspector = require('./checks/secretEncryptionInspector');
+
+class KMSInspector extends BaseInspector {
+  constructor() {
+    super('KMS');
+  }
+
+  async preInspectionValidation(awsCredentials, inspectionConfig) {
+    const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+    this.region = region;
+    this.logger.info(`KMS inspection initialized for region: ${region}`);
+  }
+
+  async performItemInspection(awsCredentials, inspectionConfig) {
+    const targetItem = inspectionConfig.targetItem || inspectionConfig.targetItemId;
+
+    if (targetItem === 'all') {
+      return await this.performInspection(awsCredentials, inspectionConfig);
+    }
+
+    const inspectorMap = {
+      'key-rotation': KeyRotationInspector,
+      'key-policy': KeyPolicyInspector,
+      'pending-deletion': PendingDeletionKeyInspector,
+      'secret-rotation': SecretRotationInspector,
+      'unused-secrets': UnusedSecretInspector,
+      'secret-cmk-encryption': SecretEncryptionInspector
+    };
+
+    const InspectorClass = inspectorMap[targetItem];
+    if (InspectorClass) {
+      await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem);
+      return;
+    }
+
+    this.handleUnknownInspectionItem(targetItem);
+  }
+
+  async executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem) {
+    const inspector = new InspectorClass();
+    try {
+      await inspector.executeInspection(awsCredentials, inspectionConfig);
+      this.findings.push(...inspector.findings);
+      this.incrementResourceCount(inspector.resourcesScanned);
+      this.mergePartialCollections(inspector);
+    } catch (error) {
+      if (this.isCancelled()) {
+        // 취소된 경우 취소 전까지 발견된 결과는 유지
+        this.findings.push(...inspector.findings);
+        this.mergePartialCollections(inspector);
+      } else {
+        this.recordError(error, { targetItem });
+      }
+      throw error;
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    const inspectorClasses = [
+      KeyRotationInspector,
+      KeyPolicyInspector,
+      PendingDeletionKeyInspector,
+      SecretRotationInspector,
+      UnusedSecretInspector,
+      SecretEncryptionInspector
+    ];
+
+    for (const InspectorClass of inspectorClasses) {
+      try {
+        await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig);
+      } catch (error) {
+        this.recordError(error, { context: `${InspectorClass.name} 실행` });
+      }
+    }
+  }
+}
+
+module.exports = KMSInspector;
@@ -0,0 +1,165 @@
+const BaseInspector = require('../../baseInspector');
+const { LambdaClient } = require('@aws-sdk/client-lambda');
+const LambdaDataCollector = require('../collectors/lambdaDataCollector');
+
+class EnvironmentSecretsInspector extends BaseInspector {
+  constructor() {
+    super('LAMBDA');
+
+    // 자격 증명으로 의심되는 환경 변수 이름 패턴
+    this.secretKeyPatterns = [
+      /secret/i,
+      /passw(or)?d/i,
+      /(^|_)pwd($|_)/i,
+      /token/i,
+      /api[_-]?key/i,
+      /access[_-]?key/i,
+      /private[_-]?key/i,
+      /credential/i
+    ];
+
+    // 값 자체가 자격 증명 형식인 경우
+    this.secretValuePatterns = [
+      /^(AKIA|ASIA)[0-9A-Z]{16}$/,
+      /-----BEGIN [A-Z ]*PRIVATE KEY-----/,
+      /^(ghp|gho|github_pat)_[A-Za-z0-9_]{20,}$/,
+      /^xox[baprs]-[A-Za-z0-9-]{10,}$/
+    ];
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.lambdaClient = new LambdaClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new LambdaDataCollector(this.lambdaClient, this);
+
+      const functions = await this.dataCollector.getFunctions();
+
+      if (!Array.isArray(functions)) {
+        this.addFinding('functions', 'LambdaFunction', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkFunctions(functions);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'environment-secrets',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkFunctions(functions) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const fn of functions) {
+      this.incrementResourceCount();
+
+      const validation = this.validateFunctionFormat(fn);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkFunction(fn);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateFunctionFormat(fn) {
+    if (!fn || typeof fn !== 'object') {
+      return { valid: false, error: '함수가 객체가 아님' };
+    }
+
+    if (!fn.FunctionName) {
+      return { valid: false, error: 'FunctionName 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkFunction(fn) {
+    const variables = fn.Environment?.Variables || {};
+    const suspiciousKeys = Object.entries(variables)
+      .filter(([key, value]) => this.looksLikeCredential(key, value))
+      .map(([key]) => key);
+
+    if (suspiciousKeys.length > 0) {
+      // 값은 노출하지 않고 변수 이름만 기록
+      this.addFinding(
+        fn.FunctionArn || fn.FunctionName,
+        'LambdaFunction',
+        `함수 '${fn.FunctionName}'의 환경 변수에 자격 증명으로 보이는 값 저장: ${suspiciousKeys.join(', ')}`,
+        'Secrets Manager 또는 SSM Parameter Store(SecureString)에 저장하고 실행 시 조회하도록 변경하세요'
+      );
+    }
+  }
+
+  looksLikeCredential(key, value) {
+    if (typeof value !== 'string' || value.length === 0) return false;
+
+    // 다른 저장소를 참조하는 값(ARN, 파라미터 경로)은 제외
+    if (value.startsWith('arn:aws:') || value.startsWith('/') || value.startsWith('{{resolve:')) {
+      return false;
+    }
+
+    if (this.secretValuePatterns.some(pattern => pattern.test(value))) return true;
+
+    return this.secretKeyPatterns.some(pattern => pattern.test(key)) && value.length >= 8;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'Lambda 권한 부족', 'IAM 정책에 lambda:ListFunctions 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'Lambda 환경 변수 검사' });
+    }
+  }
+}
+
+module.exports = EnvironmentSecretsInspector;
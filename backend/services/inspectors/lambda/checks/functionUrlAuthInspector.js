@@ -0,0 +1,133 @@
+const BaseInspector = require('../../baseInspector');
+const { LambdaClient } = require('@aws-sdk/client-lambda');
+const LambdaDataCollector = require('../collectors/lambdaDataCollector');
+
+class FunctionUrlAuthInspector extends BaseInspector {
+  constructor() {
+    super('LAMBDA');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.lambdaClient = new LambdaClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new LambdaDataCollector(this.lambdaClient, this);
+
+      const functions = await this.dataCollector.getFunctions();
+
+      if (!Array.isArray(functions)) {
+        this.addFinding('functions', 'LambdaFunction', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkFunctions(functions);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'function-url-auth',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkFunctions(functions) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const fn of functions) {
+      this.incrementResourceCount();
+
+      const validation = this.validateFunctionFormat(fn);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkFunction(fn);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateFunctionFormat(fn) {
+    if (!fn || typeof fn !== 'object') {
+      return { valid: false, error: '함수가 객체가 아님' };
+    }
+
+    if (!fn.FunctionName) {
+      return { valid: false, error: 'FunctionName 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkFunction(fn) {
+    const urlConfigs = await this.dataCollector.getFunctionUrlConfigs(fn.FunctionName);
+
+    for (const urlConfig of urlConfigs) {
+      if (urlConfig.AuthType !== 'NONE') continue;
+
+      const corsOrigins = urlConfig.Cors?.AllowOrigins || [];
+      const corsNote = corsOrigins.includes('*') ? ', CORS 모든 오리진 허용' : '';
+
+      this.addFinding(
+        fn.FunctionArn || fn.FunctionName,
+        'LambdaFunction',
+        `함수 '${fn.FunctionName}'의 함수 URL이 인증 없이(AuthType NONE) 공개됨: ${urlConfig.FunctionUrl}${corsNote}`,
+        '함수 URL 인증 유형을 AWS_IAM으로 변경하거나, 공개가 필요하면 API Gateway/CloudFront와 WAF를 앞단에 두고 함수 내 인증을 구현하세요'
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'Lambda 권한 부족', 'IAM 정책에 lambda:ListFunctions, lambda:ListFunctionUrlConfigs 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'Lambda 함수 URL 검사' });
+    }
+  }
+}
+
+module.exports = FunctionUrlAuthInspector;
@@ -0,0 +1,152 @@
+const BaseInspector = require('../../baseInspector');
+const { LambdaClient } = require('@aws-sdk/client-lambda');
+const LambdaDataCollector = require('../collectors/lambdaDataCollector');
+
+class ResourcePolicyInspector extends BaseInspector {
+  constructor() {
+    super('LAMBDA');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.lambdaClient = new LambdaClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new LambdaDataCollector(this.lambdaClient, this);
+
+      const functions = await this.dataCollector.getFunctions();
+
+      if (!Array.isArray(functions)) {
+        this.addFinding('functions', 'LambdaFunction', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkFunctions(functions);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'resource-policy',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkFunctions(functions) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const fn of functions) {
+      this.incrementResourceCount();
+
+      const validation = this.validateFunctionFormat(fn);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkFunction(fn);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateFunctionFormat(fn) {
+    if (!fn || typeof fn !== 'object') {
+      return { valid: false, error: '함수가 객체가 아님' };
+    }
+
+    if (!fn.FunctionName) {
+      return { valid: false, error: 'FunctionName 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkFunction(fn) {
+    const policy = await this.dataCollector.getFunctionPolicy(fn.FunctionName);
+    if (!policy) return;
+
+    const publicStatements = this.dataCollector.getPolicyStatements(policy)
+      .filter(statement => statement.Effect === 'Allow' && this.isPublicPrincipal(statement.Principal))
+      .filter(statement => !this.hasRestrictingCondition(statement.Condition));
+
+    if (publicStatements.length > 0) {
+      const statementIds = publicStatements.map(statement => statement.Sid || '(Sid 없음)');
+      this.addFinding(
+        fn.FunctionArn || fn.FunctionName,
+        'LambdaFunction',
+        `함수 '${fn.FunctionName}'의 리소스 정책이 모든 주체(*)에 호출 권한 부여: ${statementIds.join(', ')}`,
+        'Principal을 특정 계정/서비스로 제한하거나 aws:SourceArn, aws:SourceAccount, aws:PrincipalOrgID 조건을 추가하세요'
+      );
+    }
+  }
+
+  isPublicPrincipal(principal) {
+    if (principal === '*') return true;
+    if (!principal || typeof principal !== 'object') return false;
+
+    const awsPrincipals = [].concat(principal.AWS || []);
+    return awsPrincipals.includes('*');
+  }
+
+  hasRestrictingCondition(condition) {
+    if (!condition) return false;
+
+    const restrictingKeys = ['aws:sourcearn', 'aws:sourceaccount', 'aws:principalorgid', 'aws:sourceowner', 'lambda:functionurlauthtype'];
+
+    return Object.values(condition).some(operatorBlock =>
+      Object.keys(operatorBlock || {}).some(key => restrictingKeys.includes(key.toLowerCase()))
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'Lambda 권한 부족', 'IAM 정책에 lambda:ListFunctions, lambda:GetPolicy 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'Lambda 리소스 정책 검사' });
+    }
+  }
+}
+
+module.exports = ResourcePolicyInspector;
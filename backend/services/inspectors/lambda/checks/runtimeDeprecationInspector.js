@@ -0,0 +1,157 @@
+const BaseInspector = require('../../baseInspector');
+const { LambdaClient } = require('@aws-sdk/client-lambda');
+const LambdaDataCollector = require('../collectors/lambdaDataCollector');
+const lifecycleCatalogService = require('../../../lifecycleCatalogService');
+
+class RuntimeDeprecationInspector extends BaseInspector {
+  constructor() {
+    super('LAMBDA');
+
+    // 런타임 지원 중단 날짜는 공통 수명 주기 카탈로그(lambda-runtime)에서 조회
+    this.lifecycleProductId = 'lambda-runtime';
+
+    // 경고 임계값 (지원 중단 6개월 전)
+    this.warningThresholdMonths = 6;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.lambdaClient = new LambdaClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new LambdaDataCollector(this.lambdaClient, this);
+
+      const functions = await this.dataCollector.getFunctions();
+
+      if (!Array.isArray(functions)) {
+        this.addFinding('functions', 'LambdaFunction', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkFunctions(functions);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'runtime-deprecation',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkFunctions(functions) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const fn of functions) {
+      this.incrementResourceCount();
+
+      const validation = this.validateFunctionFormat(fn);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkFunction(fn);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateFunctionFormat(fn) {
+    if (!fn || typeof fn !== 'object') {
+      return { valid: false, error: '함수가 객체가 아님' };
+    }
+
+    if (!fn.FunctionName) {
+      return { valid: false, error: 'FunctionName 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkFunction(fn) {
+    // 컨테이너 이미지 함수는 런타임 정보가 없음
+    if (!fn.Runtime) return;
+
+    const lifecycle = await lifecycleCatalogService.getLifecycleStatus(
+      this.lifecycleProductId,
+      fn.Runtime,
+      this.warningThresholdMonths
+    );
+    if (!lifecycle) return; // 지원 중인 런타임
+
+    const { endDate: deprecationDate, status, daysUntilEnd: daysUntilDeprecation } = lifecycle;
+
+    // 이미 지원이 중단된 경우
+    if (status === 'ended') {
+      this.addFinding(
+        fn.FunctionArn || fn.FunctionName,
+        'LambdaFunction',
+        `함수 '${fn.FunctionName}'이 지원 중단된 런타임 사용 (${fn.Runtime}, ${deprecationDate.toLocaleDateString('ko-KR')} 지원 중단)`,
+        '보안 패치가 제공되지 않으므로 최신 런타임으로 업그레이드하세요. 지원 중단 이후에는 함수 생성/업데이트가 차단될 수 있습니다'
+      );
+      return;
+    }
+
+    // 지원 중단이 임박한 경우
+    if (status === 'ending') {
+      this.addFinding(
+        fn.FunctionArn || fn.FunctionName,
+        'LambdaFunction',
+        `함수 '${fn.FunctionName}'의 런타임 지원 중단 임박 (${fn.Runtime}, ${daysUntilDeprecation}일 후: ${deprecationDate.toLocaleDateString('ko-KR')})`,
+        '지원 중단 전에 최신 런타임으로 마이그레이션하고 테스트를 수행하세요'
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'Lambda 권한 부족', 'IAM 정책에 lambda:ListFunctions 권한 추가');
+        break;
+      case 'ExpiredToken':
+      case 'ExpiredTokenException':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'Lambda 런타임 검사' });
+    }
+  }
+}
+
+module.exports = RuntimeDeprecationInspector;
@@ -0,0 +1,115 @@
+/**
+ * Lambda Data Collector
+ * Lambda 함수 관련 데이터 수집을 담당하는 모듈
+ */
+
+const {
+  ListFunctionsCommand,
+  ListFunctionUrlConfigsCommand,
+  GetPolicyCommand,
+  GetFunctionEventInvokeConfigCommand
+} = require('@aws-sdk/client-lambda');
+
+class LambdaDataCollector {
+  constructor(lambdaClient, inspector) {
+    this.lambdaClient = lambdaClient;
+    this.inspector = inspector;
+  }
+
+  /**
+   * Lambda 함수 목록 조회
+   */
+  async getFunctions() {
+    try {
+      return await this.inspector.withCollectionCache('ListFunctions', {}, () =>
+        this.inspector.collectAllPages(
+          'ListFunctions',
+          (marker) => this.lambdaClient.send(new ListFunctionsCommand({ Marker: marker })),
+          (response) => response.Functions,
+          (response) => response.NextMarker
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getFunctions' });
+      throw error;
+    }
+  }
+
+  /**
+   * 함수 URL 설정 조회
+   */
+  async getFunctionUrlConfigs(functionName) {
+    try {
+      return await this.inspector.collectAllPages(
+        'ListFunctionUrlConfigs',
+        (marker) => this.lambdaClient.send(new ListFunctionUrlConfigsCommand({ FunctionName: functionName, Marker: marker })),
+        (response) => response.FunctionUrlConfigs,
+        (response) => response.NextMarker
+      );
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getFunctionUrlConfigs',
+        functionName
+      });
+      return [];
+    }
+  }
+
+  /**
+   * 함수 리소스 기반 정책 조회 (정책이 없으면 null)
+   */
+  async getFunctionPolicy(functionName) {
+    try {
+      const command = new GetPolicyCommand({ FunctionName: functionName });
+      const response = await this.inspector.retryableApiCall(
+        () => this.lambdaClient.send(command),
+        'GetPolicy'
+      );
+
+      return response.Policy ? JSON.parse(response.Policy) : null;
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        return null;
+      }
+      this.inspector.recordError(error, {
+        operation: 'getFunctionPolicy',
+        functionName
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 비동기 호출 설정 조회 (설정이 없으면 null)
+   */
+  async getEventInvokeConfig(functionName) {
+    try {
+      const command = new GetFunctionEventInvokeConfigCommand({ FunctionName: functionName });
+      const response = await this.inspector.retryableApiCall(
+        () => this.lambdaClient.send(command),
+        'GetFunctionEventInvokeConfig'
+      );
+
+      return response;
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') {
+        return null;
+      }
+      this.inspector.recordError(error, {
+        operation: 'getEventInvokeConfig',
+        functionName
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 정책 Statement 배열로 정규화
+   */
+  getPolicyStatements(policy) {
+    if (!policy?.Statement) return [];
+    return Array.isArray(policy.Statement) ? policy.Statement : [policy.Statement];
+  }
+}
+
+module.exports = LambdaDataCollector;
@@ -0,0 +1,81 @@
+const BaseInspector = require('../baseInspector');
+const RuntimeDeprecationInspector = require('./checks/runtimeDeprecationInspector');
+const FunctionUrlAuthInspector = require('./checks/functionUrlAuthInspector');
+const ResourcePolicyInspector = require('./checks/resourcePolicyInspector');
+const EnvironmentSecretsInspector = require('./checks/environmentSecretsInspector');
+const FailureDestinationInspector = require('./checks/failureDestinationInspector');
+
+class LambdaInspector extends BaseInspector {
+  constructor() {
+    super('LAMBDA');
+  }
+
+  async preInspectionValidation(awsCredentials, inspectionConfig) {
+    const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+    this.region = region;
+    this.logger.info(`Lambda inspection initialized for region: ${region}`);
+  }
+
+  async performItemInspection(awsCredentials, inspectionConfig) {
+    const targetItem = inspectionConfig.targetItem || inspectionConfig.targetItemId;
+
+    if (targetItem === 'all') {
+      return await this.performInspection(awsCredentials, inspectionConfig);
+    }
+
+    const inspectorMap = {
+      'runtime-deprecation': RuntimeDeprecationInspector,
+      'function-url-auth': FunctionUrlAuthInspector,
+      'resource-policy': ResourcePolicyInspector,
+      'environment-secrets': EnvironmentSecretsInspector,
+      'failure-destination': FailureDestinationInspector
+    };
+
+    const InspectorClass = inspectorMap[targetItem];
+    if (InspectorClass) {
+      await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem);
+      return;
+    }
+
+    this.handleUnknownInspectionItem(targetItem);
+  }
+
+  async executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem) {
+    const inspector = new InspectorClass();
+    try {
+      await inspector.executeInspection(awsCredentials, inspectionConfig);
+      this.findings.push(...inspector.findings);
+      this.incrementResourceCount(inspector.resourcesScanned);
+      this.mergePartialCollections(inspector);
+    } catch (error) {
+      if (this.isCancelled()) {
+        // 취소된 경우 취소 전까지 발견된 결과는 유지
+        this.findings.push(...inspector.findings);
+        this.mergePartialCollections(inspector);
+      } else {
+        this.recordError(error, { targetItem });
+      }
+      throw error;
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    const inspectorClasses = [
+      RuntimeDeprecationInspector,
+      FunctionUrlAuthInspector,
+      ResourcePolicyInspector,
+      EnvironmentSecretsInspector,
+      FailureDestinationInspector
+    ];
+
+    for (const InspectorClass of inspectorClasses) {
+      try {
+        await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig);
+      } catch (error) {
+        this.recordError(error, { context: `${InspectorClass.name} 실행` });
+      }
+    }
+  }
+}
+
+module.exports = LambdaInspector;
@@ -0,0 +1,138 @@
+const BaseInspector = require('../../baseInspector');
+const { RDSClient } = require('@aws-sdk/client-rds');
+const RDSDataCollector = require('../collectors/rdsDataCollector');
+
+class BackupRetentionInspector extends BaseInspector {
+  constructor() {
+    super('RDS');
+    this.MIN_BACKUP_RETENTION_DAYS = 7;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.rdsClient = new RDSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new RDSDataCollector(this.rdsClient, this);
+
+      const dbInstances = await this.dataCollector.getDBInstances();
+
+      if (!Array.isArray(dbInstances)) {
+        this.addFinding('db-instances', 'RDSInstance', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkBackupRetention(this.dataCollector.getActiveDBInstances(dbInstances));
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'backup-retention',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkBackupRetention(dbInstances) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const db of dbInstances) {
+      this.incrementResourceCount();
+
+      const validation = this.validateDBInstanceFormat(db);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      this.checkInstanceBackupRetention(db);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  checkInstanceBackupRetention(db) {
+    const retentionDays = db.BackupRetentionPeriod || 0;
+
+    if (retentionDays === 0) {
+      this.addFinding(
+        db.DBInstanceIdentifier,
+        'RDSInstance',
+        '자동 백업이 비활성화됨 (보존 기간 0일)',
+        `자동 백업을 활성화하고 보존 기간을 ${this.MIN_BACKUP_RETENTION_DAYS}일 이상으로 설정하세요`
+      );
+      return;
+    }
+
+    if (retentionDays < this.MIN_BACKUP_RETENTION_DAYS) {
+      this.addFinding(
+        db.DBInstanceIdentifier,
+        'RDSInstance',
+        `자동 백업 보존 기간이 짧음 (${retentionDays}일, 기준 ${this.MIN_BACKUP_RETENTION_DAYS}일)`,
+        `시점 복구 범위를 확보하기 위해 보존 기간을 ${this.MIN_BACKUP_RETENTION_DAYS}일 이상으로 늘리세요`
+      );
+    }
+  }
+
+  validateDBInstanceFormat(db) {
+    if (!db || typeof db !== 'object') {
+      return { valid: false, error: 'DB 인스턴스가 객체가 아님' };
+    }
+
+    if (!db.DBInstanceIdentifier) {
+      return { valid: false, error: 'DBInstanceIdentifier 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 rds:DescribeDBInstances 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'RDS 백업 보존 기간 검사' });
+    }
+  }
+}
+
+module.exports = BackupRetentionInspector;
@@ -0,0 +1,173 @@
+const BaseInspector = require('../../baseInspector');
+const { RDSClient } = require('@aws-sdk/client-rds');
+const RDSDataCollector = require('../collectors/rdsDataCollector');
+const lifecycleCatalogService = require('../../../lifecycleCatalogService');
+
+class EngineVersionEolInspector extends BaseInspector {
+  constructor() {
+    super('RDS');
+
+    // 표준 지원 종료 날짜는 공통 수명 주기 카탈로그(rds-<engine>)에서 조회
+    this.lifecycleProductPrefix = 'rds-';
+
+    // 경고 임계값 (지원 종료 6개월 전)
+    this.warningThresholdMonths = 6;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.rdsClient = new RDSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new RDSDataCollector(this.rdsClient, this);
+
+      const dbInstances = await this.dataCollector.getDBInstances();
+
+      if (!Array.isArray(dbInstances)) {
+        this.addFinding('db-instances', 'RDSInstance', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkEngineVersions(this.dataCollector.getActiveDBInstances(dbInstances));
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'engine-version-eol',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkEngineVersions(dbInstances) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const db of dbInstances) {
+      this.incrementResourceCount();
+
+      const validation = this.validateDBInstanceFormat(db);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkEngineVersion(db);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  async checkEngineVersion(db) {
+    const engine = (db.Engine || '').toLowerCase();
+    const majorVersion = this.extractMajorVersion(engine, db.EngineVersion);
+
+    if (!majorVersion) return;
+
+    const lifecycle = await lifecycleCatalogService.getLifecycleStatus(
+      `${this.lifecycleProductPrefix}${engine}`,
+      majorVersion,
+      this.warningThresholdMonths
+    );
+    if (!lifecycle) return; // 알려지지 않은 버전
+
+    const { endDate: eolDate, status, daysUntilEnd: daysUntilEol } = lifecycle;
+
+    // 이미 표준 지원이 종료된 경우
+    if (status === 'ended') {
+      this.addFinding(
+        db.DBInstanceIdentifier,
+        'RDSInstance',
+        `${db.Engine} ${majorVersion} 표준 지원 종료됨 (${eolDate.toLocaleDateString('ko-KR')}, 현재 버전: ${db.EngineVersion})`,
+        '연장 지원 비용이 발생하거나 강제 업그레이드될 수 있으므로 지원되는 메이저 버전으로 업그레이드하세요'
+      );
+      return;
+    }
+
+    // 지원 종료가 임박한 경우
+    if (status === 'ending') {
+      this.addFinding(
+        db.DBInstanceIdentifier,
+        'RDSInstance',
+        `${db.Engine} ${majorVersion} 표준 지원 종료 임박 (${daysUntilEol}일 후: ${eolDate.toLocaleDateString('ko-KR')})`,
+        '지원 종료 전에 블루/그린 배포 등을 활용한 메이저 버전 업그레이드 계획을 수립하세요'
+      );
+    }
+  }
+
+  extractMajorVersion(engine, engineVersion) {
+    if (!engineVersion) return null;
+
+    const parts = engineVersion.split('.');
+
+    // PostgreSQL 10 이상은 첫 번째 숫자가 메이저 버전
+    if (engine === 'postgres' || engine === 'aurora-postgresql') {
+      return parts[0];
+    }
+
+    // MySQL, MariaDB, Aurora MySQL(예: 5.7.mysql_aurora.2.11.2)은 두 자리까지 메이저 버전
+    if (parts.length < 2) return null;
+    return `${parts[0]}.${parts[1]}`;
+  }
+
+  validateDBInstanceFormat(db) {
+    if (!db || typeof db !== 'object') {
+      return { valid: false, error: 'DB 인스턴스가 객체가 아님' };
+    }
+
+    if (!db.DBInstanceIdentifier) {
+      return { valid: false, error: 'DBInstanceIdentifier 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 rds:DescribeDBInstances 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'RDS 엔진 버전 지원 종료 검사' });
+    }
+  }
+}
+
+module.exports = EngineVersionEolInspector;
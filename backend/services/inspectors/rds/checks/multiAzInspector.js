@@ -0,0 +1,141 @@
+const BaseInspector = require('../../baseInspector');
+const { RDSClient } = require('@aws-sdk/client-rds');
+const RDSDataCollector = require('../collectors/rdsDataCollector');
+
+class MultiAzInspector extends BaseInspector {
+  constructor() {
+    super('RDS');
+
+    // 프로덕션 인스턴스 식별용 태그 기준
+    this.environmentTagKeys = ['environment', 'env', 'stage'];
+    this.productionTagValues = ['prod', 'production', 'prd'];
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.rdsClient = new RDSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new RDSDataCollector(this.rdsClient, this);
+
+      const dbInstances = await this.dataCollector.getDBInstances();
+
+      if (!Array.isArray(dbInstances)) {
+        this.addFinding('db-instances', 'RDSInstance', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkMultiAz(this.dataCollector.getActiveDBInstances(dbInstances));
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'multi-az',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkMultiAz(dbInstances) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const db of dbInstances) {
+      this.incrementResourceCount();
+
+      const validation = this.validateDBInstanceFormat(db);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      this.checkInstanceMultiAz(db);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  checkInstanceMultiAz(db) {
+    // Aurora 클러스터 멤버는 클러스터 단위로 가용성이 관리됨
+    if (db.DBClusterIdentifier) return;
+
+    if (!this.isProductionInstance(db) || db.MultiAZ) return;
+
+    this.addFinding(
+      db.DBInstanceIdentifier,
+      'RDSInstance',
+      `프로덕션 DB 인스턴스가 단일 AZ로 운영 중 (${db.AvailabilityZone || 'AZ 미확인'})`,
+      'Multi-AZ 배포를 활성화하여 AZ 장애 시 자동 장애 조치가 가능하도록 구성하세요'
+    );
+  }
+
+  isProductionInstance(db) {
+    const tags = db.TagList || [];
+
+    return tags.some(tag =>
+      this.environmentTagKeys.includes((tag.Key || '').toLowerCase()) &&
+      this.productionTagValues.includes((tag.Value || '').toLowerCase())
+    );
+  }
+
+  validateDBInstanceFormat(db) {
+    if (!db || typeof db !== 'object') {
+      return { valid: false, error: 'DB 인스턴스가 객체가 아님' };
+    }
+
+    if (!db.DBInstanceIdentifier) {
+      return { valid: false, error: 'DBInstanceIdentifier 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 rds:DescribeDBInstances 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'RDS Multi-AZ 검사' });
+    }
+  }
+}
+
+module.exports = MultiAzInspector;
@@ -0,0 +1,122 @@
+const BaseInspector = require('../../baseInspector');
+const { RDSClient } = require('@aws-sdk/client-rds');
+const RDSDataCollector = require('../collectors/rdsDataCollector');
+
+class PublicAccessibilityInspector extends BaseInspector {
+  constructor() {
+    super('RDS');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.rdsClient = new RDSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new RDSDataCollector(this.rdsClient, this);
+
+      const dbInstances = await this.dataCollector.getDBInstances();
+
+      if (!Array.isArray(dbInstances)) {
+        this.addFinding('db-instances', 'RDSInstance', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkPublicAccessibility(this.dataCollector.getActiveDBInstances(dbInstances));
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'public-access',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkPublicAccessibility(dbInstances) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const db of dbInstances) {
+      this.incrementResourceCount();
+
+      const validation = this.validateDBInstanceFormat(db);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      if (db.PubliclyAccessible) {
+        const endpoint = db.Endpoint?.Address ? ` - 엔드포인트: ${db.Endpoint.Address}` : '';
+        this.addFinding(
+          db.DBInstanceIdentifier,
+          'RDSInstance',
+          `DB 인스턴스가 퍼블릭 액세스 가능(PubliclyAccessible)으로 설정됨${endpoint}`,
+          'PubliclyAccessible 설정을 비활성화하고 프라이빗 서브넷에 배치한 뒤 보안 그룹으로 접근을 제한하세요'
+        );
+      }
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateDBInstanceFormat(db) {
+    if (!db || typeof db !== 'object') {
+      return { valid: false, error: 'DB 인스턴스가 객체가 아님' };
+    }
+
+    if (!db.DBInstanceIdentifier) {
+      return { valid: false, error: 'DBInstanceIdentifier 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 rds:DescribeDBInstances 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'RDS 퍼블릭 액세스 검사' });
+    }
+  }
+}
+
+module.exports = PublicAccessibilityInspector;
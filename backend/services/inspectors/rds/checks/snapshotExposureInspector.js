@@ -0,0 +1,121 @@
+const BaseInspector = require('../../baseInspector');
+const { RDSClient } = require('@aws-sdk/client-rds');
+const RDSDataCollector = require('../collectors/rdsDataCollector');
+
+class SnapshotExposureInspector extends BaseInspector {
+  constructor() {
+    super('RDS');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.rdsClient = new RDSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new RDSDataCollector(this.rdsClient, this);
+
+      const [dbSnapshots, clusterSnapshots] = await Promise.all([
+        this.dataCollector.getManualDBSnapshots(),
+        this.dataCollector.getManualDBClusterSnapshots()
+      ]);
+
+      if (!Array.isArray(dbSnapshots) || !Array.isArray(clusterSnapshots)) {
+        this.addFinding('db-snapshots', 'RDSSnapshot', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkDBSnapshots(dbSnapshots);
+      await this.checkDBClusterSnapshots(clusterSnapshots);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'snapshot-exposure',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkDBSnapshots(snapshots) {
+    for (const snapshot of snapshots) {
+      if (!snapshot?.DBSnapshotIdentifier) continue;
+      this.incrementResourceCount();
+
+      const restoreAccounts = await this.dataCollector.getDBSnapshotRestoreAccounts(snapshot.DBSnapshotIdentifier);
+      this.evaluateSnapshotSharing(snapshot.DBSnapshotIdentifier, 'RDSSnapshot', restoreAccounts, snapshot.Encrypted);
+    }
+  }
+
+  async checkDBClusterSnapshots(snapshots) {
+    for (const snapshot of snapshots) {
+      if (!snapshot?.DBClusterSnapshotIdentifier) continue;
+      this.incrementResourceCount();
+
+      const restoreAccounts = await this.dataCollector.getDBClusterSnapshotRestoreAccounts(snapshot.DBClusterSnapshotIdentifier);
+      this.evaluateSnapshotSharing(snapshot.DBClusterSnapshotIdentifier, 'RDSClusterSnapshot', restoreAccounts, snapshot.StorageEncrypted);
+    }
+  }
+
+  evaluateSnapshotSharing(snapshotId, resourceType, restoreAccounts, encrypted) {
+    if (restoreAccounts.includes('all')) {
+      this.addFinding(
+        snapshotId,
+        resourceType,
+        `수동 스냅샷이 퍼블릭으로 공유됨 (모든 AWS 계정이 복원 가능${encrypted ? '' : ', 암호화되지 않음'})`,
+        '스냅샷 공유 설정에서 퍼블릭 공유를 즉시 해제하고 데이터 노출 여부를 점검하세요'
+      );
+      return;
+    }
+
+    if (restoreAccounts.length > 0) {
+      this.addFinding(
+        snapshotId,
+        resourceType,
+        `수동 스냅샷이 다른 계정과 공유됨: ${restoreAccounts.join(', ')}`,
+        '공유 대상 계정이 신뢰할 수 있는 조직 내 계정인지 확인하고 불필요한 공유는 해제하세요'
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 rds:DescribeDBSnapshots, rds:DescribeDBSnapshotAttributes 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'RDS 스냅샷 공유 검사' });
+    }
+  }
+}
+
+module.exports = SnapshotExposureInspector;
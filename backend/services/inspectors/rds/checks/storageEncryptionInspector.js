@@ -0,0 +1,121 @@
+const BaseInspector = require('../../baseInspector');
+const { RDSClient } = require('@aws-sdk/client-rds');
+const RDSDataCollector = require('../collectors/rdsDataCollector');
+
+class StorageEncryptionInspector extends BaseInspector {
+  constructor() {
+    super('RDS');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.rdsClient = new RDSClient({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new RDSDataCollector(this.rdsClient, this);
+
+      const dbInstances = await this.dataCollector.getDBInstances();
+
+      if (!Array.isArray(dbInstances)) {
+        this.addFinding('db-instances', 'RDSInstance', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkStorageEncryption(this.dataCollector.getActiveDBInstances(dbInstances));
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'storage-encryption',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkStorageEncryption(dbInstances) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const db of dbInstances) {
+      this.incrementResourceCount();
+
+      const validation = this.validateDBInstanceFormat(db);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      if (!db.StorageEncrypted) {
+        this.addFinding(
+          db.DBInstanceIdentifier,
+          'RDSInstance',
+          `DB 인스턴스 스토리지가 암호화되지 않음 (${db.Engine} ${db.EngineVersion || ''})`.trim(),
+          '암호화된 스냅샷 복사본으로 새 인스턴스를 복원한 뒤 전환하세요. 기존 인스턴스의 암호화는 직접 활성화할 수 없습니다'
+        );
+      }
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateDBInstanceFormat(db) {
+    if (!db || typeof db !== 'object') {
+      return { valid: false, error: 'DB 인스턴스가 객체가 아님' };
+    }
+
+    if (!db.DBInstanceIdentifier) {
+      return { valid: false, error: 'DBInstanceIdentifier 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 rds:DescribeDBInstances 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'RDS 스토리지 암호화 검사' });
+    }
+  }
+}
+
+module.exports = StorageEncryptionInspector;
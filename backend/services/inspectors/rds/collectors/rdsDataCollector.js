@@ -0,0 +1,148 @@
+/**
+ * RDS Data Collector
+ * RDS 관련 데이터 수집을 담당하는 모듈
+ */
+
+const {
+  DescribeDBInstancesCommand,
+  DescribeDBSnapshotsCommand,
+  DescribeDBSnapshotAttributesCommand,
+  DescribeDBClusterSnapshotsCommand,
+  DescribeDBClusterSnapshotAttributesCommand
+} = require('@aws-sdk/client-rds');
+
+class RDSDataCollector {
+  constructor(rdsClient, inspector) {
+    this.rdsClient = rdsClient;
+    this.inspector = inspector;
+  }
+
+  /**
+   * DB 인스턴스 목록 조회
+   */
+  async getDBInstances() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeDBInstances', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeDBInstances',
+          (marker) => this.rdsClient.send(new DescribeDBInstancesCommand({ Marker: marker })),
+          (response) => response.DBInstances,
+          (response) => response.Marker
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getDBInstances' });
+      throw error;
+    }
+  }
+
+  /**
+   * 수동 DB 스냅샷 목록 조회
+   */
+  async getManualDBSnapshots() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeDBSnapshots', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeDBSnapshots',
+          (marker) => this.rdsClient.send(new DescribeDBSnapshotsCommand({
+            SnapshotType: 'manual',
+            Marker: marker
+          })),
+          (response) => response.DBSnapshots,
+          (response) => response.Marker
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getManualDBSnapshots' });
+      throw error;
+    }
+  }
+
+  /**
+   * 수동 DB 클러스터 스냅샷 목록 조회 (Aurora)
+   */
+  async getManualDBClusterSnapshots() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeDBClusterSnapshots', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeDBClusterSnapshots',
+          (marker) => this.rdsClient.send(new DescribeDBClusterSnapshotsCommand({
+            SnapshotType: 'manual',
+            Marker: marker
+          })),
+          (response) => response.DBClusterSnapshots,
+          (response) => response.Marker
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getManualDBClusterSnapshots' });
+      throw error;
+    }
+  }
+
+  /**
+   * DB 스냅샷 복원 권한(공유 대상 계정) 조회
+   */
+  async getDBSnapshotRestoreAccounts(snapshotIdentifier) {
+    try {
+      const command = new DescribeDBSnapshotAttributesCommand({
+        DBSnapshotIdentifier: snapshotIdentifier
+      });
+      const response = await this.inspector.retryableApiCall(
+        () => this.rdsClient.send(command),
+        'DescribeDBSnapshotAttributes'
+      );
+
+      return this.extractRestoreAccounts(response.DBSnapshotAttributesResult?.DBSnapshotAttributes);
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getDBSnapshotRestoreAccounts',
+        snapshotIdentifier
+      });
+      return [];
+    }
+  }
+
+  /**
+   * DB 클러스터 스냅샷 복원 권한(공유 대상 계정) 조회
+   */
+  async getDBClusterSnapshotRestoreAccounts(snapshotIdentifier) {
+    try {
+      const command = new DescribeDBClusterSnapshotAttributesCommand({
+        DBClusterSnapshotIdentifier: snapshotIdentifier
+      });
+      const response = await this.inspector.retryableApiCall(
+        () => this.rdsClient.send(command),
+        'DescribeDBClusterSnapshotAttributes'
+      );
+
+      return this.extractRestoreAccounts(response.DBClusterSnapshotAttributesResult?.DBClusterSnapshotAttributes);
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getDBClusterSnapshotRestoreAccounts',
+        snapshotIdentifier
+      });
+      return [];
+    }
+  }
+
+  /**
+   * 스냅샷 속성에서 restore 대상 계정 목록 추출 ('all'이면 퍼블릭)
+   */
+  extractRestoreAccounts(attributes = []) {
+    const restoreAttribute = (attributes || []).find(attr => attr.AttributeName === 'restore');
+    return restoreAttribute?.AttributeValues || [];
+  }
+
+  /**
+   * 사용 가능한(삭제 중이 아닌) 인스턴스만 필터링
+   */
+  getActiveDBInstances(dbInstances) {
+    return dbInstances.filter(db =>
+      db.DBInstanceStatus !== 'deleting' &&
+      db.DBInstanceStatus !== 'failed'
+    );
+  }
+}
+
+module.exports = RDSDataCollector;
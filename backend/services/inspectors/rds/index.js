@@ -0,0 +1,84 @@
+const BaseInspector = require('../baseInspector');
+const StorageEncryptionInspector = require('./checks/storageEncryptionInspector');
+const PublicAccessibilityInspector = require('./checks/publicAccessibilityInspector');
+const BackupRetentionInspector = require('./checks/backupRetentionInspector');
+const MultiAzInspector = require('./checks/multiAzInspector');
+const EngineVersionEolInspector = require('./checks/engineVersionEolInspector');
+const SnapshotExposureInspector = require('./checks/snapshotExposureInspector');
+
+class RDSInspector extends BaseInspector {
+  constructor() {
+    super('RDS');
+  }
+
+  async preInspectionValidation(awsCredentials, inspectionConfig) {
+    const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+    this.region = region;
+    this.logger.info(`RDS inspection initialized for region: ${region}`);
+  }
+
+  async performItemInspection(awsCredentials, inspectionConfig) {
+    const targetItem = inspectionConfig.targetItem || inspectionConfig.targetItemId;
+
+    if (targetItem === 'all') {
+      return await this.performInspection(awsCredentials, inspectionConfig);
+    }
+
+    const inspectorMap = {
+      'storage-encryption': StorageEncryptionInspector,
+      'public-access': PublicAccessibilityInspector,
+      'backup-retention': BackupRetentionInspector,
+      'multi-az': MultiAzInspector,
+      'engine-version-eol': EngineVersionEolInspector,
+      'snapshot-exposure': SnapshotExposureInspector
+    };
+
+    const InspectorClass = inspectorMap[targetItem];
+    if (InspectorClass) {
+      await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem);
+      return;
+    }
+
+    this.handleUnknownInspectionItem(targetItem);
+  }
+
+  async executeInspector(InspectorClass, awsCredentials, inspectionConfig, targetItem) {
+    const inspector = new InspectorClass();
+    try {
+      await inspector.executeInspection(awsCredentials, inspectionConfig);
+      this.findings.push(...inspector.findings);
+      this.incrementResourceCount(inspector.resourcesScanned);
+      this.mergePartialCollections(inspector);
+    } catch (error) {
+      if (this.isCancelled()) {
+        // 취소된 경우 취소 전까지 발견된 결과는 유지
+        this.findings.push(...inspector.findings);
+        this.mergePartialCollections(inspector);
+      } else {
+        this.recordError(error, { targetItem });
+      }
+      throw error;
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    const inspectorClasses = [
+      StorageEncryptionInspector,
+      PublicAccessibilityInspector,
+      BackupRetentionInspector,
+      MultiAzInspector,
+      EngineVersionEolInspector,
+      SnapshotExposureInspector
+    ];
+
+    for (const InspectorClass of inspectorClasses) {
+      try {
+        await this.executeInspector(InspectorClass, awsCredentials, inspectionConfig);
+      } catch (error) {
+        this.recordError(error, { context: `${InspectorClass.name} 실행` });
+      }
+    }
+  }
+}
+
+module.exports = RDSInspector;
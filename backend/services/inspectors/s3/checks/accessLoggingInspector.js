@@ -0,0 +1,161 @@
+const BaseInspector = require('../../baseInspector');
+const { S3Client } = require('@aws-sdk/client-s3');
+const S3DataCollector = require('../collectors/s3DataCollector');
+
+class AccessLoggingInspector extends BaseInspector {
+  constructor() {
+    super('S3');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+      this.region = region;
+      this.awsCredentials = awsCredentials;
+      this.loggingStatus = new Map();
+
+      // S3는 글로벌 서비스이므로 us-east-1로 초기 클라이언트 생성
+      this.s3Client = new S3Client({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new S3DataCollector(this.s3Client, this);
+      this.logger.info(`S3 access logging inspection started for region: ${region}`);
+
+      const buckets = await this.dataCollector.getBuckets();
+
+      if (!Array.isArray(buckets)) {
+        this.addFinding('buckets', 'S3Bucket', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkBuckets(buckets);
+      this.reportBucketsWithoutLogging();
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async checkBuckets(buckets) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const bucket of buckets) {
+      this.incrementResourceCount();
+
+      const validation = this.validateBucketFormat(bucket);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkBucket(bucket);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateBucketFormat(bucket) {
+    if (!bucket || typeof bucket !== 'object') {
+      return { valid: false, error: '버킷이 객체가 아님' };
+    }
+
+    if (!bucket.Name) {
+      return { valid: false, error: 'Name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkBucket(bucket) {
+    const bucketName = bucket.Name;
+
+    try {
+      // 버킷의 실제 리전 확인
+      const bucketRegion = await this.dataCollector.getBucketLocation(bucketName);
+
+      // 버킷 리전에 맞는 클라이언트 생성
+      const bucketClient = new S3Client({
+        region: bucketRegion,
+        credentials: {
+          accessKeyId: this.awsCredentials.accessKeyId,
+          secretAccessKey: this.awsCredentials.secretAccessKey,
+          sessionToken: this.awsCredentials.sessionToken
+        }
+      });
+
+      const bucketCollector = new S3DataCollector(bucketClient, this);
+      const logging = await bucketCollector.getBucketLogging(bucketName);
+
+      // 로그 대상 버킷 여부를 알 수 있도록 전체 버킷 조회 후 판단
+      this.loggingStatus.set(bucketName, { bucketRegion, logging });
+    } catch (error) {
+      this.recordError(error, { context: `버킷 ${bucketName} 서버 액세스 로깅 검사` });
+    }
+  }
+
+  /**
+   * 로깅이 비활성화된 버킷 보고
+   * 다른 버킷의 로그 대상 버킷은 자기 자신을 로깅하면 로그가 순환하므로 제외
+   */
+  reportBucketsWithoutLogging() {
+    const logTargetBuckets = new Set(
+      Array.from(this.loggingStatus.values())
+        .map(({ logging }) => logging?.TargetBucket)
+        .filter(Boolean)
+    );
+
+    for (const [bucketName, { bucketRegion, logging }] of this.loggingStatus) {
+      if (logging) continue;
+      if (logTargetBuckets.has(bucketName)) continue;
+
+      this.addFinding(
+        bucketName,
+        'S3Bucket',
+        `서버 액세스 로깅이 비활성화됨 (리전: ${bucketRegion})`,
+        '별도의 로그 전용 버킷으로 서버 액세스 로그를 전송하도록 설정하여 요청자, 작업 유형, 응답 코드를 감사할 수 있도록 하세요. 객체 수준 API 감사가 필요하면 CloudTrail 데이터 이벤트도 함께 검토하세요'
+      );
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+        this.addFinding('system', 'Permission', 'S3 서버 액세스 로깅 설정 조회 권한 부족', 'IAM 정책에 s3:GetBucketLogging 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'AWS S3 서버 액세스 로깅 API 호출' });
+    }
+  }
+}
+
+module.exports = AccessLoggingInspector;
@@ -0,0 +1,198 @@
+const BaseInspector = require('../../baseInspector');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { STSClient } = require('@aws-sdk/client-sts');
+const S3DataCollector = require('../collectors/s3DataCollector');
+
+class CrossAccountAccessInspector extends BaseInspector {
+  constructor() {
+    super('S3');
+
+    // CloudFront 표준 로그 전송용 awslogsdelivery 계정 (ACL 권한이 필요한 AWS 소유 계정)
+    this.awsLogDeliveryCanonicalIds = ['c4c1ede66af53448b93c283ce9448c4ba468c9432aa01d700d3878632f77d2d0'];
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+      this.region = region;
+      this.awsCredentials = awsCredentials;
+      this.trustedAccountIds = new Set(inspectionConfig.trustedAccountIds || []);
+
+      // S3는 글로벌 서비스이므로 us-east-1로 초기 클라이언트 생성
+      this.s3Client = new S3Client({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new S3DataCollector(this.s3Client, this);
+      this.logger.info(`S3 cross-account access inspection started for region: ${region}`);
+
+      // 외부 계정 판별 기준이 되는 검사 대상 계정 ID
+      this.accountId = await this.dataCollector.getAccountId(new STSClient({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      }));
+
+      const buckets = await this.dataCollector.getBuckets();
+
+      if (!Array.isArray(buckets)) {
+        this.addFinding('buckets', 'S3Bucket', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkBuckets(buckets);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async checkBuckets(buckets) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const bucket of buckets) {
+      this.incrementResourceCount();
+
+      const validation = this.validateBucketFormat(bucket);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkBucket(bucket);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateBucketFormat(bucket) {
+    if (!bucket || typeof bucket !== 'object') {
+      return { valid: false, error: '버킷이 객체가 아님' };
+    }
+
+    if (!bucket.Name) {
+      return { valid: false, error: 'Name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkBucket(bucket) {
+    const bucketName = bucket.Name;
+
+    try {
+      // 버킷의 실제 리전 확인
+      const bucketRegion = await this.dataCollector.getBucketLocation(bucketName);
+
+      // 버킷 리전에 맞는 클라이언트 생성
+      const bucketClient = new S3Client({
+        region: bucketRegion,
+        credentials: {
+          accessKeyId: this.awsCredentials.accessKeyId,
+          secretAccessKey: this.awsCredentials.secretAccessKey,
+          sessionToken: this.awsCredentials.sessionToken
+        }
+      });
+
+      const bucketCollector = new S3DataCollector(bucketClient, this);
+      const [policy, acl] = await Promise.all([
+        bucketCollector.getBucketPolicy(bucketName),
+        bucketCollector.getBucketAcl(bucketName)
+      ]);
+
+      const externalAccountIds = this.getExternalPolicyAccounts(policy);
+      if (externalAccountIds.length > 0) {
+        this.addFinding(
+          bucketName,
+          'S3Bucket',
+          `버킷 정책이 허용 목록에 없는 외부 계정에 접근 허용 (리전: ${bucketRegion}): ${externalAccountIds.join(', ')}`,
+          '필요 없는 외부 계정 Principal을 제거하세요. 신뢰하는 계정이라면 검사 설정의 허용 목록(trustedAccountIds)에 추가하고, 조직 내 공유는 aws:PrincipalOrgID 조건으로 제한하세요'
+        );
+      }
+
+      const externalCanonicalIds = this.getExternalAclGrantees(acl);
+      if (externalCanonicalIds.length > 0) {
+        this.addFinding(
+          bucketName,
+          'S3Bucket',
+          `ACL이 다른 계정에 권한 부여 (리전: ${bucketRegion}, Canonical ID): ${externalCanonicalIds.join(', ')}`,
+          'Object Ownership을 BucketOwnerEnforced로 설정하여 ACL을 비활성화하고, 필요한 교차 계정 접근은 버킷 정책으로 관리하세요'
+        );
+      }
+    } catch (error) {
+      this.recordError(error, { context: `버킷 ${bucketName} 교차 계정 접근 검사` });
+    }
+  }
+
+  getExternalPolicyAccounts(policy) {
+    const accountIds = new Set();
+
+    for (const statement of this.dataCollector.getPolicyStatements(policy)) {
+      if (statement.Effect !== 'Allow') continue;
+
+      for (const principal of this.dataCollector.getStatementPrincipals(statement).awsPrincipals) {
+        const accountId = this.dataCollector.getPrincipalAccountId(principal);
+        if (!accountId || accountId === this.accountId) continue;
+        if (this.trustedAccountIds.has(accountId)) continue;
+        accountIds.add(accountId);
+      }
+    }
+
+    return Array.from(accountIds);
+  }
+
+  getExternalAclGrantees(acl) {
+    const canonicalIds = new Set(
+      (acl?.grants || [])
+        .filter(grant => grant.Grantee?.Type === 'CanonicalUser' && grant.Grantee.ID)
+        .map(grant => grant.Grantee.ID)
+        .filter(id => id !== acl.ownerId && !this.awsLogDeliveryCanonicalIds.includes(id))
+    );
+
+    return Array.from(canonicalIds);
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+        this.addFinding('system', 'Permission', 'S3 교차 계정 접근 설정 조회 권한 부족', 'IAM 정책에 s3:GetBucketPolicy, s3:GetBucketAcl, sts:GetCallerIdentity 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'AWS S3 교차 계정 접근 API 호출' });
+    }
+  }
+}
+
+module.exports = CrossAccountAccessInspector;
@@ -0,0 +1,203 @@
+const BaseInspector = require('../../baseInspector');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { CloudWatchClient, GetMetricStatisticsCommand } = require('@aws-sdk/client-cloudwatch');
+const S3DataCollector = require('../collectors/s3DataCollector');
+
+class LifecycleInspector extends BaseInspector {
+  constructor() {
+    super('S3');
+
+    // 수명 주기 규칙이 필요한 대용량 버킷 기준 (Standard 스토리지, GB)
+    this.DEFAULT_LARGE_BUCKET_THRESHOLD_GB = 100;
+    this.BYTES_PER_GB = 1024 ** 3;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+      this.region = region;
+      this.awsCredentials = awsCredentials;
+      this.largeBucketThresholdGB = inspectionConfig.largeBucketThresholdGB || this.DEFAULT_LARGE_BUCKET_THRESHOLD_GB;
+      this.cloudWatchClients = new Map();
+
+      // S3는 글로벌 서비스이므로 us-east-1로 초기 클라이언트 생성
+      this.s3Client = new S3Client({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new S3DataCollector(this.s3Client, this);
+      this.logger.info(`S3 lifecycle inspection started for region: ${region}`);
+
+      const buckets = await this.dataCollector.getBuckets();
+
+      if (!Array.isArray(buckets)) {
+        this.addFinding('buckets', 'S3Bucket', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkBuckets(buckets);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async checkBuckets(buckets) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const bucket of buckets) {
+      this.incrementResourceCount();
+
+      const validation = this.validateBucketFormat(bucket);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkBucket(bucket);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateBucketFormat(bucket) {
+    if (!bucket || typeof bucket !== 'object') {
+      return { valid: false, error: '버킷이 객체가 아님' };
+    }
+
+    if (!bucket.Name) {
+      return { valid: false, error: 'Name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkBucket(bucket) {
+    const bucketName = bucket.Name;
+
+    try {
+      // 버킷의 실제 리전 확인
+      const bucketRegion = await this.dataCollector.getBucketLocation(bucketName);
+
+      // 버킷 리전에 맞는 클라이언트 생성
+      const bucketClient = new S3Client({
+        region: bucketRegion,
+        credentials: {
+          accessKeyId: this.awsCredentials.accessKeyId,
+          secretAccessKey: this.awsCredentials.secretAccessKey,
+          sessionToken: this.awsCredentials.sessionToken
+        }
+      });
+
+      const bucketCollector = new S3DataCollector(bucketClient, this);
+      const sizeBytes = await this.getBucketSizeBytes(bucketName, bucketRegion);
+
+      // 지표 조회 실패 시 판단 보류
+      if (sizeBytes === null) return;
+
+      const sizeGB = sizeBytes / this.BYTES_PER_GB;
+      if (sizeGB < this.largeBucketThresholdGB) return;
+
+      const rules = await bucketCollector.getBucketLifecycleRules(bucketName);
+      if (rules.some(rule => rule.Status === 'Enabled')) return;
+
+      this.addFinding(
+        bucketName,
+        'S3Bucket',
+        `대용량 버킷(Standard 스토리지 ${sizeGB.toFixed(1)}GB)에 활성화된 수명 주기 규칙이 없음 (리전: ${bucketRegion})`,
+        '오래된 객체를 Standard-IA/Glacier로 전환하거나 만료하는 규칙과 이전 버전·미완료 멀티파트 업로드를 정리하는 규칙을 추가하여 스토리지 비용을 줄이세요'
+      );
+    } catch (error) {
+      this.recordError(error, { context: `버킷 ${bucketName} 수명 주기 검사` });
+    }
+  }
+
+  /**
+   * CloudWatch 일별 지표(BucketSizeBytes)로 Standard 스토리지 크기 조회
+   * 지표가 없는 빈 버킷은 0, 조회 실패 시 null
+   */
+  async getBucketSizeBytes(bucketName, bucketRegion) {
+    try {
+      if (!this.cloudWatchClients.has(bucketRegion)) {
+        this.cloudWatchClients.set(bucketRegion, new CloudWatchClient({
+          region: bucketRegion,
+          credentials: {
+            accessKeyId: this.awsCredentials.accessKeyId,
+            secretAccessKey: this.awsCredentials.secretAccessKey,
+            sessionToken: this.awsCredentials.sessionToken
+          }
+        }));
+      }
+
+      const endTime = new Date();
+      const startTime = new Date(endTime.getTime() - 3 * 24 * 60 * 60 * 1000);
+
+      const command = new GetMetricStatisticsCommand({
+        Namespace: 'AWS/S3',
+        MetricName: 'BucketSizeBytes',
+        Dimensions: [
+          { Name: 'BucketName', Value: bucketName },
+          { Name: 'StorageType', Value: 'StandardStorage' }
+        ],
+        StartTime: startTime,
+        EndTime: endTime,
+        Period: 86400, // 1일 (S3 스토리지 지표는 하루 한 번 기록)
+        Statistics: ['Average']
+      });
+
+      const response = await this.retryableApiCall(
+        () => this.cloudWatchClients.get(bucketRegion).send(command),
+        'GetMetricStatistics'
+      );
+
+      const datapoints = (response.Datapoints || [])
+        .sort((a, b) => new Date(b.Timestamp) - new Date(a.Timestamp));
+
+      return datapoints.length > 0 ? datapoints[0].Average || 0 : 0;
+    } catch (error) {
+      this.recordError(error, { context: `CloudWatch 지표 조회: ${bucketName}` });
+      return null;
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+        this.addFinding('system', 'Permission', 'S3 수명 주기 설정 조회 권한 부족', 'IAM 정책에 s3:GetLifecycleConfiguration, cloudwatch:GetMetricStatistics 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'AWS S3 수명 주기 API 호출' });
+    }
+  }
+}
+
+module.exports = LifecycleInspector;
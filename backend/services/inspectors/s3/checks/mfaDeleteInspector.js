@@ -0,0 +1,143 @@
+const BaseInspector = require('../../baseInspector');
+const { S3Client } = require('@aws-sdk/client-s3');
+const S3DataCollector = require('../collectors/s3DataCollector');
+
+class MfaDeleteInspector extends BaseInspector {
+  constructor() {
+    super('S3');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+      this.region = region;
+      this.awsCredentials = awsCredentials;
+
+      // S3는 글로벌 서비스이므로 us-east-1로 초기 클라이언트 생성
+      this.s3Client = new S3Client({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new S3DataCollector(this.s3Client, this);
+      this.logger.info(`S3 MFA delete inspection started for region: ${region}`);
+
+      const buckets = await this.dataCollector.getBuckets();
+
+      if (!Array.isArray(buckets)) {
+        this.addFinding('buckets', 'S3Bucket', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkBuckets(buckets);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async checkBuckets(buckets) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const bucket of buckets) {
+      this.incrementResourceCount();
+
+      const validation = this.validateBucketFormat(bucket);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkBucket(bucket);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateBucketFormat(bucket) {
+    if (!bucket || typeof bucket !== 'object') {
+      return { valid: false, error: '버킷이 객체가 아님' };
+    }
+
+    if (!bucket.Name) {
+      return { valid: false, error: 'Name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkBucket(bucket) {
+    const bucketName = bucket.Name;
+
+    try {
+      // 버킷의 실제 리전 확인
+      const bucketRegion = await this.dataCollector.getBucketLocation(bucketName);
+
+      // 버킷 리전에 맞는 클라이언트 생성
+      const bucketClient = new S3Client({
+        region: bucketRegion,
+        credentials: {
+          accessKeyId: this.awsCredentials.accessKeyId,
+          secretAccessKey: this.awsCredentials.secretAccessKey,
+          sessionToken: this.awsCredentials.sessionToken
+        }
+      });
+
+      const bucketCollector = new S3DataCollector(bucketClient, this);
+      const versioning = await bucketCollector.getBucketVersioning(bucketName);
+
+      // 버전 관리가 꺼진 버킷은 bucket-versioning 항목에서 보고
+      if (versioning.status !== 'Enabled') return;
+      if (versioning.mfaDelete === 'Enabled') return;
+
+      this.addFinding(
+        bucketName,
+        'S3Bucket',
+        `버전 관리가 활성화되었으나 MFA 삭제가 비활성화됨 (리전: ${bucketRegion})`,
+        '중요 데이터 버킷은 MFA 삭제를 활성화하여 객체 버전 영구 삭제와 버전 관리 상태 변경에 MFA 인증을 요구하세요. MFA 삭제는 루트 계정 자격 증명으로 CLI/API에서만 설정할 수 있습니다'
+      );
+    } catch (error) {
+      this.recordError(error, { context: `버킷 ${bucketName} MFA 삭제 검사` });
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+        this.addFinding('system', 'Permission', 'S3 MFA 삭제 설정 조회 권한 부족', 'IAM 정책에 s3:GetBucketVersioning 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'AWS S3 MFA 삭제 API 호출' });
+    }
+  }
+}
+
+module.exports = MfaDeleteInspector;
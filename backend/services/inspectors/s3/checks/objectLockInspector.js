@@ -0,0 +1,171 @@
+const BaseInspector = require('../../baseInspector');
+const { S3Client } = require('@aws-sdk/client-s3');
+const S3DataCollector = require('../collectors/s3DataCollector');
+
+class ObjectLockInspector extends BaseInspector {
+  constructor() {
+    super('S3');
+
+    // 백업 용도 버킷 식별 태그 (예: Purpose=backup, Role=backups, BackupBucket=true)
+    this.backupTagValuePattern = /^backups?$/i;
+    this.backupFlagTagKeys = ['backupbucket', 'isbackup'];
+    this.trueTagValues = ['true', 'yes', 'enabled', 'required'];
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+      this.region = region;
+      this.awsCredentials = awsCredentials;
+
+      // S3는 글로벌 서비스이므로 us-east-1로 초기 클라이언트 생성
+      this.s3Client = new S3Client({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new S3DataCollector(this.s3Client, this);
+      this.logger.info(`S3 object lock inspection started for region: ${region}`);
+
+      const buckets = await this.dataCollector.getBuckets();
+
+      if (!Array.isArray(buckets)) {
+        this.addFinding('buckets', 'S3Bucket', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkBuckets(buckets);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async checkBuckets(buckets) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const bucket of buckets) {
+      this.incrementResourceCount();
+
+      const validation = this.validateBucketFormat(bucket);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkBucket(bucket);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateBucketFormat(bucket) {
+    if (!bucket || typeof bucket !== 'object') {
+      return { valid: false, error: '버킷이 객체가 아님' };
+    }
+
+    if (!bucket.Name) {
+      return { valid: false, error: 'Name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkBucket(bucket) {
+    const bucketName = bucket.Name;
+
+    try {
+      // 버킷의 실제 리전 확인
+      const bucketRegion = await this.dataCollector.getBucketLocation(bucketName);
+
+      // 버킷 리전에 맞는 클라이언트 생성
+      const bucketClient = new S3Client({
+        region: bucketRegion,
+        credentials: {
+          accessKeyId: this.awsCredentials.accessKeyId,
+          secretAccessKey: this.awsCredentials.secretAccessKey,
+          sessionToken: this.awsCredentials.sessionToken
+        }
+      });
+
+      const bucketCollector = new S3DataCollector(bucketClient, this);
+      const tags = await bucketCollector.getBucketTags(bucketName);
+      if (!this.isBackupBucket(tags)) return;
+
+      const objectLock = await bucketCollector.getObjectLockConfiguration(bucketName);
+
+      if (objectLock?.ObjectLockEnabled === 'Enabled') {
+        if (objectLock.Rule?.DefaultRetention) return;
+
+        this.addFinding(
+          bucketName,
+          'S3Bucket',
+          `백업 버킷에 Object Lock은 활성화되었으나 기본 보존 기간이 없음 (리전: ${bucketRegion})`,
+          '기본 보존 규칙(COMPLIANCE 또는 GOVERNANCE 모드)을 설정하여 새로 저장되는 백업 객체가 자동으로 보호되도록 하세요'
+        );
+        return;
+      }
+
+      this.addFinding(
+        bucketName,
+        'S3Bucket',
+        `백업 용도로 태그된 버킷에 Object Lock이 활성화되지 않음 (리전: ${bucketRegion})`,
+        'Object Lock(WORM)과 기본 보존 기간을 설정하여 랜섬웨어나 실수로 인한 백업 삭제·변조를 방지하세요. 버전 관리가 활성화된 기존 버킷에도 Object Lock을 활성화할 수 있습니다'
+      );
+    } catch (error) {
+      this.recordError(error, { context: `버킷 ${bucketName} Object Lock 검사` });
+    }
+  }
+
+  isBackupBucket(tags) {
+    return tags.some(tag =>
+      this.backupTagValuePattern.test(tag.Value || '') ||
+      (this.backupFlagTagKeys.includes(this.normalizeTagKey(tag.Key)) &&
+        this.trueTagValues.includes((tag.Value || '').toLowerCase()))
+    );
+  }
+
+  normalizeTagKey(key) {
+    return (key || '').toLowerCase().replace(/[-_\s]/g, '');
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+        this.addFinding('system', 'Permission', 'S3 Object Lock 설정 조회 권한 부족', 'IAM 정책에 s3:GetBucketTagging, s3:GetBucketObjectLockConfiguration 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'AWS S3 Object Lock API 호출' });
+    }
+  }
+}
+
+module.exports = ObjectLockInspector;
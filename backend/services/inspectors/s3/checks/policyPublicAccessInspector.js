@@ -0,0 +1,301 @@
+const BaseInspector = require('../../baseInspector');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { S3ControlClient } = require('@aws-sdk/client-s3-control');
+const { STSClient } = require('@aws-sdk/client-sts');
+const S3DataCollector = require('../collectors/s3DataCollector');
+
+class PolicyPublicAccessInspector extends BaseInspector {
+  constructor() {
+    super('S3');
+
+    // 퍼블릭 여부 판단 시 접근 범위를 고정 값으로 제한하는 조건 키 (소문자)
+    this.restrictingConditionKeys = [
+      'aws:sourcearn', 'aws:sourceaccount', 'aws:sourceowner', 'aws:sourcevpc', 'aws:sourcevpce',
+      'aws:sourceip', 'aws:sourceorgid', 'aws:sourceorgpaths', 'aws:principalorgid',
+      'aws:principalorgpaths', 'aws:principalaccount', 'aws:principalarn', 'aws:userid'
+    ];
+
+    // 퍼블릭 읽기/쓰기 판정 대상 작업
+    this.readActions = ['s3:GetObject', 's3:GetObjectVersion', 's3:ListBucket', 's3:ListBucketVersions'];
+    this.writeActions = [
+      's3:PutObject', 's3:DeleteObject', 's3:DeleteObjectVersion',
+      's3:PutObjectAcl', 's3:PutBucketAcl', 's3:PutBucketPolicy', 's3:DeleteBucket'
+    ];
+
+    // ACL 퍼블릭 그룹과 권한 분류
+    this.publicGroupUris = {
+      'http://acs.amazonaws.com/groups/global/AllUsers': '모든 사용자',
+      'http://acs.amazonaws.com/groups/global/AuthenticatedUsers': '인증된 모든 AWS 사용자'
+    };
+    this.aclReadPermissions = ['READ', 'READ_ACP', 'FULL_CONTROL'];
+    this.aclWritePermissions = ['WRITE', 'WRITE_ACP', 'FULL_CONTROL'];
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+      this.region = region;
+      this.awsCredentials = awsCredentials;
+
+      // S3는 글로벌 서비스이므로 us-east-1로 초기 클라이언트 생성
+      this.s3Client = new S3Client({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new S3DataCollector(this.s3Client, this);
+      this.logger.info(`S3 policy/ACL public access inspection started for region: ${region}`);
+
+      this.accountPublicAccessBlock = await this.getAccountPublicAccessBlock(awsCredentials);
+
+      const buckets = await this.dataCollector.getBuckets();
+
+      if (!Array.isArray(buckets)) {
+        this.addFinding('buckets', 'S3Bucket', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkBuckets(buckets);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async checkBuckets(buckets) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const bucket of buckets) {
+      this.incrementResourceCount();
+
+      const validation = this.validateBucketFormat(bucket);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkBucket(bucket);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateBucketFormat(bucket) {
+    if (!bucket || typeof bucket !== 'object') {
+      return { valid: false, error: '버킷이 객체가 아님' };
+    }
+
+    if (!bucket.Name) {
+      return { valid: false, error: 'Name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkBucket(bucket) {
+    const bucketName = bucket.Name;
+
+    try {
+      // 버킷의 실제 리전 확인
+      const bucketRegion = await this.dataCollector.getBucketLocation(bucketName);
+
+      // 버킷 리전에 맞는 클라이언트 생성
+      const bucketClient = new S3Client({
+        region: bucketRegion,
+        credentials: {
+          accessKeyId: this.awsCredentials.accessKeyId,
+          secretAccessKey: this.awsCredentials.secretAccessKey,
+          sessionToken: this.awsCredentials.sessionToken
+        }
+      });
+
+      const bucketCollector = new S3DataCollector(bucketClient, this);
+      const [policy, acl, publicAccessBlock] = await Promise.all([
+        bucketCollector.getBucketPolicy(bucketName),
+        bucketCollector.getBucketAcl(bucketName),
+        bucketCollector.getPublicAccessBlock(bucketName)
+      ]);
+
+      // 퍼블릭 액세스 차단이 실제로 무력화하는 접근은 제외
+      const effectiveBlock = this.getEffectiveBlock(publicAccessBlock);
+      const policyGrants = effectiveBlock.restrictPublicBuckets
+        ? { read: [], write: [] }
+        : this.getPublicPolicyGrants(policy);
+      const aclGrants = effectiveBlock.ignorePublicAcls
+        ? { read: [], write: [] }
+        : this.getPublicAclGrants(acl);
+
+      const writeSources = [...policyGrants.write, ...aclGrants.write];
+      const readSources = [...policyGrants.read, ...aclGrants.read];
+
+      if (writeSources.length > 0) {
+        this.addFinding(
+          bucketName,
+          'S3Bucket',
+          `퍼블릭 쓰기 허용 (리전: ${bucketRegion}): ${writeSources.join(', ')}`,
+          '익명 사용자가 객체를 업로드·삭제하거나 권한을 변경할 수 있습니다. 해당 정책 문장과 ACL 권한을 즉시 제거하고 퍼블릭 액세스 차단을 활성화하세요'
+        );
+      }
+
+      if (readSources.length > 0) {
+        this.addFinding(
+          bucketName,
+          'S3Bucket',
+          `퍼블릭 읽기 허용 (리전: ${bucketRegion}): ${readSources.join(', ')}`,
+          '의도한 공개 버킷이 아니라면 해당 정책 문장과 ACL 권한을 제거하세요. 정적 콘텐츠 배포가 목적이라면 CloudFront OAC를 통해서만 접근하도록 구성하세요'
+        );
+      }
+    } catch (error) {
+      this.recordError(error, { context: `버킷 ${bucketName} 정책 및 ACL 퍼블릭 접근 검사` });
+    }
+  }
+
+  /**
+   * 계정 수준 퍼블릭 액세스 차단 설정 조회 (조회 실패 시 버킷 설정만으로 판단)
+   */
+  async getAccountPublicAccessBlock(awsCredentials) {
+    try {
+      const clientConfig = {
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      const accountId = await this.dataCollector.getAccountId(new STSClient(clientConfig));
+      return await this.dataCollector.getAccountPublicAccessBlock(new S3ControlClient(clientConfig), accountId);
+    } catch (error) {
+      this.recordError(error, { context: '계정 수준 퍼블릭 액세스 차단 조회' });
+      return null;
+    }
+  }
+
+  /**
+   * 버킷 설정과 계정 설정 중 하나라도 켜져 있으면 적용
+   */
+  getEffectiveBlock(bucketBlock) {
+    const accountBlock = this.accountPublicAccessBlock || {};
+    const block = bucketBlock || {};
+
+    return {
+      restrictPublicBuckets: Boolean(block.RestrictPublicBuckets || accountBlock.RestrictPublicBuckets),
+      ignorePublicAcls: Boolean(block.IgnorePublicAcls || accountBlock.IgnorePublicAcls)
+    };
+  }
+
+  getPublicPolicyGrants(policy) {
+    const grants = { read: [], write: [] };
+
+    this.dataCollector.getPolicyStatements(policy).forEach((statement, index) => {
+      if (statement.Effect !== 'Allow') return;
+      if (!this.dataCollector.getStatementPrincipals(statement).wildcard) return;
+      if (this.hasRestrictingCondition(statement.Condition)) return;
+
+      const label = `정책 문장 ${statement.Sid || `#${index + 1}`}`;
+      if (this.readActions.some(action => this.statementAllowsAction(statement, action))) {
+        grants.read.push(label);
+      }
+      if (this.writeActions.some(action => this.statementAllowsAction(statement, action))) {
+        grants.write.push(label);
+      }
+    });
+
+    return grants;
+  }
+
+  getPublicAclGrants(acl) {
+    const grants = { read: [], write: [] };
+
+    for (const grant of acl?.grants || []) {
+      const groupLabel = this.publicGroupUris[grant.Grantee?.URI];
+      if (!groupLabel) continue;
+
+      const label = `ACL ${groupLabel}(${grant.Permission})`;
+      if (this.aclReadPermissions.includes(grant.Permission)) {
+        grants.read.push(label);
+      }
+      if (this.aclWritePermissions.includes(grant.Permission)) {
+        grants.write.push(label);
+      }
+    }
+
+    return grants;
+  }
+
+  /**
+   * 조건이 접근 주체나 네트워크를 고정 값으로 제한하는지 확인
+   * 부정(Not) 및 IfExists 연산자는 조건 키가 없을 때 통과하므로 제한으로 보지 않음
+   */
+  hasRestrictingCondition(condition) {
+    if (!condition) return false;
+
+    return Object.entries(condition).some(([operator, block]) => {
+      if (/Not|IfExists$/i.test(operator)) return false;
+
+      return Object.entries(block || {}).some(([key, value]) => {
+        const normalizedKey = key.toLowerCase();
+        if (!this.restrictingConditionKeys.includes(normalizedKey)) return false;
+
+        const values = [].concat(value);
+        if (normalizedKey === 'aws:sourceip') {
+          return !values.some(cidr => cidr === '0.0.0.0/0' || cidr === '::/0');
+        }
+        return !values.includes('*');
+      });
+    });
+  }
+
+  statementAllowsAction(statement, action) {
+    if (statement.NotAction) {
+      return ![].concat(statement.NotAction).some(pattern => this.matchesAction(action, pattern));
+    }
+    return [].concat(statement.Action || []).some(pattern => this.matchesAction(action, pattern));
+  }
+
+  matchesAction(action, pattern) {
+    const regex = new RegExp(`^${String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+    return regex.test(action);
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+        this.addFinding('system', 'Permission', 'S3 정책 및 ACL 퍼블릭 접근 설정 조회 권한 부족', 'IAM 정책에 s3:GetBucketPolicy, s3:GetBucketAcl, s3:GetBucketPublicAccessBlock, s3:GetAccountPublicAccessBlock, sts:GetCallerIdentity 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'AWS S3 정책 및 ACL 퍼블릭 접근 API 호출' });
+    }
+  }
+}
+
+module.exports = PolicyPublicAccessInspector;
@@ -0,0 +1,190 @@
+const BaseInspector = require('../../baseInspector');
+const { S3Client } = require('@aws-sdk/client-s3');
+const S3DataCollector = require('../collectors/s3DataCollector');
+
+class ReplicationInspector extends BaseInspector {
+  constructor() {
+    super('S3');
+
+    // 복제 필수 표시 태그 (예: ReplicationRequired=true, CRR=required)
+    this.replicationFlagTagKeys = ['replicationrequired', 'replication', 'crr', 'crossregionreplication'];
+    this.trueTagValues = ['true', 'yes', 'enabled', 'required'];
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+      this.region = region;
+      this.awsCredentials = awsCredentials;
+
+      // S3는 글로벌 서비스이므로 us-east-1로 초기 클라이언트 생성
+      this.s3Client = new S3Client({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new S3DataCollector(this.s3Client, this);
+      this.logger.info(`S3 replication inspection started for region: ${region}`);
+
+      const buckets = await this.dataCollector.getBuckets();
+
+      if (!Array.isArray(buckets)) {
+        this.addFinding('buckets', 'S3Bucket', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkBuckets(buckets);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async checkBuckets(buckets) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const bucket of buckets) {
+      this.incrementResourceCount();
+
+      const validation = this.validateBucketFormat(bucket);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkBucket(bucket);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateBucketFormat(bucket) {
+    if (!bucket || typeof bucket !== 'object') {
+      return { valid: false, error: '버킷이 객체가 아님' };
+    }
+
+    if (!bucket.Name) {
+      return { valid: false, error: 'Name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkBucket(bucket) {
+    const bucketName = bucket.Name;
+
+    try {
+      // 버킷의 실제 리전 확인
+      const bucketRegion = await this.dataCollector.getBucketLocation(bucketName);
+
+      // 버킷 리전에 맞는 클라이언트 생성
+      const bucketClient = new S3Client({
+        region: bucketRegion,
+        credentials: {
+          accessKeyId: this.awsCredentials.accessKeyId,
+          secretAccessKey: this.awsCredentials.secretAccessKey,
+          sessionToken: this.awsCredentials.sessionToken
+        }
+      });
+
+      const bucketCollector = new S3DataCollector(bucketClient, this);
+      const tags = await bucketCollector.getBucketTags(bucketName);
+      if (!this.isReplicationRequired(tags)) return;
+
+      const replication = await bucketCollector.getBucketReplication(bucketName);
+      const enabledRules = (replication?.Rules || []).filter(rule => rule.Status === 'Enabled');
+
+      if (enabledRules.length === 0) {
+        this.addFinding(
+          bucketName,
+          'S3Bucket',
+          `복제 필수로 태그된 버킷에 활성화된 복제 규칙이 없음 (리전: ${bucketRegion})`,
+          '다른 리전의 버킷을 대상으로 교차 리전 복제(CRR) 규칙을 설정하여 리전 장애나 데이터 손상에 대비하세요. 복제에는 원본과 대상 버킷 모두 버전 관리가 필요합니다'
+        );
+        return;
+      }
+
+      const destinationRegions = [];
+      for (const rule of enabledRules) {
+        destinationRegions.push(await this.getDestinationRegion(rule.Destination?.Bucket));
+      }
+
+      // 조회할 수 없는 대상(다른 계정 버킷 등)은 교차 리전으로 간주
+      if (destinationRegions.some(destinationRegion => destinationRegion !== bucketRegion)) return;
+
+      this.addFinding(
+        bucketName,
+        'S3Bucket',
+        `복제 필수로 태그된 버킷의 복제 대상이 모두 같은 리전(${bucketRegion})에 있음`,
+        '다른 리전의 버킷을 대상으로 하는 교차 리전 복제(CRR) 규칙을 추가하여 리전 단위 장애에도 데이터를 보존할 수 있도록 하세요'
+      );
+    } catch (error) {
+      this.recordError(error, { context: `버킷 ${bucketName} 교차 리전 복제 검사` });
+    }
+  }
+
+  isReplicationRequired(tags) {
+    return tags.some(tag =>
+      this.replicationFlagTagKeys.includes(this.normalizeTagKey(tag.Key)) &&
+      this.trueTagValues.includes((tag.Value || '').toLowerCase())
+    );
+  }
+
+  /**
+   * 복제 대상 버킷 ARN(arn:aws:s3:::bucket)에서 리전 조회 (실패 시 null)
+   */
+  async getDestinationRegion(destinationBucketArn) {
+    const destinationBucket = (destinationBucketArn || '').split(':::')[1];
+    if (!destinationBucket) return null;
+
+    try {
+      return await this.dataCollector.getBucketLocation(destinationBucket);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  normalizeTagKey(key) {
+    return (key || '').toLowerCase().replace(/[-_\s]/g, '');
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+        this.addFinding('system', 'Permission', 'S3 교차 리전 복제 설정 조회 권한 부족', 'IAM 정책에 s3:GetBucketTagging, s3:GetReplicationConfiguration 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'AWS S3 교차 리전 복제 API 호출' });
+    }
+  }
+}
+
+module.exports = ReplicationInspector;
@@ -0,0 +1,162 @@
+const BaseInspector = require('../../baseInspector');
+const { S3Client } = require('@aws-sdk/client-s3');
+const S3DataCollector = require('../collectors/s3DataCollector');
+
+class SecureTransportInspector extends BaseInspector {
+  constructor() {
+    super('S3');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const region = inspectionConfig.region || awsCredentials.region || 'us-east-1';
+      this.region = region;
+      this.awsCredentials = awsCredentials;
+
+      // S3는 글로벌 서비스이므로 us-east-1로 초기 클라이언트 생성
+      this.s3Client = new S3Client({
+        region: 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new S3DataCollector(this.s3Client, this);
+      this.logger.info(`S3 secure transport inspection started for region: ${region}`);
+
+      const buckets = await this.dataCollector.getBuckets();
+
+      if (!Array.isArray(buckets)) {
+        this.addFinding('buckets', 'S3Bucket', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkBuckets(buckets);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async checkBuckets(buckets) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const bucket of buckets) {
+      this.incrementResourceCount();
+
+      const validation = this.validateBucketFormat(bucket);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkBucket(bucket);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateBucketFormat(bucket) {
+    if (!bucket || typeof bucket !== 'object') {
+      return { valid: false, error: '버킷이 객체가 아님' };
+    }
+
+    if (!bucket.Name) {
+      return { valid: false, error: 'Name 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkBucket(bucket) {
+    const bucketName = bucket.Name;
+
+    try {
+      // 버킷의 실제 리전 확인
+      const bucketRegion = await this.dataCollector.getBucketLocation(bucketName);
+
+      // 버킷 리전에 맞는 클라이언트 생성
+      const bucketClient = new S3Client({
+        region: bucketRegion,
+        credentials: {
+          accessKeyId: this.awsCredentials.accessKeyId,
+          secretAccessKey: this.awsCredentials.secretAccessKey,
+          sessionToken: this.awsCredentials.sessionToken
+        }
+      });
+
+      const bucketCollector = new S3DataCollector(bucketClient, this);
+      const policy = await bucketCollector.getBucketPolicy(bucketName);
+
+      if (this.hasSecureTransportDeny(policy)) return;
+
+      const issue = policy
+        ? `버킷 정책에 HTTPS 강제(aws:SecureTransport) 거부 문장이 없음 (리전: ${bucketRegion})`
+        : `버킷 정책이 없어 HTTP(암호화되지 않은) 요청이 거부되지 않음 (리전: ${bucketRegion})`;
+
+      this.addFinding(
+        bucketName,
+        'S3Bucket',
+        issue,
+        'Principal "*"에 대해 aws:SecureTransport가 false인 요청의 s3:*를 거부(Deny)하는 문장을 버킷 정책에 추가하여 전송 중 데이터를 보호하세요'
+      );
+    } catch (error) {
+      this.recordError(error, { context: `버킷 ${bucketName} HTTPS 강제 검사` });
+    }
+  }
+
+  hasSecureTransportDeny(policy) {
+    return this.dataCollector.getPolicyStatements(policy).some(statement => {
+      if (statement.Effect !== 'Deny') return false;
+      if (!this.dataCollector.getStatementPrincipals(statement).wildcard) return false;
+
+      const boolConditions = {
+        ...(statement.Condition?.Bool || {}),
+        ...(statement.Condition?.BoolIfExists || {})
+      };
+
+      return Object.entries(boolConditions).some(([key, value]) =>
+        key.toLowerCase() === 'aws:securetransport' &&
+        [].concat(value).some(item => String(item).toLowerCase() === 'false')
+      );
+    });
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'AccessDenied':
+        this.addFinding('system', 'Permission', 'S3 HTTPS 강제 설정 조회 권한 부족', 'IAM 정책에 s3:GetBucketPolicy 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'AWS S3 HTTPS 강제 API 호출' });
+    }
+  }
+}
+
+module.exports = SecureTransportInspector;
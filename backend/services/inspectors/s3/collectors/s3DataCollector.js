@@ -1,6 +1,24 @@
-const { ListBucketsCommand, GetBucketLocationCommand, GetPublicAccessBlockCommand } = require('@aws-sdk/client-s3');
+const {
+  ListBucketsCommand,
+  GetBucketLocationCommand,
+  GetPublicAccessBlockCommand,
+  GetBucketVersioningCommand,
+  GetBucketLifecycleConfigurationCommand,
+  GetBucketLoggingCommand,
+  GetBucketTaggingCommand,
+  GetObjectLockConfigurationCommand,
+  GetBucketReplicationCommand,
+  GetBucketPolicyCommand,
+  GetBucketAclCommand
+} = require('@aws-sdk/client-s3');
+const { GetPublicAccessBlockCommand: GetAccountPublicAccessBlockCommand } = require('@aws-sdk/client-s3-control');
+const { GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
 const { S3Client } = require('@aws-sdk/client-s3');
 
+/**
+ * S3 Data Collector
+ * 버킷 단위 설정 조회는 여러 검사 항목에서 반복되므로 배치 공유 캐시(버킷 이름 기준)를 통해 조회
+ */
 class S3DataCollector {
   constructor(s3Client, inspector) {
     this.s3Client = s3Client;
@@ -8,42 +26,238 @@ class S3DataCollector {
   }
 
   async getBuckets() {
-    return await this.inspector.retryableApiCall(async () => {
-      const command = new ListBucketsCommand({});
-      const response = await this.s3Client.send(command);
-      return response.Buckets || [];
-    }, 'ListBuckets');
+    return await this.inspector.withCollectionCache('ListBuckets', {}, () =>
+      this.inspector.collectAllPages(
+        'ListBuckets',
+        (continuationToken) => this.s3Client.send(new ListBucketsCommand({ ContinuationToken: continuationToken })),
+        (response) => response.Buckets,
+        (response) => response.ContinuationToken
+      )
+    );
   }
 
   async getBucketLocation(bucketName) {
-    return await this.inspector.retryableApiCall(async () => {
-      try {
-        const command = new GetBucketLocationCommand({ Bucket: bucketName });
-        const response = await this.s3Client.send(command);
-        return response.LocationConstraint || 'us-east-1';
-      } catch (error) {
-        if (error.name === 'PermanentRedirect') {
-          return 'us-east-1'; // 기본값 반환
+    return await this.inspector.withCollectionCache('GetBucketLocation', { bucketName }, () =>
+      this.inspector.retryableApiCall(async () => {
+        try {
+          const command = new GetBucketLocationCommand({ Bucket: bucketName });
+          const response = await this.s3Client.send(command);
+          return response.LocationConstraint || 'us-east-1';
+        } catch (error) {
+          if (error.name === 'PermanentRedirect') {
+            return 'us-east-1'; // 기본값 반환
+          }
+          throw error;
         }
-        throw error;
-      }
-    }, 'GetBucketLocation');
+      }, 'GetBucketLocation')
+    );
   }
 
   async getPublicAccessBlock(bucketName) {
+    return await this.inspector.withCollectionCache('GetPublicAccessBlock', { bucketName }, () =>
+      this.inspector.retryableApiCall(async () => {
+        try {
+          const command = new GetPublicAccessBlockCommand({ Bucket: bucketName });
+          const response = await this.s3Client.send(command);
+          return response.PublicAccessBlockConfiguration;
+        } catch (error) {
+          if (error.name === 'NoSuchPublicAccessBlockConfiguration') {
+            return null;
+          }
+          // PermanentRedirect 에러 제거 - 이제 올바른 리전 클라이언트를 사용하므로 발생하지 않음
+          throw error;
+        }
+      }, 'GetPublicAccessBlock')
+    );
+  }
+
+  async getBucketVersioning(bucketName) {
+    return await this.inspector.withCollectionCache('GetBucketVersioning', { bucketName }, () =>
+      this.inspector.retryableApiCall(async () => {
+        const command = new GetBucketVersioningCommand({ Bucket: bucketName });
+        const response = await this.s3Client.send(command);
+        // 한 번도 활성화하지 않은 버킷은 Status가 없음
+        return {
+          status: response.Status || 'Disabled',
+          mfaDelete: response.MFADelete || 'Disabled'
+        };
+      }, 'GetBucketVersioning')
+    );
+  }
+
+  async getBucketLifecycleRules(bucketName) {
+    return await this.inspector.withCollectionCache('GetBucketLifecycleConfiguration', { bucketName }, () =>
+      this.inspector.retryableApiCall(async () => {
+        try {
+          const command = new GetBucketLifecycleConfigurationCommand({ Bucket: bucketName });
+          const response = await this.s3Client.send(command);
+          return response.Rules || [];
+        } catch (error) {
+          if (error.name === 'NoSuchLifecycleConfiguration') {
+            return [];
+          }
+          throw error;
+        }
+      }, 'GetBucketLifecycleConfiguration')
+    );
+  }
+
+  async getBucketLogging(bucketName) {
+    return await this.inspector.withCollectionCache('GetBucketLogging', { bucketName }, () =>
+      this.inspector.retryableApiCall(async () => {
+        const command = new GetBucketLoggingCommand({ Bucket: bucketName });
+        const response = await this.s3Client.send(command);
+        return response.LoggingEnabled || null;
+      }, 'GetBucketLogging')
+    );
+  }
+
+  async getBucketTags(bucketName) {
+    return await this.inspector.withCollectionCache('GetBucketTagging', { bucketName }, () =>
+      this.inspector.retryableApiCall(async () => {
+        try {
+          const command = new GetBucketTaggingCommand({ Bucket: bucketName });
+          const response = await this.s3Client.send(command);
+          return response.TagSet || [];
+        } catch (error) {
+          if (error.name === 'NoSuchTagSet') {
+            return [];
+          }
+          throw error;
+        }
+      }, 'GetBucketTagging')
+    );
+  }
+
+  async getObjectLockConfiguration(bucketName) {
+    return await this.inspector.withCollectionCache('GetObjectLockConfiguration', { bucketName }, () =>
+      this.inspector.retryableApiCall(async () => {
+        try {
+          const command = new GetObjectLockConfigurationCommand({ Bucket: bucketName });
+          const response = await this.s3Client.send(command);
+          return response.ObjectLockConfiguration || null;
+        } catch (error) {
+          if (error.name === 'ObjectLockConfigurationNotFoundError') {
+            return null;
+          }
+          throw error;
+        }
+      }, 'GetObjectLockConfiguration')
+    );
+  }
+
+  async getBucketReplication(bucketName) {
+    return await this.inspector.withCollectionCache('GetBucketReplication', { bucketName }, () =>
+      this.inspector.retryableApiCall(async () => {
+        try {
+          const command = new GetBucketReplicationCommand({ Bucket: bucketName });
+          const response = await this.s3Client.send(command);
+          return response.ReplicationConfiguration || null;
+        } catch (error) {
+          if (error.name === 'ReplicationConfigurationNotFoundError') {
+            return null;
+          }
+          throw error;
+        }
+      }, 'GetBucketReplication')
+    );
+  }
+
+  async getBucketPolicy(bucketName) {
+    return await this.inspector.withCollectionCache('GetBucketPolicy', { bucketName }, () =>
+      this.inspector.retryableApiCall(async () => {
+        try {
+          const command = new GetBucketPolicyCommand({ Bucket: bucketName });
+          const response = await this.s3Client.send(command);
+          return response.Policy ? JSON.parse(response.Policy) : null;
+        } catch (error) {
+          if (error.name === 'NoSuchBucketPolicy') {
+            return null;
+          }
+          throw error;
+        }
+      }, 'GetBucketPolicy')
+    );
+  }
+
+  async getBucketAcl(bucketName) {
+    return await this.inspector.withCollectionCache('GetBucketAcl', { bucketName }, () =>
+      this.inspector.retryableApiCall(async () => {
+        const command = new GetBucketAclCommand({ Bucket: bucketName });
+        const response = await this.s3Client.send(command);
+        return {
+          ownerId: response.Owner?.ID,
+          grants: response.Grants || []
+        };
+      }, 'GetBucketAcl')
+    );
+  }
+
+  /**
+   * 검사 대상 계정 ID 조회 (교차 계정 판별 및 계정 수준 설정 조회용)
+   */
+  async getAccountId(stsClient) {
+    return await this.inspector.withCollectionCache('GetCallerIdentity', {}, () =>
+      this.inspector.retryableApiCall(async () => {
+        const response = await stsClient.send(new GetCallerIdentityCommand({}));
+        return response.Account;
+      }, 'GetCallerIdentity')
+    );
+  }
+
+  /**
+   * 계정 수준 퍼블릭 액세스 차단 설정 조회 (버킷 설정과 OR로 적용됨)
+   */
+  async getAccountPublicAccessBlock(s3ControlClient, accountId) {
     return await this.inspector.retryableApiCall(async () => {
       try {
-        const command = new GetPublicAccessBlockCommand({ Bucket: bucketName });
-        const response = await this.s3Client.send(command);
+        const command = new GetAccountPublicAccessBlockCommand({ AccountId: accountId });
+        const response = await s3ControlClient.send(command);
         return response.PublicAccessBlockConfiguration;
       } catch (error) {
         if (error.name === 'NoSuchPublicAccessBlockConfiguration') {
           return null;
         }
-        // PermanentRedirect 에러 제거 - 이제 올바른 리전 클라이언트를 사용하므로 발생하지 않음
         throw error;
       }
-    }, 'GetPublicAccessBlock');
+    }, 'GetAccountPublicAccessBlock');
+  }
+
+  /**
+   * 정책 Statement 배열로 정규화
+   */
+  getPolicyStatements(policy) {
+    if (!policy?.Statement) return [];
+    return Array.isArray(policy.Statement) ? policy.Statement : [policy.Statement];
+  }
+
+  /**
+   * Statement의 Principal을 유형별로 정규화
+   * @returns {Object} { wildcard, awsPrincipals, servicePrincipals, canonicalUsers }
+   */
+  getStatementPrincipals(statement) {
+    const toArray = value => (value === undefined ? [] : [].concat(value));
+    const principal = statement.Principal;
+
+    if (principal === '*') {
+      return { wildcard: true, awsPrincipals: [], servicePrincipals: [], canonicalUsers: [] };
+    }
+
+    const awsPrincipals = toArray(principal?.AWS);
+    return {
+      wildcard: awsPrincipals.includes('*'),
+      awsPrincipals: awsPrincipals.filter(value => value !== '*'),
+      servicePrincipals: toArray(principal?.Service),
+      canonicalUsers: toArray(principal?.CanonicalUser)
+    };
+  }
+
+  /**
+   * IAM Principal(계정 ID 또는 ARN)에서 12자리 계정 ID 추출
+   */
+  getPrincipalAccountId(principal) {
+    const match = String(principal).match(/^(?:arn:aws[a-z-]*:iam::)?(\d{12})(?::|$)/);
+    return match ? match[1] : null;
   }
 }
 
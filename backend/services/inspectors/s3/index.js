@@ -1,6 +1,15 @@
 const BaseInspector = require('../baseInspector');
 const PublicAccessInspector = require('./checks/publicAccessInspector');
 const EncryptionInspector = require('./checks/encryptionInspector');
+const VersioningInspector = require('./checks/versioningInspector');
+const MfaDeleteInspector = require('./checks/mfaDeleteInspector');
+const LifecycleInspector = require('./checks/lifecycleInspector');
+const AccessLoggingInspector = require('./checks/accessLoggingInspector');
+const ObjectLockInspector = require('./checks/objectLockInspector');
+const ReplicationInspector = require('./checks/replicationInspector');
+const PolicyPublicAccessInspector = require('./checks/policyPublicAccessInspector');
+const CrossAccountAccessInspector = require('./checks/crossAccountAccessInspector');
+const SecureTransportInspector = require('./checks/secureTransportInspector');
 
 class S3Inspector extends BaseInspector {
   constructor() {
@@ -21,29 +30,55 @@ class S3Inspector extends BaseInspector {
       return;
     }
     
-    if (targetItem === 'public-access') {
-      const inspector = new PublicAccessInspector();
-      await inspector.executeInspection(awsCredentials, inspectionConfig);
-      this.findings.push(...inspector.findings);
-      this.incrementResourceCount(inspector.resourcesScanned);
-      return;
-    }
-    
-    if (targetItem === 'encryption-settings') {
-      const inspector = new EncryptionInspector();
-      await inspector.executeInspection(awsCredentials, inspectionConfig);
+    const inspectorMap = {
+      'public-access': PublicAccessInspector,
+      'encryption-settings': EncryptionInspector,
+      'bucket-versioning': VersioningInspector,
+      'mfa-delete': MfaDeleteInspector,
+      'lifecycle-rules': LifecycleInspector,
+      'access-logging': AccessLoggingInspector,
+      'object-lock': ObjectLockInspector,
+      'cross-region-replication': ReplicationInspector,
+      'policy-public-access': PolicyPublicAccessInspector,
+      'cross-account-access': CrossAccountAccessInspector,
+      'secure-transport': SecureTransportInspector
+    };
+
+    const InspectorClass = inspectorMap[targetItem];
+    if (InspectorClass) {
+      const inspector = new InspectorClass();
+      try {
+        await inspector.executeInspection(awsCredentials, inspectionConfig);
+      } catch (error) {
+        // 취소된 경우 취소 전까지 발견된 결과는 유지
+        if (this.isCancelled()) {
+          this.findings.push(...inspector.findings);
+          this.mergePartialCollections(inspector);
+        }
+        throw error;
+      }
       this.findings.push(...inspector.findings);
       this.incrementResourceCount(inspector.resourcesScanned);
+      this.mergePartialCollections(inspector);
       return;
     }
-    
+
     this.handleUnknownInspectionItem(targetItem);
   }
 
   async performAllInspections(awsCredentials, inspectionConfig) {
     const inspectors = [
       new PublicAccessInspector(),
-      new EncryptionInspector()
+      new EncryptionInspector(),
+      new VersioningInspector(),
+      new MfaDeleteInspector(),
+      new LifecycleInspector(),
+      new AccessLoggingInspector(),
+      new ObjectLockInspector(),
+      new ReplicationInspector(),
+      new PolicyPublicAccessInspector(),
+      new CrossAccountAccessInspector(),
+      new SecureTransportInspector()
     ];
     
     for (const inspector of inspectors) {
@@ -51,7 +86,13 @@ class S3Inspector extends BaseInspector {
         await inspector.executeInspection(awsCredentials, inspectionConfig);
         this.findings.push(...inspector.findings);
         this.incrementResourceCount(inspector.resourcesScanned);
+        this.mergePartialCollections(inspector);
       } catch (error) {
+        if (this.isCancelled()) {
+          this.findings.push(...inspector.findings);
+          this.mergePartialCollections(inspector);
+          throw error;
+        }
         this.recordError(error, { context: `${inspector.constructor.name} 실행` });
       }
     }
@@ -65,7 +106,9 @@ class S3Inspector extends BaseInspector {
       findings: this.findings.map(f => f.toApiResponse()),
       inspectionTime: Date.now(),
       resourcesScanned: this.resourcesScanned,
-      region: this.region
+      region: this.region,
+      partial: this.isPartialCollection(),
+      partialCollections: this.partialCollections
     }];
   }
 }
@@ -0,0 +1,147 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const VPCDataCollector = require('../collectors/vpcDataCollector');
+
+class DefaultVpcInspector extends BaseInspector {
+  constructor() {
+    super('VPC');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new VPCDataCollector(this.ec2Client, this);
+
+      // 서브넷 정보는 EC2 검사와 동일한 수집 로직을 사용
+      const [vpcs, subnets] = await Promise.all([
+        this.dataCollector.getVpcs(),
+        this.dataCollector.getSubnets()
+      ]);
+
+      if (!Array.isArray(vpcs)) {
+        this.addFinding('vpcs', 'VPC', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      this.subnets = subnets || [];
+
+      await this.checkVpcs(vpcs);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'default-vpc',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkVpcs(vpcs) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const vpc of vpcs) {
+      this.incrementResourceCount();
+
+      const validation = this.validateVpcFormat(vpc);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkVpc(vpc);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateVpcFormat(vpc) {
+    if (!vpc || typeof vpc !== 'object') {
+      return { valid: false, error: 'VPC가 객체가 아님' };
+    }
+
+    if (!vpc.VpcId) {
+      return { valid: false, error: 'VpcId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkVpc(vpc) {
+    if (!vpc.IsDefault) return;
+
+    const networkInterfaces = await this.dataCollector.getNetworkInterfacesForVpc(vpc.VpcId);
+    if (networkInterfaces.length === 0) return;
+
+    const subnetIdsInUse = new Set(networkInterfaces.map(eni => eni.SubnetId).filter(Boolean));
+    const subnetLabels = this.subnets
+      .filter(subnet => subnetIdsInUse.has(subnet.SubnetId))
+      .map(subnet => `${subnet.SubnetId}(${subnet.AvailabilityZone})`);
+
+    const interfaceTypes = {};
+    for (const eni of networkInterfaces) {
+      const type = eni.Attachment?.InstanceId ? 'EC2 인스턴스' : (eni.InterfaceType || eni.RequesterId || '기타');
+      interfaceTypes[type] = (interfaceTypes[type] || 0) + 1;
+    }
+    const usageText = Object.entries(interfaceTypes)
+      .map(([type, count]) => `${type} ${count}개`)
+      .join(', ');
+
+    this.addFinding(
+      vpc.VpcId,
+      'VPC',
+      `기본 VPC ${this.dataCollector.getResourceLabel(vpc, vpc.VpcId)}에서 리소스가 실행 중 (${usageText}${subnetLabels.length > 0 ? `, 서브넷: ${subnetLabels.join(', ')}` : ''})`,
+      '기본 VPC의 서브넷은 모두 퍼블릭이며 퍼블릭 IP가 자동 할당됩니다. 워크로드를 용도에 맞게 설계된 사용자 정의 VPC로 이전하고 기본 VPC는 삭제하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeVpcs, ec2:DescribeSubnets, ec2:DescribeNetworkInterfaces 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: '기본 VPC 사용 검사' });
+    }
+  }
+}
+
+module.exports = DefaultVpcInspector;
@@ -0,0 +1,129 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const VPCDataCollector = require('../collectors/vpcDataCollector');
+
+class ElasticIpInspector extends BaseInspector {
+  constructor() {
+    super('VPC');
+    // 퍼블릭 IPv4 주소 시간당 요금 (USD)
+    this.HOURLY_IPV4_PRICE = 0.005;
+    this.HOURS_PER_MONTH = 730;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new VPCDataCollector(this.ec2Client, this);
+
+      const addresses = await this.dataCollector.getAddresses();
+
+      if (!Array.isArray(addresses)) {
+        this.addFinding('addresses', 'ElasticIP', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkAddresses(addresses);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'unused-elastic-ips',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkAddresses(addresses) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const address of addresses) {
+      this.incrementResourceCount();
+
+      const validation = this.validateAddressFormat(address);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkAddress(address);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateAddressFormat(address) {
+    if (!address || typeof address !== 'object') {
+      return { valid: false, error: 'Elastic IP가 객체가 아님' };
+    }
+
+    if (!address.AllocationId && !address.PublicIp) {
+      return { valid: false, error: 'AllocationId 및 PublicIp 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkAddress(address) {
+    if (address.AssociationId || address.InstanceId || address.NetworkInterfaceId) return;
+
+    const monthlyCost = this.HOURLY_IPV4_PRICE * this.HOURS_PER_MONTH;
+
+    this.addFinding(
+      address.AllocationId || address.PublicIp,
+      'ElasticIP',
+      `Elastic IP ${this.dataCollector.getResourceLabel(address, address.PublicIp)}이 어떤 리소스에도 연결되지 않음 (예상 비용 월 $${monthlyCost.toFixed(2)})`,
+      '사용하지 않는 Elastic IP는 요금이 계속 부과됩니다. DNS 레코드나 방화벽 허용 목록에서 참조하지 않는지 확인한 뒤 릴리스하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeAddresses 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'Elastic IP 검사' });
+    }
+  }
+}
+
+module.exports = ElasticIpInspector;
@@ -0,0 +1,133 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const VPCDataCollector = require('../collectors/vpcDataCollector');
+
+class FlowLogInspector extends BaseInspector {
+  constructor() {
+    super('VPC');
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new VPCDataCollector(this.ec2Client, this);
+
+      const [vpcs, flowLogs] = await Promise.all([
+        this.dataCollector.getVpcs(),
+        this.dataCollector.getFlowLogs()
+      ]);
+
+      if (!Array.isArray(vpcs)) {
+        this.addFinding('vpcs', 'VPC', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      this.activeFlowLogResourceIds = new Set(
+        (flowLogs || [])
+          .filter(flowLog => flowLog.FlowLogStatus === 'ACTIVE')
+          .map(flowLog => flowLog.ResourceId)
+      );
+
+      await this.checkVpcs(vpcs);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'flow-logs',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkVpcs(vpcs) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const vpc of vpcs) {
+      this.incrementResourceCount();
+
+      const validation = this.validateVpcFormat(vpc);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkVpc(vpc);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateVpcFormat(vpc) {
+    if (!vpc || typeof vpc !== 'object') {
+      return { valid: false, error: 'VPC가 객체가 아님' };
+    }
+
+    if (!vpc.VpcId) {
+      return { valid: false, error: 'VpcId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkVpc(vpc) {
+    if (this.activeFlowLogResourceIds.has(vpc.VpcId)) return;
+
+    this.addFinding(
+      vpc.VpcId,
+      'VPC',
+      `VPC ${this.dataCollector.getResourceLabel(vpc, vpc.VpcId)}에 활성화된 플로우 로그가 없음 (${vpc.CidrBlock || 'CIDR 정보 없음'})`,
+      'VPC 플로우 로그를 CloudWatch Logs 또는 S3로 전송하도록 설정하여 보안 사고 조사와 비정상 트래픽 탐지에 활용하세요'
+    );
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeVpcs, ec2:DescribeFlowLogs 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'VPC 플로우 로그 검사' });
+    }
+  }
+}
+
+module.exports = FlowLogInspector;
@@ -0,0 +1,182 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const { CloudWatchClient, GetMetricStatisticsCommand } = require('@aws-sdk/client-cloudwatch');
+const VPCDataCollector = require('../collectors/vpcDataCollector');
+
+class NatGatewayTrafficInspector extends BaseInspector {
+  constructor() {
+    super('VPC');
+    this.LOOKBACK_DAYS = 14;
+    // NAT 게이트웨이 시간당 요금 (USD, 데이터 처리 요금 제외)
+    this.HOURLY_NAT_GATEWAY_PRICE = 0.045;
+    this.HOURS_PER_MONTH = 730;
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      const clientConfig = {
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      };
+
+      this.ec2Client = new EC2Client(clientConfig);
+      this.cloudWatchClient = new CloudWatchClient(clientConfig);
+      this.dataCollector = new VPCDataCollector(this.ec2Client, this);
+
+      const natGateways = await this.dataCollector.getNatGateways();
+
+      if (!Array.isArray(natGateways)) {
+        this.addFinding('natGateways', 'NATGateway', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkNatGateways(natGateways);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'idle-nat-gateways',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkNatGateways(natGateways) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const natGateway of natGateways) {
+      const validation = this.validateNatGatewayFormat(natGateway);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      // 삭제되었거나 생성 중인 게이트웨이는 제외
+      if (natGateway.State !== 'available') continue;
+
+      this.incrementResourceCount();
+      await this.checkNatGateway(natGateway);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateNatGatewayFormat(natGateway) {
+    if (!natGateway || typeof natGateway !== 'object') {
+      return { valid: false, error: 'NAT 게이트웨이가 객체가 아님' };
+    }
+
+    if (!natGateway.NatGatewayId) {
+      return { valid: false, error: 'NatGatewayId 누락' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkNatGateway(natGateway) {
+    const natGatewayId = natGateway.NatGatewayId;
+
+    // 생성 직후에는 지표가 충분하지 않으므로 조회 기간보다 오래된 게이트웨이만 판단
+    if (natGateway.CreateTime) {
+      const ageDays = (Date.now() - new Date(natGateway.CreateTime).getTime()) / (1000 * 60 * 60 * 24);
+      if (ageDays < this.LOOKBACK_DAYS) return;
+    }
+
+    const [bytesOut, bytesIn] = await Promise.all([
+      this.getMetricSum(natGatewayId, 'BytesOutToDestination'),
+      this.getMetricSum(natGatewayId, 'BytesInFromDestination')
+    ]);
+
+    // 지표 조회 실패 시 판단 보류
+    if (bytesOut === null || bytesIn === null) return;
+    if (bytesOut + bytesIn > 0) return;
+
+    const monthlyCost = this.HOURLY_NAT_GATEWAY_PRICE * this.HOURS_PER_MONTH;
+
+    this.addFinding(
+      natGatewayId,
+      'NATGateway',
+      `NAT 게이트웨이 ${this.dataCollector.getResourceLabel(natGateway, natGatewayId)}에 최근 ${this.LOOKBACK_DAYS}일간 트래픽이 없음 (VPC: ${natGateway.VpcId}, 예상 고정 비용 월 $${monthlyCost.toFixed(2)})`,
+      '해당 NAT 게이트웨이를 기본 경로로 사용하는 라우팅 테이블을 확인하고, 더 이상 필요하지 않다면 삭제한 뒤 연결된 Elastic IP도 릴리스하세요'
+    );
+  }
+
+  async getMetricSum(natGatewayId, metricName) {
+    try {
+      const endTime = new Date();
+      const startTime = new Date(endTime.getTime() - this.LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+      const command = new GetMetricStatisticsCommand({
+        Namespace: 'AWS/NATGateway',
+        MetricName: metricName,
+        Dimensions: [
+          {
+            Name: 'NatGatewayId',
+            Value: natGatewayId
+          }
+        ],
+        StartTime: startTime,
+        EndTime: endTime,
+        Period: 86400, // 1일
+        Statistics: ['Sum']
+      });
+
+      const response = await this.retryableApiCall(
+        () => this.cloudWatchClient.send(command),
+        'GetMetricStatistics'
+      );
+
+      return (response.Datapoints || []).reduce((sum, point) => sum + (point.Sum || 0), 0);
+    } catch (error) {
+      this.recordError(error, { context: `CloudWatch 지표 조회: ${natGatewayId}` });
+      return null;
+    }
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeNatGateways, cloudwatch:GetMetricStatistics 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: 'NAT 게이트웨이 검사' });
+    }
+  }
+}
+
+module.exports = NatGatewayTrafficInspector;
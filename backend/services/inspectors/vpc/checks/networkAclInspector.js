@@ -0,0 +1,177 @@
+const BaseInspector = require('../../baseInspector');
+const { EC2Client } = require('@aws-sdk/client-ec2');
+const VPCDataCollector = require('../collectors/vpcDataCollector');
+
+class NetworkAclInspector extends BaseInspector {
+  constructor() {
+    super('VPC');
+
+    // 인터넷에 노출되면 안 되는 관리용 포트
+    this.adminPorts = [
+      { port: 22, service: 'SSH' },
+      { port: 3389, service: 'RDP' },
+      { port: 23, service: 'Telnet' },
+      { port: 5985, service: 'WinRM(HTTP)' },
+      { port: 5986, service: 'WinRM(HTTPS)' }
+    ];
+
+    this.openCidrs = ['0.0.0.0/0', '::/0'];
+  }
+
+  async retryableApiCall(apiCall, operationName, maxRetries = 3) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await apiCall();
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  async performInspection(awsCredentials, inspectionConfig) {
+    try {
+      this.ec2Client = new EC2Client({
+        region: awsCredentials.region || 'us-east-1',
+        credentials: {
+          accessKeyId: awsCredentials.accessKeyId,
+          secretAccessKey: awsCredentials.secretAccessKey,
+          sessionToken: awsCredentials.sessionToken
+        }
+      });
+
+      this.dataCollector = new VPCDataCollector(this.ec2Client, this);
+
+      const networkAcls = await this.dataCollector.getNetworkAcls();
+
+      if (!Array.isArray(networkAcls)) {
+        this.addFinding('networkAcls', 'NetworkACL', '데이터 형식 오류', '데이터 구조 확인');
+        throw new Error('데이터 형식 오류');
+      }
+
+      await this.checkNetworkAcls(networkAcls);
+    } catch (error) {
+      this.handleAWSError(error);
+      throw error;
+    }
+  }
+
+  async executeItemInspection(customerId, inspectionId, awsCredentials, inspectionConfig) {
+    const findings = await this.executeInspection(awsCredentials, inspectionConfig);
+    return [{
+      serviceType: this.serviceType,
+      itemId: inspectionConfig.targetItem || 'network-acl',
+      findings: findings,
+      inspectionTime: Date.now(),
+      resourcesScanned: this.resourcesScanned
+    }];
+  }
+
+  async checkNetworkAcls(networkAcls) {
+    let hasFormatError = false;
+    const formatErrors = new Set();
+
+    for (const networkAcl of networkAcls) {
+      this.incrementResourceCount();
+
+      const validation = this.validateNetworkAclFormat(networkAcl);
+      if (!validation.valid) {
+        if (!hasFormatError) {
+          formatErrors.add(validation.error);
+          hasFormatError = true;
+        }
+        continue;
+      }
+
+      await this.checkNetworkAcl(networkAcl);
+    }
+
+    if (hasFormatError) {
+      this.addFinding('format-error', 'System',
+        `데이터 형식 오류: ${Array.from(formatErrors).join(', ')}`,
+        '데이터 구조 확인');
+    }
+  }
+
+  validateNetworkAclFormat(networkAcl) {
+    if (!networkAcl || typeof networkAcl !== 'object') {
+      return { valid: false, error: '네트워크 ACL이 객체가 아님' };
+    }
+
+    if (!networkAcl.NetworkAclId) {
+      return { valid: false, error: 'NetworkAclId 누락' };
+    }
+
+    if (!Array.isArray(networkAcl.Entries)) {
+      return { valid: false, error: 'Entries 누락 또는 배열이 아님' };
+    }
+
+    return { valid: true };
+  }
+
+  async checkNetworkAcl(networkAcl) {
+    const associatedSubnets = (networkAcl.Associations || [])
+      .map(association => association.SubnetId)
+      .filter(Boolean);
+
+    // 연결된 서브넷이 없는 ACL은 트래픽에 영향을 주지 않음
+    if (associatedSubnets.length === 0) return;
+
+    // NACL은 규칙 번호가 낮은 순서대로 평가되어 처음 일치하는 규칙이 적용됨
+    const inboundEntries = networkAcl.Entries
+      .filter(entry => !entry.Egress)
+      .sort((a, b) => a.RuleNumber - b.RuleNumber);
+
+    const exposedPorts = [];
+    for (const { port, service } of this.adminPorts) {
+      for (const cidr of this.openCidrs) {
+        const matchedEntry = inboundEntries.find(entry =>
+          this.getEntryCidr(entry) === cidr && this.entryCoversPort(entry, port)
+        );
+
+        if (matchedEntry?.RuleAction === 'allow') {
+          exposedPorts.push(`${service}(${port}, ${cidr}, 규칙 #${matchedEntry.RuleNumber})`);
+        }
+      }
+    }
+
+    if (exposedPorts.length === 0) return;
+
+    this.addFinding(
+      networkAcl.NetworkAclId,
+      'NetworkACL',
+      `네트워크 ACL ${this.dataCollector.getResourceLabel(networkAcl, networkAcl.NetworkAclId)}${networkAcl.IsDefault ? '(기본 ACL)' : ''}이 인터넷에서 관리 포트로의 인바운드를 허용: ${exposedPorts.join(', ')}`,
+      `관리 포트에 대해 0.0.0.0/0, ::/0 인바운드를 거부하는 규칙을 허용 규칙보다 낮은 번호로 추가하세요. 적용 서브넷: ${associatedSubnets.join(', ')}`
+    );
+  }
+
+  getEntryCidr(entry) {
+    return entry.CidrBlock || entry.Ipv6CidrBlock;
+  }
+
+  entryCoversPort(entry, port) {
+    // -1: 모든 프로토콜, 6: TCP
+    if (entry.Protocol === '-1') return true;
+    if (entry.Protocol !== '6') return false;
+    if (!entry.PortRange) return true;
+
+    return entry.PortRange.From <= port && port <= entry.PortRange.To;
+  }
+
+  handleAWSError(error) {
+    if (!error) return;
+
+    switch (error.name) {
+      case 'UnauthorizedOperation':
+        this.addFinding('system', 'Permission', 'AWS 권한 부족', 'IAM 정책에 ec2:DescribeNetworkAcls 권한 추가');
+        break;
+      case 'ExpiredToken':
+        this.addFinding('system', 'Auth', '토큰 만료', '자격 증명 갱신');
+        break;
+      default:
+        this.recordError(error, { context: '네트워크 ACL 검사' });
+    }
+  }
+}
+
+module.exports = NetworkAclInspector;
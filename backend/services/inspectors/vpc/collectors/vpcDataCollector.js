@@ -0,0 +1,149 @@
+/**
+ * VPC Data Collector
+ * VPC 네트워크 관련 데이터 수집을 담당하는 모듈
+ * 서브넷/인스턴스 조회는 EC2DataCollector의 구현을 그대로 사용
+ */
+
+const {
+  DescribeVpcsCommand,
+  DescribeFlowLogsCommand,
+  DescribeNetworkAclsCommand,
+  DescribeNetworkInterfacesCommand,
+  DescribeAddressesCommand,
+  DescribeNatGatewaysCommand
+} = require('@aws-sdk/client-ec2');
+const EC2DataCollector = require('../../ec2/collectors/ec2DataCollector');
+
+class VPCDataCollector extends EC2DataCollector {
+  /**
+   * VPC 목록 조회
+   */
+  async getVpcs() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeVpcs', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeVpcs',
+          (nextToken) => this.ec2Client.send(new DescribeVpcsCommand({ NextToken: nextToken })),
+          (response) => response.Vpcs,
+          (response) => response.NextToken
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getVpcs' });
+      throw error;
+    }
+  }
+
+  /**
+   * VPC 플로우 로그 목록 조회
+   */
+  async getFlowLogs() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeFlowLogs', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeFlowLogs',
+          (nextToken) => this.ec2Client.send(new DescribeFlowLogsCommand({ NextToken: nextToken })),
+          (response) => response.FlowLogs,
+          (response) => response.NextToken
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getFlowLogs' });
+      throw error;
+    }
+  }
+
+  /**
+   * 네트워크 ACL 목록 조회
+   */
+  async getNetworkAcls() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeNetworkAcls', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeNetworkAcls',
+          (nextToken) => this.ec2Client.send(new DescribeNetworkAclsCommand({ NextToken: nextToken })),
+          (response) => response.NetworkAcls,
+          (response) => response.NextToken
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getNetworkAcls' });
+      throw error;
+    }
+  }
+
+  /**
+   * 특정 VPC의 네트워크 인터페이스 조회
+   */
+  async getNetworkInterfacesForVpc(vpcId) {
+    try {
+      return await this.inspector.collectAllPages(
+        'DescribeNetworkInterfaces',
+        (nextToken) => this.ec2Client.send(new DescribeNetworkInterfacesCommand({
+          Filters: [
+            {
+              Name: 'vpc-id',
+              Values: [vpcId]
+            }
+          ],
+          NextToken: nextToken
+        })),
+        (response) => response.NetworkInterfaces,
+        (response) => response.NextToken
+      );
+    } catch (error) {
+      this.inspector.recordError(error, {
+        operation: 'getNetworkInterfacesForVpc',
+        vpcId
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Elastic IP 목록 조회
+   */
+  async getAddresses() {
+    try {
+      const command = new DescribeAddressesCommand({});
+      const response = await this.inspector.retryableApiCall(
+        () => this.ec2Client.send(command),
+        'DescribeAddresses'
+      );
+
+      return response.Addresses || [];
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getAddresses' });
+      throw error;
+    }
+  }
+
+  /**
+   * NAT 게이트웨이 목록 조회
+   */
+  async getNatGateways() {
+    try {
+      return await this.inspector.withCollectionCache('DescribeNatGateways', {}, () =>
+        this.inspector.collectAllPages(
+          'DescribeNatGateways',
+          (nextToken) => this.ec2Client.send(new DescribeNatGatewaysCommand({ NextToken: nextToken })),
+          (response) => response.NatGateways,
+          (response) => response.NextToken
+        )
+      );
+    } catch (error) {
+      this.inspector.recordError(error, { operation: 'getNatGateways' });
+      throw error;
+    }
+  }
+
+  /**
+   * 리소스 표시용 이름 (Name 태그 우선)
+   */
+  getResourceLabel(resource, resourceId) {
+    const nameTag = resource.Tags?.find(tag => tag.Key === 'Name');
+    return nameTag ? `${nameTag.Value} (${resourceId})` : resourceId;
+  }
+}
+
+module.exports = VPCDataCollector;
@@ -0,0 +1,263 @@
+const { GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { dynamoDBDocClient } = require('../config/aws');
+const LifecycleCatalog = require('../models/LifecycleCatalog');
+const defaultCatalog = require('../config/lifecycleCatalog.json');
+
+const { CURRENT_CATALOG_ID, compareVersions } = LifecycleCatalog.helpers;
+
+// 다른 인스턴스에서 업로드한 카탈로그를 반영하기 위한 캐시 유지 시간
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Lifecycle Catalog Service
+ * OS, 데이터베이스 엔진, 런타임 버전별 지원 종료(EOL) 일정을 관리하는 서비스
+ *
+ * - 기본 카탈로그: config/lifecycleCatalog.json (배포 시 포함)
+ * - 관리자가 업로드한 카탈로그는 DynamoDB(LifecycleCatalogs 테이블)에 저장되어 재배포 없이 적용
+ * - 기본 카탈로그와 업로드된 카탈로그 중 버전이 높은 쪽을 사용 (이후 배포된 기본 카탈로그가 오래된 업로드에 가려지지 않도록)
+ */
+class LifecycleCatalogService {
+  constructor() {
+    this.client = dynamoDBDocClient;
+    this.tableName = process.env.AWS_DYNAMODB_LIFECYCLE_CATALOG_TABLE || LifecycleCatalog.tableName;
+    this.catalog = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * 현재 카탈로그 조회 (업로드된 카탈로그를 읽을 수 없으면 마지막으로 읽은 카탈로그 또는 기본 카탈로그 사용)
+   * @returns {Promise<Object>} 카탈로그
+   */
+  async getCatalog() {
+    if (this.catalog && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.catalog;
+    }
+
+    // 동시에 들어온 조회는 같은 로드 결과를 공유
+    if (!this.loading) {
+      this.loading = this.loadCatalog().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async loadCatalog() {
+    let stored = null;
+
+    try {
+      stored = await this.getStoredCatalog();
+    } catch (error) {
+      console.warn('[LifecycleCatalog] Failed to load uploaded catalog:', error.message);
+      if (this.catalog) return this.catalog;
+    }
+
+    this.catalog = this.selectCatalog(stored);
+    this.loadedAt = Date.now();
+    return this.catalog;
+  }
+
+  /**
+   * DynamoDB에 저장된 업로드 카탈로그 조회
+   * @returns {Promise<Object|null>} 업로드된 카탈로그 (없으면 null)
+   */
+  async getStoredCatalog() {
+    const response = await this.client.send(new GetCommand({
+      TableName: this.tableName,
+      Key: { catalogId: CURRENT_CATALOG_ID }
+    }));
+
+    if (!response.Item) return null;
+
+    const { catalogId, ...catalog } = response.Item;
+    return catalog;
+  }
+
+  /**
+   * 기본 카탈로그와 업로드된 카탈로그 중 적용할 카탈로그 선택 (버전이 높은 쪽)
+   * @param {Object|null} stored - 업로드된 카탈로그
+   * @returns {Object} 적용할 카탈로그 (source: 'default' | 'uploaded')
+   */
+  selectCatalog(stored) {
+    const bundled = { ...defaultCatalog, source: 'default' };
+    if (!stored) return bundled;
+
+    const validation = this.validateCatalog(stored);
+    if (!validation.isValid) {
+      console.warn('[LifecycleCatalog] Uploaded catalog is invalid, using default:', validation.errors);
+      return bundled;
+    }
+
+    return compareVersions(stored.version, bundled.version) > 0
+      ? { ...stored, source: 'uploaded' }
+      : bundled;
+  }
+
+  /**
+   * 특정 버전의 지원 종료 상태 조회
+   * @param {string} productId - 제품 ID (예: windows-server, rds-mysql, lambda-runtime, eks)
+   * @param {string} version - 버전
+   * @param {number} withinMonths - 지원 종료 임박으로 판단할 기간 (개월)
+   * @param {Date} referenceDate - 기준 날짜
+   * @returns {Promise<Object|null>} { productId, productName, version, endDate, status, daysUntilEnd } 또는 카탈로그에 없으면 null
+   *   status: 'ended' | 'ending' | 'supported'
+   */
+  async getLifecycleStatus(productId, version, withinMonths = 6, referenceDate = new Date()) {
+    const { products } = await this.getCatalog();
+    const product = products[productId];
+    const entry = product?.versions?.[version];
+    if (!entry) return null;
+
+    return this.buildStatus(productId, product, version, entry, withinMonths, referenceDate);
+  }
+
+  /**
+   * 지원이 종료되었거나 기간 내 종료 예정인 버전 목록 조회
+   * @param {number} withinMonths - 지원 종료 임박으로 판단할 기간 (개월)
+   * @param {string} productId - 특정 제품만 조회 (생략 시 전체)
+   * @returns {Promise<Array>} 지원 종료 상태 목록 (종료일 순)
+   */
+  async getEndingVersions(withinMonths = 6, productId = null) {
+    const { products } = await this.getCatalog();
+    const referenceDate = new Date();
+    const results = [];
+
+    for (const [id, product] of Object.entries(products)) {
+      if (productId && id !== productId) continue;
+
+      for (const [version, entry] of Object.entries(product.versions)) {
+        const status = this.buildStatus(id, product, version, entry, withinMonths, referenceDate);
+        if (status.status !== 'supported') {
+          results.push(status);
+        }
+      }
+    }
+
+    return results.sort((a, b) => a.endDate - b.endDate);
+  }
+
+  buildStatus(productId, product, version, entry, withinMonths, referenceDate) {
+    const endDate = new Date(entry.endDate);
+    const warningDate = new Date(endDate);
+    warningDate.setMonth(warningDate.getMonth() - withinMonths);
+
+    let status = 'supported';
+    if (referenceDate > endDate) {
+      status = 'ended';
+    } else if (referenceDate > warningDate) {
+      status = 'ending';
+    }
+
+    return {
+      productId,
+      productName: product.name,
+      version,
+      endDate,
+      status,
+      daysUntilEnd: Math.ceil((endDate - referenceDate) / (1000 * 60 * 60 * 24))
+    };
+  }
+
+  /**
+   * 카탈로그 구조 검증
+   * @param {Object} catalog - 검증할 카탈로그
+   * @returns {Object} { isValid, errors }
+   */
+  validateCatalog(catalog) {
+    const errors = [];
+
+    if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) {
+      return { isValid: false, errors: ['Catalog must be a JSON object'] };
+    }
+
+    if (typeof catalog.version !== 'string' || !/^\d+(\.\d+)*$/.test(catalog.version)) {
+      errors.push('version must be dot-separated numbers (e.g. 2026.10.0)');
+    }
+
+    if (!catalog.products || typeof catalog.products !== 'object' || Array.isArray(catalog.products)) {
+      errors.push('products must be an object keyed by product ID');
+      return { isValid: false, errors };
+    }
+
+    for (const [productId, product] of Object.entries(catalog.products)) {
+      if (!product?.name) {
+        errors.push(`products.${productId}.name is required`);
+      }
+
+      if (!product?.versions || typeof product.versions !== 'object') {
+        errors.push(`products.${productId}.versions must be an object keyed by version`);
+        continue;
+      }
+
+      for (const [version, entry] of Object.entries(product.versions)) {
+        if (!entry?.endDate || Number.isNaN(new Date(entry.endDate).getTime())) {
+          errors.push(`products.${productId}.versions.${version}.endDate must be a valid date (YYYY-MM-DD)`);
+        }
+      }
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * 관리자 업로드 카탈로그 적용
+   * 현재 적용된 카탈로그보다 버전이 높아야 하며, 다음 검사부터 새 카탈로그가 사용됨
+   * @param {Object} catalog - 업로드된 카탈로그
+   * @param {string} updatedBy - 업로드한 관리자
+   * @returns {Promise<Object>} 처리 결과
+   */
+  async updateCatalog(catalog, updatedBy) {
+    const validation = this.validateCatalog(catalog);
+    if (!validation.isValid) {
+      return { success: false, code: 'INVALID_CATALOG', errors: validation.errors };
+    }
+
+    const stored = await this.getStoredCatalog();
+    const current = this.selectCatalog(stored);
+    if (compareVersions(catalog.version, current.version) <= 0) {
+      return {
+        success: false,
+        code: 'VERSION_CONFLICT',
+        errors: [`Catalog version ${catalog.version} must be newer than the applied version ${current.version}`]
+      };
+    }
+
+    const { source, catalogId, ...catalogData } = catalog;
+    const applied = {
+      ...catalogData,
+      previousVersion: current.version,
+      updatedAt: new Date().toISOString(),
+      updatedBy
+    };
+
+    // 조회 이후 다른 관리자가 먼저 업로드한 경우 덮어쓰지 않음
+    try {
+      await this.client.send(new PutCommand({
+        TableName: this.tableName,
+        Item: { ...applied, catalogId: CURRENT_CATALOG_ID },
+        ConditionExpression: stored ? '#version = :storedVersion' : 'attribute_not_exists(catalogId)',
+        ...(stored ? {
+          ExpressionAttributeNames: { '#version': 'version' },
+          ExpressionAttributeValues: { ':storedVersion': stored.version }
+        } : {})
+      }));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return {
+          success: false,
+          code: 'VERSION_CONFLICT',
+          errors: ['Catalog was updated by another request, reload and try again']
+        };
+      }
+      throw error;
+    }
+
+    this.catalog = { ...applied, source: 'uploaded' };
+    this.loadedAt = Date.now();
+
+    return { success: true, catalog: this.catalog };
+  }
+}
+
+module.exports = new LifecycleCatalogService();
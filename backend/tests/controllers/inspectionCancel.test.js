@@ -0,0 +1,118 @@
+const request = require('supertest');
+const express = require('express');
+const inspectionController = require('../../controllers/inspectionController');
+const inspectionService = require('../../services/inspectionService');
+
+jest.mock('../../services/inspectionService');
+
+const app = express();
+app.use(express.json());
+
+// Mock authentication middleware
+app.use((req, res, next) => {
+  req.user = { userId: 'test-customer-id' };
+  next();
+});
+
+app.post('/api/inspections/batch/:batchId/cancel', inspectionController.cancelBatchInspection);
+app.post('/api/inspections/:id/cancel', inspectionController.cancelInspection);
+
+describe('Inspection cancel endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/inspections/:id/cancel', () => {
+    it('should accept the cancellation request', async () => {
+      inspectionService.cancelInspection.mockReturnValue({
+        success: true,
+        data: { inspectionId: 'inspection-1', batchId: 'batch-1', status: 'CANCELLING' }
+      });
+
+      const response = await request(app).post('/api/inspections/inspection-1/cancel');
+
+      expect(response.status).toBe(202);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toMatchObject({ inspectionId: 'inspection-1', status: 'CANCELLING' });
+      expect(inspectionService.cancelInspection).toHaveBeenCalledWith('test-customer-id', 'inspection-1');
+    });
+
+    it('should return 404 when inspection is not found', async () => {
+      inspectionService.cancelInspection.mockReturnValue({
+        success: false,
+        error: { code: 'INSPECTION_NOT_FOUND', message: 'Inspection not found or already cleaned up' }
+      });
+
+      const response = await request(app).post('/api/inspections/missing/cancel');
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('INSPECTION_NOT_FOUND');
+    });
+
+    it('should return 409 when inspection has already finished', async () => {
+      inspectionService.cancelInspection.mockReturnValue({
+        success: false,
+        error: { code: 'INSPECTION_NOT_CANCELLABLE', message: 'Inspection is already COMPLETED' }
+      });
+
+      const response = await request(app).post('/api/inspections/inspection-1/cancel');
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('INSPECTION_NOT_CANCELLABLE');
+    });
+
+    it('should return 500 when the service throws', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      inspectionService.cancelInspection.mockImplementation(() => {
+        throw new Error('boom');
+      });
+
+      const response = await request(app).post('/api/inspections/inspection-1/cancel');
+
+      expect(response.status).toBe(500);
+      expect(response.body.error.code).toBe('INTERNAL_ERROR');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('POST /api/inspections/batch/:batchId/cancel', () => {
+    it('should accept the batch cancellation request', async () => {
+      inspectionService.cancelBatch.mockReturnValue({
+        success: true,
+        data: { batchId: 'batch-1', cancelledInspections: ['inspection-1', 'inspection-2'], status: 'CANCELLING' }
+      });
+
+      const response = await request(app).post('/api/inspections/batch/batch-1/cancel');
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.cancelledInspections).toEqual(['inspection-1', 'inspection-2']);
+      expect(inspectionService.cancelBatch).toHaveBeenCalledWith('test-customer-id', 'batch-1');
+      expect(inspectionService.cancelInspection).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when batch is not found', async () => {
+      inspectionService.cancelBatch.mockReturnValue({
+        success: false,
+        error: { code: 'BATCH_NOT_FOUND', message: 'Batch not found or already cleaned up' }
+      });
+
+      const response = await request(app).post('/api/inspections/batch/missing/cancel');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('BATCH_NOT_FOUND');
+    });
+
+    it('should return 409 when every inspection in the batch has finished', async () => {
+      inspectionService.cancelBatch.mockReturnValue({
+        success: false,
+        error: { code: 'BATCH_NOT_CANCELLABLE', message: 'All inspections in this batch have already finished' }
+      });
+
+      const response = await request(app).post('/api/inspections/batch/batch-1/cancel');
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('BATCH_NOT_CANCELLABLE');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const request = require('supertest');
+const express = require('express');
+const { validateInspectionStart } = require('../../middleware/validation');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+
+  app.post('/start', validateInspectionStart, (req, res) => {
+    res.json({ success: true, body: req.body });
+  });
+
+  return app;
+};
+
+const baseRequest = {
+  serviceType: 'ec2',
+  assumeRoleArn: 'arn:aws:iam::123456789012:role/InspectionRole'
+};
+
+describe('validateInspectionStart', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createTestApp();
+  });
+
+  test('should accept port numbers and { port, service } entries', async () => {
+    const response = await request(app)
+      .post('/start')
+      .send({
+        ...baseRequest,
+        inspectionConfig: {
+          dangerousPorts: [22, { port: 3389, service: 'RDP' }],
+          additionalDangerousPorts: [0, 65535],
+          wideCidrPrefixLength: 16,
+          wideIpv6CidrPrefixLength: 48
+        }
+      })
+      .expect(200);
+
+    expect(response.body.body.serviceType).toBe('EC2');
+  });
+
+  test('should reject ports outside 0-65535 or non-integer ports', async () => {
+    const response = await request(app)
+      .post('/start')
+      .send({
+        ...baseRequest,
+        inspectionConfig: {
+          dangerousPorts: [22, 70000, '3306'],
+          additionalDangerousPorts: [{ port: 80.5 }]
+        }
+      })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(response.body.error.details).toContain('dangerousPorts[1]');
+    expect(response.body.error.details).toContain('dangerousPorts[2]');
+    expect(response.body.error.details).toContain('additionalDangerousPorts[0]');
+  });
+
+  test('should reject a port list that is not an array', async () => {
+    const response = await request(app)
+      .post('/start')
+      .send({ ...baseRequest, inspectionConfig: { additionalDangerousPorts: 22 } })
+      .expect(400);
+
+    expect(response.body.error.details).toContain('additionalDangerousPorts must be an array');
+  });
+
+  test('should reject invalid service names and prefix lengths', async () => {
+    const response = await request(app)
+      .post('/start')
+      .send({
+        ...baseRequest,
+        inspectionConfig: {
+          dangerousPorts: [{ port: 22, service: '' }],
+          wideCidrPrefixLength: 33,
+          wideIpv6CidrPrefixLength: 0
+        }
+      })
+      .expect(400);
+
+    expect(response.body.error.details).toContain('dangerousPorts[0].service');
+    expect(response.body.error.details).toContain('wideCidrPrefixLength must be an integer between 1 and 32');
+    expect(response.body.error.details).toContain('wideIpv6CidrPrefixLength must be an integer between 1 and 128');
+  });
+
+  test('should reject a check concurrency above the server limit', async () => {
+    const response = await request(app)
+      .post('/start')
+      .send({ ...baseRequest, inspectionConfig: { checkConcurrency: 1000 } })
+      .expect(400);
+
+    expect(response.body.error.details).toContain('checkConcurrency must be an integer between 1 and 8');
+  });
+
+  test('should reject negative or non-numeric commitment coverage settings', async () => {
+    const response = await request(app)
+      .post('/start')
+      .send({ ...baseRequest, inspectionConfig: { minCommitmentMonthlyAmount: -1, steadyStateDays: '30' } })
+      .expect(400);
+
+    expect(response.body.error.details).toContain('minCommitmentMonthlyAmount must be a number greater than or equal to 0');
+    expect(response.body.error.details).toContain('steadyStateDays must be a number greater than or equal to 0');
+  });
+
+  test('should reject rightsizing lookback periods outside 1-60 days', async () => {
+    const response = await request(app)
+      .post('/start')
+      .send({ ...baseRequest, inspectionConfig: { rightsizingLookbackDays: 90 } })
+      .expect(400);
+
+    expect(response.body.error.details).toContain('rightsizingLookbackDays must be an integer between 1 and 60');
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config/aws', () => ({
+  dynamoDBDocClient: { send: jest.fn() }
+}));
+
+const { dynamoDBDocClient } = require('../../config/aws');
+
+const loadStore = (storeType) => {
+  process.env.INSPECTION_JOB_STORE = storeType;
+
+  let store;
+  jest.isolateModules(() => {
+    store = require('../../services/inspectionJobStore');
+  });
+  return store;
+};
+
+const batch = {
+  batchId: 'batch-1',
+  customerId: 'customer-1',
+  status: 'IN_PROGRESS',
+  createdAt: Date.now(),
+  updatedAt: Date.now()
+};
+const jobs = [
+  { inspectionId: 'job-1', itemId: 'security-groups', status: 'PENDING' },
+  { inspectionId: 'job-2', itemId: 'ami-age', status: 'PENDING' }
+];
+
+describe('InspectionJobStore', () => {
+  afterEach(() => {
+    delete process.env.INSPECTION_JOB_STORE;
+    delete process.env.INSPECTION_JOB_STORE_PATH;
+    jest.clearAllMocks();
+  });
+
+  describe('file store', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inspection-jobs-'));
+      process.env.INSPECTION_JOB_STORE_PATH = path.join(tempDir, 'jobs.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should save, update and read a batch back after reload', async () => {
+      const store = loadStore('file');
+      await store.saveBatch(batch, jobs);
+      await store.updateJob('batch-1', 'job-1', { status: 'COMPLETED' });
+      await store.updateBatch('batch-1', { status: 'COMPLETED' });
+
+      // 새 프로세스에서 파일을 다시 읽는 경우
+      const reloaded = loadStore('file');
+      const stored = await reloaded.getBatch('batch-1');
+
+      expect(stored.batch.status).toBe('COMPLETED');
+      expect(stored.jobs.find(job => job.inspectionId === 'job-1').status).toBe('COMPLETED');
+      expect(stored.jobs.find(job => job.inspectionId === 'job-2').status).toBe('PENDING');
+    });
+
+    it('should return only active batches', async () => {
+      const store = loadStore('file');
+      await store.saveBatch(batch, jobs);
+      await store.saveBatch({ ...batch, batchId: 'batch-2', status: 'COMPLETED' }, []);
+
+      const active = await store.findActiveBatches();
+
+      expect(active.map(entry => entry.batch.batchId)).toEqual(['batch-1']);
+    });
+
+    it('should ignore updates for unknown batches and return null for missing ones', async () => {
+      const store = loadStore('file');
+
+      await store.updateJob('missing', 'job-1', { status: 'FAILED' });
+
+      await expect(store.getBatch('missing')).resolves.toBeNull();
+    });
+  });
+
+  describe('dynamodb store', () => {
+    it('should write batch and job records with a shared TTL', async () => {
+      const store = loadStore('dynamodb');
+      dynamoDBDocClient.send.mockResolvedValue({});
+
+      await store.saveBatch(batch, jobs);
+
+      expect(dynamoDBDocClient.send).toHaveBeenCalledTimes(1);
+      const items = dynamoDBDocClient.send.mock.calls[0][0].input.RequestItems.InspectionJobs
+        .map(request => request.PutRequest.Item);
+      expect(items.map(item => item.recordKey)).toEqual(['BATCH', 'JOB#job-1', 'JOB#job-2']);
+      expect(new Set(items.map(item => item.expiresAt)).size).toBe(1);
+      expect(items[0].expiresAt).toBeGreaterThan(Math.floor(batch.createdAt / 1000));
+    });
+
+    it('should write large batches in chunks of 25 records', async () => {
+      const store = loadStore('dynamodb');
+      dynamoDBDocClient.send.mockResolvedValue({});
+      const manyJobs = Array.from({ length: 30 }, (_, index) => ({ inspectionId: `job-${index}`, status: 'PENDING' }));
+
+      await store.saveBatch(batch, manyJobs);
+
+      const chunkSizes = dynamoDBDocClient.send.mock.calls
+        .map(([command]) => command.input.RequestItems.InspectionJobs.length);
+      expect(chunkSizes).toEqual([25, 6]);
+    });
+
+    it('should retry unprocessed records', async () => {
+      const store = loadStore('dynamodb');
+      const unprocessed = [{ PutRequest: { Item: { batchId: 'batch-1', recordKey: 'JOB#job-2' } } }];
+      dynamoDBDocClient.send
+        .mockResolvedValueOnce({ UnprocessedItems: { InspectionJobs: unprocessed } })
+        .mockResolvedValueOnce({ UnprocessedItems: {} });
+
+      await store.saveBatch(batch, jobs);
+
+      expect(dynamoDBDocClient.send).toHaveBeenCalledTimes(2);
+      expect(dynamoDBDocClient.send.mock.calls[1][0].input.RequestItems).toEqual({ InspectionJobs: unprocessed });
+    });
+
+    it('should fail when records stay unprocessed', async () => {
+      const store = loadStore('dynamodb');
+      const unprocessed = [{ PutRequest: { Item: { batchId: 'batch-1', recordKey: 'JOB#job-2' } } }];
+      dynamoDBDocClient.send.mockResolvedValue({ UnprocessedItems: { InspectionJobs: unprocessed } });
+
+      await expect(store.saveBatch(batch, jobs)).rejects.toThrow('Failed to write 1 inspection job records');
+      expect(dynamoDBDocClient.send).toHaveBeenCalledTimes(5);
+    });
+
+    it('should only update existing records', async () => {
+      const store = loadStore('dynamodb');
+      dynamoDBDocClient.send.mockResolvedValue({});
+
+      await store.updateJob('batch-1', 'job-1', { status: 'FAILED', error: undefined });
+
+      const { input } = dynamoDBDocClient.send.mock.calls[0][0];
+      expect(input.Key).toEqual({ batchId: 'batch-1', recordKey: 'JOB#job-1' });
+      expect(input.ConditionExpression).toBe('attribute_exists(batchId)');
+      expect(Object.values(input.ExpressionAttributeNames)).toEqual(['status', 'updatedAt']);
+    });
+
+    it('should split batch and job records across query pages', async () => {
+      const store = loadStore('dynamodb');
+      dynamoDBDocClient.send
+        .mockResolvedValueOnce({
+          Items: [{ batchId: 'batch-1', recordKey: 'BATCH', status: 'IN_PROGRESS' }],
+          LastEvaluatedKey: { batchId: 'batch-1', recordKey: 'BATCH' }
+        })
+        .mockResolvedValueOnce({
+          Items: [{ batchId: 'batch-1', recordKey: 'JOB#job-1', inspectionId: 'job-1' }]
+        });
+
+      const stored = await store.getBatch('batch-1');
+
+      expect(stored.batch).toEqual({ batchId: 'batch-1', status: 'IN_PROGRESS' });
+      expect(stored.jobs).toEqual([{ batchId: 'batch-1', inspectionId: 'job-1' }]);
+      expect(dynamoDBDocClient.send.mock.calls[1][0].input.ExclusiveStartKey).toEqual({ batchId: 'batch-1', recordKey: 'BATCH' });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const loadScheduler = ({ maxConcurrency, maxConcurrencyPerCustomer }) => {
+  process.env.INSPECTION_MAX_CONCURRENCY = String(maxConcurrency);
+  process.env.INSPECTION_MAX_CONCURRENCY_PER_CUSTOMER = String(maxConcurrencyPerCustomer);
+
+  let scheduler;
+  jest.isolateModules(() => {
+    scheduler = require('../../services/inspectionScheduler');
+  });
+  return scheduler;
+};
+
+// 수동으로 완료시키는 작업 (실행 순서와 동시 실행 수 확인용)
+const createTask = (name, log) => {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  const task = () => {
+    log.push(name);
+    return done.then(() => name);
+  };
+  return { task, finish };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('InspectionScheduler', () => {
+  afterEach(() => {
+    delete process.env.INSPECTION_MAX_CONCURRENCY;
+    delete process.env.INSPECTION_MAX_CONCURRENCY_PER_CUSTOMER;
+  });
+
+  it('should limit concurrency per customer and run queued tasks in order', async () => {
+    const scheduler = loadScheduler({ maxConcurrency: 10, maxConcurrencyPerCustomer: 2 });
+    const started = [];
+    const tasks = ['a', 'b', 'c', 'd'].map(name => createTask(name, started));
+
+    const results = tasks.map(({ task }) => scheduler.schedule({ customerId: 'c1' }, task));
+    await flush();
+
+    expect(started).toEqual(['a', 'b']);
+    expect(scheduler.getStats()).toMatchObject({ running: 2, queued: 2 });
+
+    tasks[1].finish();
+    await flush();
+    expect(started).toEqual(['a', 'b', 'c']);
+
+    tasks[0].finish();
+    tasks[2].finish();
+    tasks[3].finish();
+    await expect(Promise.all(results)).resolves.toEqual(['a', 'b', 'c', 'd']);
+    expect(scheduler.getStats()).toMatchObject({ running: 0, queued: 0 });
+  });
+
+  it('should let other customers run while one customer is at its limit', async () => {
+    const scheduler = loadScheduler({ maxConcurrency: 3, maxConcurrencyPerCustomer: 1 });
+    const started = [];
+    const first = createTask('c1-first', started);
+    const second = createTask('c1-second', started);
+    const other = createTask('c2-first', started);
+
+    scheduler.schedule({ customerId: 'c1' }, first.task);
+    scheduler.schedule({ customerId: 'c1' }, second.task);
+    scheduler.schedule({ customerId: 'c2' }, other.task);
+    await flush();
+
+    expect(started).toEqual(['c1-first', 'c2-first']);
+    [first, second, other].forEach(({ finish }) => finish());
+  });
+
+  it('should enforce the global limit across customers', async () => {
+    const scheduler = loadScheduler({ maxConcurrency: 2, maxConcurrencyPerCustomer: 2 });
+    const started = [];
+    const tasks = ['c1', 'c2', 'c3'].map(customerId => ({ customerId, ...createTask(customerId, started) }));
+
+    tasks.forEach(({ customerId, task }) => scheduler.schedule({ customerId }, task));
+    await flush();
+    expect(started).toEqual(['c1', 'c2']);
+
+    tasks[0].finish();
+    await flush();
+    expect(started).toEqual(['c1', 'c2', 'c3']);
+    tasks.slice(1).forEach(({ finish }) => finish());
+  });
+
+  it('should report queue positions and dequeue events', async () => {
+    const scheduler = loadScheduler({ maxConcurrency: 10, maxConcurrencyPerCustomer: 1 });
+    const events = [];
+    const running = createTask('running', []);
+    const waiting = ['first', 'second'].map(name => createTask(name, []));
+
+    scheduler.schedule({ customerId: 'c1' }, running.task);
+    waiting.forEach(({ task }, index) => scheduler.schedule({
+      customerId: 'c1',
+      onQueued: position => events.push(`queued:${index}@${position}`),
+      onDequeued: () => events.push(`dequeued:${index}`)
+    }, task));
+
+    expect(events).toEqual(['queued:0@1', 'queued:1@2']);
+
+    running.finish();
+    await flush();
+    expect(events).toEqual(['queued:0@1', 'queued:1@2', 'dequeued:0', 'queued:1@1']);
+    waiting.forEach(({ finish }) => finish());
+  });
+
+  it('should release the slot when a task fails', async () => {
+    const scheduler = loadScheduler({ maxConcurrency: 1, maxConcurrencyPerCustomer: 1 });
+
+    const failed = scheduler.schedule({ customerId: 'c1' }, async () => { throw new Error('boom'); });
+    const next = scheduler.schedule({ customerId: 'c1' }, async () => 'next');
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('next');
+  });
+});
@@ -0,0 +1,187 @@
+jest.mock('../../services/inspectionJobStore', () => ({
+  saveBatch: jest.fn(),
+  updateBatch: jest.fn(),
+  updateJob: jest.fn(),
+  getBatch: jest.fn(),
+  findActiveBatches: jest.fn()
+}));
+jest.mock('../../services/websocketService', () => ({
+  broadcastStatusChange: jest.fn(),
+  broadcastProgressUpdate: jest.fn()
+}));
+jest.mock('../../services/dynamoService', () => ({
+  saveInspectionItem: jest.fn()
+}));
+
+const inspectionJobStore = require('../../services/inspectionJobStore');
+const webSocketService = require('../../services/websocketService');
+const dynamoService = require('../../services/dynamoService');
+const inspectionService = require('../../services/inspectionService');
+const inspectionItemService = require('../../services/inspectionItemService');
+const InspectionStatus = require('../../models/InspectionStatus');
+
+describe('InspectionService cancellation', () => {
+  const addInspection = (inspectionId, status, customerId = 'customer-1', batchId = 'batch-1') => {
+    const inspectionStatus = new InspectionStatus({ inspectionId, status, batchId, itemId: `item-${inspectionId}` });
+    inspectionService.activeInspections.set(inspectionId, inspectionStatus);
+
+    const batchInfo = inspectionService.activeBatches.get(batchId) ||
+      { customerId, inspectionIds: [] };
+    batchInfo.inspectionIds.push(inspectionId);
+    inspectionService.activeBatches.set(batchId, batchInfo);
+
+    return inspectionStatus;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    inspectionService.activeInspections.clear();
+    inspectionService.activeBatches.clear();
+    inspectionService.cancellationControllers.clear();
+    inspectionJobStore.updateJob.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('cancelInspection', () => {
+    it('should abort a running inspection', () => {
+      addInspection('job-1', 'IN_PROGRESS');
+      const controller = new AbortController();
+      inspectionService.cancellationControllers.set('job-1', controller);
+
+      const result = inspectionService.cancelInspection('customer-1', 'job-1');
+
+      expect(result).toEqual({
+        success: true,
+        data: { inspectionId: 'job-1', batchId: 'batch-1', status: 'CANCELLING' }
+      });
+      expect(controller.signal.aborted).toBe(true);
+    });
+
+    it('should cancel a queued inspection immediately', async () => {
+      const inspectionStatus = addInspection('job-1', 'QUEUED');
+
+      const result = inspectionService.cancelInspection('customer-1', 'job-1');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(result.data.status).toBe('CANCELLED');
+      expect(inspectionStatus.status).toBe('CANCELLED');
+      expect(inspectionJobStore.updateJob).toHaveBeenCalledWith(
+        'batch-1', 'job-1', expect.objectContaining({ status: 'CANCELLED' })
+      );
+      expect(webSocketService.broadcastStatusChange).toHaveBeenCalledWith('batch-1', expect.objectContaining({
+        status: 'ITEM_CANCELLED',
+        cancelledItem: { inspectionId: 'job-1', itemId: 'item-job-1', findingsCount: 0 }
+      }));
+    });
+
+    it('should not find an inspection owned by another customer', () => {
+      addInspection('job-1', 'IN_PROGRESS', 'customer-2');
+
+      const result = inspectionService.cancelInspection('customer-1', 'job-1');
+
+      expect(result.success).toBe(false);
+      expect(result.error.code).toBe('INSPECTION_NOT_FOUND');
+    });
+
+    it('should reject a finished inspection', () => {
+      addInspection('job-1', 'COMPLETED');
+
+      const result = inspectionService.cancelInspection('customer-1', 'job-1');
+
+      expect(result.success).toBe(false);
+      expect(result.error.code).toBe('INSPECTION_NOT_CANCELLABLE');
+    });
+  });
+
+  describe('cancelBatch', () => {
+    it('should cancel only unfinished inspections', () => {
+      addInspection('job-1', 'COMPLETED');
+      addInspection('job-2', 'IN_PROGRESS');
+      addInspection('job-3', 'PENDING');
+
+      const result = inspectionService.cancelBatch('customer-1', 'batch-1');
+
+      expect(result.success).toBe(true);
+      expect(result.data.cancelledInspections).toEqual(['job-2', 'job-3']);
+      expect(inspectionService.activeInspections.get('job-1').status).toBe('COMPLETED');
+      expect(webSocketService.broadcastStatusChange).toHaveBeenCalledTimes(1);
+      expect(webSocketService.broadcastStatusChange).toHaveBeenCalledWith('batch-1', expect.objectContaining({
+        status: 'ITEM_CANCELLED',
+        cancelledItem: expect.objectContaining({ inspectionId: 'job-3' })
+      }));
+    });
+
+    it('should not find a batch owned by another customer', () => {
+      addInspection('job-1', 'IN_PROGRESS', 'customer-2');
+
+      const result = inspectionService.cancelBatch('customer-1', 'batch-1');
+
+      expect(result.error.code).toBe('BATCH_NOT_FOUND');
+    });
+
+    it('should reject a batch whose inspections have all finished', () => {
+      addInspection('job-1', 'COMPLETED');
+      addInspection('job-2', 'FAILED');
+
+      const result = inspectionService.cancelBatch('customer-1', 'batch-1');
+
+      expect(result.error.code).toBe('BATCH_NOT_CANCELLABLE');
+    });
+  });
+
+  describe('handleCancelledInspection', () => {
+    it('should save partial results as cancelled without replacing the latest result', async () => {
+      addInspection('job-1', 'IN_PROGRESS');
+      dynamoService.saveInspectionItem.mockResolvedValue({ success: true });
+      const inspector = {
+        getPartialResults: () => [{
+          serviceType: 'EC2',
+          itemId: 'partial',
+          region: 'us-east-1',
+          findings: [{ resourceId: 'i-1' }],
+          partial: true,
+          cancelled: false
+        }]
+      };
+
+      await inspectionService.handleCancelledInspection('customer-1', 'job-1', inspector, {
+        batchId: 'batch-1',
+        targetItemId: 'dangerous-ports'
+      });
+
+      expect(dynamoService.saveInspectionItem).toHaveBeenCalledTimes(1);
+      const savedItem = dynamoService.saveInspectionItem.mock.calls[0][0];
+      expect(savedItem.itemKey).toMatch(/^HISTORY#/);
+      expect(savedItem).toMatchObject({
+        itemId: 'dangerous-ports',
+        cancelled: true,
+        inspectionStatus: 'CANCELLED',
+        inspectionId: 'job-1'
+      });
+      expect(inspectionService.activeInspections.get('job-1').status).toBe('CANCELLED');
+      expect(webSocketService.broadcastStatusChange).toHaveBeenCalledWith('batch-1', expect.objectContaining({
+        status: 'ITEM_CANCELLED'
+      }));
+    });
+  });
+
+  describe('inspectionItemService.saveItemResult', () => {
+    it('should save both history and latest records for completed results', async () => {
+      dynamoService.saveInspectionItem.mockResolvedValue({ success: true });
+
+      const result = await inspectionItemService.saveItemResult('customer-1', 'job-1', {
+        serviceType: 'EC2',
+        itemId: 'dangerous-ports',
+        findings: []
+      });
+
+      expect(result.success).toBe(true);
+      expect(dynamoService.saveInspectionItem).toHaveBeenCalledTimes(2);
+      expect(result.data.latestItem).toMatchObject({ inspectionStatus: 'COMPLETED', lastInspectionId: 'job-1' });
+    });
+  });
+});
@@ -0,0 +1,142 @@
+jest.mock('../../services/inspectionJobStore', () => ({
+  saveBatch: jest.fn(),
+  updateBatch: jest.fn(),
+  updateJob: jest.fn(),
+  getBatch: jest.fn(),
+  findActiveBatches: jest.fn()
+}));
+
+const inspectionJobStore = require('../../services/inspectionJobStore');
+const inspectionService = require('../../services/inspectionService');
+
+const InspectionService = inspectionService.constructor;
+
+describe('InspectionService job persistence', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    inspectionService.activeBatches.clear();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('getBatchStatus', () => {
+    const storedBatch = {
+      batch: {
+        batchId: 'batch-1',
+        customerId: 'customer-1',
+        serviceType: 'EC2',
+        region: 'us-east-1',
+        status: 'IN_PROGRESS',
+        totalItems: 4,
+        createdAt: 1,
+        updatedAt: 2
+      },
+      jobs: [
+        { inspectionId: 'job-1', itemId: 'a', status: 'COMPLETED' },
+        { inspectionId: 'job-2', itemId: 'b', status: 'FAILED', error: 'boom' },
+        { inspectionId: 'job-3', itemId: 'c', status: 'QUEUED' },
+        { inspectionId: 'job-4', itemId: 'd', status: 'IN_PROGRESS', percentage: 40 }
+      ]
+    };
+
+    it('should summarize job statuses from the store', async () => {
+      inspectionJobStore.getBatch.mockResolvedValue(storedBatch);
+
+      const result = await inspectionService.getBatchStatus('customer-1', 'batch-1');
+
+      expect(result.success).toBe(true);
+      expect(result.data.status).toBe('IN_PROGRESS');
+      expect(result.data.summary).toEqual({
+        totalItems: 4,
+        completedItems: 1,
+        failedItems: 1,
+        cancelledItems: 0,
+        queuedItems: 1,
+        runningItems: 1
+      });
+      expect(result.data.inspectionJobs[1]).toMatchObject({ inspectionId: 'job-2', error: 'boom' });
+      expect(result.data.inspectionJobs[3].percentage).toBe(40);
+    });
+
+    it('should not expose batches of other customers', async () => {
+      inspectionJobStore.getBatch.mockResolvedValue(storedBatch);
+
+      const result = await inspectionService.getBatchStatus('customer-2', 'batch-1');
+
+      expect(result).toEqual({
+        success: false,
+        error: { code: 'BATCH_NOT_FOUND', message: 'Batch not found' }
+      });
+    });
+
+    it('should return not found for missing batches', async () => {
+      inspectionJobStore.getBatch.mockResolvedValue(null);
+
+      const result = await inspectionService.getBatchStatus('customer-1', 'missing');
+
+      expect(result.error.code).toBe('BATCH_NOT_FOUND');
+    });
+  });
+
+  describe('recoverInterruptedJobs', () => {
+    const activeBatch = (batchId, batchFields) => ({
+      batch: { batchId, status: 'IN_PROGRESS', ...batchFields },
+      jobs: [
+        { inspectionId: `${batchId}-done`, status: 'COMPLETED' },
+        { inspectionId: `${batchId}-running`, status: 'IN_PROGRESS' }
+      ]
+    });
+
+    it('should fail only stale batches and orphaned batches of this instance', async () => {
+      const now = Date.now();
+      inspectionJobStore.findActiveBatches.mockResolvedValue([
+        activeBatch('other-live', { ownerInstanceId: 'other', heartbeatAt: now }),
+        activeBatch('other-stale', { ownerInstanceId: 'other', heartbeatAt: now - InspectionService.STALE_HEARTBEAT_MS - 1000 }),
+        activeBatch('own-orphaned', { ownerInstanceId: inspectionService.instanceId, heartbeatAt: now })
+      ]);
+
+      const recovered = await inspectionService.recoverInterruptedJobs();
+
+      expect(recovered).toBe(2);
+      expect(inspectionJobStore.updateBatch.mock.calls.map(([batchId]) => batchId)).toEqual(['other-stale', 'own-orphaned']);
+      expect(inspectionJobStore.updateJob).toHaveBeenCalledWith('other-stale', 'other-stale-running', expect.objectContaining({ status: 'FAILED' }));
+      expect(inspectionJobStore.updateJob).not.toHaveBeenCalledWith('other-stale', 'other-stale-done', expect.anything());
+    });
+
+    it('should keep batches this instance is still running', async () => {
+      inspectionService.activeBatches.set('own-running', {});
+      inspectionJobStore.findActiveBatches.mockResolvedValue([
+        activeBatch('own-running', { ownerInstanceId: inspectionService.instanceId, heartbeatAt: 0 })
+      ]);
+
+      const recovered = await inspectionService.recoverInterruptedJobs();
+
+      expect(recovered).toBe(0);
+      expect(inspectionJobStore.updateBatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('persistJobStatus', () => {
+    it('should write updates for the same job in call order', async () => {
+      const writes = [];
+      inspectionJobStore.updateJob.mockImplementation((batchId, inspectionId, updates) => {
+        // 먼저 호출된 저장이 더 늦게 끝나도 순서가 유지되어야 함
+        const delay = updates.status === 'IN_PROGRESS' ? 20 : 0;
+        return new Promise(resolve => setTimeout(() => {
+          writes.push(updates.status);
+          resolve();
+        }, delay));
+      });
+
+      const status = { batchId: 'batch-1', inspectionId: 'job-1', status: 'IN_PROGRESS' };
+      const first = inspectionService.persistJobStatus({ ...status });
+      const second = inspectionService.persistJobStatus({ ...status, status: 'CANCELLED' });
+      await Promise.all([first, second]);
+
+      expect(writes).toEqual(['IN_PROGRESS', 'CANCELLED']);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const AccessKeyInspector = require('../../../services/inspectors/iam/checks/accessKeyInspector');
+const IAMDataCollector = require('../../../services/inspectors/iam/collectors/iamDataCollector');
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const reportRow = ({ lastRotated, lastUsed = 'N/A' }) => ({
+  user: 'deploy',
+  arn: 'arn:aws:iam::123456789012:user/deploy',
+  access_key_1_active: 'true',
+  access_key_1_last_rotated: lastRotated,
+  access_key_1_last_used_date: lastUsed,
+  access_key_2_active: 'false'
+});
+
+describe('AccessKeyInspector.checkUserAccessKeys', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = new AccessKeyInspector();
+    inspector.dataCollector = new IAMDataCollector({}, inspector);
+  });
+
+  it('should not flag a recently created key that has not been used yet', () => {
+    inspector.checkUserAccessKeys(reportRow({ lastRotated: daysAgo(3) }));
+
+    expect(inspector.findings).toHaveLength(0);
+  });
+
+  it('should flag a never-used key once it is older than the unused threshold', () => {
+    inspector.checkUserAccessKeys(reportRow({ lastRotated: daysAgo(120) }));
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('생성 후 120일 동안 한 번도 사용되지 않음');
+  });
+
+  it('should flag a key unused for longer than the threshold', () => {
+    inspector.checkUserAccessKeys(reportRow({ lastRotated: daysAgo(30), lastUsed: daysAgo(100) }));
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('100일 동안 사용되지 않음');
+  });
+
+  it('should not flag a recently rotated key in use', () => {
+    inspector.checkUserAccessKeys(reportRow({ lastRotated: daysAgo(30), lastUsed: daysAgo(1) }));
+
+    expect(inspector.findings).toHaveLength(0);
+  });
+});
+
+describe('IAMDataCollector.generateCredentialReport', () => {
+  it('should stop polling for the report when the inspection is cancelled', async () => {
+    const inspector = new AccessKeyInspector();
+    const controller = new AbortController();
+    inspector.cancellationSignal = controller.signal;
+    const iamClient = { send: jest.fn().mockResolvedValue({ State: 'STARTED' }) };
+    const collector = new IAMDataCollector(iamClient, inspector);
+
+    const pending = collector.generateCredentialReport().catch(e => e);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    controller.abort();
+    const error = await pending;
+
+    expect(error.message).toBe('Inspection cancelled');
+    expect(iamClient.send).toHaveBeenCalledTimes(1);
+  });
+});
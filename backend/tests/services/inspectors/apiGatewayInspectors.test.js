@@ -0,0 +1,104 @@
+const ApiAuthorizationInspector = require('../../../services/inspectors/apigateway/checks/apiAuthorizationInspector');
+const ApiThrottlingInspector = require('../../../services/inspectors/apigateway/checks/apiThrottlingInspector');
+const ApiWafInspector = require('../../../services/inspectors/apigateway/checks/apiWafInspector');
+const WafManagedRulesInspector = require('../../../services/inspectors/apigateway/checks/wafManagedRulesInspector');
+const APIGatewayDataCollector = require('../../../services/inspectors/apigateway/collectors/apiGatewayDataCollector');
+
+const withCollector = inspector => {
+  inspector.dataCollector = new APIGatewayDataCollector({}, inspector, 'us-east-1');
+  return inspector;
+};
+
+const restApi = { id: 'abc123', name: 'orders', apiType: 'REST', endpointTypes: ['REGIONAL'] };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ApiAuthorizationInspector', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = withCollector(new ApiAuthorizationInspector());
+  });
+
+  it('should separate unauthenticated methods from API-key-only methods and ignore OPTIONS', async () => {
+    jest.spyOn(APIGatewayDataCollector.prototype, 'getOperations').mockResolvedValue([
+      { key: 'GET /orders', httpMethod: 'GET', authorizationType: 'NONE' },
+      { key: 'OPTIONS /orders', httpMethod: 'OPTIONS', authorizationType: 'NONE' },
+      { key: 'POST /orders', httpMethod: 'POST', authorizationType: 'NONE', apiKeyRequired: true },
+      { key: 'DELETE /orders', httpMethod: 'DELETE', authorizationType: 'AWS_IAM' }
+    ]);
+
+    await inspector.checkApi(restApi);
+
+    expect(inspector.findings).toHaveLength(2);
+    expect(inspector.findings[0].resourceId).toBe('arn:aws:apigateway:us-east-1::/restapis/abc123');
+    expect(inspector.findings[0].issue).toContain('인증 없이 호출 가능한 메서드 1개: GET /orders');
+    expect(inspector.findings[1].issue).toContain('API 키만으로 보호되는 메서드 1개: POST /orders');
+    expect(inspector.findings[0].group).toEqual({ id: 'abc123', name: 'orders (REST API, abc123)' });
+  });
+
+  it('should list at most ten operations', () => {
+    const operations = Array.from({ length: 12 }, (_, index) => ({ key: `GET /r${index}` }));
+
+    expect(inspector.formatOperations(operations)).toMatch(/GET \/r9 외 2개$/);
+  });
+});
+
+describe('ApiThrottlingInspector.isCustomLimit', () => {
+  it('should not treat the account default limits as a custom limit', () => {
+    const inspector = new ApiThrottlingInspector();
+
+    expect(inspector.isCustomLimit({ rateLimit: 100, burstLimit: 50 })).toBe(true);
+    expect(inspector.isCustomLimit({ rateLimit: 10000, burstLimit: 5000 })).toBe(false);
+    expect(inspector.isCustomLimit({ rateLimit: 100 })).toBe(false);
+  });
+});
+
+describe('ApiWafInspector.checkApi', () => {
+  it('should check only public REST API stages', async () => {
+    const inspector = withCollector(new ApiWafInspector());
+    const lookup = jest.spyOn(APIGatewayDataCollector.prototype, 'getStages').mockResolvedValue([
+      { stageName: 'prod', arn: 'stage/prod' },
+      { stageName: 'beta', arn: 'stage/beta', webAclArn: 'arn:aws:wafv2:us-east-1:111122223333:regional/webacl/api/1' }
+    ]);
+
+    await inspector.checkApi(restApi);
+    await inspector.checkApi({ ...restApi, id: 'private', endpointTypes: ['PRIVATE'] });
+    await inspector.checkApi({ ...restApi, id: 'http', apiType: 'HTTP' });
+
+    expect(lookup).toHaveBeenCalledTimes(1);
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['stage/prod']);
+  });
+});
+
+describe('WafManagedRulesInspector.checkWebAcl', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = withCollector(new WafManagedRulesInspector());
+    inspector.associatedStages = new Map([
+      ['acl/api', [{ api: restApi, stageName: 'prod' }, { api: restApi, stageName: 'beta' }]]
+    ]);
+  });
+
+  it('should accept web ACLs with a managed rule group, including Firewall Manager groups', async () => {
+    await inspector.checkWebAcl({ ARN: 'acl/direct', Rules: [{ Statement: { ManagedRuleGroupStatement: { Name: 'AWSManagedRulesCommonRuleSet' } } }] });
+    await inspector.checkWebAcl({
+      ARN: 'acl/fms',
+      PreProcessFirewallManagerRuleGroups: [{ FirewallManagerStatement: { ManagedRuleGroupStatement: { Name: 'AWSManagedRulesKnownBadInputsRuleSet' } } }]
+    });
+
+    expect(inspector.findings).toHaveLength(0);
+  });
+
+  it('should report one finding per associated API and one for unassociated web ACLs', async () => {
+    await inspector.checkWebAcl({ ARN: 'acl/api', Name: 'api-acl', Rules: [{ Statement: { RateBasedStatement: {} } }] });
+    await inspector.checkWebAcl({ ARN: 'acl/idle', Name: 'idle-acl', Rules: [] });
+
+    expect(inspector.findings).toHaveLength(2);
+    expect(inspector.findings[0].issue).toContain("REST API 'orders'의 스테이지(prod, beta)");
+    expect(inspector.findings[1].issue).toContain('(사용자 정의 규칙 0개)');
+  });
+});
@@ -0,0 +1,183 @@
+const BaseInspector = require('../../../services/inspectors/baseInspector');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('BaseInspector.runConcurrently', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = new BaseInspector('TEST');
+  });
+
+  it('should run every task without exceeding the concurrency limit', async () => {
+    let running = 0;
+    let peak = 0;
+    const completed = [];
+    const tasks = [1, 2, 3, 4, 5].map(id => async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(5);
+      running--;
+      completed.push(id);
+    });
+
+    await inspector.runConcurrently(tasks, 2);
+
+    expect(peak).toBe(2);
+    expect(completed.sort()).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('should stop starting new tasks after a failure and rethrow the first error', async () => {
+    const started = [];
+    const tasks = [
+      async () => { started.push(1); throw new Error('first'); },
+      async () => { started.push(2); await delay(5); },
+      async () => { started.push(3); }
+    ];
+
+    await expect(inspector.runConcurrently(tasks, 1)).rejects.toThrow('first');
+    expect(started).toEqual([1]);
+  });
+
+  it('should wait for in-flight tasks before rejecting', async () => {
+    let slowFinished = false;
+    const tasks = [
+      async () => { await delay(10); slowFinished = true; },
+      async () => { throw new Error('fast failure'); }
+    ];
+
+    await expect(inspector.runConcurrently(tasks, 2)).rejects.toThrow('fast failure');
+    expect(slowFinished).toBe(true);
+  });
+
+  it('should resolve the check concurrency from config', () => {
+    expect(inspector.resolveCheckConcurrency({ checkConcurrency: 8 })).toBe(8);
+    expect(inspector.resolveCheckConcurrency({ checkConcurrency: 0 })).toBe(BaseInspector.DEFAULT_CHECK_CONCURRENCY);
+    expect(inspector.resolveCheckConcurrency({})).toBe(BaseInspector.DEFAULT_CHECK_CONCURRENCY);
+  });
+
+  it('should clamp the check concurrency to the server limit', () => {
+    expect(inspector.resolveCheckConcurrency({ checkConcurrency: 1000 })).toBe(BaseInspector.DEFAULT_MAX_CHECK_CONCURRENCY);
+
+    process.env.INSPECTION_MAX_CHECK_CONCURRENCY = '2';
+    try {
+      expect(inspector.resolveCheckConcurrency({ checkConcurrency: 8 })).toBe(2);
+      expect(inspector.resolveCheckConcurrency({})).toBe(2);
+    } finally {
+      delete process.env.INSPECTION_MAX_CHECK_CONCURRENCY;
+    }
+  });
+});
+
+describe('BaseInspector collection limit', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = new BaseInspector('EC2');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.INSPECTION_MAX_COLLECTION_LIMIT;
+    jest.restoreAllMocks();
+  });
+
+  it('should clamp client supplied limits to the server limit', () => {
+    expect(inspector.resolveCollectionLimit({ maxResourcesPerCollector: 10 ** 9 })).toBe(BaseInspector.DEFAULT_COLLECTION_LIMIT);
+    expect(inspector.resolveCollectionLimit({ collectorLimits: { EC2: 10 ** 9 } })).toBe(BaseInspector.DEFAULT_COLLECTION_LIMIT);
+    expect(inspector.resolveCollectionLimit({ maxResourcesPerCollector: 50 })).toBe(50);
+  });
+
+  it('should use the configured server limit', () => {
+    process.env.INSPECTION_MAX_COLLECTION_LIMIT = '200';
+
+    expect(inspector.resolveCollectionLimit({})).toBe(200);
+    expect(inspector.resolveCollectionLimit({ maxResourcesPerCollector: 500 })).toBe(200);
+    expect(inspector.resolveCollectionLimit({ collectorLimits: { EC2: 100 } })).toBe(100);
+  });
+
+  it('should stop paginating at the limit and mark the operation partial', async () => {
+    inspector.partialCollections = [];
+    inspector.collectionLimit = 3;
+    const fetchPage = jest.fn(async (token) => ({
+      Items: token ? [3, 4] : [1, 2],
+      NextToken: token ? 'more' : 'page-2'
+    }));
+
+    const items = await inspector.collectAllPages('ListItems', fetchPage, res => res.Items, res => res.NextToken);
+
+    expect(items).toEqual([1, 2, 3]);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+    expect(inspector.partialCollections).toEqual([{ operation: 'ListItems', limit: 3 }]);
+  });
+});
+
+describe('BaseInspector.retryableApiCall', () => {
+  let inspector;
+  let controller;
+
+  beforeEach(() => {
+    inspector = new BaseInspector('TEST');
+    controller = new AbortController();
+    inspector.cancellationSignal = controller.signal;
+  });
+
+  it('should retry failed calls until one succeeds', async () => {
+    jest.spyOn(inspector, 'waitForRetry').mockResolvedValue();
+    const apiCall = jest.fn()
+      .mockRejectedValueOnce(new Error('Throttling'))
+      .mockResolvedValueOnce('ok');
+
+    await expect(inspector.retryableApiCall(apiCall, 'Describe')).resolves.toBe('ok');
+    expect(apiCall).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not call the API once the inspection is cancelled', async () => {
+    const apiCall = jest.fn();
+    controller.abort();
+
+    const error = await inspector.retryableApiCall(apiCall, 'Describe').catch(e => e);
+
+    expect(BaseInspector.isCancellationError(error)).toBe(true);
+    expect(apiCall).not.toHaveBeenCalled();
+  });
+
+  it('should stop retrying when cancelled during the retry wait', async () => {
+    const apiCall = jest.fn().mockRejectedValue(new Error('Throttling'));
+
+    const pending = inspector.retryableApiCall(apiCall, 'Describe').catch(e => e);
+    await delay(5);
+    controller.abort();
+    const error = await pending;
+
+    expect(BaseInspector.isCancellationError(error)).toBe(true);
+    expect(apiCall).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not retry errors rejected by isRetryableError', async () => {
+    jest.spyOn(inspector, 'isRetryableError').mockReturnValue(false);
+    const apiCall = jest.fn().mockRejectedValue(new Error('AccessDenied'));
+
+    await expect(inspector.retryableApiCall(apiCall, 'Describe')).rejects.toThrow('AccessDenied');
+    expect(apiCall).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('BaseInspector retryableApiCall override', () => {
+  class OverridingInspector extends BaseInspector {
+    async retryableApiCall(apiCall) {
+      return apiCall();
+    }
+  }
+
+  it('should check cancellation before calling an overridden retryableApiCall', async () => {
+    const inspector = new OverridingInspector('TEST');
+    const controller = new AbortController();
+    inspector.cancellationSignal = controller.signal;
+    const apiCall = jest.fn();
+    controller.abort();
+
+    await expect(inspector.retryableApiCall(apiCall, 'Describe')).rejects.toThrow('Inspection cancelled');
+    expect(apiCall).not.toHaveBeenCalled();
+  });
+});
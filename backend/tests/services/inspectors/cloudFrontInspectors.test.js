@@ -0,0 +1,83 @@
+const ViewerProtocolInspector = require('../../../services/inspectors/cloudfront/checks/viewerProtocolInspector');
+const TlsPolicyInspector = require('../../../services/inspectors/cloudfront/checks/tlsPolicyInspector');
+const OriginAccessControlInspector = require('../../../services/inspectors/cloudfront/checks/originAccessControlInspector');
+const CloudFrontDataCollector = require('../../../services/inspectors/cloudfront/collectors/cloudFrontDataCollector');
+
+const withCollector = inspector => {
+  inspector.dataCollector = new CloudFrontDataCollector({}, inspector);
+  return inspector;
+};
+
+describe('ViewerProtocolInspector.checkDistribution', () => {
+  it('should list every cache behavior that allows HTTP in one finding', async () => {
+    const inspector = withCollector(new ViewerProtocolInspector());
+
+    await inspector.checkDistribution({
+      Id: 'E1',
+      DomainName: 'd1.cloudfront.net',
+      DefaultCacheBehavior: { ViewerProtocolPolicy: 'allow-all' },
+      CacheBehaviors: {
+        Items: [
+          { PathPattern: '/static/*', ViewerProtocolPolicy: 'allow-all' },
+          { PathPattern: '/api/*', ViewerProtocolPolicy: 'https-only' }
+        ]
+      }
+    });
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('캐시 동작: Default (*), /static/*');
+  });
+});
+
+describe('TlsPolicyInspector.checkDistribution', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = withCollector(new TlsPolicyInspector());
+  });
+
+  it('should only flag the default certificate when the distribution has aliases', async () => {
+    await inspector.checkDistribution({ Id: 'E1', ViewerCertificate: { CloudFrontDefaultCertificate: true } });
+    await inspector.checkDistribution({
+      Id: 'E2',
+      DomainName: 'd2.cloudfront.net',
+      Aliases: { Quantity: 1, Items: ['www.example.com'] },
+      ViewerCertificate: { CloudFrontDefaultCertificate: true }
+    });
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['E2']);
+    expect(inspector.findings[0].issue).toContain('www.example.com');
+  });
+
+  it('should combine an outdated viewer policy and weak origin protocols', async () => {
+    await inspector.checkDistribution({
+      Id: 'E1',
+      ViewerCertificate: { MinimumProtocolVersion: 'TLSv1_2016' },
+      Origins: { Items: [{ Id: 'legacy-api', CustomOriginConfig: { OriginSslProtocols: { Items: ['TLSv1', 'TLSv1.2'] } } }] }
+    });
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('오래된 뷰어 보안 정책 (TLSv1_2016), 오리진 legacy-api에서 TLSv1 허용');
+  });
+});
+
+describe('OriginAccessControlInspector.checkDistribution', () => {
+  it('should report S3 origins using OAI or no access control and skip website endpoints', async () => {
+    const inspector = withCollector(new OriginAccessControlInspector());
+
+    await inspector.checkDistribution({
+      Id: 'E1',
+      Origins: {
+        Items: [
+          { Id: 'oac', DomainName: 'a.s3.us-east-1.amazonaws.com', OriginAccessControlId: 'E2OAC', S3OriginConfig: {} },
+          { Id: 'oai', DomainName: 'b.s3.amazonaws.com', S3OriginConfig: { OriginAccessIdentity: 'origin-access-identity/cloudfront/E1OAI' } },
+          { Id: 'open', DomainName: 'c.s3.ap-northeast-2.amazonaws.com', CustomOriginConfig: {} },
+          { Id: 'website', DomainName: 'd.s3-website-us-east-1.amazonaws.com', CustomOriginConfig: {} }
+        ]
+      }
+    });
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['E1#oai', 'E1#open']);
+    expect(inspector.findings[0].issue).toContain('레거시 원본 액세스 ID(OAI)');
+  });
+});
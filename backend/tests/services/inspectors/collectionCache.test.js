@@ -0,0 +1,110 @@
+const { IAMClient, GenerateCredentialReportCommand, GetCredentialReportCommand } = require('@aws-sdk/client-iam');
+const {
+  S3Client,
+  GetBucketLocationCommand,
+  GetBucketVersioningCommand,
+  ListBucketsCommand
+} = require('@aws-sdk/client-s3');
+const CollectionCache = require('../../../services/inspectors/collectionCache');
+const MfaInspector = require('../../../services/inspectors/iam/checks/mfaInspector');
+const AccessKeyInspector = require('../../../services/inspectors/iam/checks/accessKeyInspector');
+const VersioningInspector = require('../../../services/inspectors/s3/checks/versioningInspector');
+const MfaDeleteInspector = require('../../../services/inspectors/s3/checks/mfaDeleteInspector');
+
+const CREDENTIAL_REPORT = [
+  'user,arn,user_creation_time,password_enabled,password_last_used,mfa_active,access_key_1_active,access_key_1_last_rotated,access_key_1_last_used_date,access_key_2_active,access_key_2_last_rotated,access_key_2_last_used_date',
+  '<root_account>,arn:aws:iam::123456789012:root,2020-01-01T00:00:00+00:00,not_supported,2024-01-01T00:00:00+00:00,true,false,N/A,N/A,false,N/A,N/A',
+  'alice,arn:aws:iam::123456789012:user/alice,2020-01-01T00:00:00+00:00,true,2024-01-01T00:00:00+00:00,true,false,N/A,N/A,false,N/A,N/A'
+].join('\n');
+
+const awsCredentials = {
+  accessKeyId: 'AKIA',
+  secretAccessKey: 'secret',
+  sessionToken: 'token',
+  roleArn: 'arn:aws:iam::123456789012:role/InspectionRole'
+};
+
+describe('CollectionCache', () => {
+  let sendSpy;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    sendSpy = jest.spyOn(IAMClient.prototype, 'send').mockImplementation(async (command) => {
+      if (command instanceof GenerateCredentialReportCommand) {
+        return { State: 'COMPLETE' };
+      }
+      if (command instanceof GetCredentialReportCommand) {
+        return { Content: Buffer.from(CREDENTIAL_REPORT) };
+      }
+      throw new Error(`Unexpected command: ${command.constructor.name}`);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const countCalls = (CommandClass) =>
+    sendSpy.mock.calls.filter(([command]) => command instanceof CommandClass).length;
+
+  it('should share the credential report across IAM checks in a batch', async () => {
+    const collectionCache = new CollectionCache();
+    const inspectionConfig = { collectionCache };
+
+    await new MfaInspector().executeInspection(awsCredentials, inspectionConfig);
+    await new AccessKeyInspector().executeInspection(awsCredentials, inspectionConfig);
+
+    expect(countCalls(GenerateCredentialReportCommand)).toBe(1);
+    expect(countCalls(GetCredentialReportCommand)).toBe(1);
+    expect(collectionCache.getStats()).toMatchObject({ hits: 1, misses: 1 });
+  });
+
+  it('should share a pending collection between checks running in parallel', async () => {
+    const collectionCache = new CollectionCache();
+    const inspectionConfig = { collectionCache };
+
+    await Promise.all([
+      new MfaInspector().executeInspection(awsCredentials, inspectionConfig),
+      new AccessKeyInspector().executeInspection(awsCredentials, inspectionConfig)
+    ]);
+
+    expect(countCalls(GetCredentialReportCommand)).toBe(1);
+  });
+
+  it('should share per-bucket S3 lookups across S3 checks in a batch', async () => {
+    const s3SendSpy = jest.spyOn(S3Client.prototype, 'send').mockImplementation(async (command) => {
+      if (command instanceof ListBucketsCommand) return { Buckets: [{ Name: 'bucket-1' }] };
+      if (command instanceof GetBucketLocationCommand) return { LocationConstraint: 'us-east-1' };
+      if (command instanceof GetBucketVersioningCommand) return { Status: 'Enabled', MFADelete: 'Enabled' };
+      return {};
+    });
+    const countS3Calls = (CommandClass) =>
+      s3SendSpy.mock.calls.filter(([command]) => command instanceof CommandClass).length;
+    const inspectionConfig = { collectionCache: new CollectionCache(), region: 'us-east-1' };
+
+    await new VersioningInspector().executeInspection(awsCredentials, inspectionConfig);
+    await new MfaDeleteInspector().executeInspection(awsCredentials, inspectionConfig);
+
+    expect(countS3Calls(ListBucketsCommand)).toBe(1);
+    expect(countS3Calls(GetBucketLocationCommand)).toBe(1);
+    expect(countS3Calls(GetBucketVersioningCommand)).toBe(1);
+  });
+
+  it('should collect separately without a batch cache', async () => {
+    await new MfaInspector().executeInspection(awsCredentials, {});
+    await new AccessKeyInspector().executeInspection(awsCredentials, {});
+
+    expect(countCalls(GetCredentialReportCommand)).toBe(2);
+  });
+
+  it('should not cache failed collections', async () => {
+    const cache = new CollectionCache();
+    const keyParts = { accountId: '123456789012', region: 'global', operation: 'ListThings' };
+
+    await expect(cache.getOrLoad(keyParts, async () => { throw new Error('throttled'); })).rejects.toThrow('throttled');
+    const { value, hit } = await cache.getOrLoad(keyParts, async () => ['thing']);
+
+    expect(value).toEqual(['thing']);
+    expect(hit).toBe(false);
+  });
+});
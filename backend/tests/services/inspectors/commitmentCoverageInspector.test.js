@@ -0,0 +1,153 @@
+const CommitmentCoverageInspector = require('../../../services/inspectors/ec2/checks/commitmentCoverageInspector');
+const EC2DataCollector = require('../../../services/inspectors/ec2/collectors/ec2DataCollector');
+
+const credentials = {
+  accessKeyId: 'AKIA_TEST',
+  secretAccessKey: 'secret',
+  region: 'us-east-1'
+};
+
+const longRunningInstances = (count, instanceType = 'm5.large') =>
+  Array.from({ length: count }, (_, index) => ({
+    InstanceId: `i-${index}`,
+    InstanceType: instanceType,
+    State: { Name: 'running' },
+    LaunchTime: new Date('2020-01-01T00:00:00Z')
+  }));
+
+const computePlan = {
+  savingsPlanId: 'sp-compute',
+  savingsPlanType: 'Compute',
+  commitment: '0.700'
+};
+
+describe('CommitmentCoverageInspector', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = new CommitmentCoverageInspector();
+    jest.spyOn(EC2DataCollector.prototype, 'getEC2Instances').mockResolvedValue(longRunningInstances(10));
+    jest.spyOn(EC2DataCollector.prototype, 'getReservedInstances').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const findingsOfType = resourceType =>
+    inspector.findings.filter(finding => finding.resourceType === resourceType);
+
+  it('should report a permission finding and skip coverage conclusions when Savings Plans are denied', async () => {
+    const error = new Error('not authorized');
+    error.name = 'AccessDeniedException';
+    jest.spyOn(EC2DataCollector.prototype, 'getActiveSavingsPlans').mockRejectedValue(error);
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(findingsOfType('Permission')).toHaveLength(1);
+    expect(findingsOfType('Permission')[0].issue).toContain('Savings Plans');
+    expect(findingsOfType('EC2OnDemandUsage')).toHaveLength(0);
+  });
+
+  it('should still report unused reserved instances when Savings Plans lookup fails', async () => {
+    jest.spyOn(EC2DataCollector.prototype, 'getEC2Instances').mockResolvedValue([]);
+    jest.spyOn(EC2DataCollector.prototype, 'getReservedInstances').mockResolvedValue([{
+      ReservedInstancesId: 'ri-1',
+      InstanceType: 'm5.4xlarge',
+      InstanceCount: 2,
+      State: 'active',
+      ProductDescription: 'Linux/UNIX',
+      Duration: 31536000,
+      FixedPrice: 0,
+      UsagePrice: 0.5
+    }]);
+    jest.spyOn(EC2DataCollector.prototype, 'getActiveSavingsPlans').mockRejectedValue(new Error('Throttling'));
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(findingsOfType('ReservedInstance')).toHaveLength(1);
+    expect(findingsOfType('SavingsPlan')[0].issue).toContain('조회 실패');
+  });
+
+  it('should apply the whole Compute Savings Plan when the region has all running usage', async () => {
+    jest.spyOn(EC2DataCollector.prototype, 'getActiveSavingsPlans').mockResolvedValue([computePlan]);
+    jest.spyOn(EC2DataCollector.prototype, 'getRunningInstanceTypesByRegion').mockResolvedValue({
+      instanceTypesByRegion: { 'us-east-1': Array(10).fill('m5.large'), 'ap-northeast-2': [] },
+      failedRegions: []
+    });
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(findingsOfType('EC2OnDemandUsage')).toHaveLength(0);
+  });
+
+  it('should attribute the Compute Savings Plan across regions by on-demand usage', async () => {
+    jest.spyOn(EC2DataCollector.prototype, 'getActiveSavingsPlans').mockResolvedValue([computePlan]);
+    jest.spyOn(EC2DataCollector.prototype, 'getRunningInstanceTypesByRegion').mockResolvedValue({
+      instanceTypesByRegion: { 'us-east-1': Array(10).fill('m5.large'), 'ap-northeast-2': Array(10).fill('m5.large') },
+      failedRegions: []
+    });
+
+    await inspector.executeInspection(credentials, {});
+
+    // 약정의 절반만 이 리전에 배분되므로 온디맨드 사용분의 약 절반이 미적용으로 남음
+    const usageFinding = findingsOfType('EC2OnDemandUsage').find(finding => finding.resourceId === 'us-east-1/m5/Linux/UNIX');
+    expect(usageFinding).toBeDefined();
+    expect(usageFinding.issue).toMatch(/약정 적용률 (49|50)\.\d%/);
+  });
+
+  it('should skip coverage conclusions when regional usage for Compute Savings Plans cannot be read', async () => {
+    const error = new Error('not authorized');
+    error.name = 'UnauthorizedOperation';
+    jest.spyOn(EC2DataCollector.prototype, 'getActiveSavingsPlans').mockResolvedValue([computePlan]);
+    jest.spyOn(EC2DataCollector.prototype, 'getRunningInstanceTypesByRegion').mockRejectedValue(error);
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(findingsOfType('Permission')).toHaveLength(1);
+    expect(findingsOfType('EC2OnDemandUsage')).toHaveLength(0);
+  });
+
+  it('should report regions skipped from the Compute Savings Plan attribution', async () => {
+    jest.spyOn(EC2DataCollector.prototype, 'getActiveSavingsPlans').mockResolvedValue([computePlan]);
+    jest.spyOn(EC2DataCollector.prototype, 'getRunningInstanceTypesByRegion').mockResolvedValue({
+      instanceTypesByRegion: { 'us-east-1': Array(10).fill('m5.large') },
+      failedRegions: [{ region: 'me-south-1', error: 'AuthFailure' }]
+    });
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(findingsOfType('EC2Region')).toHaveLength(1);
+    expect(findingsOfType('EC2Region')[0].issue).toContain('me-south-1(AuthFailure)');
+  });
+
+  it('should report a finding when regional usage lookup fails for other reasons', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(EC2DataCollector.prototype, 'getActiveSavingsPlans').mockResolvedValue([computePlan]);
+    jest.spyOn(EC2DataCollector.prototype, 'getRunningInstanceTypesByRegion').mockRejectedValue(new Error('Throttling'));
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(findingsOfType('SavingsPlan')[0].issue).toContain('리전별 인스턴스 조회 실패');
+    expect(findingsOfType('EC2OnDemandUsage')).toHaveLength(0);
+  });
+
+  it('should fall back to defaults for invalid amount and period settings', async () => {
+    jest.spyOn(EC2DataCollector.prototype, 'getActiveSavingsPlans').mockResolvedValue([]);
+
+    await inspector.executeInspection(credentials, { minCommitmentMonthlyAmount: '10', steadyStateDays: -5 });
+
+    expect(inspector.minMonthlyAmount).toBe(inspector.DEFAULT_MIN_MONTHLY_AMOUNT);
+    expect(inspector.steadyStateDays).toBe(inspector.DEFAULT_STEADY_STATE_DAYS);
+  });
+
+  it('should not look up other regions without a Compute Savings Plan', async () => {
+    jest.spyOn(EC2DataCollector.prototype, 'getActiveSavingsPlans').mockResolvedValue([]);
+    const regionalLookup = jest.spyOn(EC2DataCollector.prototype, 'getRunningInstanceTypesByRegion');
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(regionalLookup).not.toHaveBeenCalled();
+    expect(findingsOfType('EC2OnDemandUsage').length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,92 @@
+const DynamoDbPitrInspector = require('../../../services/inspectors/datastore/checks/dynamoDbPitrInspector');
+const ElastiCacheAuthInspector = require('../../../services/inspectors/datastore/checks/elastiCacheAuthInspector');
+const ElastiCacheTransitEncryptionInspector = require('../../../services/inspectors/datastore/checks/elastiCacheTransitEncryptionInspector');
+const EfsBackupPolicyInspector = require('../../../services/inspectors/datastore/checks/efsBackupPolicyInspector');
+const DataStoreDataCollector = require('../../../services/inspectors/datastore/collectors/dataStoreDataCollector');
+
+const withCollector = (inspector, clients = {}) => {
+  inspector.dataCollector = new DataStoreDataCollector(clients, inspector);
+  return inspector;
+};
+
+const redisGroup = (id, extra = {}) => ({
+  id,
+  resourceType: 'ElastiCacheReplicationGroup',
+  engine: 'redis',
+  userGroupIds: [],
+  ...extra
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DynamoDbPitrInspector.checkTable', () => {
+  it('should report active tables with PITR disabled and skip unknown status', async () => {
+    const inspector = withCollector(new DynamoDbPitrInspector());
+    jest.spyOn(DataStoreDataCollector.prototype, 'getPointInTimeRecoveryEnabled')
+      .mockResolvedValueOnce(false)
+      .mockResolvedValueOnce(null);
+
+    await inspector.checkTable({ TableName: 'orders', TableStatus: 'ACTIVE' });
+    await inspector.checkTable({ TableName: 'unreadable', TableStatus: 'ACTIVE' });
+    await inspector.checkTable({ TableName: 'creating', TableStatus: 'CREATING' });
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['orders']);
+  });
+});
+
+describe('ElastiCacheAuthInspector.checkCluster', () => {
+  it('should report Redis clusters without AUTH or RBAC and skip Memcached', async () => {
+    const inspector = withCollector(new ElastiCacheAuthInspector());
+
+    await inspector.checkCluster(redisGroup('open'));
+    await inspector.checkCluster(redisGroup('token', { authTokenEnabled: true }));
+    await inspector.checkCluster(redisGroup('rbac', { userGroupIds: ['app-users'] }));
+    await inspector.checkCluster({ id: 'memcached', engine: 'memcached', userGroupIds: [] });
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['open']);
+  });
+});
+
+describe('ElastiCacheTransitEncryptionInspector.checkCluster', () => {
+  it('should treat the preferred mode as allowing plaintext connections', async () => {
+    const inspector = withCollector(new ElastiCacheTransitEncryptionInspector());
+
+    await inspector.checkCluster(redisGroup('plain'));
+    await inspector.checkCluster(redisGroup('preferred', { transitEncryptionEnabled: true, transitEncryptionMode: 'preferred' }));
+    await inspector.checkCluster(redisGroup('required', { transitEncryptionEnabled: true, transitEncryptionMode: 'required' }));
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['plain', 'preferred']);
+    expect(inspector.findings[1].issue).toContain('preferred 모드');
+  });
+});
+
+describe('EfsBackupPolicyInspector', () => {
+  it('should report disabled backups and skip lookup failures', async () => {
+    const inspector = withCollector(new EfsBackupPolicyInspector());
+    jest.spyOn(DataStoreDataCollector.prototype, 'getBackupPolicyStatus')
+      .mockResolvedValueOnce('DISABLED')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(undefined)
+      .mockResolvedValueOnce('ENABLED');
+
+    for (const id of ['fs-disabled', 'fs-none', 'fs-unreadable', 'fs-enabled']) {
+      await inspector.checkFileSystem({ FileSystemId: id });
+    }
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['fs-disabled', 'fs-none']);
+  });
+
+  it('should distinguish a missing policy from a failed lookup in the collector', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const send = jest.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('no policy'), { name: 'PolicyNotFound' }))
+      .mockRejectedValueOnce(Object.assign(new Error('denied'), { name: 'AccessDeniedException' }));
+    const inspector = withCollector(new EfsBackupPolicyInspector(), { efsClient: { send } });
+    inspector.retryableApiCall = apiCall => apiCall();
+
+    await expect(inspector.dataCollector.getBackupPolicyStatus('fs-1')).resolves.toBeNull();
+    await expect(inspector.dataCollector.getBackupPolicyStatus('fs-2')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,100 @@
+const Gp3MigrationInspector = require('../../../services/inspectors/ec2/checks/gp3MigrationInspector');
+const UnattachedVolumeInspector = require('../../../services/inspectors/ec2/checks/unattachedVolumeInspector');
+const VolumeEncryptionInspector = require('../../../services/inspectors/ec2/checks/volumeEncryptionInspector');
+const SnapshotSharingInspector = require('../../../services/inspectors/ec2/checks/snapshotSharingInspector');
+const EbsDefaultEncryptionInspector = require('../../../services/inspectors/ec2/checks/ebsDefaultEncryptionInspector');
+const EC2DataCollector = require('../../../services/inspectors/ec2/collectors/ec2DataCollector');
+
+const credentials = {
+  accessKeyId: 'AKIA_TEST',
+  secretAccessKey: 'secret',
+  region: 'ap-northeast-2'
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Gp3MigrationInspector.checkVolume', () => {
+  it('should estimate savings for gp2 volumes and note IOPS above the gp3 baseline', async () => {
+    const inspector = new Gp3MigrationInspector();
+
+    await inspector.checkVolume({ VolumeId: 'vol-small', VolumeType: 'gp2', Size: 100, Iops: 300 });
+    await inspector.checkVolume({ VolumeId: 'vol-large', VolumeType: 'gp2', Size: 2000, Iops: 6000 });
+    await inspector.checkVolume({ VolumeId: 'vol-gp3', VolumeType: 'gp3', Size: 100 });
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['vol-small', 'vol-large']);
+    expect(inspector.findings[0].issue).toContain('예상 절감액 월 $2.00');
+    expect(inspector.findings[0].recommendation).not.toContain('IOPS를 유지하려면');
+    expect(inspector.findings[1].recommendation).toContain('현재 6000 IOPS를 유지하려면');
+  });
+});
+
+describe('UnattachedVolumeInspector.checkVolume', () => {
+  it('should report only volumes in the available state', async () => {
+    const inspector = new UnattachedVolumeInspector();
+
+    await inspector.checkVolume({ VolumeId: 'vol-free', State: 'available', VolumeType: 'gp3', Size: 50 });
+    await inspector.checkVolume({ VolumeId: 'vol-used', State: 'in-use', VolumeType: 'gp3', Size: 50 });
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['vol-free']);
+    expect(inspector.findings[0].issue).toContain('gp3, 50GiB');
+  });
+});
+
+describe('VolumeEncryptionInspector.checkVolume', () => {
+  it('should report unencrypted volumes with their attached instances', async () => {
+    const inspector = new VolumeEncryptionInspector();
+
+    await inspector.checkVolume({ VolumeId: 'vol-plain', Encrypted: false, Attachments: [{ InstanceId: 'i-1' }] });
+    await inspector.checkVolume({ VolumeId: 'vol-secure', Encrypted: true });
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('연결된 인스턴스: i-1');
+  });
+});
+
+describe('SnapshotSharingInspector.checkSnapshot', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = new SnapshotSharingInspector();
+    inspector.dataCollector = new EC2DataCollector({}, inspector);
+    inspector.trustedAccountIds = new Set(['444455556666']);
+  });
+
+  it('should report public sharing and accounts outside the trusted list', async () => {
+    jest.spyOn(EC2DataCollector.prototype, 'getSnapshotCreateVolumePermissions').mockResolvedValue([
+      { Group: 'all' },
+      { UserId: '111122223333' },
+      { UserId: '444455556666' }
+    ]);
+
+    await inspector.checkSnapshot({ SnapshotId: 'snap-1', OwnerId: '999900001111', Encrypted: false });
+
+    expect(inspector.findings).toHaveLength(2);
+    expect(inspector.findings[0].issue).toContain('퍼블릭으로 공유됨');
+    expect(inspector.findings[0].issue).toContain('암호화되지 않음');
+    expect(inspector.findings[1].issue).toContain('(111122223333)');
+  });
+
+  it('should not report snapshots shared only with trusted accounts', async () => {
+    jest.spyOn(EC2DataCollector.prototype, 'getSnapshotCreateVolumePermissions').mockResolvedValue([{ UserId: '444455556666' }]);
+
+    await inspector.checkSnapshot({ SnapshotId: 'snap-2', OwnerId: '999900001111' });
+
+    expect(inspector.findings).toHaveLength(0);
+  });
+});
+
+describe('EbsDefaultEncryptionInspector', () => {
+  it('should report the region when EBS encryption by default is disabled', async () => {
+    jest.spyOn(EC2DataCollector.prototype, 'getEbsEncryptionByDefault').mockResolvedValue(false);
+    const inspector = new EbsDefaultEncryptionInspector();
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].resourceId).toBe('ebs-encryption-by-default-ap-northeast-2');
+  });
+});
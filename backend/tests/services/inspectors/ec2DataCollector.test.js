@@ -0,0 +1,74 @@
+const EC2DataCollector = require('../../../services/inspectors/ec2/collectors/ec2DataCollector');
+const BaseInspector = require('../../../services/inspectors/baseInspector');
+
+describe('EC2DataCollector.getSnapshotsForVolume', () => {
+  it('should record a truncated per-volume query under its own operation', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const inspector = new BaseInspector('EC2');
+    inspector.partialCollections = [];
+    inspector.collectionLimit = 1;
+    const ec2Client = {
+      send: jest.fn(async () => ({ Snapshots: [{ SnapshotId: 'snap-1' }, { SnapshotId: 'snap-2' }] }))
+    };
+
+    const snapshots = await new EC2DataCollector(ec2Client, inspector).getSnapshotsForVolume('vol-1');
+
+    expect(snapshots).toHaveLength(1);
+    expect(inspector.partialCollections.map(entry => entry.operation)).toEqual(['DescribeSnapshotsForVolume']);
+    console.log.mockRestore();
+  });
+});
+
+describe('EC2DataCollector.getRunningInstanceTypesByRegion', () => {
+  it('should list running instance types in every enabled region', async () => {
+    const inspector = new BaseInspector('EC2');
+    const ec2Client = {
+      send: jest.fn(async () => ({ Regions: [{ RegionName: 'us-east-1' }, { RegionName: 'ap-northeast-2' }] }))
+    };
+    const regionClients = {
+      'us-east-1': { send: jest.fn(async () => ({ Reservations: [{ Instances: [{ InstanceType: 'm5.large' }] }] })) },
+      'ap-northeast-2': {
+        send: jest.fn(async () => ({
+          Reservations: [{ Instances: [{ InstanceType: 'c5.large' }, { InstanceType: 'c5.xlarge' }] }]
+        }))
+      }
+    };
+
+    const result = await new EC2DataCollector(ec2Client, inspector)
+      .getRunningInstanceTypesByRegion(region => regionClients[region]);
+
+    expect(result).toEqual({
+      instanceTypesByRegion: {
+        'us-east-1': ['m5.large'],
+        'ap-northeast-2': ['c5.large', 'c5.xlarge']
+      },
+      failedRegions: []
+    });
+    expect(regionClients['ap-northeast-2'].send.mock.calls[0][0].input.Filters).toEqual([
+      { Name: 'instance-state-name', Values: ['running'] }
+    ]);
+  });
+
+  it('should skip regions that cannot be read and keep the others', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const inspector = new BaseInspector('EC2');
+    const authFailure = new Error('AWS was not able to validate the provided access credentials');
+    authFailure.name = 'AuthFailure';
+    const ec2Client = {
+      send: jest.fn(async () => ({ Regions: [{ RegionName: 'us-east-1' }, { RegionName: 'me-south-1' }] }))
+    };
+    const regionClients = {
+      'us-east-1': { send: jest.fn(async () => ({ Reservations: [{ Instances: [{ InstanceType: 'm5.large' }] }] })) },
+      'me-south-1': { send: jest.fn().mockRejectedValue(authFailure) }
+    };
+
+    const result = await new EC2DataCollector(ec2Client, inspector)
+      .getRunningInstanceTypesByRegion(region => regionClients[region]);
+
+    expect(result).toEqual({
+      instanceTypesByRegion: { 'us-east-1': ['m5.large'] },
+      failedRegions: [{ region: 'me-south-1', error: 'AuthFailure' }]
+    });
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,141 @@
+const HttpListenerInspector = require('../../../services/inspectors/elb/checks/httpListenerInspector');
+const SslPolicyInspector = require('../../../services/inspectors/elb/checks/sslPolicyInspector');
+const AccessLogInspector = require('../../../services/inspectors/elb/checks/accessLogInspector');
+const TargetHealthInspector = require('../../../services/inspectors/elb/checks/targetHealthInspector');
+const WafAssociationInspector = require('../../../services/inspectors/elb/checks/wafAssociationInspector');
+const ELBDataCollector = require('../../../services/inspectors/elb/collectors/elbDataCollector');
+
+const withCollector = inspector => {
+  inspector.dataCollector = new ELBDataCollector({}, inspector);
+  return inspector;
+};
+
+const alb = {
+  LoadBalancerArn: 'arn:aws:elasticloadbalancing:us-east-1:111122223333:loadbalancer/app/web/1',
+  LoadBalancerName: 'web',
+  Type: 'application',
+  Scheme: 'internet-facing',
+  DNSName: 'web-1.us-east-1.elb.amazonaws.com'
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('HttpListenerInspector', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = withCollector(new HttpListenerInspector());
+  });
+
+  it('should report ALB HTTP listeners that do not redirect to HTTPS', async () => {
+    jest.spyOn(ELBDataCollector.prototype, 'getListeners').mockResolvedValue([
+      { ListenerArn: 'listener/plain', Protocol: 'HTTP', Port: 80, DefaultActions: [{ Type: 'forward' }] },
+      { ListenerArn: 'listener/redirect', Protocol: 'HTTP', Port: 8080, DefaultActions: [{ Type: 'redirect', RedirectConfig: { Protocol: 'HTTPS' } }] },
+      { ListenerArn: 'listener/secure', Protocol: 'HTTPS', Port: 443 }
+    ]);
+
+    await inspector.checkLoadBalancer(alb);
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['listener/plain']);
+  });
+
+  it('should note Classic Load Balancers that have no secure listener', async () => {
+    await inspector.checkClassicLoadBalancer({
+      LoadBalancerName: 'legacy',
+      ListenerDescriptions: [{ Listener: { Protocol: 'HTTP', LoadBalancerPort: 80 } }]
+    });
+
+    expect(inspector.findings[0].resourceId).toBe('legacy:HTTP:80');
+    expect(inspector.findings[0].issue).toContain('(HTTPS 리스너 없음)');
+  });
+});
+
+describe('SslPolicyInspector', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = withCollector(new SslPolicyInspector());
+  });
+
+  it('should treat only TLS 1.2+ policies as modern', () => {
+    expect(inspector.isModernPolicy('ELBSecurityPolicy-TLS13-1-2-2021-06')).toBe(true);
+    expect(inspector.isModernPolicy('ELBSecurityPolicy-FS-1-2-Res-2020-10')).toBe(true);
+    expect(inspector.isModernPolicy('ELBSecurityPolicy-TLS13-1-0-2021-06')).toBe(false);
+    expect(inspector.isModernPolicy('ELBSecurityPolicy-2016-08')).toBe(false);
+  });
+
+  it('should report secure listeners using outdated policies', async () => {
+    jest.spyOn(ELBDataCollector.prototype, 'getListeners').mockResolvedValue([
+      { ListenerArn: 'listener/old', Protocol: 'HTTPS', Port: 443, SslPolicy: 'ELBSecurityPolicy-2016-08' },
+      { ListenerArn: 'listener/new', Protocol: 'TLS', Port: 8443, SslPolicy: 'ELBSecurityPolicy-TLS13-1-2-2021-06' }
+    ]);
+
+    await inspector.checkLoadBalancer(alb);
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['listener/old']);
+  });
+});
+
+describe('AccessLogInspector.checkLoadBalancer', () => {
+  it('should report disabled access logs and skip unreadable attributes', async () => {
+    const inspector = withCollector(new AccessLogInspector());
+    jest.spyOn(ELBDataCollector.prototype, 'getLoadBalancerAttributes')
+      .mockResolvedValueOnce({ 'access_logs.s3.enabled': 'false' })
+      .mockResolvedValueOnce(null);
+
+    await inspector.checkLoadBalancer(alb);
+    await inspector.checkLoadBalancer({ ...alb, LoadBalancerName: 'unknown' });
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain("'web'의 액세스 로그가 비활성화됨");
+  });
+});
+
+describe('TargetHealthInspector.checkLoadBalancer', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = withCollector(new TargetHealthInspector());
+    jest.spyOn(ELBDataCollector.prototype, 'getTargetGroups').mockResolvedValue([
+      { TargetGroupArn: 'tg/a' },
+      { TargetGroupArn: 'tg/b' }
+    ]);
+  });
+
+  it('should report load balancers whose registered targets are all unhealthy', async () => {
+    jest.spyOn(ELBDataCollector.prototype, 'getTargetHealth')
+      .mockResolvedValueOnce([{ TargetHealth: { State: 'unhealthy' } }])
+      .mockResolvedValueOnce([{ TargetHealth: { State: 'draining' } }]);
+
+    await inspector.checkLoadBalancer(alb);
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('등록된 대상 2개 모두 비정상');
+  });
+
+  it('should not judge when a target group cannot be read', async () => {
+    jest.spyOn(ELBDataCollector.prototype, 'getTargetHealth')
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce(null);
+
+    await inspector.checkLoadBalancer(alb);
+
+    expect(inspector.findings).toHaveLength(0);
+  });
+});
+
+describe('WafAssociationInspector.checkLoadBalancer', () => {
+  it('should report only internet-facing ALBs without a web ACL', async () => {
+    const inspector = withCollector(new WafAssociationInspector());
+    const lookup = jest.spyOn(ELBDataCollector.prototype, 'getWebACLForResource').mockResolvedValue(null);
+
+    await inspector.checkLoadBalancer(alb);
+    await inspector.checkLoadBalancer({ ...alb, Scheme: 'internal' });
+
+    expect(lookup).toHaveBeenCalledTimes(1);
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain(alb.DNSName);
+  });
+});
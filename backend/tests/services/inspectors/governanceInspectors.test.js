@@ -0,0 +1,109 @@
+const MultiRegionTrailInspector = require('../../../services/inspectors/governance/checks/multiRegionTrailInspector');
+const TrailBucketExposureInspector = require('../../../services/inspectors/governance/checks/trailBucketExposureInspector');
+const ConfigRecorderInspector = require('../../../services/inspectors/governance/checks/configRecorderInspector');
+const GuardDutyInspector = require('../../../services/inspectors/governance/checks/guardDutyInspector');
+const GovernanceDataCollector = require('../../../services/inspectors/governance/collectors/governanceDataCollector');
+
+const credentials = {
+  accessKeyId: 'AKIA_TEST',
+  secretAccessKey: 'secret',
+  region: 'us-east-1'
+};
+
+const trail = (name, extra = {}) => ({
+  Name: name,
+  TrailARN: `arn:aws:cloudtrail:us-east-1:111122223333:trail/${name}`,
+  HomeRegion: 'us-east-1',
+  ...extra
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MultiRegionTrailInspector', () => {
+  it('should report stopped trails and the missing multi-region coverage', async () => {
+    jest.spyOn(GovernanceDataCollector.prototype, 'getTrails').mockResolvedValue([
+      trail('org', { IsMultiRegionTrail: true }),
+      trail('local')
+    ]);
+    jest.spyOn(GovernanceDataCollector.prototype, 'getTrailStatus')
+      .mockImplementation(async ({ Name }) => ({ IsLogging: Name === 'local' }));
+    const inspector = new MultiRegionTrailInspector();
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual([trail('org').TrailARN, 'cloudtrail']);
+    expect(inspector.findings[1].issue).toContain('추적 2개 모두 단일 리전이거나 로깅 중지');
+  });
+
+  it('should accept a logging multi-region trail', async () => {
+    jest.spyOn(GovernanceDataCollector.prototype, 'getTrails').mockResolvedValue([trail('org', { IsMultiRegionTrail: true })]);
+    jest.spyOn(GovernanceDataCollector.prototype, 'getTrailStatus').mockResolvedValue({ IsLogging: true });
+    const inspector = new MultiRegionTrailInspector();
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(inspector.findings).toHaveLength(0);
+  });
+});
+
+describe('TrailBucketExposureInspector', () => {
+  it('should look up a shared log bucket once and report every trail using it', async () => {
+    jest.spyOn(GovernanceDataCollector.prototype, 'getTrails').mockResolvedValue([
+      trail('a', { S3BucketName: 'audit-logs' }),
+      trail('b', { S3BucketName: 'audit-logs' })
+    ]);
+    const lookup = jest.spyOn(GovernanceDataCollector.prototype, 'getBucketPublicStatus')
+      .mockResolvedValue({ policyPublic: true, aclPublic: false });
+    const inspector = new TrailBucketExposureInspector();
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(lookup).toHaveBeenCalledTimes(1);
+    expect(inspector.findings).toHaveLength(2);
+    expect(inspector.findings[0].issue).toContain("'audit-logs'이 퍼블릭으로 노출됨 (버킷 정책)");
+  });
+});
+
+describe('ConfigRecorderInspector', () => {
+  it('should report missing and stopped recorders per region', async () => {
+    jest.spyOn(GovernanceDataCollector.prototype, 'getEnabledRegions').mockResolvedValue(['us-east-1', 'eu-west-1']);
+    jest.spyOn(GovernanceDataCollector.prototype, 'getConfigRecorders').mockImplementation(async region =>
+      region === 'us-east-1' ? [{ name: 'default', status: { recording: false } }] : []
+    );
+    const inspector = new ConfigRecorderInspector();
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['us-east-1/default', 'config-recorder-eu-west-1']);
+  });
+
+  it('should report a permission problem when every region fails', async () => {
+    jest.spyOn(GovernanceDataCollector.prototype, 'getEnabledRegions').mockResolvedValue(['us-east-1', 'eu-west-1']);
+    jest.spyOn(GovernanceDataCollector.prototype, 'getConfigRecorders').mockResolvedValue(null);
+    const inspector = new ConfigRecorderInspector();
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].resourceType).toBe('Permission');
+  });
+});
+
+describe('GuardDutyInspector', () => {
+  it('should report disabled regions and regions with only suspended detectors', async () => {
+    jest.spyOn(GovernanceDataCollector.prototype, 'getEnabledRegions').mockResolvedValue(['us-east-1', 'eu-west-1', 'ap-northeast-2']);
+    jest.spyOn(GovernanceDataCollector.prototype, 'getGuardDutyDetectors').mockImplementation(async region => ({
+      'us-east-1': [{ detectorId: 'd-1', status: 'ENABLED' }],
+      'eu-west-1': [{ detectorId: 'd-2', status: 'DISABLED' }],
+      'ap-northeast-2': []
+    })[region]);
+    const inspector = new GuardDutyInspector();
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['guardduty-eu-west-1', 'guardduty-ap-northeast-2']);
+    expect(inspector.findings[0].issue).toContain('일시 중지됨 (d-2)');
+  });
+});
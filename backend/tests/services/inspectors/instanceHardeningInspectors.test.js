@@ -0,0 +1,64 @@
+const ImdsV2Inspector = require('../../../services/inspectors/ec2/checks/imdsV2Inspector');
+const DetailedMonitoringInspector = require('../../../services/inspectors/ec2/checks/detailedMonitoringInspector');
+const TerminationProtectionInspector = require('../../../services/inspectors/ec2/checks/terminationProtectionInspector');
+const EC2DataCollector = require('../../../services/inspectors/ec2/collectors/ec2DataCollector');
+
+const credentials = {
+  accessKeyId: 'AKIA_TEST',
+  secretAccessKey: 'secret',
+  region: 'us-east-1'
+};
+
+const production = [{ Key: 'Environment', Value: 'Production' }];
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ImdsV2Inspector', () => {
+  it('should report active instances that still accept IMDSv1', async () => {
+    jest.spyOn(EC2DataCollector.prototype, 'getEC2Instances').mockResolvedValue([
+      { InstanceId: 'i-optional', State: { Name: 'running' }, MetadataOptions: { HttpTokens: 'optional', HttpPutResponseHopLimit: 2 } },
+      { InstanceId: 'i-required', State: { Name: 'running' }, MetadataOptions: { HttpTokens: 'required' } },
+      { InstanceId: 'i-disabled', State: { Name: 'running' }, MetadataOptions: { HttpEndpoint: 'disabled', HttpTokens: 'optional' } },
+      { InstanceId: 'i-terminated', State: { Name: 'terminated' }, MetadataOptions: { HttpTokens: 'optional' } }
+    ]);
+    const inspector = new ImdsV2Inspector();
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['i-optional']);
+    expect(inspector.findings[0].issue).toContain('(HttpTokens: optional, 응답 홉 제한 2)');
+  });
+});
+
+describe('DetailedMonitoringInspector.checkInstance', () => {
+  it('should only report running production instances with basic monitoring', async () => {
+    const inspector = new DetailedMonitoringInspector();
+
+    await inspector.checkInstance({ InstanceId: 'i-prod', State: { Name: 'running' }, Monitoring: { State: 'disabled' }, Tags: production });
+    await inspector.checkInstance({ InstanceId: 'i-monitored', State: { Name: 'running' }, Monitoring: { State: 'enabled' }, Tags: production });
+    await inspector.checkInstance({ InstanceId: 'i-dev', State: { Name: 'running' }, Monitoring: { State: 'disabled' }, Tags: [{ Key: 'env', Value: 'dev' }] });
+    await inspector.checkInstance({ InstanceId: 'i-stopped', State: { Name: 'stopped' }, Monitoring: { State: 'disabled' }, Tags: production });
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['i-prod']);
+  });
+});
+
+describe('TerminationProtectionInspector.checkInstance', () => {
+  it('should skip Auto Scaling and spot instances before looking up the attribute', async () => {
+    const inspector = new TerminationProtectionInspector();
+    inspector.dataCollector = new EC2DataCollector({}, inspector);
+    const lookup = jest.spyOn(EC2DataCollector.prototype, 'getTerminationProtection').mockImplementation(async instanceId =>
+      instanceId === 'i-protected'
+    );
+
+    await inspector.checkInstance({ InstanceId: 'i-open', Tags: production });
+    await inspector.checkInstance({ InstanceId: 'i-protected', Tags: production });
+    await inspector.checkInstance({ InstanceId: 'i-asg', Tags: [...production, { Key: 'aws:autoscaling:groupName', Value: 'web' }] });
+    await inspector.checkInstance({ InstanceId: 'i-spot', InstanceLifecycle: 'spot', Tags: production });
+
+    expect(lookup).toHaveBeenCalledTimes(2);
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['i-open']);
+  });
+});
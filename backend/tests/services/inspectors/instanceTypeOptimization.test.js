@@ -0,0 +1,92 @@
+const {
+  getSizeLadder,
+  getHourlyPrice
+} = require('../../../services/inspectors/ec2/pricing/instancePricing');
+const InstanceTypeOptimizationInspector = require('../../../services/inspectors/ec2/checks/instanceTypeOptimizationInspector');
+
+const metricsWith = ({ cpuP95, cpuMax = cpuP95, memory = null, networkPeakMbps = null }) => ({
+  cpu: { average: cpuP95 / 2, p95: cpuP95, maximum: cpuMax },
+  memory,
+  networkPeakMbps
+});
+
+describe('instancePricing', () => {
+  it('should list only the sizes offered by each family', () => {
+    expect(getSizeLadder('c5')).toEqual(['large', 'xlarge', '2xlarge', '4xlarge', '9xlarge', '12xlarge', '18xlarge', '24xlarge']);
+    expect(getSizeLadder('m7g')).not.toContain('24xlarge');
+    expect(getSizeLadder('t3')[0]).toBe('nano');
+  });
+
+  it('should not price instance types the family does not offer', () => {
+    expect(getHourlyPrice('c5.8xlarge')).toBeNull();
+    expect(getHourlyPrice('c5.16xlarge')).toBeNull();
+    expect(getHourlyPrice('m7g.24xlarge')).toBeNull();
+    expect(getHourlyPrice('c5.9xlarge')).toBeCloseTo(0.085 * 18);
+  });
+
+  it('should return an empty ladder for families without pricing', () => {
+    expect(getSizeLadder('x2iedn')).toEqual([]);
+    expect(getHourlyPrice('x2iedn.xlarge')).toBeNull();
+  });
+});
+
+describe('InstanceTypeOptimizationInspector.getRecommendation', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = new InstanceTypeOptimizationInspector();
+  });
+
+  it('should step from c5.12xlarge to c5.9xlarge rather than a nonexistent c5.8xlarge', () => {
+    const recommendation = inspector.getRecommendation(
+      { InstanceType: 'c5.12xlarge' },
+      metricsWith({ cpuP95: 40, cpuMax: 60 })
+    );
+
+    expect(recommendation).toEqual({ action: 'downsize', targetType: 'c5.9xlarge' });
+  });
+
+  it('should upsize c5.12xlarge to c5.18xlarge', () => {
+    const recommendation = inspector.getRecommendation(
+      { InstanceType: 'c5.12xlarge' },
+      metricsWith({ cpuP95: 95 })
+    );
+
+    expect(recommendation).toEqual({ action: 'upsize', targetType: 'c5.18xlarge' });
+  });
+
+  it('should not suggest a concrete type for families without a size list', () => {
+    const low = inspector.getRecommendation({ InstanceType: 'i3.4xlarge' }, metricsWith({ cpuP95: 5 }));
+    const busy = inspector.getRecommendation({ InstanceType: 'i3.4xlarge' }, metricsWith({ cpuP95: 50 }));
+
+    expect(low).toEqual({ action: 'downsize', targetType: null });
+    expect(busy).toBeNull();
+  });
+
+  it('should only suggest Graviton types that exist in that size', () => {
+    const instance = { InstanceType: 'm5.24xlarge', Architecture: 'x86_64' };
+
+    expect(inspector.getGravitonType(instance, 'm5.24xlarge')).toBeNull();
+    expect(inspector.getGravitonType(instance, 'm5.16xlarge')).toBe('m7g.16xlarge');
+  });
+
+  it('should report a downsize finding without a target type', () => {
+    inspector.reportRecommendation(
+      { InstanceId: 'i-1', InstanceType: 'i3.4xlarge', Tags: [] },
+      metricsWith({ cpuP95: 5 }),
+      { action: 'downsize', targetType: null }
+    );
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].recommendation).toContain('i3.4xlarge');
+  });
+
+  it('should keep the lookback period within 1-60 days and default invalid values', () => {
+    expect(inspector.resolveLookbackDays(30)).toBe(30);
+    expect(inspector.resolveLookbackDays(90)).toBe(60);
+    expect(inspector.resolveLookbackDays(-3)).toBe(1);
+    expect(inspector.resolveLookbackDays(0)).toBe(1);
+    expect(inspector.resolveLookbackDays('30')).toBe(14);
+    expect(inspector.resolveLookbackDays(undefined)).toBe(14);
+  });
+});
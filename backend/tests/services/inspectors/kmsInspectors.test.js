@@ -0,0 +1,110 @@
+const KeyPolicyInspector = require('../../../services/inspectors/kms/checks/keyPolicyInspector');
+const KeyRotationInspector = require('../../../services/inspectors/kms/checks/keyRotationInspector');
+const PendingDeletionKeyInspector = require('../../../services/inspectors/kms/checks/pendingDeletionKeyInspector');
+const SecretEncryptionInspector = require('../../../services/inspectors/kms/checks/secretEncryptionInspector');
+const UnusedSecretInspector = require('../../../services/inspectors/kms/checks/unusedSecretInspector');
+const KMSDataCollector = require('../../../services/inspectors/kms/collectors/kmsDataCollector');
+const EC2DataCollector = require('../../../services/inspectors/ec2/collectors/ec2DataCollector');
+const RDSDataCollector = require('../../../services/inspectors/rds/collectors/rdsDataCollector');
+
+const credentials = {
+  accessKeyId: 'AKIA_TEST',
+  secretAccessKey: 'secret',
+  region: 'us-east-1'
+};
+
+const withCollector = (inspector, aliases = []) => {
+  inspector.dataCollector = new KMSDataCollector({}, inspector);
+  inspector.aliases = aliases;
+  return inspector;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('KeyPolicyInspector.checkKey', () => {
+  it('should report unconditioned statements granting kms:* to everyone', async () => {
+    const inspector = withCollector(new KeyPolicyInspector(), [{ AliasName: 'alias/app', TargetKeyId: 'key-1' }]);
+    jest.spyOn(KMSDataCollector.prototype, 'getKeyPolicy').mockResolvedValue({
+      Statement: [
+        { Sid: 'open', Effect: 'Allow', Principal: { AWS: '*' }, Action: 'kms:*' },
+        { Sid: 'org', Effect: 'Allow', Principal: '*', Action: '*', Condition: { StringEquals: { 'aws:PrincipalOrgID': 'o-1' } } },
+        { Sid: 'decrypt', Effect: 'Allow', Principal: '*', Action: ['kms:Decrypt'] }
+      ]
+    });
+
+    await inspector.checkKey({ KeyId: 'key-1', KeyState: 'Enabled' });
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('alias/app (key-1)');
+    expect(inspector.findings[0].issue).toContain('kms:* 권한 부여: open');
+  });
+});
+
+describe('KeyRotationInspector.checkKey', () => {
+  it('should only check enabled symmetric KMS-generated keys with rotation disabled', async () => {
+    const inspector = withCollector(new KeyRotationInspector());
+    const lookup = jest.spyOn(KMSDataCollector.prototype, 'getKeyRotationEnabled').mockResolvedValue(false);
+    const symmetric = { KeyState: 'Enabled', KeySpec: 'SYMMETRIC_DEFAULT', Origin: 'AWS_KMS' };
+
+    await inspector.checkKey({ ...symmetric, KeyId: 'key-1' });
+    await inspector.checkKey({ ...symmetric, KeyId: 'key-imported', Origin: 'EXTERNAL' });
+    await inspector.checkKey({ ...symmetric, KeyId: 'key-rsa', KeySpec: 'RSA_2048' });
+
+    expect(lookup).toHaveBeenCalledTimes(1);
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['key-1']);
+  });
+});
+
+describe('PendingDeletionKeyInspector', () => {
+  it('should report pending-deletion keys still referenced by secrets, volumes or databases', async () => {
+    const keyArn = 'arn:aws:kms:us-east-1:111122223333:key/key-1';
+    jest.spyOn(KMSDataCollector.prototype, 'getCustomerManagedKeys').mockResolvedValue([
+      { KeyId: 'key-1', Arn: keyArn, KeyState: 'PendingDeletion' },
+      { KeyId: 'key-2', KeyState: 'PendingDeletion' }
+    ]);
+    jest.spyOn(KMSDataCollector.prototype, 'getAliases').mockResolvedValue([{ AliasName: 'alias/app', TargetKeyId: 'key-1' }]);
+    jest.spyOn(KMSDataCollector.prototype, 'getSecrets').mockResolvedValue([{ Name: 'db-password', KmsKeyId: 'alias/app' }]);
+    jest.spyOn(EC2DataCollector.prototype, 'getVolumes').mockResolvedValue([{ VolumeId: 'vol-1', KmsKeyId: keyArn }]);
+    jest.spyOn(RDSDataCollector.prototype, 'getDBInstances').mockRejectedValue(new Error('AccessDenied'));
+    const inspector = new PendingDeletionKeyInspector();
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].resourceId).toBe(keyArn);
+    expect(inspector.findings[0].issue).toContain('2개 리소스가 여전히 사용 중');
+    expect(inspector.findings[0].issue).toContain('Secret:db-password, EBS:vol-1');
+  });
+});
+
+describe('SecretEncryptionInspector.checkSecret', () => {
+  it('should report secrets encrypted with the AWS managed key', async () => {
+    const inspector = withCollector(new SecretEncryptionInspector(), [
+      { AliasName: 'alias/aws/secretsmanager', TargetKeyId: 'aws-key' },
+      { AliasName: 'alias/app', TargetKeyId: 'cmk-1' }
+    ]);
+
+    await inspector.checkSecret({ ARN: 'secret-default', Name: 'default' });
+    await inspector.checkSecret({ ARN: 'secret-aws', Name: 'aws', KmsKeyId: 'aws-key' });
+    await inspector.checkSecret({ ARN: 'secret-cmk', Name: 'cmk', KmsKeyId: 'alias/app' });
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['secret-default', 'secret-aws']);
+  });
+});
+
+describe('UnusedSecretInspector.checkSecret', () => {
+  it('should report secrets not accessed within the threshold and skip recent ones', async () => {
+    const inspector = new UnusedSecretInspector();
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    await inspector.checkSecret({ ARN: 'secret-stale', Name: 'stale', LastAccessedDate: daysAgo(120) });
+    await inspector.checkSecret({ ARN: 'secret-never', Name: 'never', CreatedDate: daysAgo(200) });
+    await inspector.checkSecret({ ARN: 'secret-new', Name: 'new', CreatedDate: daysAgo(10) });
+    await inspector.checkSecret({ ARN: 'secret-active', Name: 'active', LastAccessedDate: daysAgo(1) });
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['secret-stale', 'secret-never']);
+    expect(inspector.findings[1].issue).toContain('생성 후 조회 이력 없음');
+  });
+});
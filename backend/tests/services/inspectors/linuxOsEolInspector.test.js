@@ -0,0 +1,79 @@
+const LinuxOsEolInspector = require('../../../services/inspectors/ec2/checks/linuxOsEolInspector');
+const EC2DataCollector = require('../../../services/inspectors/ec2/collectors/ec2DataCollector');
+const lifecycleCatalogService = require('../../../services/lifecycleCatalogService');
+
+const credentials = {
+  accessKeyId: 'AKIA_TEST',
+  secretAccessKey: 'secret',
+  region: 'us-east-1'
+};
+
+const daysFromNow = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+describe('LinuxOsEolInspector', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = new LinuxOsEolInspector();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('identifyDistribution', () => {
+    it('should identify Amazon Linux, Ubuntu and RHEL from AMI names', () => {
+      expect(inspector.identifyDistribution({ Name: 'al2023-ami-2023.5.20240701.0-kernel-6.1-x86_64' }))
+        .toEqual({ productId: 'amazon-linux', version: '2023' });
+      expect(inspector.identifyDistribution({ Name: 'amzn2-ami-kernel-5.10-hvm-2.0.20240620.0-x86_64-gp2' }))
+        .toEqual({ productId: 'amazon-linux', version: '2' });
+      expect(inspector.identifyDistribution({ Name: 'amzn-ami-hvm-2018.03.0.20231218.0-x86_64-gp2' }))
+        .toEqual({ productId: 'amazon-linux', version: '1' });
+      expect(inspector.identifyDistribution({ Name: 'ubuntu/images/hvm-ssd/ubuntu-focal-20.04-amd64-server-20240612' }))
+        .toEqual({ productId: 'ubuntu', version: '20.04' });
+      expect(inspector.identifyDistribution({ Name: 'RHEL-8.6.0_HVM-20220503-x86_64-2-Hourly2-GP2' }))
+        .toEqual({ productId: 'rhel', version: '8' });
+    });
+
+    it('should fall back to the AMI description', () => {
+      expect(inspector.identifyDistribution({ Name: 'golden-image-42', Description: 'Amazon Linux 2 AMI 2.0.20240620.0 x86_64 HVM gp2' }))
+        .toEqual({ productId: 'amazon-linux', version: '2' });
+    });
+
+    it('should return null for AMIs it cannot identify', () => {
+      expect(inspector.identifyDistribution({ Name: 'debian-12-amd64-20240717-1811' })).toBeNull();
+      expect(inspector.identifyDistribution({ Name: 'custom-app', PlatformDetails: 'Red Hat Enterprise Linux' })).toBeNull();
+    });
+  });
+
+  describe('performInspection', () => {
+    it('should report ended and ending Linux versions from the lifecycle catalog', async () => {
+      jest.spyOn(lifecycleCatalogService, 'getCatalog').mockResolvedValue({
+        version: '1.0.0',
+        products: {
+          'amazon-linux': { name: 'Amazon Linux', versions: { 2: { endDate: daysFromNow(-30) } } },
+          ubuntu: { name: 'Ubuntu', versions: { '22.04': { endDate: daysFromNow(60) }, '24.04': { endDate: daysFromNow(1000) } } }
+        }
+      });
+      jest.spyOn(EC2DataCollector.prototype, 'getEC2Instances').mockResolvedValue([
+        { InstanceId: 'i-al2', ImageId: 'ami-al2', State: { Name: 'running' } },
+        { InstanceId: 'i-jammy', ImageId: 'ami-jammy', State: { Name: 'stopped' } },
+        { InstanceId: 'i-noble', ImageId: 'ami-noble', State: { Name: 'running' } },
+        { InstanceId: 'i-win', ImageId: 'ami-win', Platform: 'windows', State: { Name: 'running' } },
+        { InstanceId: 'i-gone', ImageId: 'ami-deregistered', State: { Name: 'running' } }
+      ]);
+      const getImages = jest.spyOn(EC2DataCollector.prototype, 'getImages').mockResolvedValue([
+        { ImageId: 'ami-al2', Name: 'amzn2-ami-kernel-5.10-hvm-2.0.20240620.0-x86_64-gp2' },
+        { ImageId: 'ami-jammy', Name: 'ubuntu/images/hvm-ssd/ubuntu-jammy-22.04-amd64-server-20240701' },
+        { ImageId: 'ami-noble', Name: 'ubuntu/images/hvm-ssd-gp3/ubuntu-noble-24.04-amd64-server-20240701' }
+      ]);
+
+      await inspector.executeInspection(credentials, {});
+
+      expect(getImages).toHaveBeenCalledWith(['ami-al2', 'ami-jammy', 'ami-noble', 'ami-deregistered']);
+      expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['i-al2', 'i-jammy']);
+      expect(inspector.findings[0].issue).toContain('Amazon Linux 2 지원 종료됨');
+      expect(inspector.findings[1].issue).toContain('Ubuntu 22.04 지원 종료 임박');
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const OrphanedSnapshotInspector = require('../../../services/inspectors/ec2/checks/orphanedSnapshotInspector');
+const EC2DataCollector = require('../../../services/inspectors/ec2/collectors/ec2DataCollector');
+
+const credentials = {
+  accessKeyId: 'AKIA_TEST',
+  secretAccessKey: 'secret',
+  region: 'us-east-1'
+};
+
+describe('OrphanedSnapshotInspector', () => {
+  let inspector;
+
+  const inspect = async ({ partialVolumes = false } = {}) => {
+    jest.spyOn(EC2DataCollector.prototype, 'getSnapshots').mockResolvedValue([
+      { SnapshotId: 'snap-orphan', VolumeId: 'vol-deleted', VolumeSize: 8 },
+      { SnapshotId: 'snap-live', VolumeId: 'vol-1', VolumeSize: 8 },
+      { SnapshotId: 'snap-copy', VolumeId: 'vol-ffffffff', VolumeSize: 8 },
+      { SnapshotId: 'snap-ami', VolumeId: 'vol-deleted', VolumeSize: 8 }
+    ]);
+    jest.spyOn(EC2DataCollector.prototype, 'getVolumes').mockImplementation(async function () {
+      if (partialVolumes) this.inspector.markPartialCollection('DescribeVolumes');
+      return [{ VolumeId: 'vol-1' }];
+    });
+    jest.spyOn(EC2DataCollector.prototype, 'getOwnedImages').mockResolvedValue([
+      { ImageId: 'ami-1', BlockDeviceMappings: [{ Ebs: { SnapshotId: 'snap-ami' } }] }
+    ]);
+
+    await inspector.executeInspection(credentials, {});
+  };
+
+  beforeEach(() => {
+    inspector = new OrphanedSnapshotInspector();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report snapshots whose volume no longer exists, except copies and AMI snapshots', async () => {
+    await inspect();
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['snap-orphan']);
+    expect(inspector.findings[0].issue).toContain('원본 볼륨 vol-deleted이 삭제됨');
+  });
+
+  it('should not report orphans when the volume list was cut off by the collection limit', async () => {
+    await inspect({ partialVolumes: true });
+
+    expect(inspector.findings).toHaveLength(0);
+    expect(inspector.isPartialCollection('DescribeVolumes')).toBe(true);
+  });
+});
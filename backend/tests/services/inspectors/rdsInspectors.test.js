@@ -0,0 +1,109 @@
+const BackupRetentionInspector = require('../../../services/inspectors/rds/checks/backupRetentionInspector');
+const MultiAzInspector = require('../../../services/inspectors/rds/checks/multiAzInspector');
+const SnapshotExposureInspector = require('../../../services/inspectors/rds/checks/snapshotExposureInspector');
+const EngineVersionEolInspector = require('../../../services/inspectors/rds/checks/engineVersionEolInspector');
+const RDSDataCollector = require('../../../services/inspectors/rds/collectors/rdsDataCollector');
+const lifecycleCatalogService = require('../../../services/lifecycleCatalogService');
+
+const credentials = {
+  accessKeyId: 'AKIA_TEST',
+  secretAccessKey: 'secret',
+  region: 'us-east-1'
+};
+
+describe('BackupRetentionInspector', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report disabled and short retention on active instances only', async () => {
+    jest.spyOn(RDSDataCollector.prototype, 'getDBInstances').mockResolvedValue([
+      { DBInstanceIdentifier: 'db-off', DBInstanceStatus: 'available', BackupRetentionPeriod: 0 },
+      { DBInstanceIdentifier: 'db-short', DBInstanceStatus: 'available', BackupRetentionPeriod: 3 },
+      { DBInstanceIdentifier: 'db-ok', DBInstanceStatus: 'available', BackupRetentionPeriod: 7 },
+      { DBInstanceIdentifier: 'db-deleting', DBInstanceStatus: 'deleting', BackupRetentionPeriod: 0 }
+    ]);
+    const inspector = new BackupRetentionInspector();
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['db-off', 'db-short']);
+    expect(inspector.findings[0].issue).toContain('자동 백업이 비활성화됨');
+    expect(inspector.findings[1].issue).toContain('3일, 기준 7일');
+  });
+});
+
+describe('MultiAzInspector.checkInstanceMultiAz', () => {
+  const production = [{ Key: 'Environment', Value: 'prod' }];
+
+  it('should report single-AZ instances tagged as production', () => {
+    const inspector = new MultiAzInspector();
+
+    inspector.checkInstanceMultiAz({ DBInstanceIdentifier: 'db-prod', MultiAZ: false, TagList: production });
+    inspector.checkInstanceMultiAz({ DBInstanceIdentifier: 'db-dev', MultiAZ: false, TagList: [{ Key: 'env', Value: 'dev' }] });
+    inspector.checkInstanceMultiAz({ DBInstanceIdentifier: 'db-ha', MultiAZ: true, TagList: production });
+    inspector.checkInstanceMultiAz({ DBInstanceIdentifier: 'aurora-1', DBClusterIdentifier: 'cluster-1', TagList: production });
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['db-prod']);
+  });
+});
+
+describe('SnapshotExposureInspector.evaluateSnapshotSharing', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = new SnapshotExposureInspector();
+  });
+
+  it('should distinguish public snapshots from snapshots shared with other accounts', () => {
+    inspector.evaluateSnapshotSharing('snap-public', 'RDSSnapshot', ['all'], false);
+    inspector.evaluateSnapshotSharing('snap-shared', 'RDSSnapshot', ['111122223333'], true);
+    inspector.evaluateSnapshotSharing('snap-private', 'RDSSnapshot', [], true);
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['snap-public', 'snap-shared']);
+    expect(inspector.findings[0].issue).toContain('퍼블릭으로 공유됨');
+    expect(inspector.findings[0].issue).toContain('암호화되지 않음');
+    expect(inspector.findings[1].issue).toContain('111122223333');
+  });
+});
+
+describe('EngineVersionEolInspector', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = new EngineVersionEolInspector();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should extract the major version per engine', () => {
+    expect(inspector.extractMajorVersion('postgres', '14.9')).toBe('14');
+    expect(inspector.extractMajorVersion('mysql', '8.0.35')).toBe('8.0');
+    expect(inspector.extractMajorVersion('aurora-mysql', '5.7.mysql_aurora.2.11.2')).toBe('5.7');
+    expect(inspector.extractMajorVersion('mysql', '8')).toBeNull();
+  });
+
+  it('should look up the engine in the lifecycle catalog and report ended versions', async () => {
+    const lookup = jest.spyOn(lifecycleCatalogService, 'getLifecycleStatus').mockResolvedValue({
+      endDate: new Date('2024-02-29T00:00:00Z'),
+      status: 'ended',
+      daysUntilEnd: -200
+    });
+
+    await inspector.checkEngineVersion({ DBInstanceIdentifier: 'db-1', Engine: 'mysql', EngineVersion: '5.7.44' });
+
+    expect(lookup).toHaveBeenCalledWith('rds-mysql', '5.7', 6);
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('mysql 5.7 표준 지원 종료됨');
+  });
+
+  it('should not report versions missing from the catalog', async () => {
+    jest.spyOn(lifecycleCatalogService, 'getLifecycleStatus').mockResolvedValue(null);
+
+    await inspector.checkEngineVersion({ DBInstanceIdentifier: 'db-1', Engine: 'mysql', EngineVersion: '8.4.0' });
+
+    expect(inspector.findings).toHaveLength(0);
+  });
+});
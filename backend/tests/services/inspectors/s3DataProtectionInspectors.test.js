@@ -0,0 +1,170 @@
+const VersioningInspector = require('../../../services/inspectors/s3/checks/versioningInspector');
+const MfaDeleteInspector = require('../../../services/inspectors/s3/checks/mfaDeleteInspector');
+const ObjectLockInspector = require('../../../services/inspectors/s3/checks/objectLockInspector');
+const LifecycleInspector = require('../../../services/inspectors/s3/checks/lifecycleInspector');
+const AccessLoggingInspector = require('../../../services/inspectors/s3/checks/accessLoggingInspector');
+const ReplicationInspector = require('../../../services/inspectors/s3/checks/replicationInspector');
+const S3DataCollector = require('../../../services/inspectors/s3/collectors/s3DataCollector');
+
+const credentials = {
+  accessKeyId: 'AKIA_TEST',
+  secretAccessKey: 'secret',
+  region: 'us-east-1'
+};
+
+// 버킷별 검사는 버킷 리전의 클라이언트로 새 수집기를 만들므로 프로토타입에서 응답을 지정
+const withBucketRegion = (inspector, region = 'us-east-1') => {
+  inspector.awsCredentials = credentials;
+  inspector.dataCollector = new S3DataCollector({}, inspector);
+  jest.spyOn(S3DataCollector.prototype, 'getBucketLocation').mockResolvedValue(region);
+  return inspector;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('VersioningInspector.checkBucket', () => {
+  it('should distinguish suspended from never-enabled versioning', async () => {
+    const inspector = withBucketRegion(new VersioningInspector());
+    jest.spyOn(S3DataCollector.prototype, 'getBucketVersioning')
+      .mockResolvedValueOnce({ status: 'Suspended' })
+      .mockResolvedValueOnce({ status: 'Disabled' })
+      .mockResolvedValueOnce({ status: 'Enabled' });
+
+    for (const name of ['suspended', 'disabled', 'enabled']) {
+      await inspector.checkBucket({ Name: name });
+    }
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['suspended', 'disabled']);
+    expect(inspector.findings[0].issue).toContain('일시 중지됨');
+  });
+});
+
+describe('MfaDeleteInspector.checkBucket', () => {
+  it('should only report versioned buckets without MFA delete', async () => {
+    const inspector = withBucketRegion(new MfaDeleteInspector());
+    jest.spyOn(S3DataCollector.prototype, 'getBucketVersioning')
+      .mockResolvedValueOnce({ status: 'Enabled', mfaDelete: 'Disabled' })
+      .mockResolvedValueOnce({ status: 'Disabled', mfaDelete: 'Disabled' })
+      .mockResolvedValueOnce({ status: 'Enabled', mfaDelete: 'Enabled' });
+
+    for (const name of ['no-mfa', 'unversioned', 'protected']) {
+      await inspector.checkBucket({ Name: name });
+    }
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['no-mfa']);
+  });
+});
+
+describe('ObjectLockInspector', () => {
+  it('should identify backup buckets by tag value or flag tag', () => {
+    const inspector = new ObjectLockInspector();
+
+    expect(inspector.isBackupBucket([{ Key: 'Purpose', Value: 'Backups' }])).toBe(true);
+    expect(inspector.isBackupBucket([{ Key: 'Backup-Bucket', Value: 'yes' }])).toBe(true);
+    expect(inspector.isBackupBucket([{ Key: 'BackupBucket', Value: 'false' }])).toBe(false);
+    expect(inspector.isBackupBucket([{ Key: 'Purpose', Value: 'backup-logs' }])).toBe(false);
+  });
+
+  it('should report backup buckets without Object Lock or without a default retention', async () => {
+    const inspector = withBucketRegion(new ObjectLockInspector());
+    jest.spyOn(S3DataCollector.prototype, 'getBucketTags').mockResolvedValue([{ Key: 'Purpose', Value: 'backup' }]);
+    jest.spyOn(S3DataCollector.prototype, 'getObjectLockConfiguration')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ ObjectLockEnabled: 'Enabled' })
+      .mockResolvedValueOnce({ ObjectLockEnabled: 'Enabled', Rule: { DefaultRetention: { Mode: 'COMPLIANCE', Days: 30 } } });
+
+    for (const name of ['unlocked', 'no-retention', 'locked']) {
+      await inspector.checkBucket({ Name: name });
+    }
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['unlocked', 'no-retention']);
+    expect(inspector.findings[1].issue).toContain('기본 보존 기간이 없음');
+  });
+});
+
+describe('LifecycleInspector.checkBucket', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = withBucketRegion(new LifecycleInspector());
+    inspector.largeBucketThresholdGB = 100;
+  });
+
+  it('should report large buckets without an enabled lifecycle rule', async () => {
+    jest.spyOn(inspector, 'getBucketSizeBytes').mockResolvedValue(250 * 1024 ** 3);
+    jest.spyOn(S3DataCollector.prototype, 'getBucketLifecycleRules')
+      .mockResolvedValueOnce([{ ID: 'old', Status: 'Disabled' }])
+      .mockResolvedValueOnce([{ ID: 'archive', Status: 'Enabled' }]);
+
+    await inspector.checkBucket({ Name: 'data-lake' });
+    await inspector.checkBucket({ Name: 'archived' });
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['data-lake']);
+    expect(inspector.findings[0].issue).toContain('Standard 스토리지 250.0GB');
+  });
+
+  it('should skip small buckets and buckets whose size is unknown', async () => {
+    const rules = jest.spyOn(S3DataCollector.prototype, 'getBucketLifecycleRules').mockResolvedValue([]);
+    jest.spyOn(inspector, 'getBucketSizeBytes')
+      .mockResolvedValueOnce(10 * 1024 ** 3)
+      .mockResolvedValueOnce(null);
+
+    await inspector.checkBucket({ Name: 'small' });
+    await inspector.checkBucket({ Name: 'unknown' });
+
+    expect(rules).not.toHaveBeenCalled();
+    expect(inspector.findings).toHaveLength(0);
+  });
+});
+
+describe('AccessLoggingInspector', () => {
+  it('should not report buckets that receive other buckets\' access logs', async () => {
+    const inspector = withBucketRegion(new AccessLoggingInspector());
+    inspector.loggingStatus = new Map();
+    jest.spyOn(S3DataCollector.prototype, 'getBucketLogging').mockImplementation(async bucketName =>
+      bucketName === 'app' ? { TargetBucket: 'access-logs' } : null
+    );
+
+    for (const name of ['app', 'access-logs', 'assets']) {
+      await inspector.checkBucket({ Name: name });
+    }
+    inspector.reportBucketsWithoutLogging();
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['assets']);
+  });
+});
+
+describe('ReplicationInspector.checkBucket', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = withBucketRegion(new ReplicationInspector());
+    jest.spyOn(S3DataCollector.prototype, 'getBucketTags').mockResolvedValue([{ Key: 'Replication-Required', Value: 'true' }]);
+  });
+
+  it('should report required replication that stays in the same region', async () => {
+    jest.spyOn(S3DataCollector.prototype, 'getBucketReplication').mockResolvedValue({
+      Rules: [{ Status: 'Enabled', Destination: { Bucket: 'arn:aws:s3:::replica-same-region' } }]
+    });
+
+    await inspector.checkBucket({ Name: 'ledger' });
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('같은 리전(us-east-1)');
+  });
+
+  it('should treat unreadable destination buckets as cross-region', async () => {
+    S3DataCollector.prototype.getBucketLocation
+      .mockResolvedValueOnce('us-east-1')
+      .mockRejectedValueOnce(new Error('AccessDenied'));
+    jest.spyOn(S3DataCollector.prototype, 'getBucketReplication').mockResolvedValue({
+      Rules: [{ Status: 'Enabled', Destination: { Bucket: 'arn:aws:s3:::partner-replica' } }]
+    });
+
+    await inspector.checkBucket({ Name: 'ledger' });
+
+    expect(inspector.findings).toHaveLength(0);
+  });
+});
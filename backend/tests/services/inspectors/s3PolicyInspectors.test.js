@@ -0,0 +1,126 @@
+const PolicyPublicAccessInspector = require('../../../services/inspectors/s3/checks/policyPublicAccessInspector');
+const CrossAccountAccessInspector = require('../../../services/inspectors/s3/checks/crossAccountAccessInspector');
+const SecureTransportInspector = require('../../../services/inspectors/s3/checks/secureTransportInspector');
+const S3DataCollector = require('../../../services/inspectors/s3/collectors/s3DataCollector');
+
+const credentials = {
+  accessKeyId: 'AKIA_TEST',
+  secretAccessKey: 'secret',
+  region: 'us-east-1'
+};
+
+const withCollector = inspector => {
+  inspector.awsCredentials = credentials;
+  inspector.dataCollector = new S3DataCollector({}, inspector);
+  return inspector;
+};
+
+const allUsers = permission => ({
+  Grantee: { Type: 'Group', URI: 'http://acs.amazonaws.com/groups/global/AllUsers' },
+  Permission: permission
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PolicyPublicAccessInspector', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = withCollector(new PolicyPublicAccessInspector());
+  });
+
+  it('should ignore wildcard principals narrowed by a fixed-value condition', () => {
+    expect(inspector.hasRestrictingCondition({ StringEquals: { 'aws:SourceVpce': 'vpce-1234' } })).toBe(true);
+    expect(inspector.hasRestrictingCondition({ IpAddress: { 'aws:SourceIp': '0.0.0.0/0' } })).toBe(false);
+    expect(inspector.hasRestrictingCondition({ StringNotEquals: { 'aws:SourceAccount': '111122223333' } })).toBe(false);
+    expect(inspector.hasRestrictingCondition({ StringLike: { 'aws:PrincipalOrgID': '*' } })).toBe(false);
+  });
+
+  it('should classify policy statements into public read and write grants', () => {
+    const grants = inspector.getPublicPolicyGrants({
+      Statement: [
+        { Sid: 'website', Effect: 'Allow', Principal: '*', Action: 's3:GetObject' },
+        { Effect: 'Allow', Principal: { AWS: '*' }, NotAction: 's3:GetObject' },
+        { Sid: 'vpc-only', Effect: 'Allow', Principal: '*', Action: 's3:*', Condition: { StringEquals: { 'aws:SourceVpc': 'vpc-1' } } },
+        { Sid: 'partner', Effect: 'Allow', Principal: { AWS: 'arn:aws:iam::111122223333:root' }, Action: 's3:*' }
+      ]
+    });
+
+    expect(grants.read).toEqual(['정책 문장 website', '정책 문장 #2']);
+    expect(grants.write).toEqual(['정책 문장 #2']);
+  });
+
+  it('should drop grants neutralized by the bucket or account public access block', async () => {
+    inspector.accountPublicAccessBlock = { IgnorePublicAcls: true };
+    jest.spyOn(S3DataCollector.prototype, 'getBucketLocation').mockResolvedValue('us-east-1');
+    jest.spyOn(S3DataCollector.prototype, 'getBucketPolicy').mockResolvedValue({
+      Statement: [{ Sid: 'upload', Effect: 'Allow', Principal: '*', Action: 's3:PutObject' }]
+    });
+    jest.spyOn(S3DataCollector.prototype, 'getBucketAcl').mockResolvedValue({ grants: [allUsers('READ')] });
+    jest.spyOn(S3DataCollector.prototype, 'getPublicAccessBlock').mockResolvedValue(null);
+
+    await inspector.checkBucket({ Name: 'uploads' });
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toBe('퍼블릭 쓰기 허용 (리전: us-east-1): 정책 문장 upload');
+  });
+
+  it('should classify FULL_CONTROL ACL grants as both read and write', () => {
+    const grants = inspector.getPublicAclGrants({ grants: [allUsers('FULL_CONTROL')] });
+
+    expect(grants.read).toEqual(['ACL 모든 사용자(FULL_CONTROL)']);
+    expect(grants.write).toEqual(['ACL 모든 사용자(FULL_CONTROL)']);
+  });
+});
+
+describe('CrossAccountAccessInspector', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = withCollector(new CrossAccountAccessInspector());
+    inspector.accountId = '999900001111';
+    inspector.trustedAccountIds = new Set(['444455556666']);
+  });
+
+  it('should report policy principals outside the own and trusted accounts', () => {
+    const accountIds = inspector.getExternalPolicyAccounts({
+      Statement: [
+        {
+          Effect: 'Allow',
+          Principal: { AWS: ['arn:aws:iam::111122223333:role/reader', '444455556666', 'arn:aws:iam::999900001111:root'] }
+        },
+        { Effect: 'Deny', Principal: { AWS: 'arn:aws:iam::222233334444:root' } }
+      ]
+    });
+
+    expect(accountIds).toEqual(['111122223333']);
+  });
+
+  it('should ignore the bucket owner and the CloudFront log delivery account in ACLs', () => {
+    const canonicalIds = inspector.getExternalAclGrantees({
+      ownerId: 'owner-id',
+      grants: [
+        { Grantee: { Type: 'CanonicalUser', ID: 'owner-id' }, Permission: 'FULL_CONTROL' },
+        { Grantee: { Type: 'CanonicalUser', ID: inspector.awsLogDeliveryCanonicalIds[0] }, Permission: 'FULL_CONTROL' },
+        { Grantee: { Type: 'CanonicalUser', ID: 'partner-id' }, Permission: 'READ' }
+      ]
+    });
+
+    expect(canonicalIds).toEqual(['partner-id']);
+  });
+});
+
+describe('SecureTransportInspector.hasSecureTransportDeny', () => {
+  it('should require a wildcard Deny on aws:SecureTransport false', () => {
+    const inspector = withCollector(new SecureTransportInspector());
+    const denyStatement = principal => ({
+      Statement: [{ Effect: 'Deny', Principal: principal, Action: 's3:*', Condition: { Bool: { 'aws:SecureTransport': 'false' } } }]
+    });
+
+    expect(inspector.hasSecureTransportDeny(denyStatement('*'))).toBe(true);
+    expect(inspector.hasSecureTransportDeny(denyStatement({ AWS: 'arn:aws:iam::111122223333:root' }))).toBe(false);
+    expect(inspector.hasSecureTransportDeny(null)).toBe(false);
+  });
+});
@@ -0,0 +1,67 @@
+const SecurityGroupHygieneInspector = require('../../../services/inspectors/ec2/checks/securityGroupHygieneInspector');
+const EC2DataCollector = require('../../../services/inspectors/ec2/collectors/ec2DataCollector');
+
+const credentials = {
+  accessKeyId: 'AKIA_TEST',
+  secretAccessKey: 'secret',
+  region: 'us-east-1'
+};
+
+describe('SecurityGroupHygieneInspector', () => {
+  let inspector;
+
+  const inspect = async ({ partialInterfaces = false } = {}) => {
+    jest.spyOn(EC2DataCollector.prototype, 'getSecurityGroups').mockResolvedValue([
+      { GroupId: 'sg-attached', GroupName: 'web', VpcId: 'vpc-1' },
+      { GroupId: 'sg-unused', GroupName: 'legacy', VpcId: 'vpc-1' }
+    ]);
+    jest.spyOn(EC2DataCollector.prototype, 'getNetworkInterfaces').mockImplementation(async function () {
+      if (partialInterfaces) this.inspector.markPartialCollection('DescribeNetworkInterfaces');
+      return [{ NetworkInterfaceId: 'eni-1', Groups: [{ GroupId: 'sg-attached' }] }];
+    });
+
+    await inspector.executeInspection(credentials, {});
+  };
+
+  beforeEach(() => {
+    inspector = new SecurityGroupHygieneInspector();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report security groups attached to no network interface', async () => {
+    await inspect();
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['sg-unused']);
+  });
+
+  it('should not report unattached groups when the network interface list is partial', async () => {
+    await inspect({ partialInterfaces: true });
+
+    expect(inspector.findings).toHaveLength(0);
+  });
+
+  it('should report rules left on the default group and open egress from data-tier groups', async () => {
+    jest.spyOn(EC2DataCollector.prototype, 'getSecurityGroups').mockResolvedValue([
+      { GroupId: 'sg-default', GroupName: 'default', VpcId: 'vpc-1', IpPermissions: [{ IpProtocol: '-1' }] },
+      {
+        GroupId: 'sg-db',
+        GroupName: 'orders-db',
+        VpcId: 'vpc-1',
+        IpPermissionsEgress: [{ IpProtocol: '-1', IpRanges: [{ CidrIp: '0.0.0.0/0' }] }]
+      }
+    ]);
+    jest.spyOn(EC2DataCollector.prototype, 'getNetworkInterfaces').mockResolvedValue([
+      { NetworkInterfaceId: 'eni-1', Description: 'RDSNetworkInterface', Groups: [{ GroupId: 'sg-db' }] }
+    ]);
+
+    await inspector.executeInspection(credentials, {});
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['sg-default', 'sg-db']);
+    expect(inspector.findings[0].issue).toContain('인바운드 1개, 아웃바운드 0개');
+    expect(inspector.findings[1].issue).toContain('데이터 계층(RDS)');
+  });
+});
@@ -0,0 +1,88 @@
+const SecurityGroupInspector = require('../../../services/inspectors/ec2/checks/securityGroupInspector');
+
+const securityGroupWith = rule => ({
+  GroupId: 'sg-1',
+  GroupName: 'web',
+  IpPermissions: [{ IpProtocol: 'tcp', FromPort: 443, ToPort: 443, ...rule }]
+});
+
+describe('SecurityGroupInspector.checkWideCidrRules', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = new SecurityGroupInspector();
+  });
+
+  it('should flag wide IPv4 ranges but not the internet-wide range', () => {
+    inspector.checkWideCidrRules(securityGroupWith({
+      IpRanges: [{ CidrIp: '0.0.0.0/0' }, { CidrIp: '10.0.0.0/8' }, { CidrIp: '203.0.113.0/24' }]
+    }));
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('10.0.0.0/8 (TCP/443, 사설 대역)');
+    expect(inspector.findings[0].issue).not.toContain('203.0.113.0/24');
+  });
+
+  it('should apply the same check to IPv6 ranges', () => {
+    inspector.checkWideCidrRules(securityGroupWith({
+      Ipv6Ranges: [
+        { CidrIpv6: '::/0' },
+        { CidrIpv6: '2001:db8::/32' },
+        { CidrIpv6: '2600::/16' },
+        { CidrIpv6: '2001:db8:1234::/48' }
+      ]
+    }));
+
+    const { issue } = inspector.findings[0];
+    expect(issue).toContain('2001:db8::/32');
+    expect(issue).toContain('2600::/16');
+    expect(issue).not.toContain('/48');
+    expect(issue).not.toContain('::/0 ');
+  });
+
+  it('should mark unique local IPv6 ranges as private', () => {
+    inspector.checkWideCidrRules(securityGroupWith({ Ipv6Ranges: [{ CidrIpv6: 'fd00::/8' }] }));
+
+    expect(inspector.findings[0].issue).toContain('fd00::/8 (TCP/443, 사설 대역)');
+  });
+
+  it('should honour a configured IPv6 threshold', () => {
+    inspector.wideIpv6CidrPrefixLength = 48;
+    inspector.checkWideCidrRules(securityGroupWith({ Ipv6Ranges: [{ CidrIpv6: '2001:db8:1234::/48' }] }));
+
+    expect(inspector.findings).toHaveLength(1);
+  });
+});
+
+describe('SecurityGroupInspector.resolveDangerousPorts', () => {
+  it('should merge additional ports and name known services', () => {
+    const inspector = new SecurityGroupInspector();
+
+    const ports = inspector.resolveDangerousPorts({ dangerousPorts: [445], additionalDangerousPorts: [6379, { port: 8080, service: 'Admin' }] });
+
+    expect(ports).toEqual([
+      { port: 445, service: 'SMB' },
+      { port: 6379, service: 'Redis' },
+      { port: 8080, service: 'Admin' }
+    ]);
+  });
+});
+
+describe('SecurityGroupInspector.checkAllTrafficRules', () => {
+  it('should report all-traffic rules open to IPv4 or IPv6 in one finding', () => {
+    const inspector = new SecurityGroupInspector();
+
+    inspector.checkAllTrafficRules({
+      GroupId: 'sg-1',
+      GroupName: 'debug',
+      IpPermissions: [
+        { IpProtocol: '-1', IpRanges: [{ CidrIp: '0.0.0.0/0' }], Ipv6Ranges: [{ CidrIpv6: '::/0' }] },
+        { IpProtocol: 'tcp', FromPort: 22, ToPort: 22, IpRanges: [{ CidrIp: '0.0.0.0/0' }] },
+        { IpProtocol: '-1', IpRanges: [{ CidrIp: '10.0.0.0/16' }] }
+      ]
+    });
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('인터넷에 개방됨: 0.0.0.0/0, ::/0');
+  });
+});
@@ -0,0 +1,135 @@
+const StoppedInstanceInspector = require('../../../services/inspectors/ec2/checks/stoppedInstanceInspector');
+const EC2DataCollector = require('../../../services/inspectors/ec2/collectors/ec2DataCollector');
+
+const credentials = {
+  accessKeyId: 'AKIA_TEST',
+  secretAccessKey: 'secret',
+  region: 'us-east-1'
+};
+
+// StateTransitionReason 형식: "User initiated (YYYY-MM-DD HH:MM:SS GMT)"
+const stoppedReason = days => {
+  const stoppedAt = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const [date, time] = stoppedAt.toISOString().split(/[T.]/);
+  return `User initiated (${date} ${time} GMT)`;
+};
+
+const stoppedInstance = (instanceId, reason) => ({
+  InstanceId: instanceId,
+  InstanceType: 'm5.large',
+  State: { Name: 'stopped' },
+  StateTransitionReason: reason,
+  Tags: [{ Key: 'Name', Value: `${instanceId}-name` }]
+});
+
+describe('StoppedInstanceInspector', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = new StoppedInstanceInspector();
+  });
+
+  describe('parseStopTime', () => {
+    it('should extract the stop time from the transition reason', () => {
+      const stoppedAt = inspector.parseStopTime('User initiated (2024-01-15 10:30:45 GMT)');
+
+      expect(stoppedAt.toISOString()).toBe('2024-01-15T10:30:45.000Z');
+    });
+
+    it('should return null for reasons without a timestamp', () => {
+      expect(inspector.parseStopTime('Server.ScheduledStop: Stopped due to scheduled retirement')).toBeNull();
+      expect(inspector.parseStopTime('')).toBeNull();
+      expect(inspector.parseStopTime(undefined)).toBeNull();
+    });
+
+    it('should return null for timestamps that are not valid dates', () => {
+      expect(inspector.parseStopTime('User initiated (2024-13-45 10:30:45 GMT)')).toBeNull();
+    });
+  });
+
+  describe('estimateMonthlyCost', () => {
+    it('should add EBS storage by volume type and Elastic IP hours', () => {
+      const cost = inspector.estimateMonthlyCost(
+        [
+          { VolumeType: 'gp3', Size: 100 },
+          { VolumeType: 'gp3', Size: 50 },
+          { VolumeType: 'io1', Size: 200 }
+        ],
+        [{ AllocationId: 'eipalloc-1' }]
+      );
+
+      expect(cost.sizeByType).toEqual({ gp3: 150, io1: 200 });
+      expect(cost.totalSizeGb).toBe(350);
+      // 150 * 0.08 + 200 * 0.125 + 1 * 0.005 * 730
+      expect(cost.monthlyCost).toBeCloseTo(12 + 25 + 3.65);
+    });
+
+    it('should price unknown volume types as gp2 and missing types as standard', () => {
+      const cost = inspector.estimateMonthlyCost(
+        [{ VolumeType: 'gp9', Size: 10 }, { Size: 20 }],
+        []
+      );
+
+      expect(cost.sizeByType).toEqual({ gp9: 10, standard: 20 });
+      expect(cost.monthlyCost).toBeCloseTo(10 * 0.10 + 20 * 0.05);
+    });
+  });
+
+  describe('performInspection', () => {
+    const inspect = async (instances, inspectionConfig = {}) => {
+      jest.spyOn(EC2DataCollector.prototype, 'getEC2Instances').mockResolvedValue(instances);
+      jest.spyOn(EC2DataCollector.prototype, 'getVolumes').mockResolvedValue([
+        { VolumeId: 'vol-1', VolumeType: 'gp3', Size: 100, Attachments: [{ InstanceId: 'i-old' }] }
+      ]);
+      jest.spyOn(EC2DataCollector.prototype, 'getAddresses').mockResolvedValue([
+        { AllocationId: 'eipalloc-1', InstanceId: 'i-old' }
+      ]);
+
+      await inspector.executeInspection(credentials, inspectionConfig);
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should only report instances stopped for at least the default period', async () => {
+      await inspect([
+        stoppedInstance('i-old', stoppedReason(30)),
+        stoppedInstance('i-recent', stoppedReason(2)),
+        { InstanceId: 'i-running', State: { Name: 'running' } }
+      ]);
+
+      expect(inspector.findings).toHaveLength(1);
+      expect(inspector.findings[0].resourceId).toBe('i-old');
+      expect(inspector.findings[0].issue).toContain('30일째 중지');
+      expect(inspector.findings[0].issue).toContain('EBS 100GiB [gp3 100GiB]');
+      expect(inspector.findings[0].issue).toContain('Elastic IP 1개');
+      expect(inspector.findings[0].issue).toContain('월 $11.65');
+      expect(inspector.findings[0].recommendation).toContain('Elastic IP');
+    });
+
+    it('should use minStoppedDays from the inspection config', async () => {
+      await inspect([
+        stoppedInstance('i-old', stoppedReason(30)),
+        stoppedInstance('i-recent', stoppedReason(2))
+      ], { minStoppedDays: 1 });
+
+      expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['i-old', 'i-recent']);
+    });
+
+    it('should report every stopped instance when minStoppedDays is 0', async () => {
+      await inspect([stoppedInstance('i-today', stoppedReason(0))], { minStoppedDays: 0 });
+
+      expect(inspector.findings).toHaveLength(1);
+    });
+
+    it('should report instances whose stop time cannot be determined regardless of the period', async () => {
+      await inspect([stoppedInstance('i-unknown', 'Server.InternalError')], { minStoppedDays: 365 });
+
+      expect(inspector.findings).toHaveLength(1);
+      expect(inspector.findings[0].issue).toContain('중지 시점 확인 불가');
+      expect(inspector.findings[0].issue).toContain('EBS 볼륨 없음');
+      expect(inspector.findings[0].issue).toContain('월 $0.00');
+    });
+  });
+});
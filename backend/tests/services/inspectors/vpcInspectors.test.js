@@ -0,0 +1,118 @@
+const FlowLogInspector = require('../../../services/inspectors/vpc/checks/flowLogInspector');
+const DefaultVpcInspector = require('../../../services/inspectors/vpc/checks/defaultVpcInspector');
+const NetworkAclInspector = require('../../../services/inspectors/vpc/checks/networkAclInspector');
+const ElasticIpInspector = require('../../../services/inspectors/vpc/checks/elasticIpInspector');
+const NatGatewayTrafficInspector = require('../../../services/inspectors/vpc/checks/natGatewayTrafficInspector');
+const VPCDataCollector = require('../../../services/inspectors/vpc/collectors/vpcDataCollector');
+
+const withCollector = inspector => {
+  inspector.dataCollector = new VPCDataCollector({}, inspector);
+  return inspector;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('FlowLogInspector.checkVpc', () => {
+  it('should report VPCs without an active flow log', async () => {
+    const inspector = withCollector(new FlowLogInspector());
+    inspector.activeFlowLogResourceIds = new Set(['vpc-logged']);
+
+    await inspector.checkVpc({ VpcId: 'vpc-logged' });
+    await inspector.checkVpc({ VpcId: 'vpc-silent', CidrBlock: '10.1.0.0/16', Tags: [{ Key: 'Name', Value: 'batch' }] });
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('VPC batch (vpc-silent)에 활성화된 플로우 로그가 없음 (10.1.0.0/16)');
+  });
+});
+
+describe('DefaultVpcInspector.checkVpc', () => {
+  it('should report the default VPC only when it has network interfaces', async () => {
+    const inspector = withCollector(new DefaultVpcInspector());
+    inspector.subnets = [{ SubnetId: 'subnet-a', AvailabilityZone: 'us-east-1a' }];
+    jest.spyOn(VPCDataCollector.prototype, 'getNetworkInterfacesForVpc').mockResolvedValue([
+      { SubnetId: 'subnet-a', Attachment: { InstanceId: 'i-1' } },
+      { SubnetId: 'subnet-a', InterfaceType: 'nat_gateway' }
+    ]);
+
+    await inspector.checkVpc({ VpcId: 'vpc-custom', IsDefault: false });
+    await inspector.checkVpc({ VpcId: 'vpc-default', IsDefault: true });
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('EC2 인스턴스 1개, nat_gateway 1개, 서브넷: subnet-a(us-east-1a)');
+  });
+});
+
+describe('NetworkAclInspector.checkNetworkAcl', () => {
+  let inspector;
+
+  beforeEach(() => {
+    inspector = withCollector(new NetworkAclInspector());
+  });
+
+  it('should apply the lowest-numbered matching rule for each admin port', async () => {
+    await inspector.checkNetworkAcl({
+      NetworkAclId: 'acl-1',
+      Associations: [{ SubnetId: 'subnet-a' }],
+      Entries: [
+        { RuleNumber: 100, Protocol: '6', PortRange: { From: 22, To: 22 }, CidrBlock: '0.0.0.0/0', RuleAction: 'deny', Egress: false },
+        { RuleNumber: 200, Protocol: '-1', CidrBlock: '0.0.0.0/0', RuleAction: 'allow', Egress: false },
+        { RuleNumber: 100, Protocol: '-1', CidrBlock: '0.0.0.0/0', RuleAction: 'allow', Egress: true }
+      ]
+    });
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).not.toContain('SSH');
+    expect(inspector.findings[0].issue).toContain('RDP(3389, 0.0.0.0/0, 규칙 #200)');
+    expect(inspector.findings[0].recommendation).toContain('적용 서브넷: subnet-a');
+  });
+
+  it('should skip ACLs without associated subnets', async () => {
+    await inspector.checkNetworkAcl({
+      NetworkAclId: 'acl-2',
+      Associations: [],
+      Entries: [{ RuleNumber: 100, Protocol: '-1', CidrBlock: '0.0.0.0/0', RuleAction: 'allow', Egress: false }]
+    });
+
+    expect(inspector.findings).toHaveLength(0);
+  });
+});
+
+describe('ElasticIpInspector.checkAddress', () => {
+  it('should report unassociated addresses with their monthly cost', async () => {
+    const inspector = withCollector(new ElasticIpInspector());
+
+    await inspector.checkAddress({ AllocationId: 'eipalloc-free', PublicIp: '203.0.113.10' });
+    await inspector.checkAddress({ AllocationId: 'eipalloc-used', PublicIp: '203.0.113.11', AssociationId: 'eipassoc-1' });
+
+    expect(inspector.findings.map(finding => finding.resourceId)).toEqual(['eipalloc-free']);
+    expect(inspector.findings[0].issue).toContain('월 $3.65');
+  });
+});
+
+describe('NatGatewayTrafficInspector.checkNatGateway', () => {
+  let inspector;
+  const natGateway = { NatGatewayId: 'nat-1', VpcId: 'vpc-1', CreateTime: new Date('2024-01-01T00:00:00Z') };
+
+  beforeEach(() => {
+    inspector = withCollector(new NatGatewayTrafficInspector());
+  });
+
+  it('should report gateways without traffic during the lookback period', async () => {
+    jest.spyOn(inspector, 'getMetricSum').mockResolvedValue(0);
+
+    await inspector.checkNatGateway(natGateway);
+
+    expect(inspector.findings).toHaveLength(1);
+    expect(inspector.findings[0].issue).toContain('예상 고정 비용 월 $32.85');
+  });
+
+  it('should not judge gateways when the metric lookup fails', async () => {
+    jest.spyOn(inspector, 'getMetricSum').mockResolvedValueOnce(null).mockResolvedValueOnce(0);
+
+    await inspector.checkNatGateway(natGateway);
+
+    expect(inspector.findings).toHaveLength(0);
+  });
+});
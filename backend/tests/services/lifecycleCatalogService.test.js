@@ -0,0 +1,153 @@
+jest.mock('../../config/aws', () => ({
+  dynamoDBDocClient: { send: jest.fn() }
+}));
+
+const { dynamoDBDocClient } = require('../../config/aws');
+const lifecycleCatalogService = require('../../services/lifecycleCatalogService');
+const defaultCatalog = require('../../config/lifecycleCatalog.json');
+
+const LifecycleCatalogService = lifecycleCatalogService.constructor;
+
+const catalogWithVersion = version => ({
+  version,
+  products: {
+    'windows-server': {
+      name: 'Windows Server',
+      versions: { 2016: { endDate: '2000-01-01' } }
+    }
+  }
+});
+
+// 기본 카탈로그보다 높은/낮은 버전
+const newerVersion = `${Number(defaultCatalog.version.split('.')[0]) + 1}.1.0`;
+const olderVersion = '2000.1.0';
+
+describe('LifecycleCatalogService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new LifecycleCatalogService();
+  });
+
+  describe('bundled catalog', () => {
+    it('should be valid and cover operating systems, database engines, runtimes and EKS', () => {
+      expect(service.validateCatalog(defaultCatalog).isValid).toBe(true);
+      expect(Object.keys(defaultCatalog.products)).toEqual(expect.arrayContaining([
+        'windows-server', 'amazon-linux', 'ubuntu', 'rhel', 'rds-mysql', 'rds-aurora-mysql', 'lambda-runtime', 'eks'
+      ]));
+    });
+  });
+
+  describe('getCatalog', () => {
+    it('should use the bundled catalog when nothing has been uploaded', async () => {
+      dynamoDBDocClient.send.mockResolvedValue({});
+
+      const catalog = await service.getCatalog();
+
+      expect(catalog.source).toBe('default');
+      expect(catalog.version).toBe(defaultCatalog.version);
+    });
+
+    it('should use an uploaded catalog newer than the bundled one', async () => {
+      dynamoDBDocClient.send.mockResolvedValue({ Item: { catalogId: 'CURRENT', ...catalogWithVersion(newerVersion) } });
+
+      const catalog = await service.getCatalog();
+
+      expect(catalog.source).toBe('uploaded');
+      expect(catalog.version).toBe(newerVersion);
+      expect(catalog.catalogId).toBeUndefined();
+    });
+
+    it('should prefer a newer bundled catalog over an older upload', async () => {
+      dynamoDBDocClient.send.mockResolvedValue({ Item: { catalogId: 'CURRENT', ...catalogWithVersion(olderVersion) } });
+
+      const catalog = await service.getCatalog();
+
+      expect(catalog.source).toBe('default');
+      expect(catalog.version).toBe(defaultCatalog.version);
+    });
+
+    it('should fall back to the bundled catalog when DynamoDB is unavailable', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      dynamoDBDocClient.send.mockRejectedValue(new Error('ResourceNotFoundException'));
+
+      const catalog = await service.getCatalog();
+
+      expect(catalog.source).toBe('default');
+      console.warn.mockRestore();
+    });
+
+    it('should cache the catalog between lookups', async () => {
+      dynamoDBDocClient.send.mockResolvedValue({});
+
+      await Promise.all([service.getCatalog(), service.getCatalog()]);
+      await service.getLifecycleStatus('windows-server', '2016');
+
+      expect(dynamoDBDocClient.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should read lifecycle status from the selected catalog', async () => {
+      dynamoDBDocClient.send.mockResolvedValue({ Item: { catalogId: 'CURRENT', ...catalogWithVersion(newerVersion) } });
+
+      const status = await service.getLifecycleStatus('windows-server', '2016');
+
+      expect(status).toMatchObject({ productId: 'windows-server', version: '2016', status: 'ended' });
+      expect(await service.getLifecycleStatus('windows-server', '2019')).toBeNull();
+    });
+  });
+
+  describe('updateCatalog', () => {
+    it('should store a newer catalog with a condition on the stored version', async () => {
+      dynamoDBDocClient.send
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      const result = await service.updateCatalog(catalogWithVersion(newerVersion), 'admin');
+
+      expect(result.success).toBe(true);
+      expect(result.catalog).toMatchObject({
+        version: newerVersion,
+        previousVersion: defaultCatalog.version,
+        updatedBy: 'admin',
+        source: 'uploaded'
+      });
+
+      const { input } = dynamoDBDocClient.send.mock.calls[1][0];
+      expect(input.Item.catalogId).toBe('CURRENT');
+      expect(input.ConditionExpression).toBe('attribute_not_exists(catalogId)');
+    });
+
+    it('should reject catalogs that are not newer than the applied catalog', async () => {
+      dynamoDBDocClient.send.mockResolvedValue({});
+
+      const result = await service.updateCatalog(catalogWithVersion(olderVersion), 'admin');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('VERSION_CONFLICT');
+      expect(dynamoDBDocClient.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report a conflict when another upload wins the race', async () => {
+      const conflict = new Error('The conditional request failed');
+      conflict.name = 'ConditionalCheckFailedException';
+      dynamoDBDocClient.send
+        .mockResolvedValueOnce({ Item: { catalogId: 'CURRENT', ...catalogWithVersion(newerVersion) } })
+        .mockRejectedValueOnce(conflict);
+
+      const result = await service.updateCatalog(catalogWithVersion(`${newerVersion}.1`), 'admin');
+
+      expect(result.code).toBe('VERSION_CONFLICT');
+      expect(dynamoDBDocClient.send.mock.calls[1][0].input.ExpressionAttributeValues).toEqual({
+        ':storedVersion': newerVersion
+      });
+    });
+
+    it('should reject versions that cannot be compared', async () => {
+      const result = await service.updateCatalog(catalogWithVersion('next'), 'admin');
+
+      expect(result.code).toBe('INVALID_CATALOG');
+      expect(dynamoDBDocClient.send).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -6,6 +6,7 @@ import {
   ProtectedRoute, 
   PublicRoute,
   UserList, 
+  LifecycleCatalogManager,
   ResourceInspectionTab,
   InspectionHistory,
   WebSocketStatus,
@@ -17,12 +18,13 @@ import {
 import { RegisterPage, LoginPage, UserDashboardPage } from './pages';
 import './App.css';
 
-// Admin Panel component with UserList
+// Admin Panel component with UserList and lifecycle catalog
 const AdminPanel = () => {
   return (
     <section className="admin-panel" aria-labelledby="admin-panel-title">
       <h1 id="admin-panel-title" className="sr-only">관리자 패널</h1>
       <UserList />
+      <LifecycleCatalogManager />
     </section>
   );
 };
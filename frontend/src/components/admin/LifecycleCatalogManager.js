@@ -0,0 +1,184 @@
+import { useState, useEffect, useRef } from 'react';
+import { adminService } from '../../services';
+import './LifecycleCatalogManager.css';
+
+// 지원 종료 임박 목록에 포함할 기간 (개월)
+const WITHIN_MONTHS = 6;
+
+const LifecycleCatalogManager = () => {
+  const [catalog, setCatalog] = useState(null);
+  const [endingVersions, setEndingVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const [uploadResult, setUploadResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    fetchCatalog();
+  }, []);
+
+  const fetchCatalog = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await adminService.getLifecycleCatalog(WITHIN_MONTHS);
+      if (response.success) {
+        setCatalog(response.data.catalog);
+        setEndingVersions(response.data.endingVersions || []);
+      } else {
+        setError(response.message || '수명 주기 카탈로그를 불러올 수 없습니다.');
+      }
+    } catch (err) {
+      console.error('Failed to fetch lifecycle catalog:', err);
+      setError('수명 주기 카탈로그를 불러오는 중 오류가 발생했습니다.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'N/A';
+    return new Date(dateString).toLocaleDateString('ko-KR', {
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setUploadResult(null);
+
+    let uploadedCatalog;
+    try {
+      uploadedCatalog = JSON.parse(await file.text());
+    } catch (err) {
+      setUploadResult({ success: false, message: 'JSON 파일 형식이 올바르지 않습니다.', details: [] });
+      event.target.value = '';
+      return;
+    }
+
+    try {
+      setUploading(true);
+      const response = await adminService.updateLifecycleCatalog(uploadedCatalog);
+      setUploadResult({ success: true, message: `카탈로그 버전 ${response.data.version} 적용 완료 (다음 검사부터 반영)`, details: [] });
+      await fetchCatalog();
+    } catch (err) {
+      const apiError = err.response?.data?.error;
+      setUploadResult({
+        success: false,
+        message: apiError?.code === 'VERSION_CONFLICT'
+          ? '현재 적용된 카탈로그보다 높은 버전만 업로드할 수 있습니다. version 값을 올려서 다시 업로드하세요.'
+          : '카탈로그 업로드에 실패했습니다.',
+        details: Array.isArray(apiError?.details) ? apiError.details : []
+      });
+    } finally {
+      setUploading(false);
+      event.target.value = '';
+    }
+  };
+
+  if (loading) {
+    return (
+      <section className="lifecycle-catalog">
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>수명 주기 카탈로그를 불러오는 중...</p>
+        </div>
+      </section>
+    );
+  }
+
+  if (error) {
+    return (
+      <section className="lifecycle-catalog">
+        <div className="error-message">
+          <p>{error}</p>
+          <button onClick={fetchCatalog} className="retry-button">
+            다시 시도
+          </button>
+        </div>
+      </section>
+    );
+  }
+
+  return (
+    <section className="lifecycle-catalog" aria-labelledby="lifecycle-catalog-title">
+      <div className="lifecycle-catalog-header">
+        <div>
+          <h2 id="lifecycle-catalog-title">지원 종료(EOL) 카탈로그</h2>
+          <p className="lifecycle-catalog-meta">
+            버전 {catalog.version}
+            {' · '}
+            {catalog.source === 'uploaded' ? `업로드됨 (${catalog.updatedBy || 'N/A'}, ${formatDate(catalog.updatedAt)})` : '기본 카탈로그'}
+            {' · '}
+            제품 {Object.keys(catalog.products).length}개
+          </p>
+        </div>
+        <div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            className="lifecycle-catalog-file-input"
+            aria-label="카탈로그 JSON 파일 선택"
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="lifecycle-catalog-upload-button"
+            disabled={uploading}
+          >
+            {uploading ? '업로드 중...' : 'JSON 업로드'}
+          </button>
+        </div>
+      </div>
+
+      {uploadResult && (
+        <div className={`lifecycle-catalog-result ${uploadResult.success ? 'success' : 'failure'}`} role="status">
+          <p>{uploadResult.message}</p>
+          {uploadResult.details.length > 0 && (
+            <ul>
+              {uploadResult.details.map(detail => <li key={detail}>{detail}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <h3 className="lifecycle-catalog-subtitle">
+        지원 종료 또는 {WITHIN_MONTHS}개월 내 종료 예정 ({endingVersions.length})
+      </h3>
+      {endingVersions.length === 0 ? (
+        <p className="lifecycle-catalog-empty">해당하는 버전이 없습니다.</p>
+      ) : (
+        <table className="lifecycle-catalog-table">
+          <thead>
+            <tr>
+              <th>제품</th>
+              <th>버전</th>
+              <th>종료일</th>
+              <th>상태</th>
+            </tr>
+          </thead>
+          <tbody>
+            {endingVersions.map(entry => (
+              <tr key={`${entry.productId}-${entry.version}`}>
+                <td>{entry.productName}</td>
+                <td>{entry.version}</td>
+                <td>{formatDate(entry.endDate)}</td>
+                <td className={`lifecycle-status ${entry.status}`}>
+                  {entry.status === 'ended' ? '지원 종료' : `${entry.daysUntilEnd}일 후 종료`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+};
+
+export default LifecycleCatalogManager;
@@ -1,2 +1,3 @@
 // Admin Components
-export { default as UserList } from './UserList';
\ No newline at end of file
+export { default as UserList } from './UserList';
+export { default as LifecycleCatalogManager } from './LifecycleCatalogManager';
\ No newline at end of file
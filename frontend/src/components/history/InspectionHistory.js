@@ -8,7 +8,8 @@ import {
   getSeverityIcon,
   determineInspectionStatus,
   getActualStatus,
-  calculateStatusStats
+  calculateStatusStats,
+  groupFindings
 } from '../../utils/itemMappings';
 import './InspectionHistory.css';
 
@@ -69,6 +70,11 @@ const InspectionHistory = () => {
         resourcesAffected: resourcesAffected,
         status: item.status,
 
+        // 수집 한도 도달로 일부 리소스만 검사된 결과 여부
+        partial: item.partial === true,
+        partialCollections: item.partialCollections || [],
+        cancelled: item.cancelled === true,
+
         // 시간 정보
         timestamp: new Date(item.inspectionTime || Date.now()).toISOString(),
 
@@ -388,6 +394,19 @@ const InspectionHistory = () => {
                   {/* 검사 결과 요약 */}
                   <div className="row-summary">
                     {getResultSummary(item)}
+                    {item.cancelled && (
+                      <span className="partial-badge-mini" title="검사가 취소되어 취소 전까지 발견된 결과만 저장되었습니다">
+                        검사 취소됨 (부분 결과)
+                      </span>
+                    )}
+                    {item.partial && !item.cancelled && (
+                      <span
+                        className="partial-badge-mini"
+                        title={`수집 한도 도달: ${item.partialCollections.map(entry => `${entry.operation} (${entry.limit}개)`).join(', ')}`}
+                      >
+                        일부 리소스만 검사됨
+                      </span>
+                    )}
                   </div>
 
                   {/* 심각도 */}
@@ -546,38 +565,49 @@ const InspectionHistory = () => {
                     <span className="findings-count">{selectedInspection.results.findings.length}개 문제</span>
                   </div>
 
-                  <div className="findings-grid-modern">
-                    {selectedInspection.results.findings.map((finding, index) => (
-                      <div key={index} className="finding-card-modern">
-                        <div className="finding-card-content">
-                          <div className="resource-info-modern">
-                            <span className="resource-type">{finding.resourceType}</span>
-                            <span className="resource-id">{finding.resourceId}</span>
-                          </div>
-
-                          <div className="issue-description">
-                            <div className="issue-title">
-                              <span className="issue-icon">🚨</span>
-                              <strong>문제</strong>
-                            </div>
-                            <p>{finding.issue}</p>
-                          </div>
+                  {groupFindings(selectedInspection.results.findings).map(group => (
+                    <div key={group.groupId || 'ungrouped'} className="finding-group-modern">
+                      {group.groupId && (
+                        <div className="finding-group-header">
+                          <span className="finding-group-name">{group.groupName}</span>
+                          <span className="findings-count">{group.findings.length}개 문제</span>
+                        </div>
+                      )}
+
+                      <div className="findings-grid-modern">
+                        {group.findings.map((finding, index) => (
+                          <div key={index} className="finding-card-modern">
+                            <div className="finding-card-content">
+                              <div className="resource-info-modern">
+                                <span className="resource-type">{finding.resourceType}</span>
+                                <span className="resource-id">{finding.resourceId}</span>
+                              </div>
 
-                          {finding.recommendation && (
-                            <div className="recommendation-description">
-                              <div className="recommendation-title">
-                                <span className="recommendation-icon">💡</span>
-                                <strong>권장사항</strong>
+                              <div className="issue-description">
+                                <div className="issue-title">
+                                  <span className="issue-icon">🚨</span>
+                                  <strong>문제</strong>
+                                </div>
+                                <p>{finding.issue}</p>
                               </div>
-                              <p>{finding.recommendation}</p>
-                            </div>
-                          )}
 
-                          {/* timestamp 제거 - 검사 시간은 상위 레벨에서 관리 */}
-                        </div>
+                              {finding.recommendation && (
+                                <div className="recommendation-description">
+                                  <div className="recommendation-title">
+                                    <span className="recommendation-icon">💡</span>
+                                    <strong>권장사항</strong>
+                                  </div>
+                                  <p>{finding.recommendation}</p>
+                                </div>
+                              )}
+
+                              {/* timestamp 제거 - 검사 시간은 상위 레벨에서 관리 */}
+                            </div>
+                          </div>
+                        ))}
                       </div>
-                    ))}
-                  </div>
+                    </div>
+                  ))}
                 </div>
               ) : (
                 <div className="no-findings-modern">
@@ -6,7 +6,7 @@ import RegionSelector from '../common/RegionSelector';
 import './ServiceInspectionSelector.css';
 
 // 글로벌 서비스 정의
-const GLOBAL_SERVICES = ['S3', 'IAM', 'CLOUDFRONT'];
+const GLOBAL_SERVICES = ['S3', 'IAM', 'CLOUDFRONT', 'GOVERNANCE'];
 
 // 서비스가 글로벌 서비스인지 확인
 const isGlobalService = (serviceType) => {
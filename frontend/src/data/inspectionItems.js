@@ -15,10 +15,17 @@ export const inspectionItems = {
           {
             id: 'security-groups',
             name: '보안 그룹 - 위험한 포트 노출',
-            shortDescription: '보안그룹의 인바운드 규칙에서 SSH(22), RDP(3389), Telnet(23), FTP(21), MySQL(3306), PostgreSQL(5432) 포트가 인터넷(0.0.0.0/0)에 개방되어 있는지 검사. 단일 포트뿐만 아니라 포트 범위 내 위험한 포트 포함 여부도 탐지',
+            shortDescription: '보안그룹의 인바운드 규칙에서 SSH(22), RDP(3389), Telnet(23), FTP(21), MySQL(3306), PostgreSQL(5432) 등 위험 포트가 인터넷(0.0.0.0/0, ::/0)에 개방되어 있는지 검사. 포트 범위 내 위험 포트, 모든 트래픽 허용 규칙, /8 이하의 넓은 CIDR 대역도 탐지하며 검사 포트 목록은 설정으로 확장 가능(Redis, MongoDB, Elasticsearch, Kubernetes 등)',
             severity: 'CRITICAL',
             enabled: true
           },
+          {
+            id: 'security-group-hygiene',
+            name: '보안 그룹 사용 현황 및 기본 그룹',
+            shortDescription: '네트워크 인터페이스에 연결되지 않은 보안그룹, 규칙이 남아 있는 기본 보안그룹, 데이터 계층(RDS·ElastiCache·EFS 또는 Tier 태그) 보안그룹의 무제한 아웃바운드 규칙을 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
           {
             id: 'backup-status',
             name: '인스턴스 백업 상태 검사',
@@ -33,6 +40,13 @@ export const inspectionItems = {
             severity: 'WARN',
             enabled: true
           },
+          {
+            id: 'linux-os-eol',
+            name: 'Linux 운영체제 지원 종료',
+            shortDescription: 'EC2 인스턴스가 사용하는 AMI의 이름·설명·플랫폼 정보로 Amazon Linux, Ubuntu, RHEL 버전을 식별하고 공통 수명 주기 카탈로그 기준 지원 종료 상태 검사. 이미 종료된 버전과 6개월 내 종료 예정 버전 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
           {
             id: 'public-instances',
             name: 'EC2 퍼블릭 인스턴스 검사',
@@ -43,9 +57,30 @@ export const inspectionItems = {
           {
             id: 'stopped-instances',
             name: '중지된 EC2 인스턴스 검사',
-            shortDescription: '중지된 상태의 EC2 인스턴스를 검사합니다. 중지된 인스턴스는 EBS 볼륨에 대한 비용이 지속적으로 발생하므로 장기간 사용하지 않는 인스턴스는 종료를 고려해야 합니다',
+            shortDescription: '7일 이상 중지된 EC2 인스턴스를 검사합니다. StateTransitionReason에서 중지 시점을 확인하고, 연결된 EBS 볼륨의 유형별 용량과 Elastic IP 요금을 합산하여 인스턴스별 예상 월 낭비 비용을 제시',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'volume-encryption',
+            name: 'EBS 볼륨 암호화',
+            shortDescription: '암호화되지 않은 EBS 볼륨을 탐지하고 연결된 인스턴스를 함께 보고. 기존 볼륨은 스냅샷 복사를 통해서만 암호화할 수 있으므로 교체 절차 안내',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'ebs-default-encryption',
+            name: 'EBS 기본 암호화 설정',
+            shortDescription: '검사 리전의 계정 수준 EBS 기본 암호화(EBS encryption by default) 활성화 여부를 검사하여 새로 생성되는 볼륨의 암호화 누락을 방지',
             severity: 'WARN',
             enabled: true
+          },
+          {
+            id: 'snapshot-sharing',
+            name: 'EBS 스냅샷 공유 검사',
+            shortDescription: '계정 소유 스냅샷의 볼륨 생성 권한을 분석하여 퍼블릭으로 공유되었거나 신뢰 계정 목록(trustedAccountIds)에 없는 계정과 공유된 스냅샷을 탐지',
+            severity: 'CRITICAL',
+            enabled: true
           }
         ]
       },
@@ -57,7 +92,7 @@ export const inspectionItems = {
           {
             id: 'instance-type-optimization',
             name: '인스턴스 타입 최적화',
-            shortDescription: '실행 중인 EC2 인스턴스의 최근 7일간 CloudWatch CPU 사용률 분석. 평균 10% 미만은 다운사이징, 80% 이상은 업그레이드 권장하여 비용과 성능 최적화',
+            shortDescription: '실행 중인 EC2 인스턴스의 최근 14일간 CPU 평균·p95·최대값, 네트워크 처리량, CloudWatch 에이전트 메모리 지표를 분석하여 같은 패밀리 내 구체적인 대상 타입 또는 Graviton 대응 타입과 예상 월 절감액을 제시',
             severity: 'WARN',
             enabled: true
           },
@@ -67,6 +102,83 @@ export const inspectionItems = {
             shortDescription: '예약 인스턴스(RI)의 만료 일정과 사용률을 검사. 30일 이내 만료 예정인 RI를 식별하고, 사용률이 낮거나 초과 사용되는 RI를 찾아 비용 최적화 방안 제시',
             severity: 'WARN',
             enabled: true
+          },
+          {
+            id: 'unattached-volumes',
+            name: '미사용 EBS 볼륨',
+            shortDescription: '어떤 인스턴스에도 연결되지 않은 available 상태의 EBS 볼륨을 탐지. 볼륨 유형, 용량, 생성 후 경과일을 함께 보고하여 정리 대상 식별',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'gp3-migration',
+            name: 'gp2 → gp3 전환 권장',
+            shortDescription: '이전 세대 gp2 볼륨을 탐지하고 gp3 전환 시 예상 월 절감액을 계산. 1,000GiB 초과 볼륨은 현재 IOPS 유지를 위한 추가 프로비저닝 필요 여부도 안내',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'orphaned-snapshots',
+            name: '원본 볼륨이 삭제된 스냅샷',
+            shortDescription: '원본 볼륨이 더 이상 존재하지 않는 스냅샷을 탐지. 스냅샷 복사본과 AMI를 구성하는 스냅샷은 제외',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'cost-optimization',
+        name: '약정 비용 최적화',
+        description: '예약 인스턴스와 Savings Plans 약정 적용률 및 구매 권장 분석',
+        items: [
+          {
+            id: 'commitment-coverage',
+            name: 'RI·Savings Plans 약정 적용률',
+            shortDescription: '실행 중인 인스턴스 사용량을 패밀리·플랫폼별로 활성 예약 인스턴스 및 Savings Plans와 비교하여 약정 미적용 온디맨드 비용과 미사용 약정 금액을 산출하고, 30일 이상 계속 실행된 사용분 기준 권장 구매 규모와 예상 월 절감액을 제시',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'hardening',
+        name: '인스턴스 구성 강화',
+        description: '인스턴스 메타데이터, 권한, 보호 설정 및 AMI 관리 검사',
+        items: [
+          {
+            id: 'imdsv2-enforcement',
+            name: 'IMDSv2 강제',
+            shortDescription: '인스턴스 메타데이터 서비스가 토큰 기반 IMDSv2를 강제하는지 확인(HttpTokens: required). IMDSv1은 SSRF를 통한 자격 증명 탈취에 취약',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'instance-profile',
+            name: 'IAM 인스턴스 프로파일',
+            shortDescription: '실행 중인 인스턴스에 IAM 역할이 연결되어 있는지, 연결된 역할에 관리자 수준 권한(AdministratorAccess, 모든 작업·리소스 허용 정책)이 부여되지 않았는지 검사',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'termination-protection',
+            name: '프로덕션 인스턴스 종료 방지',
+            shortDescription: 'Environment/Env/Stage 태그가 프로덕션인 인스턴스에 종료 방지가 설정되어 있는지 확인. Auto Scaling 그룹과 스팟 인스턴스는 제외',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'detailed-monitoring',
+            name: '프로덕션 인스턴스 세부 모니터링',
+            shortDescription: '프로덕션 태그가 지정된 실행 중인 인스턴스에 1분 간격 세부 모니터링이 활성화되어 있는지 확인',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'ami-age',
+            name: '오래된 AMI 사용',
+            shortDescription: '인스턴스가 기준 기간(기본 180일)보다 오래 전에 생성된 AMI로 실행 중인지 검사하여 패치 누락 위험을 식별',
+            severity: 'WARN',
+            enabled: true
           }
         ]
       }
@@ -97,6 +209,798 @@ export const inspectionItems = {
             shortDescription: 'S3 버킷의 기본 암호화 설정을 검사하여 데이터 보호 수준을 평가합니다. 암호화가 설정되지 않은 버킷을 식별하고 KMS 암호화 사용을 권장합니다',
             severity: 'CRITICAL',
             enabled: true
+          },
+          {
+            id: 'policy-public-access',
+            name: '정책 및 ACL 퍼블릭 접근',
+            shortDescription: '버킷 정책과 ACL을 분석하여 실제로 익명 사용자에게 열린 읽기·쓰기 권한을 식별합니다. 조건으로 제한된 문장과 퍼블릭 액세스 차단(버킷·계정)으로 무력화된 권한은 제외합니다',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'cross-account-access',
+            name: '교차 계정 접근',
+            shortDescription: '버킷 정책의 Principal과 ACL 권한을 분석하여 허용 목록에 없는 외부 계정에 부여된 접근을 식별합니다',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'secure-transport',
+            name: 'HTTPS 전송 강제',
+            shortDescription: '버킷 정책에 aws:SecureTransport가 false인 요청을 거부하는 문장이 있는지 확인하여 암호화되지 않은 HTTP 접근을 식별합니다',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'data-protection',
+        name: '데이터 보호',
+        description: 'S3 버킷의 데이터 복구, 삭제 방지, 보존 및 감사 설정 검사',
+        items: [
+          {
+            id: 'bucket-versioning',
+            name: '버전 관리',
+            shortDescription: '버전 관리가 활성화되지 않았거나 일시 중지되어 덮어쓰거나 삭제한 객체를 복구할 수 없는 버킷을 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'mfa-delete',
+            name: 'MFA 삭제',
+            shortDescription: '버전 관리가 활성화된 버킷 중 객체 버전 영구 삭제에 MFA를 요구하지 않는 버킷을 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'lifecycle-rules',
+            name: '대용량 버킷 수명 주기 규칙',
+            shortDescription: 'CloudWatch BucketSizeBytes 기준 Standard 스토리지가 100GB 이상이면서 활성화된 수명 주기 규칙이 없는 버킷을 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'access-logging',
+            name: '서버 액세스 로깅',
+            shortDescription: '서버 액세스 로깅이 비활성화된 버킷을 탐지. 다른 버킷의 로그 대상으로 사용 중인 버킷은 제외',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'object-lock',
+            name: '백업 버킷 Object Lock',
+            shortDescription: '백업 용도로 태그된 버킷(값이 backup/backups인 태그 또는 BackupBucket=true)에 Object Lock이나 기본 보존 기간이 없는 경우를 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'cross-region-replication',
+            name: '교차 리전 복제',
+            shortDescription: 'ReplicationRequired=true 등 복제 필수로 태그된 버킷에 활성 복제 규칙이 없거나 같은 리전으로만 복제되는 경우를 탐지',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      }
+    ]
+  },
+  IAM: {
+    id: 'IAM',
+    name: 'AWS IAM',
+    description: '루트 계정, IAM 사용자 자격 증명 및 계정 비밀번호 정책을 검사하여 계정 수준의 접근 제어가 AWS 모범 사례를 준수하는지 확인합니다',
+    icon: '👤',
+    color: '#DD344C',
+    categories: [
+      {
+        id: 'security',
+        name: '보안',
+        description: '루트 계정 보호, MFA 및 자격 증명 관리 검사',
+        items: [
+          {
+            id: 'root-account',
+            name: '루트 계정 사용 및 액세스 키',
+            shortDescription: '자격 증명 보고서와 계정 요약 정보를 분석하여 루트 계정의 MFA 미설정, 루트 액세스 키 존재, 최근 90일 내 루트 계정 사용 여부를 검사',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'mfa-enabled',
+            name: '콘솔 사용자 MFA 설정',
+            shortDescription: '콘솔 비밀번호가 설정된 IAM 사용자 중 MFA 디바이스가 등록되지 않은 사용자를 탐지. 프로그래밍 방식 전용 사용자는 제외',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'access-key-rotation',
+            name: '액세스 키 교체 및 미사용 키',
+            shortDescription: '활성 상태인 IAM 사용자 액세스 키 중 90일 이상 교체되지 않았거나, 한 번도 사용되지 않았거나, 90일 이상 사용되지 않은 키를 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'inactive-users',
+            name: '비활성 IAM 사용자',
+            shortDescription: '콘솔 로그인과 액세스 키 사용 기록을 종합하여 90일 이상 활동이 없는 IAM 사용자를 탐지. 생성된 지 90일이 지나지 않은 사용자는 제외',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'password-policy',
+            name: '계정 비밀번호 정책',
+            shortDescription: '계정 비밀번호 정책의 존재 여부와 최소 길이(14자), 대소문자/숫자/기호 요구, 재사용 방지(24개), 만료 기간(90일) 설정을 검사',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      }
+    ]
+  },
+  RDS: {
+    id: 'RDS',
+    name: 'Amazon RDS',
+    description: 'RDS 데이터베이스 인스턴스와 스냅샷의 암호화, 네트워크 노출, 백업 및 가용성 구성을 검사하여 AWS 모범 사례를 준수하는지 확인합니다',
+    icon: '🗄️',
+    color: '#3B48CC',
+    categories: [
+      {
+        id: 'security',
+        name: '보안',
+        description: 'DB 암호화, 퍼블릭 노출 및 스냅샷 공유 검사',
+        items: [
+          {
+            id: 'storage-encryption',
+            name: 'DB 스토리지 암호화',
+            shortDescription: 'DB 인스턴스의 StorageEncrypted 설정을 검사하여 저장 데이터가 암호화되지 않은 인스턴스를 식별. 기존 인스턴스는 암호화된 스냅샷 복원으로만 전환 가능',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'public-access',
+            name: 'DB 퍼블릭 액세스',
+            shortDescription: 'PubliclyAccessible 설정이 활성화되어 인터넷에서 엔드포인트에 접근할 수 있는 DB 인스턴스를 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'snapshot-exposure',
+            name: '수동 스냅샷 공유 상태',
+            shortDescription: 'DB 및 Aurora 클러스터 수동 스냅샷의 복원 권한을 검사하여 퍼블릭으로 공유되었거나 다른 AWS 계정과 공유된 스냅샷을 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'reliability',
+        name: '안정성',
+        description: '백업, 가용성 및 엔진 버전 수명 주기 검사',
+        items: [
+          {
+            id: 'backup-retention',
+            name: '자동 백업 보존 기간',
+            shortDescription: '자동 백업이 비활성화되었거나 백업 보존 기간이 7일 미만인 DB 인스턴스를 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'multi-az',
+            name: '프로덕션 Multi-AZ 구성',
+            shortDescription: 'Environment/Env/Stage 태그가 prod, production, prd인 DB 인스턴스 중 단일 AZ로 운영되는 인스턴스를 탐지. Aurora 클러스터 멤버는 제외',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'engine-version-eol',
+            name: 'DB 엔진 버전 지원 종료',
+            shortDescription: 'MySQL, PostgreSQL, MariaDB, Aurora 엔진의 메이저 버전을 RDS 표준 지원 종료 일정과 비교하여 이미 종료되었거나 6개월 내 종료 예정인 인스턴스를 탐지',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      }
+    ]
+  },
+  CLOUDFRONT: {
+    id: 'CLOUDFRONT',
+    name: 'Amazon CloudFront',
+    description: 'CloudFront 배포의 전송 암호화, TLS 정책, WAF 연결, S3 오리진 보호 및 로깅 설정을 검사하여 엣지 구간 보안이 AWS 모범 사례를 준수하는지 확인합니다',
+    icon: '🌐',
+    color: '#8C4FFF',
+    categories: [
+      {
+        id: 'security',
+        name: '보안',
+        description: '뷰어/오리진 전송 암호화, WAF 및 오리진 접근 제어 검사',
+        items: [
+          {
+            id: 'viewer-protocol',
+            name: 'HTTP 뷰어 허용',
+            shortDescription: '기본 캐시 동작과 경로별 캐시 동작 중 뷰어 프로토콜 정책이 allow-all로 설정되어 암호화되지 않은 HTTP 요청을 허용하는 배포를 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'tls-policy',
+            name: 'TLS 보안 정책',
+            shortDescription: '뷰어 인증서의 최소 프로토콜 버전이 TLSv1.2 미만이거나, 별칭 도메인에 기본 인증서를 사용하거나, 커스텀 오리진에 SSLv3/TLSv1/TLSv1.1을 허용하는 배포를 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'waf-association',
+            name: 'WAF 웹 ACL 연결',
+            shortDescription: '활성화된 배포 중 AWS WAF 웹 ACL이 연결되지 않아 엣지에서 웹 공격을 차단하지 못하는 배포를 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'origin-access-control',
+            name: 'S3 오리진 액세스 제어',
+            shortDescription: 'S3 버킷 오리진에 원본 액세스 제어(OAC)가 설정되지 않아 버킷에 직접 접근이 가능하거나, 레거시 OAI를 사용 중인 오리진을 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'monitoring',
+        name: '모니터링',
+        description: '배포 액세스 로그 설정 검사',
+        items: [
+          {
+            id: 'access-logging',
+            name: '표준 액세스 로깅',
+            shortDescription: '배포 설정에서 표준 액세스 로그가 비활성화되어 요청 기록을 남기지 않는 배포를 탐지',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      }
+    ]
+  },
+  LAMBDA: {
+    id: 'LAMBDA',
+    name: 'AWS Lambda',
+    description: 'Lambda 함수의 런타임 수명 주기, 외부 노출, 자격 증명 관리 및 실패 처리 구성을 검사하여 서버리스 워크로드가 AWS 모범 사례를 준수하는지 확인합니다',
+    icon: 'λ',
+    color: '#E7157B',
+    categories: [
+      {
+        id: 'security',
+        name: '보안',
+        description: '함수 URL, 리소스 정책 및 환경 변수 자격 증명 검사',
+        items: [
+          {
+            id: 'function-url-auth',
+            name: '인증 없는 함수 URL',
+            shortDescription: '함수 URL의 인증 유형이 NONE으로 설정되어 누구나 인터넷에서 함수를 호출할 수 있는 함수를 탐지. CORS 모든 오리진 허용 여부도 함께 보고',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'resource-policy',
+            name: '리소스 정책 퍼블릭 호출 권한',
+            shortDescription: '함수 리소스 기반 정책에서 Principal이 *이면서 SourceArn, SourceAccount, PrincipalOrgID 등의 제한 조건이 없는 Allow 문을 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'environment-secrets',
+            name: '환경 변수 내 자격 증명',
+            shortDescription: '환경 변수 이름(password, secret, token, api_key 등)과 값 형식(AWS 액세스 키, 개인 키 등)을 분석하여 평문으로 저장된 자격 증명을 탐지. 값은 결과에 노출하지 않음',
+            severity: 'CRITICAL',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'reliability',
+        name: '안정성',
+        description: '런타임 지원 주기 및 비동기 호출 실패 처리 검사',
+        items: [
+          {
+            id: 'runtime-deprecation',
+            name: '런타임 지원 중단',
+            shortDescription: 'Node.js, Python, Java, .NET, Go, Ruby 런타임의 지원 중단 일정과 비교하여 이미 중단되었거나 6개월 내 중단 예정인 런타임을 사용하는 함수를 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'failure-destination',
+            name: 'DLQ 및 실패 시 대상 미설정',
+            shortDescription: '배달 못한 편지 대기열(DLQ)과 비동기 호출 실패 시 대상(on-failure destination)이 모두 설정되지 않아 실패한 이벤트가 유실될 수 있는 함수를 탐지',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      }
+    ]
+  },
+  VPC: {
+    id: 'VPC',
+    name: 'Amazon VPC',
+    description: 'VPC 플로우 로그, 기본 VPC 사용, 네트워크 ACL 및 미사용 네트워크 리소스를 검사하여 네트워크 구성이 AWS 모범 사례를 준수하는지 확인합니다',
+    icon: '🌐',
+    color: '#8C4FFF',
+    categories: [
+      {
+        id: 'security',
+        name: '보안',
+        description: '네트워크 가시성 및 접근 제어 검사',
+        items: [
+          {
+            id: 'flow-logs',
+            name: 'VPC 플로우 로그',
+            shortDescription: '활성화된 플로우 로그가 없는 VPC를 탐지. 플로우 로그가 없으면 보안 사고 발생 시 네트워크 트래픽을 추적할 수 없음',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'default-vpc',
+            name: '기본 VPC 사용',
+            shortDescription: '기본 VPC에 네트워크 인터페이스가 존재하는지 검사하여 모든 서브넷이 퍼블릭인 기본 VPC에서 실행 중인 리소스를 서브넷별로 보고',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'network-acl',
+            name: '네트워크 ACL 관리 포트 개방',
+            shortDescription: '서브넷에 연결된 네트워크 ACL의 인바운드 규칙을 규칙 번호 순서대로 평가하여 SSH(22), RDP(3389), Telnet(23), WinRM(5985/5986) 포트가 0.0.0.0/0 또는 ::/0에서 허용되는지 검사',
+            severity: 'CRITICAL',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'cost',
+        name: '비용',
+        description: '사용되지 않는 네트워크 리소스 비용 검사',
+        items: [
+          {
+            id: 'unused-elastic-ips',
+            name: '연결되지 않은 Elastic IP',
+            shortDescription: '인스턴스나 네트워크 인터페이스에 연결되지 않은 Elastic IP를 탐지하고 예상 월 비용을 보고',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'idle-nat-gateways',
+            name: '트래픽 없는 NAT 게이트웨이',
+            shortDescription: '최근 14일간 CloudWatch BytesOutToDestination/BytesInFromDestination 지표가 0인 NAT 게이트웨이를 탐지하고 예상 고정 비용을 보고',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      }
+    ]
+  },
+  ELB: {
+    id: 'ELB',
+    name: 'Elastic Load Balancing',
+    description: 'ALB, NLB 및 Classic Load Balancer의 리스너 암호화, 보안 정책, 로깅, WAF 연결 및 대상 상태를 검사하여 인터넷 진입점이 AWS 모범 사례를 준수하는지 확인합니다',
+    icon: '⚖️',
+    color: '#8C4FFF',
+    categories: [
+      {
+        id: 'security',
+        name: '보안',
+        description: '리스너 암호화, TLS 보안 정책 및 WAF 연결 검사',
+        items: [
+          {
+            id: 'http-listeners',
+            name: 'HTTPS 리디렉션 없는 HTTP 리스너',
+            shortDescription: 'ALB의 HTTP 리스너 중 기본 작업이 HTTPS 리디렉션이 아닌 리스너와 Classic Load Balancer의 HTTP 리스너를 탐지. 리스너 ARN 단위로 결과 보고',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'ssl-policy',
+            name: '오래된 TLS 보안 정책',
+            shortDescription: 'HTTPS/TLS 리스너의 보안 정책이 TLS 1.0/1.1을 허용하는지 검사. Classic Load Balancer는 리스너 정책이 참조하는 보안 정책까지 확인',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'waf-association',
+            name: 'WAF 미연결 ALB',
+            shortDescription: '인터넷 연결(internet-facing) ALB에 AWS WAF 웹 ACL이 연결되어 있는지 검사',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'reliability',
+        name: '안정성',
+        description: '로깅, 삭제 방지 및 대상 상태 검사',
+        items: [
+          {
+            id: 'access-logs',
+            name: '액세스 로그 비활성화',
+            shortDescription: 'ALB, NLB 및 Classic Load Balancer의 S3 액세스 로그 활성화 여부를 검사',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'deletion-protection',
+            name: '삭제 방지 비활성화',
+            shortDescription: 'ALB, NLB, GWLB의 삭제 방지(deletion_protection.enabled) 속성이 비활성화된 로드 밸런서를 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'target-health',
+            name: '정상 대상 없음',
+            shortDescription: '대상 그룹에 등록된 대상이 전혀 없거나 등록된 대상이 모두 비정상 상태인 로드 밸런서를 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          }
+        ]
+      }
+    ]
+  },
+  GOVERNANCE: {
+    id: 'GOVERNANCE',
+    name: '계정 거버넌스',
+    description: 'CloudTrail 감사 로그 구성과 모든 리전의 AWS Config, GuardDuty, Security Hub 활성화 상태를 검사하여 계정 수준의 감사·탐지 기반이 갖춰져 있는지 확인합니다',
+    icon: '🛡️',
+    color: '#E7157B',
+    categories: [
+      {
+        id: 'audit',
+        name: '감사 로그',
+        description: 'CloudTrail 추적 구성 검사',
+        items: [
+          {
+            id: 'cloudtrail-multi-region',
+            name: '다중 리전 CloudTrail',
+            shortDescription: '로깅 중인 다중 리전 추적이 하나 이상 존재하는지 검사하고, 로깅이 중지된 추적을 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'cloudtrail-log-validation',
+            name: '로그 파일 무결성 검증',
+            shortDescription: 'CloudTrail 추적의 로그 파일 검증(LogFileValidationEnabled) 활성화 여부를 검사하여 로그 변조 탐지 가능 여부 확인',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'cloudtrail-encryption',
+            name: 'CloudTrail KMS 암호화',
+            shortDescription: 'CloudTrail 로그 파일이 KMS 고객 관리형 키(SSE-KMS)로 암호화되는지 검사',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'cloudtrail-bucket-public',
+            name: 'CloudTrail 로그 버킷 퍼블릭 노출',
+            shortDescription: 'CloudTrail 로그가 저장되는 S3 버킷의 정책 상태(IsPublic)와 ACL을 검사하여 감사 로그가 퍼블릭으로 노출되었는지 확인. 다른 계정 소유 버킷은 제외',
+            severity: 'CRITICAL',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'detection',
+        name: '위협 탐지',
+        description: '계정에서 활성화된 모든 리전의 구성 기록 및 위협 탐지 서비스 검사',
+        items: [
+          {
+            id: 'config-recorder',
+            name: 'AWS Config 레코더',
+            shortDescription: '활성화된 모든 리전에서 AWS Config 구성 레코더가 존재하고 기록 중인지, 최근 기록이 실패하지 않았는지 검사',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'guardduty-enabled',
+            name: 'GuardDuty 활성화',
+            shortDescription: '활성화된 모든 리전에서 GuardDuty 탐지기가 존재하고 ENABLED 상태인지 검사',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'securityhub-enabled',
+            name: 'Security Hub 활성화',
+            shortDescription: '활성화된 모든 리전에서 Security Hub 구독 여부를 검사',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      }
+    ]
+  },
+  KMS: {
+    id: 'KMS',
+    name: 'AWS KMS & Secrets Manager',
+    description: 'KMS 고객 관리형 키의 교체·정책·삭제 상태와 Secrets Manager 보안 암호의 교체, 사용 이력 및 암호화 키를 검사하여 키와 자격 증명 관리가 AWS 모범 사례를 준수하는지 확인합니다',
+    icon: '🔑',
+    color: '#DD344C',
+    categories: [
+      {
+        id: 'key-management',
+        name: '키 관리',
+        description: 'KMS 고객 관리형 키 교체, 키 정책 및 삭제 대기 키 검사',
+        items: [
+          {
+            id: 'key-rotation',
+            name: '자동 키 교체 미설정',
+            shortDescription: '활성 상태의 대칭 고객 관리형 키 중 자동 키 교체가 비활성화된 키를 탐지. AWS 관리형 키와 외부 키 구성 요소를 사용하는 키는 제외',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'key-policy',
+            name: '키 정책 전체 권한 개방',
+            shortDescription: '키 정책에서 Principal이 *이고 Action이 kms:* 또는 *인 조건 없는 Allow 문을 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'pending-deletion',
+            name: '사용 중인 키의 삭제 예약',
+            shortDescription: '삭제 대기(PendingDeletion) 상태의 키가 Secrets Manager 보안 암호, EBS 볼륨, RDS 인스턴스에서 여전히 참조되는지 검사하여 데이터 영구 손실 위험을 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'secrets',
+        name: '보안 암호',
+        description: 'Secrets Manager 보안 암호 교체, 사용 이력 및 암호화 검사',
+        items: [
+          {
+            id: 'secret-rotation',
+            name: '보안 암호 자동 교체 미설정',
+            shortDescription: '자동 교체가 활성화되지 않은 Secrets Manager 보안 암호를 탐지하고 마지막 변경일을 함께 보고',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'unused-secrets',
+            name: '미사용 보안 암호',
+            shortDescription: '최근 90일 동안 조회(LastAccessedDate)되지 않았거나 생성 후 90일이 지나도록 한 번도 조회되지 않은 보안 암호를 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'secret-cmk-encryption',
+            name: '고객 관리형 키 미사용 보안 암호',
+            shortDescription: '고객 관리형 KMS 키가 아닌 AWS 관리형 키(aws/secretsmanager)로 암호화된 보안 암호를 탐지',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      }
+    ]
+  },
+  CONTAINER: {
+    id: 'CONTAINER',
+    name: 'Amazon ECR / ECS / EKS',
+    description: 'ECR 리포지토리의 이미지 스캔·태그·수명 주기 설정, ECS 작업 정의의 컨테이너 권한과 자격 증명 노출, EKS 클러스터의 엔드포인트 공개·로깅·버전 지원 상태를 검사하여 컨테이너 워크로드가 AWS 모범 사례를 준수하는지 확인합니다',
+    icon: '🐳',
+    color: '#FF9900',
+    categories: [
+      {
+        id: 'ecr',
+        name: 'ECR 리포지토리',
+        description: '컨테이너 이미지 저장소의 취약점 스캔, 태그 불변성 및 이미지 정리 정책 검사',
+        items: [
+          {
+            id: 'ecr-scan-on-push',
+            name: '푸시 시 이미지 스캔',
+            shortDescription: '리포지토리의 푸시 시 스캔 설정과 레지스트리 수준 스캔 규칙을 함께 확인하여 이미지 취약점 스캔이 적용되지 않는 리포지토리를 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'ecr-immutable-tags',
+            name: '이미지 태그 불변성',
+            shortDescription: '이미지 태그가 MUTABLE로 설정되어 동일 태그로 다른 이미지를 덮어쓸 수 있는 리포지토리를 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'ecr-lifecycle-policy',
+            name: '수명 주기 정책',
+            shortDescription: '수명 주기 정책이 없어 태그 없는 이미지와 오래된 이미지가 계속 누적되는 리포지토리를 탐지',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'ecs',
+        name: 'ECS 작업 정의',
+        description: '활성 작업 정의 패밀리별 최신 리비전의 컨테이너 격리 및 자격 증명 관리 검사',
+        items: [
+          {
+            id: 'ecs-privileged',
+            name: '권한 있는 컨테이너',
+            shortDescription: 'privileged 설정으로 호스트 전체에 접근할 수 있는 컨테이너가 포함된 작업 정의를 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'ecs-host-network',
+            name: '호스트 네트워크 모드',
+            shortDescription: '네트워크 모드가 host로 설정되어 컨테이너가 호스트 네트워크 스택을 공유하는 작업 정의를 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'ecs-env-secrets',
+            name: '환경 변수 평문 자격 증명',
+            shortDescription: '컨테이너 환경 변수 이름과 값 형식을 분석하여 비밀번호, 토큰, 액세스 키 등이 평문으로 저장된 작업 정의를 탐지 (값은 결과에 포함하지 않음)',
+            severity: 'CRITICAL',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'eks',
+        name: 'EKS 클러스터',
+        description: '클러스터 API 엔드포인트 노출, 컨트롤 플레인 감사 로그 및 Kubernetes 버전 지원 상태 검사',
+        items: [
+          {
+            id: 'eks-public-endpoint',
+            name: '퍼블릭 API 엔드포인트',
+            shortDescription: '클러스터 API 서버 엔드포인트가 0.0.0.0/0에 공개되어 인터넷 어디서나 접근 가능한 클러스터를 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'eks-control-plane-logging',
+            name: '컨트롤 플레인 로깅',
+            shortDescription: 'api, audit, authenticator, controllerManager, scheduler 컨트롤 플레인 로그 중 비활성화된 유형이 있는 클러스터를 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'eks-version',
+            name: 'Kubernetes 버전 지원',
+            shortDescription: '표준 지원이 종료되었거나 6개월 이내 종료 예정인 Kubernetes 버전을 사용하는 클러스터를 탐지. 표준 지원 종료 후에는 확장 지원 요금이 부과됨',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      }
+    ]
+  },
+  DATASTORE: {
+    id: 'DATASTORE',
+    name: 'DynamoDB / ElastiCache / EFS',
+    description: 'DynamoDB 테이블의 복구·삭제 방지 설정, ElastiCache 클러스터의 암호화와 인증, EFS 파일 시스템의 암호화와 자동 백업을 검사하여 RDS 외 데이터 저장소가 AWS 모범 사례를 준수하는지 확인합니다',
+    icon: '🗄️',
+    color: '#3B48CC',
+    categories: [
+      {
+        id: 'dynamodb',
+        name: 'DynamoDB',
+        description: 'DynamoDB 테이블의 데이터 복구 및 삭제 보호 설정 검사',
+        items: [
+          {
+            id: 'dynamodb-pitr',
+            name: '특정 시점 복구(PITR)',
+            shortDescription: '특정 시점 복구가 비활성화되어 실수로 변경·삭제된 데이터를 복원할 수 없는 활성 테이블을 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'dynamodb-deletion-protection',
+            name: '삭제 방지',
+            shortDescription: '삭제 방지가 비활성화되어 콘솔, CLI 또는 IaC 변경으로 즉시 삭제될 수 있는 테이블을 탐지',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'elasticache',
+        name: 'ElastiCache',
+        description: 'Redis/Valkey 복제 그룹과 단독 캐시 클러스터의 암호화 및 인증 설정 검사',
+        items: [
+          {
+            id: 'elasticache-transit-encryption',
+            name: '전송 중 암호화',
+            shortDescription: 'TLS 전송 중 암호화가 비활성화되었거나 preferred 모드로 암호화되지 않은 연결을 허용하는 클러스터를 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'elasticache-at-rest-encryption',
+            name: '저장 데이터 암호화',
+            shortDescription: '저장 데이터 암호화가 비활성화된 Redis/Valkey 클러스터를 탐지. 저장 데이터 암호화를 지원하지 않는 Memcached는 제외',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'elasticache-auth',
+            name: 'AUTH/RBAC 인증',
+            shortDescription: 'AUTH 토큰 또는 RBAC 사용자 그룹이 설정되지 않아 네트워크 접근만으로 명령을 실행할 수 있는 Redis/Valkey 클러스터를 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'efs',
+        name: 'EFS',
+        description: 'EFS 파일 시스템의 저장 데이터 암호화 및 자동 백업 설정 검사',
+        items: [
+          {
+            id: 'efs-encryption',
+            name: '저장 데이터 암호화',
+            shortDescription: '저장 데이터 암호화 없이 생성된 파일 시스템을 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'efs-backup-policy',
+            name: '자동 백업 정책',
+            shortDescription: 'EFS 자동 백업 정책이 없거나 비활성화된 파일 시스템을 탐지',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      }
+    ]
+  },
+  APIGATEWAY: {
+    id: 'APIGATEWAY',
+    name: 'Amazon API Gateway & WAF',
+    description: 'REST/HTTP API 스테이지의 액세스 로깅, WAF 연결, 메서드 인증과 스로틀링, WAF 웹 ACL의 관리형 규칙 구성을 검사하여 인터넷에 노출된 API가 AWS 모범 사례를 준수하는지 확인합니다. 결과는 API별로 묶어 표시됩니다',
+    icon: '🚪',
+    color: '#E7157B',
+    categories: [
+      {
+        id: 'security',
+        name: '보안',
+        description: 'API 인증 및 WAF 보호 구성 검사',
+        items: [
+          {
+            id: 'api-authorization',
+            name: '메서드 인증',
+            shortDescription: 'OPTIONS를 제외한 REST 메서드와 HTTP 라우트 중 권한 부여자 없이 호출 가능하거나 API 키만으로 보호되는 항목을 API별로 탐지',
+            severity: 'CRITICAL',
+            enabled: true
+          },
+          {
+            id: 'api-waf',
+            name: 'WAF 웹 ACL 연결',
+            shortDescription: 'WAF 웹 ACL이 연결되지 않은 퍼블릭 REST API 스테이지를 탐지. WAF 직접 연결을 지원하지 않는 HTTP API와 프라이빗 API는 제외',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'waf-managed-rules',
+            name: 'WAF 관리형 규칙 그룹',
+            shortDescription: '리전 WAF 웹 ACL 중 AWS 관리형 규칙 그룹이 하나도 없는 웹 ACL을 탐지하고 연결된 API 기준으로 표시',
+            severity: 'WARN',
+            enabled: true
+          }
+        ]
+      },
+      {
+        id: 'operations',
+        name: '운영',
+        description: 'API 스테이지의 로깅 및 트래픽 제한 설정 검사',
+        items: [
+          {
+            id: 'api-access-logging',
+            name: '스테이지 액세스 로깅',
+            shortDescription: '액세스 로그 대상이 설정되지 않아 호출 이력을 추적할 수 없는 REST/HTTP API 스테이지를 탐지',
+            severity: 'WARN',
+            enabled: true
+          },
+          {
+            id: 'api-throttling',
+            name: '스테이지 스로틀링',
+            shortDescription: '스테이지 또는 라우트 단위 요청 속도/버스트 한도가 없어 계정 기본 한도를 그대로 사용하는 스테이지를 탐지',
+            severity: 'WARN',
+            enabled: true
           }
         ]
       }
@@ -17,5 +17,17 @@ export const adminService = {
   validateUserArn: async (userId) => {
     const response = await api.post(`/admin/users/${userId}/validate-arn`);
     return response.data;
+  },
+
+  // Get lifecycle (EOL) catalog with versions ending within the given months (admin only)
+  getLifecycleCatalog: async (withinMonths) => {
+    const response = await api.get('/admin/lifecycle-catalog', { params: { withinMonths } });
+    return response.data;
+  },
+
+  // Replace lifecycle (EOL) catalog with an uploaded JSON document (admin only)
+  updateLifecycleCatalog: async (catalog) => {
+    const response = await api.put('/admin/lifecycle-catalog', catalog);
+    return response.data;
   }
 };
\ No newline at end of file
@@ -101,6 +101,30 @@ export const inspectionService = {
     });
   },
 
+  /**
+   * 배치 검사 취소 (아직 끝나지 않은 모든 검사 항목)
+   * @param {string} batchId - 배치 ID
+   * @returns {Promise<Object>} 취소 결과
+   */
+  cancelBatchInspection: async (batchId) => {
+    return withRetry(async () => {
+      const response = await api.post(`/inspections/batch/${batchId}/cancel`);
+      return response.data;
+    });
+  },
+
+  /**
+   * 배치 상태 조회 (백엔드 재시작 후에도 저장된 상태 조회 가능)
+   * @param {string} batchId - 배치 ID
+   * @returns {Promise<Object>} 배치 상태 및 검사 작업별 상태
+   */
+  getBatchStatus: async (batchId) => {
+    return withRetry(async () => {
+      const response = await api.get(`/inspections/batch/${batchId}`);
+      return response.data;
+    });
+  },
+
   /**
    * 검사 항목 상태 조회
    * Trusted Advisor 스타일 - 각 검사 항목별 최근 상태
@@ -85,6 +85,26 @@ export const generateItemSummary = (findings) => {
     };
 };
 
+// findings를 상위 리소스 그룹(groupId)별로 묶기 (예: API Gateway API별)
+// 그룹 정보가 없는 findings는 groupId가 null인 그룹 하나로 반환
+export const groupFindings = (findings) => {
+    const groups = new Map();
+
+    findings.forEach(finding => {
+        const groupId = finding.groupId || null;
+        if (!groups.has(groupId)) {
+            groups.set(groupId, {
+                groupId,
+                groupName: finding.groupName || groupId,
+                findings: []
+            });
+        }
+        groups.get(groupId).findings.push(finding);
+    });
+
+    return Array.from(groups.values());
+};
+
 // 테스트용 함수
 export const testFunction = () => {
     console.log('Simplified data model loaded!');